@@ -0,0 +1,211 @@
+/**
+ * Report dates, working-day calendar and timezone-correct windows
+ *
+ * All dates are 'YYYY-MM-DD' strings, the same form Noko uses for entry
+ * dates. "Today" is computed in REPORT_TIMEZONE (default: the system
+ * timezone) rather than UTC, so evening entries in US timezones still count
+ * as today. Date arithmetic is done on the strings in UTC, which has no DST
+ * gaps.
+ *
+ * The working-day calendar (CALENDAR_FILE, or DATA_DIR/calendar.json):
+ *
+ * {
+ *   "weekends": [0, 6],                        // Days of week off (0 = Sunday)
+ *   "holidays": ["2025-11-27", "2025-12-25"],  // Company holidays
+ *   "pto": ["2025-08-15", { "from": "2025-07-07", "to": "2025-07-11" }]
+ * }
+ */
+
+const fs = require('fs');
+
+const PERIODS = ['today', 'yesterday', 'this-week', 'last-week', 'this-month', 'last-month', 'this-quarter', 'last-quarter', 'since-last-report'];
+
+function getTimezone() {
+  return process.env.REPORT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Calendar date of an instant in a timezone
+ *
+ * @param {Date} now - Instant, defaults to the current time
+ * @param {string} timeZone - IANA timezone, defaults to REPORT_TIMEZONE
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function toLocalDate(now = new Date(), timeZone = getTimezone()) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(now).forEach(part => { parts[part.type] = part.value; });
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Wall-clock time of an instant in a timezone
+ *
+ * @returns {string} 'HH:MM' (24-hour)
+ */
+function toLocalTime(now = new Date(), timeZone = getTimezone()) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now).forEach(part => { parts[part.type] = part.value; });
+  return `${parts.hour}:${parts.minute}`;
+}
+
+function isValidDate(dateStr) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return false;
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(dateStr);
+}
+
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+function dayOfWeek(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Load the working-day calendar
+ *
+ * @returns {Object} { weekends: Set<number>, holidays: Set<string>, pto: Set<string> }
+ * @throws {Error} When the file exists but is invalid
+ */
+function loadCalendar(filepath) {
+  const calendar = { weekends: new Set([0, 6]), holidays: new Set(), pto: new Set() };
+  if (!filepath || !fs.existsSync(filepath)) {
+    return calendar;
+  }
+
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read calendar ${filepath}: ${error.message}`);
+  }
+
+  if (Array.isArray(document.weekends)) {
+    calendar.weekends = new Set(document.weekends.map(Number));
+  }
+
+  (document.holidays || []).forEach(holiday => {
+    const date = typeof holiday === 'string' ? holiday : holiday.date;
+    if (!isValidDate(date)) {
+      throw new Error(`${filepath}: invalid holiday date ${JSON.stringify(holiday)}`);
+    }
+    calendar.holidays.add(date);
+  });
+
+  (document.pto || []).forEach(pto => {
+    const from = typeof pto === 'string' ? pto : pto.from;
+    const to = typeof pto === 'string' ? pto : (pto.to || pto.from);
+    if (!isValidDate(from) || !isValidDate(to) || to < from) {
+      throw new Error(`${filepath}: invalid PTO range ${JSON.stringify(pto)}`);
+    }
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      calendar.pto.add(date);
+    }
+  });
+
+  return calendar;
+}
+
+function isWorkingDay(dateStr, calendar) {
+  return !calendar.weekends.has(dayOfWeek(dateStr)) &&
+    !calendar.holidays.has(dateStr) &&
+    !calendar.pto.has(dateStr);
+}
+
+/**
+ * Most recent working day strictly before a date
+ *
+ * Gives up after a year so a calendar without working days cannot loop.
+ */
+function previousWorkingDay(dateStr, calendar) {
+  let date = addDays(dateStr, -1);
+  for (let i = 0; i < 366; i++) {
+    if (isWorkingDay(date, calendar)) return date;
+    date = addDays(date, -1);
+  }
+  return addDays(dateStr, -1);
+}
+
+/**
+ * Resolve a named period to an inclusive date window
+ *
+ * since-last-report starts on the date of the last archived report when
+ * there is one. Otherwise it starts on the previous working day, so on a
+ * Monday it covers Friday through today, and after holidays or PTO it
+ * reaches back to the last day actually worked.
+ *
+ * @param {string} name - One of PERIODS
+ * @param {string} today - 'YYYY-MM-DD'
+ * @param {Object} calendar - loadCalendar() result
+ * @param {string} [lastReportDate] - Date of the previous report, before today
+ * @returns {Object} { from, to }
+ */
+function resolvePeriod(name, today, calendar, lastReportDate = null) {
+  const mondayOffset = (dayOfWeek(today) + 6) % 7;
+  const thisMonday = addDays(today, -mondayOffset);
+  const monthStart = `${today.slice(0, 7)}-01`;
+  const quarterStart = `${today.slice(0, 4)}-${String(Math.floor((parseInt(today.slice(5, 7), 10) - 1) / 3) * 3 + 1).padStart(2, '0')}-01`;
+
+  switch (name) {
+    case 'today':
+      return { from: today, to: today };
+    case 'yesterday':
+      return { from: addDays(today, -1), to: addDays(today, -1) };
+    case 'this-week':
+      return { from: thisMonday, to: today };
+    case 'last-week':
+      return { from: addDays(thisMonday, -7), to: addDays(thisMonday, -1) };
+    case 'this-month':
+      return { from: monthStart, to: today };
+    case 'last-month': {
+      const lastMonthEnd = addDays(monthStart, -1);
+      return { from: `${lastMonthEnd.slice(0, 7)}-01`, to: lastMonthEnd };
+    }
+    case 'this-quarter':
+      return { from: quarterStart, to: today };
+    case 'last-quarter': {
+      const lastQuarterEnd = addDays(quarterStart, -1);
+      const lastQuarterMonth = parseInt(lastQuarterEnd.slice(5, 7), 10) - 2;
+      return { from: `${lastQuarterEnd.slice(0, 5)}${String(lastQuarterMonth).padStart(2, '0')}-01`, to: lastQuarterEnd };
+    }
+    case 'since-last-report':
+      return { from: lastReportDate || previousWorkingDay(today, calendar), to: today };
+    default:
+      throw new Error(`Unknown period "${name}" (expected ${PERIODS.join(', ')})`);
+  }
+}
+
+/**
+ * Number of days between two dates (to - from)
+ */
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+}
+
+module.exports = {
+  PERIODS,
+  getTimezone,
+  toLocalDate,
+  toLocalTime,
+  isValidDate,
+  addDays,
+  dayOfWeek,
+  daysBetween,
+  loadCalendar,
+  isWorkingDay,
+  previousWorkingDay,
+  resolvePeriod
+};
@@ -0,0 +1,157 @@
+/**
+ * Declarative entry classification rules
+ *
+ * Rules live in an ordered JSON file (config/classification-rules.json by
+ * default, or the file named by CLASSIFICATION_RULES_FILE). The first rule
+ * whose conditions all match an entry decides its category; entries that no
+ * rule matches fall into `defaultCategory`.
+ *
+ * Rule format:
+ * {
+ *   "name": "drainpipe-lsm-team",
+ *   "match": {
+ *     "projectId": [687916],           // Noko project id(s)
+ *     "projectName": "^\\[LSM\\]",      // Regex(es) on the project name, case-insensitive
+ *     "tag": ["internal", "sales"],      // Tag name substring(s), case-insensitive
+ *     "user": [8372, "Jane Doe"],        // Noko user id(s) or full name(s)
+ *     "description": ["drupal 11"]       // Description keyword(s), case-insensitive
+ *   },
+ *   "category": "client",              // client | lsm | internal | other | exclude
+ *   "client": "DH"                      // Optional: report key for client rules
+ * }
+ *
+ * Conditions are combined with AND; list values match when any item matches.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '..', 'config', 'classification-rules.json');
+const CATEGORIES = ['client', 'lsm', 'internal', 'other', 'exclude'];
+const MATCH_KEYS = ['projectId', 'projectName', 'tag', 'user', 'description'];
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Validate and compile a parsed rules document
+ *
+ * @throws {Error} When a rule has an unknown category or match key, or a bad regex
+ */
+function compileRules(document, source = 'rules') {
+  if (!document || !Array.isArray(document.rules)) {
+    throw new Error(`${source}: expected a "rules" array`);
+  }
+
+  const defaultCategory = document.defaultCategory || 'other';
+  if (!CATEGORIES.includes(defaultCategory)) {
+    throw new Error(`${source}: unknown defaultCategory "${defaultCategory}"`);
+  }
+
+  const rules = document.rules.map((rule, index) => {
+    const label = `${source}: rule ${index + 1}${rule.name ? ` (${rule.name})` : ''}`;
+    const match = rule.match || {};
+
+    if (!CATEGORIES.includes(rule.category)) {
+      throw new Error(`${label}: unknown category "${rule.category}" (expected ${CATEGORIES.join(', ')})`);
+    }
+    if (rule.client && rule.category !== 'client') {
+      throw new Error(`${label}: "client" is only valid with category "client"`);
+    }
+
+    const unknownKeys = Object.keys(match).filter(key => !MATCH_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+      throw new Error(`${label}: unknown match key(s) ${unknownKeys.join(', ')} (expected ${MATCH_KEYS.join(', ')})`);
+    }
+
+    const compiled = {
+      name: rule.name || `rule-${index + 1}`,
+      category: rule.category,
+      client: rule.client || null,
+      match
+    };
+
+    if (match.projectId !== undefined) {
+      compiled.projectIds = toList(match.projectId).map(String);
+    }
+    if (match.projectName !== undefined) {
+      compiled.projectNames = toList(match.projectName).map(pattern => {
+        try {
+          return new RegExp(pattern, 'i');
+        } catch (error) {
+          throw new Error(`${label}: invalid projectName regex ${pattern}: ${error.message}`);
+        }
+      });
+    }
+    if (match.tag !== undefined) {
+      compiled.tags = toList(match.tag).map(tag => String(tag).replace(/^#/, '').toLowerCase());
+    }
+    if (match.user !== undefined) {
+      compiled.users = toList(match.user).map(user => String(user).toLowerCase());
+    }
+    if (match.description !== undefined) {
+      compiled.keywords = toList(match.description).map(keyword => String(keyword).toLowerCase());
+    }
+
+    return compiled;
+  });
+
+  return { source, defaultCategory, rules };
+}
+
+/**
+ * Load classification rules from a JSON file
+ *
+ * @param {string} [filepath] - Rules file, defaults to config/classification-rules.json
+ * @throws {Error} When the file cannot be read, parsed or validated
+ */
+function loadRules(filepath = DEFAULT_RULES_FILE) {
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read classification rules ${filepath}: ${error.message}`);
+  }
+  return compileRules(document, filepath);
+}
+
+function ruleMatches(rule, entry) {
+  const projectId = String(entry.project?.id ?? '');
+  const projectName = entry.project?.name || '';
+  const tags = (entry.tags || []).map(tag => (tag.name || '').toLowerCase());
+  const description = (entry.description || '').toLowerCase();
+  const user = entry.user || {};
+  const userKeys = [String(user.id), `${user.first_name || ''} ${user.last_name || ''}`.trim().toLowerCase()];
+
+  if (rule.projectIds && !rule.projectIds.includes(projectId)) return false;
+  if (rule.projectNames && !rule.projectNames.some(regex => regex.test(projectName))) return false;
+  if (rule.tags && !rule.tags.some(needle => tags.some(tag => tag.includes(needle)))) return false;
+  if (rule.users && !rule.users.some(key => userKeys.includes(key))) return false;
+  if (rule.keywords && !rule.keywords.some(keyword => description.includes(keyword))) return false;
+
+  return true;
+}
+
+/**
+ * Classify a single entry
+ *
+ * @returns {Object} { category, client, rule } where rule is the matching
+ *   rule name, or null when the default category applied
+ */
+function classifyEntry(entry, ruleSet) {
+  const rule = ruleSet.rules.find(candidate => ruleMatches(candidate, entry));
+
+  if (!rule) {
+    return { category: ruleSet.defaultCategory, client: null, rule: null };
+  }
+  return { category: rule.category, client: rule.client, rule: rule.name };
+}
+
+module.exports = {
+  DEFAULT_RULES_FILE,
+  CATEGORIES,
+  compileRules,
+  loadRules,
+  classifyEntry
+};
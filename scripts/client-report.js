@@ -0,0 +1,277 @@
+/**
+ * Client summary reports
+ *
+ * A summary of one client's work over a month, a quarter or a custom
+ * window, written for the client rather than for LSM:
+ *
+ * - Accomplishments per week (Monday to Sunday, clipped to the window)
+ * - Hours by person, by tag and by work type (see work-types.js)
+ * - Themes: the largest workstreams of the period, and time in meetings
+ * - Retainer allotment for the window, when one is configured
+ *
+ * The caller picks the client's entries with the usual classification (see
+ * classifyEntry in reporter.js), so project mappings and the [LSM] rules
+ * decide which projects belong to a client. Items come from the offline
+ * summarizer, so the report needs no LLM.
+ *
+ * Markdown is rendered through the client-report template (see
+ * report-templates.js); HTML is a self-contained page with inline styles,
+ * suitable for email.
+ */
+
+const calendar = require('./calendar');
+const hoursAnalytics = require('./hours-analytics');
+const offlineSummarizer = require('./offline-summarizer');
+const workTypes = require('./work-types');
+
+// --period values of the client-report command, besides calendar.PERIODS
+const CLIENT_PERIODS = { month: 'last-month', quarter: 'last-quarter' };
+const MAX_THEMES = 5;
+
+/**
+ * Monday-to-Sunday weeks covering a window, clipped to it
+ *
+ * @returns {Array} [{ from, to }]
+ */
+function weekWindows(from, to) {
+  const weeks = [];
+  let start = from;
+  while (start <= to) {
+    const sunday = calendar.addDays(start, (7 - calendar.dayOfWeek(start)) % 7);
+    const end = sunday < to ? sunday : to;
+    weeks.push({ from: start, to: end });
+    start = calendar.addDays(end, 1);
+  }
+  return weeks;
+}
+
+/**
+ * Number of whole calendar months in a window, or null when it does not
+ * start on the 1st and end on a month end
+ */
+function wholeMonths(from, to) {
+  if (!from.endsWith('-01') || calendar.addDays(to, 1).slice(8) !== '01') return null;
+  const [fromYear, fromMonth] = from.split('-').map(Number);
+  const [toYear, toMonth] = to.split('-').map(Number);
+  return (toYear - fromYear) * 12 + toMonth - fromMonth + 1;
+}
+
+function sortedBuckets(buckets, totalMinutes) {
+  return Object.entries(buckets)
+    .map(([name, bucket]) => ({
+      name,
+      minutes: bucket.minutes,
+      billableMinutes: bucket.billableMinutes,
+      entries: bucket.entries,
+      percent: totalMinutes > 0 ? Math.round(bucket.minutes / totalMinutes * 100) : 0
+    }))
+    .sort((a, b) => b.minutes - a.minutes || a.name.localeCompare(b.name));
+}
+
+/**
+ * Summarize a client's entries for a window
+ *
+ * @param {Array} entries - The client's Noko entries within the window
+ * @param {Object} options
+ * @param {string} options.client - Client name (report section key)
+ * @param {string} options.from - 'YYYY-MM-DD'
+ * @param {string} options.to - 'YYYY-MM-DD'
+ * @param {Object} [options.retainer] - Matching retainer (see hours-analytics.js)
+ * @param {Function} [options.workTypeOf] - entry → work type name or null
+ * @returns {Object} { client, from, to, total, people, tags, workTypes,
+ *   mainWorkType, weeks, themes, meetings, retainer }
+ */
+function buildClientReport(entries, options) {
+  const { client, from, to } = options;
+  const summary = hoursAnalytics.summarizeHours(entries, () => client);
+  const byWorkType = workTypes.summarizeWorkTypes(entries, options.workTypeOf || (() => null));
+  const weeks = weekWindows(from, to);
+  const weekOf = date => weeks.findIndex(week => date >= week.from && date <= week.to);
+
+  const groups = offlineSummarizer.summarizeEntries(entries);
+  const themes = groups
+    .filter(group => !group.meeting)
+    .sort((a, b) => b.minutes - a.minutes)
+    .slice(0, MAX_THEMES)
+    .map(group => ({
+      text: group.text,
+      minutes: group.minutes,
+      days: group.dates.length,
+      weeks: new Set(group.dates.map(weekOf)).size
+    }));
+  const meetingGroups = groups.filter(group => group.meeting);
+
+  let retainer = null;
+  if (options.retainer) {
+    const months = wholeMonths(from, to);
+    const usedHours = summary.total.minutes / 60;
+    const allottedHours = months ? options.retainer.monthlyHours * months : null;
+    retainer = {
+      name: options.retainer.name || options.retainer.section || client,
+      monthlyHours: options.retainer.monthlyHours,
+      allottedHours,
+      usedHours,
+      percentUsed: allottedHours ? usedHours / allottedHours * 100 : null
+    };
+  }
+
+  return {
+    client,
+    from,
+    to,
+    total: {
+      minutes: summary.total.minutes,
+      billableMinutes: summary.total.billableMinutes,
+      entries: summary.total.entries
+    },
+    people: sortedBuckets(summary.byUser, summary.total.minutes),
+    tags: sortedBuckets(summary.byTag, summary.total.minutes),
+    workTypes: byWorkType,
+    mainWorkType: workTypes.mainWorkType(byWorkType),
+    weeks: weeks.map(week => {
+      const weekEntries = entries.filter(entry => entry.date >= week.from && entry.date <= week.to);
+      return {
+        from: week.from,
+        to: week.to,
+        minutes: weekEntries.reduce((sum, entry) => sum + entry.minutes, 0),
+        items: offlineSummarizer.summarizeItems(weekEntries)
+      };
+    }),
+    themes,
+    meetings: {
+      minutes: meetingGroups.reduce((sum, group) => sum + group.minutes, 0),
+      count: meetingGroups.reduce((sum, group) => sum + group.count, 0)
+    },
+    retainer
+  };
+}
+
+/**
+ * Template data for a client report, with times formatted
+ *
+ * @param {Object} report - buildClientReport() result
+ * @param {Function} formatTime - minutes → display string
+ * @returns {Object} Template context
+ */
+function buildClientTemplateContext(report, formatTime) {
+  const withTime = bucket => ({ ...bucket, time: formatTime(bucket.minutes) });
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  const retainer = report.retainer && {
+    ...report.retainer,
+    used: formatTime(Math.round(report.retainer.usedHours * 60)),
+    allotted: report.retainer.allottedHours !== null ? formatTime(report.retainer.allottedHours * 60) : null,
+    percent: report.retainer.percentUsed !== null ? Math.round(report.retainer.percentUsed) : null
+  };
+
+  return {
+    client: report.client,
+    from: report.from,
+    to: report.to,
+    totalTime: formatTime(report.total.minutes),
+    billableTime: formatTime(report.total.billableMinutes),
+    entryCount: report.total.entries,
+    people: report.people.map(withTime),
+    tags: report.tags.map(withTime),
+    workTypes: report.workTypes.map(withTime),
+    mainWorkType: report.mainWorkType && withTime(report.mainWorkType),
+    weeks: report.weeks.map(week => ({ ...withTime(week), active: week.items.length > 0 })),
+    themes: report.themes.map(theme => ({ ...withTime(theme), span: plural(theme.weeks, 'week') })),
+    meetings: report.meetings.count > 0 ? { ...withTime(report.meetings), span: plural(report.meetings.count, 'meeting') } : null,
+    retainer
+  };
+}
+
+const escapeHtml = text => String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+const STYLES = {
+  body: 'margin:0;padding:24px;background:#f4f5f7;font-family:-apple-system,Segoe UI,Helvetica,Arial,sans-serif;color:#1f2933;',
+  card: 'max-width:720px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;',
+  h1: 'margin:0 0 4px;font-size:24px;',
+  subtitle: 'margin:0 0 24px;color:#616e7c;',
+  h2: 'margin:28px 0 8px;font-size:18px;border-bottom:1px solid #e4e7eb;padding-bottom:4px;',
+  h3: 'margin:16px 0 4px;font-size:15px;',
+  table: 'border-collapse:collapse;width:100%;',
+  th: 'text-align:left;padding:4px 8px;border-bottom:1px solid #e4e7eb;color:#616e7c;font-weight:600;',
+  td: 'padding:4px 8px;border-bottom:1px solid #f0f2f4;',
+  number: 'text-align:right;white-space:nowrap;',
+  muted: 'color:#9aa5b1;'
+};
+
+function htmlTable(headers, rows) {
+  const head = headers.map((header, index) => `<th style="${STYLES.th}${index > 0 ? STYLES.number : ''}">${escapeHtml(header)}</th>`).join('');
+  const body = rows.map(row => `<tr>${row.map((cell, index) => `<td style="${STYLES.td}${index > 0 ? STYLES.number : ''}">${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n');
+  return `<table style="${STYLES.table}"><tr>${head}</tr>\n${body}</table>`;
+}
+
+/**
+ * Render a client report as a self-contained HTML page
+ *
+ * @param {Object} context - buildClientTemplateContext() result
+ * @returns {string} HTML document with inline styles only
+ */
+function renderClientReportHtml(context) {
+  const parts = [
+    `<h1 style="${STYLES.h1}">${escapeHtml(context.client)} summary</h1>`,
+    `<p style="${STYLES.subtitle}">${escapeHtml(context.from)} to ${escapeHtml(context.to)} · ${escapeHtml(context.totalTime)} total</p>`
+  ];
+
+  if (context.retainer) {
+    parts.push(`<p>Retainer: ${escapeHtml(context.retainer.used)} used` +
+      (context.retainer.allotted ? ` of ${escapeHtml(context.retainer.allotted)} (${context.retainer.percent}%)` : ` (${context.retainer.monthlyHours}h per month)`) + '</p>');
+  }
+
+  if (context.mainWorkType) {
+    parts.push(`<p>Mostly ${escapeHtml(context.mainWorkType.name)} (${context.mainWorkType.percent}% of the time)</p>`);
+  }
+
+  parts.push(`<h2 style="${STYLES.h2}">Themes</h2>`);
+  if (context.themes.length > 0) {
+    parts.push('<ul>' + context.themes.map(theme =>
+      `<li>${escapeHtml(theme.text)} <span style="${STYLES.muted}">(${escapeHtml(theme.time)}, ${theme.span})</span></li>`).join('\n') + '</ul>');
+  } else {
+    parts.push(`<p style="${STYLES.muted}">No work logged in this period.</p>`);
+  }
+  if (context.meetings) {
+    parts.push(`<p>Meetings and calls: ${escapeHtml(context.meetings.time)} across ${context.meetings.span}.</p>`);
+  }
+
+  parts.push(`<h2 style="${STYLES.h2}">Accomplishments by week</h2>`);
+  context.weeks.forEach(week => {
+    parts.push(`<h3 style="${STYLES.h3}">${escapeHtml(week.from)} to ${escapeHtml(week.to)} <span style="${STYLES.muted}">(${escapeHtml(week.time)})</span></h3>`);
+    parts.push(week.active
+      ? '<ul>' + week.items.map(item => `<li>${escapeHtml(item)}</li>`).join('\n') + '</ul>'
+      : `<p style="${STYLES.muted}">No activity</p>`);
+  });
+
+  parts.push(`<h2 style="${STYLES.h2}">Hours by person</h2>`);
+  parts.push(htmlTable(['Person', 'Time', 'Share'], context.people.map(person => [person.name, person.time, `${person.percent}%`])));
+  parts.push(`<h2 style="${STYLES.h2}">Hours by tag</h2>`);
+  parts.push(htmlTable(['Tag', 'Time', 'Share'], context.tags.map(tag => [tag.name, tag.time, `${tag.percent}%`])));
+  parts.push(`<h2 style="${STYLES.h2}">Hours by work type</h2>`);
+  parts.push(htmlTable(['Work type', 'Time', 'Share'], context.workTypes.map(type => [type.name, type.time, `${type.percent}%`])));
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(context.client)} summary ${escapeHtml(context.from)} to ${escapeHtml(context.to)}</title>`,
+    '</head>',
+    `<body style="${STYLES.body}">`,
+    `<div style="${STYLES.card}">`,
+    parts.join('\n'),
+    '</div>',
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  CLIENT_PERIODS,
+  weekWindows,
+  wholeMonths,
+  buildClientReport,
+  buildClientTemplateContext,
+  renderClientReportHtml
+};
@@ -0,0 +1,553 @@
+/**
+ * Configuration schema and loader
+ *
+ * Every setting has one typed entry in CONFIG_SCHEMA and comes from, in
+ * order of precedence:
+ *
+ * 1. The environment, including .env (parsed here, once, for every command)
+ * 2. The config file: noko-report.json in the working directory, or the
+ *    file named by NOKO_REPORT_CONFIG
+ * 3. The schema default
+ *
+ * Required settings (the Noko user id) have no default: leaving them unset
+ * is a problem.
+ *
+ *   {
+ *     "noko": { "apiToken": "…", "userId": 8372 },
+ *     "projects": { "DH": 701450, "MJFF": 701708 },
+ *     "projectMappings": { "DH": "CATIC", "GovHub": "CATIC" },
+ *     "projectRepos": { "DH": ["~/code/dh-site", "~/code/dh-theme"] },
+ *     "team": { "userIds": [8372, 72862], "groups": { "lsm": [8372, 51234] } },
+ *     "llm": { "providers": ["anthropic", "claude-cli"] },
+ *     "features": { "clipboard": false }
+ *   }
+ *
+ * Values are validated against the schema: wrong types, malformed
+ * PROJECT_MAPPINGS pairs and unknown keys (with a suggestion for typos) are
+ * reported as problems instead of silently producing odd reports. Values
+ * from the file are exported to their environment names, so modules and
+ * shell scripts that read the environment see the same configuration.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE_NAME = 'noko-report.json';
+
+const CONFIG_SCHEMA = [
+  { path: 'noko.apiToken', env: 'NOKO_API_TOKEN', type: 'string', secret: true, description: 'Noko API token' },
+  { path: 'noko.userId', env: 'NOKO_USER_ID', type: 'integer', required: true, description: 'Your Noko user id' },
+  { path: 'noko.apiUrl', env: 'NOKO_API_URL', type: 'url', description: 'Noko API root (default: https://api.nokotime.com/v2)' },
+  { path: 'noko.maxRetries', env: 'NOKO_MAX_RETRIES', type: 'integer', description: 'Retries for rate-limited and failed Noko requests' },
+  { path: 'projects', env: 'PROJECTS', type: 'projects', default: {}, description: 'Project directory name → Noko project id' },
+  { path: 'projectMappings', env: 'PROJECT_MAPPINGS', type: 'mappings', default: {}, description: 'Project directory name → report category' },
+  { path: 'projectRepos', env: 'PROJECT_REPOS', type: 'repos', default: {}, description: 'Project directory name → local git repositories (gaps)' },
+  { path: 'git.authors', env: 'GIT_AUTHOR_EMAILS', type: 'stringList', default: [], description: 'Your git author emails (default: each repository\'s user.email)' },
+  { path: 'team.userIds', env: 'TEAM_USER_IDS', type: 'integerList', default: [], description: 'Noko user ids for --team' },
+  { path: 'team.groups', env: 'TEAM_GROUP_*', type: 'groups', default: {}, description: 'Named user id groups for --group' },
+  { path: 'dataDir', env: 'DATA_DIR', type: 'path', default: './data', description: 'Project data directory' },
+  { path: 'timezone', env: 'REPORT_TIMEZONE', type: 'string', description: 'IANA timezone for report dates (default: system timezone)' },
+  { path: 'defaultDaysBack', env: 'DEFAULT_DAYS_BACK', type: 'integer', default: 7, description: 'Days back fetch covers without an argument' },
+  { path: 'llm.providers', env: 'LLM_PROVIDERS', type: 'stringList', default: ['claude-cli', 'gemini-cli'], description: 'LLM providers in fallback order' },
+  { path: 'llm.timeoutMs', env: 'LLM_TIMEOUT_MS', type: 'integer', default: 90000, description: 'Timeout per LLM attempt' },
+  { path: 'llm.retries', env: 'LLM_RETRIES', type: 'integer', default: 1, description: 'Extra attempts per LLM provider' },
+  { path: 'llm.anthropicApiKey', env: 'ANTHROPIC_API_KEY', type: 'string', secret: true, description: 'Anthropic API key' },
+  { path: 'llm.anthropicModel', env: 'ANTHROPIC_MODEL', type: 'string', description: 'Anthropic model' },
+  { path: 'llm.anthropicBaseUrl', env: 'ANTHROPIC_BASE_URL', type: 'url', description: 'Anthropic API root' },
+  { path: 'llm.claudeCliPath', env: 'CLAUDE_CLI_PATH', type: 'path', description: 'Claude Code CLI executable' },
+  { path: 'llm.geminiCliPath', env: 'GEMINI_CLI_PATH', type: 'path', description: 'Gemini CLI executable' },
+  { path: 'features.memoryBank', env: 'MEMORY_BANK_ENABLED', type: 'boolean', default: true, description: 'Project memory bank context' },
+  { path: 'features.history', env: 'REPORT_HISTORY_ENABLED', type: 'boolean', default: true, description: 'Archive generated reports' },
+  { path: 'features.historyContext', env: 'REPORT_HISTORY_CONTEXT', type: 'boolean', default: true, description: 'Give the LLM the previous report' },
+  { path: 'features.redaction', env: 'REDACTION_ENABLED', type: 'boolean', default: true, description: 'Redact prompts before they are sent' },
+  { path: 'features.clipboard', env: 'CLIPBOARD_ENABLED', type: 'boolean', default: true, description: 'Copy reports to the clipboard' },
+  { path: 'files.classificationRules', env: 'CLASSIFICATION_RULES_FILE', type: 'path', description: 'Classification rules' },
+  { path: 'files.calendar', env: 'CALENDAR_FILE', type: 'path', description: 'Holidays and PTO' },
+  { path: 'files.retainers', env: 'RETAINERS_FILE', type: 'path', description: 'Retainer allotments' },
+  { path: 'files.templatesDir', env: 'TEMPLATES_DIR', type: 'path', description: 'Custom report templates' },
+  { path: 'files.statusRules', env: 'STATUS_RULES_FILE', type: 'path', description: 'Project status thresholds' },
+  { path: 'files.delivery', env: 'DELIVERY_FILE', type: 'path', description: 'Delivery targets and routes' },
+  { path: 'files.tickets', env: 'TICKETS_FILE', type: 'path', description: 'Ticket tracker links' },
+  { path: 'files.lintRules', env: 'LINT_RULES_FILE', type: 'path', description: 'Timesheet lint rules' },
+  { path: 'files.redaction', env: 'REDACTION_FILE', type: 'path', description: 'Redaction settings' },
+  { path: 'files.schedule', env: 'SCHEDULE_FILE', type: 'path', description: 'Scheduled runs and reminder' },
+  { path: 'files.workTypes', env: 'WORK_TYPES_FILE', type: 'path', description: 'Tag taxonomy of work types' },
+  { path: 'server.host', env: 'SERVE_HOST', type: 'string', default: '127.0.0.1', description: 'Address the serve dashboard listens on' },
+  { path: 'server.port', env: 'SERVE_PORT', type: 'integer', default: 8787, description: 'Port of the serve dashboard' },
+  { path: 'delivery.geekbotApiKey', env: 'GEEKBOT_API_KEY', type: 'string', secret: true, description: 'Geekbot API key' },
+  { path: 'delivery.geekbotApiUrl', env: 'GEEKBOT_API_URL', type: 'url', description: 'Geekbot API root' },
+  { path: 'geekbot.excludeInternal', env: 'GEEKBOT_EXCLUDE_INTERNAL', type: 'boolean', default: false, description: 'Leave internal time out of scheduled Geekbot reports' },
+  { path: 'delivery.timeoutMs', env: 'DELIVERY_TIMEOUT_MS', type: 'integer', description: 'Timeout per delivery request' }
+];
+
+class ConfigError extends Error {
+  constructor(message, file) {
+    super(file ? `${file}: ${message}` : message);
+    this.name = 'ConfigError';
+    this.file = file;
+  }
+}
+
+/**
+ * Parse a .env file: KEY=value lines, optional `export`, quotes and comments
+ */
+function parseEnvFile(text) {
+  const values = {};
+  text.split(/\r?\n/).forEach(line => {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+    if (!match) return;
+    let value = match[2];
+    const quoted = value.match(/^(['"])(.*)\1$/);
+    if (quoted) {
+      value = quoted[1] === '"' ? quoted[2].replace(/\\n/g, '\n') : quoted[2];
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    values[match[1]] = value;
+  });
+  return values;
+}
+
+function getPath(object, dotted) {
+  return dotted.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), object);
+}
+
+function setPath(object, dotted, value) {
+  const keys = dotted.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    node[key] = node[key] || {};
+    return node[key];
+  }, object);
+  parent[last] = value;
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+function suggest(name, candidates) {
+  const best = candidates
+    .map(candidate => ({ candidate, distance: editDistance(name, candidate) }))
+    .sort((a, b) => a.distance - b.distance)[0];
+  return best && best.distance <= Math.max(2, Math.floor(name.length / 3)) ? ` (did you mean "${best.candidate}"?)` : '';
+}
+
+/**
+ * Parse "DH:CATIC,GovHub:CATIC" into { DH: 'CATIC', GovHub: 'CATIC' }
+ *
+ * @returns {Object} { value, errors }
+ */
+function parseMappingString(text) {
+  const value = {};
+  const errors = [];
+  text.split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+    const parts = pair.split(':').map(part => part.trim());
+    if (parts.length !== 2 || !parts[0] || !parts[1]) {
+      errors.push(`"${pair}" is not project:category`);
+      return;
+    }
+    value[parts[0]] = parts[1];
+  });
+  return { value, errors };
+}
+
+/**
+ * Parse "DH:~/code/dh-site,DH:~/code/dh-theme" into
+ * { DH: ['~/code/dh-site', '~/code/dh-theme'] }
+ *
+ * Only the first colon separates the project, so Windows paths work.
+ *
+ * @returns {Object} { value, errors }
+ */
+function parseRepoString(text) {
+  const value = {};
+  const errors = [];
+  text.split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+    const separator = pair.indexOf(':');
+    const project = separator > 0 ? pair.slice(0, separator).trim() : '';
+    const repo = separator > 0 ? pair.slice(separator + 1).trim() : '';
+    if (!project || !repo) {
+      errors.push(`"${pair}" is not project:path`);
+      return;
+    }
+    value[project] = [...(value[project] || []), repo];
+  });
+  return { value, errors };
+}
+
+/**
+ * Read one setting from the environment
+ *
+ * @returns {Object} { value, errors }, value undefined when not set
+ */
+function readEnvValue(field, env) {
+  if (field.type === 'projects') {
+    const names = (env.PROJECTS || '').split(',').map(name => name.trim()).filter(Boolean);
+    if (names.length === 0) return { value: undefined, errors: [] };
+    const value = {};
+    const errors = [];
+    names.forEach(name => {
+      const id = env[`${name}_PROJECT_ID`];
+      if (id && !/^\d+$/.test(id.trim())) {
+        errors.push(`${name}_PROJECT_ID must be a number, got "${id}"`);
+      }
+      value[name] = id && /^\d+$/.test(id.trim()) ? parseInt(id, 10) : null;
+    });
+    return { value, errors };
+  }
+
+  if (field.type === 'groups') {
+    const value = {};
+    const errors = [];
+    Object.keys(env).filter(name => /^TEAM_GROUP_/.test(name) && env[name]).forEach(name => {
+      const parsed = readTypedString({ type: 'integerList' }, env[name]);
+      errors.push(...parsed.errors.map(error => `${name}: ${error}`));
+      value[name.slice('TEAM_GROUP_'.length).toLowerCase()] = parsed.value;
+    });
+    return { value: Object.keys(value).length > 0 ? value : undefined, errors };
+  }
+
+  const raw = env[field.env];
+  if (raw === undefined || raw === '') return { value: undefined, errors: [] };
+  return readTypedString(field, raw);
+}
+
+function readTypedString(field, raw) {
+  const text = String(raw).trim();
+  switch (field.type) {
+    case 'integer':
+      return /^\d+$/.test(text)
+        ? { value: parseInt(text, 10), errors: [] }
+        : { value: undefined, errors: [`must be a whole number, got "${text}"`] };
+    case 'boolean':
+      return ['true', 'false'].includes(text.toLowerCase())
+        ? { value: text.toLowerCase() === 'true', errors: [] }
+        : { value: undefined, errors: [`must be true or false, got "${text}"`] };
+    case 'integerList': {
+      const items = text.split(',').map(item => item.trim()).filter(Boolean);
+      const invalid = items.filter(item => !/^\d+$/.test(item));
+      return invalid.length > 0
+        ? { value: items.filter(item => /^\d+$/.test(item)).map(Number), errors: [`not a user id: ${invalid.join(', ')}`] }
+        : { value: items.map(Number), errors: [] };
+    }
+    case 'stringList':
+      return { value: text.split(',').map(item => item.trim()).filter(Boolean), errors: [] };
+    case 'mappings':
+      return parseMappingString(text);
+    case 'repos':
+      return parseRepoString(text);
+    case 'url':
+      return /^https?:\/\/\S+$/.test(text)
+        ? { value: text, errors: [] }
+        : { value: undefined, errors: [`must be an http(s) URL, got "${text}"`] };
+    default:
+      return { value: text, errors: [] };
+  }
+}
+
+/**
+ * Check one setting from the config file
+ *
+ * @returns {Array<string>} Problems, empty when the value is valid
+ */
+function checkFileValue(field, value) {
+  const isObject = typeof value === 'object' && value !== null && !Array.isArray(value);
+  switch (field.type) {
+    case 'integer':
+      return Number.isInteger(value) ? [] : ['must be a whole number'];
+    case 'boolean':
+      return typeof value === 'boolean' ? [] : ['must be true or false'];
+    case 'integerList':
+      return Array.isArray(value) && value.every(Number.isInteger) ? [] : ['must be a list of user ids'];
+    case 'stringList':
+      return Array.isArray(value) && value.every(item => typeof item === 'string') ? [] : ['must be a list of names'];
+    case 'projects':
+      if (!isObject) return ['must map project names to Noko project ids'];
+      return Object.entries(value)
+        .filter(([, id]) => id !== null && !Number.isInteger(id))
+        .map(([name]) => `project "${name}" needs a numeric Noko project id`);
+    case 'mappings':
+      if (!isObject) return ['must map project names to report categories'];
+      return Object.entries(value)
+        .filter(([, category]) => typeof category !== 'string' || !category)
+        .map(([name]) => `"${name}" needs a category name`);
+    case 'repos':
+      if (!isObject) return ['must map project names to repository paths'];
+      return Object.entries(value)
+        .filter(([, repos]) => !(typeof repos === 'string' && repos) && !(Array.isArray(repos) && repos.every(repo => typeof repo === 'string' && repo)))
+        .map(([name]) => `"${name}" needs a repository path or a list of paths`);
+    case 'groups':
+      if (!isObject) return ['must map group names to lists of user ids'];
+      return Object.entries(value)
+        .filter(([, ids]) => !Array.isArray(ids) || !ids.every(Number.isInteger))
+        .map(([name]) => `group "${name}" must be a list of user ids`);
+    case 'url':
+      return typeof value === 'string' && /^https?:\/\/\S+$/.test(value) ? [] : ['must be an http(s) URL'];
+    default:
+      return typeof value === 'string' ? [] : ['must be a string'];
+  }
+}
+
+/**
+ * Unknown keys in the config file, with suggestions
+ */
+function findUnknownKeys(document) {
+  const known = CONFIG_SCHEMA.map(field => field.path);
+  const sections = new Set(known.filter(key => key.includes('.')).map(key => key.split('.')[0]));
+  const problems = [];
+
+  Object.keys(document).filter(key => key !== '$schema').forEach(key => {
+    if (sections.has(key) && typeof document[key] === 'object' && document[key] !== null) {
+      Object.keys(document[key]).forEach(child => {
+        const dotted = `${key}.${child}`;
+        if (!known.includes(dotted)) {
+          problems.push({ path: dotted, message: `unknown setting${suggest(dotted, known)}` });
+        }
+      });
+    } else if (!known.includes(key) && !sections.has(key)) {
+      problems.push({ path: key, message: `unknown setting${suggest(key, known)}` });
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Environment values for a setting, for exporting it to the environment
+ *
+ * @returns {Object} Environment variable → string value
+ */
+function toEnvValues(field, value) {
+  if (value === undefined || value === null) return {};
+  switch (field.type) {
+    case 'projects': {
+      const values = { PROJECTS: Object.keys(value).join(',') };
+      Object.entries(value).forEach(([name, id]) => {
+        if (id !== null) values[`${name}_PROJECT_ID`] = String(id);
+      });
+      return Object.keys(value).length > 0 ? values : {};
+    }
+    case 'mappings':
+      return Object.keys(value).length > 0
+        ? { [field.env]: Object.entries(value).map(([project, category]) => `${project}:${category}`).join(',') }
+        : {};
+    case 'repos':
+      return Object.keys(value).length > 0
+        ? { [field.env]: Object.entries(value).flatMap(([project, repos]) => [].concat(repos).map(repo => `${project}:${repo}`)).join(',') }
+        : {};
+    case 'groups': {
+      const values = {};
+      Object.entries(value).forEach(([name, ids]) => {
+        values[`TEAM_GROUP_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`] = ids.join(',');
+      });
+      return values;
+    }
+    case 'integerList':
+    case 'stringList':
+      return value.length > 0 ? { [field.env]: value.join(',') } : {};
+    default:
+      return { [field.env]: String(value) };
+  }
+}
+
+/**
+ * Load the configuration
+ *
+ * Loads .env into env (without overriding variables that are already set),
+ * reads the config file, validates every setting and exports the file's
+ * values to env.
+ *
+ * @param {Object} options - { env: process.env, cwd: process.cwd(), providerNames }
+ * @returns {Object} { values, sources, problems, file, envFile }: sources
+ *   maps each setting to 'env', 'file' or 'default'; problems are
+ *   [{ level: 'error'|'warning', path, message, required }], required
+ *   being set for a missing required setting
+ * @throws {ConfigError} When the config file is not valid JSON
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const cwd = options.cwd || process.cwd();
+  const problems = [];
+  const values = {};
+  const sources = {};
+
+  const envFile = path.join(cwd, '.env');
+  if (fs.existsSync(envFile)) {
+    Object.entries(parseEnvFile(fs.readFileSync(envFile, 'utf8'))).forEach(([name, value]) => {
+      if (env[name] === undefined) env[name] = value;
+    });
+  }
+
+  const file = env.NOKO_REPORT_CONFIG || path.join(cwd, CONFIG_FILE_NAME);
+  let document = {};
+  if (fs.existsSync(file)) {
+    try {
+      document = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new ConfigError(`not valid JSON: ${error.message}`, file);
+    }
+    findUnknownKeys(document).forEach(problem => problems.push({ level: 'error', ...problem }));
+  } else if (env.NOKO_REPORT_CONFIG) {
+    throw new ConfigError('config file not found', file);
+  }
+
+  CONFIG_SCHEMA.forEach(field => {
+    const fromEnv = readEnvValue(field, env);
+    fromEnv.errors.forEach(message => problems.push({ level: 'error', path: field.path, message: `${field.env}: ${message}` }));
+
+    const fromFile = getPath(document, field.path);
+    const fileErrors = fromFile === undefined ? [] : checkFileValue(field, fromFile);
+    fileErrors.forEach(message => problems.push({ level: 'error', path: field.path, message: `${path.basename(file)}: ${message}` }));
+
+    if (fromEnv.value !== undefined) {
+      setPath(values, field.path, fromEnv.value);
+      sources[field.path] = 'env';
+    } else if (fromFile !== undefined && fileErrors.length === 0) {
+      setPath(values, field.path, fromFile);
+      sources[field.path] = 'file';
+    } else {
+      setPath(values, field.path, field.default !== undefined ? field.default : null);
+      sources[field.path] = 'default';
+    }
+  });
+
+  CONFIG_SCHEMA.filter(field => field.required && getPath(values, field.path) === null).forEach(field => {
+    problems.push({ level: 'error', path: field.path, required: true, message: `required: set ${field.env} or "${field.path}" in ${CONFIG_FILE_NAME}` });
+  });
+  Object.keys(values.projects).filter(name => !/^\w+$/.test(name)).forEach(name => {
+    problems.push({ level: 'warning', path: 'projects', message: `"${name}" is not usable in ${name}_PROJECT_ID: use letters, digits and _` });
+  });
+  (options.providerNames ? values.llm.providers : []).filter(name => !options.providerNames.includes(name)).forEach(name => {
+    problems.push({ level: 'error', path: 'llm.providers', message: `unknown provider "${name}"${suggest(name, options.providerNames)}` });
+  });
+
+  CONFIG_SCHEMA.filter(field => sources[field.path] === 'file').forEach(field => {
+    Object.entries(toEnvValues(field, getPath(values, field.path))).forEach(([name, value]) => {
+      if (env[name] === undefined || env[name] === '') env[name] = value;
+    });
+  });
+
+  return { values, sources, problems, file: fs.existsSync(file) ? file : null, envFile: fs.existsSync(envFile) ? envFile : null };
+}
+
+/**
+ * Complete a settings object with the schema defaults
+ *
+ * For the library API (see reporter.js): nothing is read from the
+ * environment or a file, and the given object is not modified.
+ *
+ * @param {Object} [values] - Partial settings, shaped like loadConfig().values
+ * @returns {Object} Settings with every schema path set
+ */
+function withDefaults(values = {}) {
+  const complete = JSON.parse(JSON.stringify(values));
+  CONFIG_SCHEMA.forEach(field => {
+    if (getPath(complete, field.path) === undefined) {
+      setPath(complete, field.path, field.default !== undefined ? JSON.parse(JSON.stringify(field.default)) : null);
+    }
+  });
+  return complete;
+}
+
+/**
+ * Mask a secret for display: first four characters only
+ */
+function maskSecret(value) {
+  return value ? `${String(value).slice(0, 4)}…` : value;
+}
+
+/**
+ * Settings as display rows: [{ path, env, value, source, description }]
+ */
+function describeConfig(loaded) {
+  return CONFIG_SCHEMA.map(field => {
+    const value = getPath(loaded.values, field.path);
+    return {
+      path: field.path,
+      env: field.env,
+      value: field.secret ? maskSecret(value) : value,
+      source: loaded.sources[field.path],
+      description: field.description
+    };
+  });
+}
+
+/**
+ * `export NAME='value'` lines for every configured setting, for shell scripts
+ */
+function toShellExports(loaded) {
+  const lines = [];
+  CONFIG_SCHEMA.forEach(field => {
+    Object.entries(toEnvValues(field, getPath(loaded.values, field.path))).forEach(([name, value]) => {
+      lines.push(`export ${name}='${value.replace(/'/g, `'\\''`)}'`);
+    });
+  });
+  return lines.join('\n');
+}
+
+/**
+ * JSON Schema for the config file, for editor validation and completion
+ */
+function toJsonSchema() {
+  const typeSchema = {
+    string: { type: 'string' },
+    path: { type: 'string' },
+    url: { type: 'string', pattern: '^https?://' },
+    integer: { type: 'integer' },
+    boolean: { type: 'boolean' },
+    integerList: { type: 'array', items: { type: 'integer' } },
+    stringList: { type: 'array', items: { type: 'string' } },
+    projects: { type: 'object', additionalProperties: { type: ['integer', 'null'] } },
+    mappings: { type: 'object', additionalProperties: { type: 'string' } },
+    repos: { type: 'object', additionalProperties: { type: ['string', 'array'], items: { type: 'string' } } },
+    groups: { type: 'object', additionalProperties: { type: 'array', items: { type: 'integer' } } }
+  };
+  const schema = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Noko reporting configuration',
+    type: 'object',
+    additionalProperties: false,
+    properties: { $schema: { type: 'string' } }
+  };
+
+  CONFIG_SCHEMA.forEach(field => {
+    const keys = field.path.split('.');
+    let node = schema;
+    keys.slice(0, -1).forEach(key => {
+      node.properties[key] = node.properties[key] || { type: 'object', additionalProperties: false, properties: {} };
+      node = node.properties[key];
+    });
+    node.properties[keys[keys.length - 1]] = {
+      ...typeSchema[field.type],
+      description: `${field.description} (${field.env})`,
+      ...(field.default !== undefined ? { default: field.default } : {})
+    };
+  });
+
+  return schema;
+}
+
+module.exports = {
+  CONFIG_FILE_NAME,
+  CONFIG_SCHEMA,
+  ConfigError,
+  parseEnvFile,
+  parseMappingString,
+  loadConfig,
+  withDefaults,
+  maskSecret,
+  describeConfig,
+  toShellExports,
+  toJsonSchema
+};
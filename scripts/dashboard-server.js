@@ -0,0 +1,357 @@
+/**
+ * Local dashboard server for the `serve` command
+ *
+ * Read-only JSON API and a small HTML dashboard over the categorized
+ * entries, for people who never run the CLI. Routes (GET only):
+ *
+ * - /                        HTML dashboard: per-client weekly charts, filters
+ * - /api/filters             Users, tags and sections in the entry store
+ * - /api/categories          Report categories and project mappings
+ * - /api/entries             Entries with their section, category and work type
+ * - /api/hours               Hours by category, project, tag, work type, user and day
+ * - /api/weekly              Hours per section per week (Monday to Sunday)
+ * - /api/preview/<type>      geekbot or weekly: LLM input and offline report
+ *
+ * Data routes take ?from=&to= (or ?days= / ?period=) and the filters
+ * ?user=<ids>, ?tag=<name> and ?section=<name>. Invalid parameters answer
+ * 400; failures reading the entries or building a report answer 500.
+ *
+ * The server binds to 127.0.0.1 by default and, while bound to a loopback
+ * address, only answers requests for a local Host, so other sites in the
+ * browser cannot read it through DNS rebinding.
+ */
+
+const http = require('http');
+const calendar = require('./calendar');
+const hoursAnalytics = require('./hours-analytics');
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+function isLoopback(host) {
+  return LOOPBACK_HOSTS.includes(host) || /^127\./.test(host);
+}
+
+/**
+ * Host name of a Host header, without the port
+ */
+function hostName(header) {
+  const value = String(header || '');
+  const bracketed = value.match(/^\[([^\]]+)\]/);
+  return bracketed ? bracketed[1] : value.split(':')[0];
+}
+
+/**
+ * Filters from the query string
+ *
+ * @returns {Object} { userIds: Array<number>|null, tag, section }
+ */
+function parseFilters(query) {
+  const users = query.get('user');
+  const userIds = users ? users.split(',').map(id => parseInt(id, 10)) : null;
+  if (userIds && userIds.some(isNaN)) {
+    throw new HttpError(400, `Invalid user "${users}" (expected comma-separated Noko user ids)`);
+  }
+  return { userIds, tag: query.get('tag') || null, section: query.get('section') || null };
+}
+
+/**
+ * Entries matching the filters
+ *
+ * @param {Array} entries - Noko entries
+ * @param {Object} filters - parseFilters() result
+ * @param {Function} classify - entry → { category, key }
+ */
+function filterEntries(entries, filters, classify) {
+  return entries.filter(entry => {
+    if (filters.userIds && !filters.userIds.includes(entry.user.id)) return false;
+    if (filters.tag && !(entry.tags || []).some(tag => tag.name === filters.tag)) return false;
+    if (filters.section && classify(entry).key !== filters.section) return false;
+    return classify(entry).category !== 'exclude';
+  });
+}
+
+/**
+ * Monday of the week a date falls in
+ */
+function weekStart(date) {
+  return calendar.addDays(date, -((calendar.dayOfWeek(date) + 6) % 7));
+}
+
+/**
+ * Minutes per section per week
+ *
+ * @returns {Object} { weeks: ['YYYY-MM-DD' Mondays], sections: [{ name,
+ *   category, minutes: [per week], total }] } (most time first)
+ */
+function summarizeWeekly(entries, window, classify) {
+  const weeks = [];
+  for (let week = weekStart(window.from); week <= window.to; week = calendar.addDays(week, 7)) {
+    weeks.push(week);
+  }
+
+  const sections = new Map();
+  entries.forEach(entry => {
+    const { category, key } = classify(entry);
+    if (!sections.has(key)) {
+      sections.set(key, { name: key, category, minutes: weeks.map(() => 0), total: 0 });
+    }
+    const section = sections.get(key);
+    section.minutes[weeks.indexOf(weekStart(entry.date))] += entry.minutes;
+    section.total += entry.minutes;
+  });
+
+  return {
+    weeks,
+    sections: Array.from(sections.values()).sort((a, b) => b.total - a.total || a.name.localeCompare(b.name))
+  };
+}
+
+function toRecord(entry, classify, workType) {
+  const { category, key } = classify(entry);
+  return {
+    id: entry.id,
+    date: entry.date,
+    minutes: entry.minutes,
+    user: `${entry.user.first_name} ${entry.user.last_name}`.trim(),
+    userId: entry.user.id,
+    project: entry.project?.name || null,
+    section: key,
+    category,
+    tags: (entry.tags || []).map(tag => tag.name),
+    workType: workType(entry),
+    billable: Boolean(entry.billable),
+    description: entry.description || ''
+  };
+}
+
+/**
+ * Create the dashboard server (not yet listening)
+ *
+ * @param {Object} api - Data access, from generate-reports.js
+ * @param {Function} api.window - (query, defaultDays) → { from, to }; throws on invalid input
+ * @param {Function} api.entries - () → all stored Noko entries
+ * @param {Function} api.classify - entry → { category, key }
+ * @param {Function} api.workType - entry → work type name or null
+ * @param {Function} api.categories - () → { categories, mappings }
+ * @param {Function} api.preview - (reportType, window, userIds) → { rawData, report }
+ * @param {Object} options - { host }: the address the server will listen on
+ * @returns {http.Server}
+ */
+function createDashboardServer(api, options = {}) {
+  const checkHost = isLoopback(options.host || '127.0.0.1');
+
+  // Bad dates and periods are the caller's mistake; anything else is ours
+  const windowOf = (query, defaultDays) => {
+    try {
+      return api.window(query, defaultDays);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+  };
+
+  const windowEntries = (query, defaultDays) => {
+    const window = windowOf(query, defaultDays);
+    const filters = parseFilters(query);
+    const entries = api.entries().filter(entry => entry.date >= window.from && entry.date <= window.to);
+    return { window, filters, entries: filterEntries(entries, filters, api.classify) };
+  };
+
+  const routes = {
+    '/': () => ({ html: renderDashboardPage() }),
+    '/api/filters': () => {
+      const users = new Map();
+      const tags = new Set();
+      const sections = new Set();
+      api.entries().forEach(entry => {
+        users.set(entry.user.id, `${entry.user.first_name} ${entry.user.last_name}`.trim());
+        (entry.tags || []).forEach(tag => tags.add(tag.name));
+        const { category, key } = api.classify(entry);
+        if (category !== 'exclude') sections.add(key);
+      });
+      return {
+        users: Array.from(users, ([id, name]) => ({ id, name })).sort((a, b) => a.name.localeCompare(b.name)),
+        tags: Array.from(tags).sort(),
+        sections: Array.from(sections).sort()
+      };
+    },
+    '/api/categories': () => api.categories(),
+    '/api/entries': query => {
+      const { window, entries } = windowEntries(query, 7);
+      return {
+        ...window,
+        minutes: entries.reduce((sum, entry) => sum + entry.minutes, 0),
+        entries: entries.map(entry => toRecord(entry, api.classify, api.workType)).sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id)
+      };
+    },
+    '/api/hours': query => {
+      const { window, entries } = windowEntries(query, 7);
+      return { ...window, summary: hoursAnalytics.summarizeHours(entries, entry => api.classify(entry).key, api.workType) };
+    },
+    '/api/weekly': query => {
+      const { window, entries } = windowEntries(query, 83);
+      return { ...window, ...summarizeWeekly(entries, window, api.classify) };
+    }
+  };
+
+  const route = (pathname, query) => {
+    const preview = pathname.match(/^\/api\/preview\/(geekbot|weekly)$/);
+    if (preview) {
+      const window = windowOf(query, preview[1] === 'weekly' ? 7 : 1);
+      return { reportType: preview[1], ...window, ...api.preview(preview[1], window, parseFilters(query).userIds) };
+    }
+    if (!routes[pathname]) {
+      throw new HttpError(404, `Not found: ${pathname}`);
+    }
+    return routes[pathname](query);
+  };
+
+  return http.createServer((req, res) => {
+    const send = (status, body, type = 'application/json; charset=utf-8') => {
+      res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store', 'X-Content-Type-Options': 'nosniff' });
+      res.end(type.startsWith('application/json') ? JSON.stringify(body, null, 2) : body);
+    };
+
+    try {
+      if (checkHost && !isLoopback(hostName(req.headers.host))) {
+        throw new HttpError(403, 'Only local requests are answered');
+      }
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.setHeader('Allow', 'GET, HEAD');
+        throw new HttpError(405, 'The dashboard is read-only');
+      }
+
+      const url = new URL(req.url, 'http://localhost');
+      const result = route(url.pathname.replace(/\/+$/, '') || '/', url.searchParams);
+      if (result.html) {
+        send(200, result.html, 'text/html; charset=utf-8');
+      } else {
+        send(200, result);
+      }
+    } catch (error) {
+      send(error.status || 500, { error: error.message });
+    }
+  });
+}
+
+/**
+ * The dashboard page: filters, per-client weekly bar charts and totals,
+ * rendered in the browser from the JSON routes
+ */
+function renderDashboardPage() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Noko Reporting Dashboard</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 2rem; color: #222; }
+  h1 { font-size: 1.4rem; }
+  form { display: flex; gap: 1rem; flex-wrap: wrap; align-items: end; margin-bottom: 1.5rem; }
+  label { display: flex; flex-direction: column; font-size: 12px; color: #555; }
+  .charts { display: grid; grid-template-columns: repeat(auto-fill, minmax(320px, 1fr)); gap: 1.5rem; }
+  .chart { border: 1px solid #ddd; border-radius: 6px; padding: 0.75rem; }
+  .chart h2 { font-size: 1rem; margin: 0 0 0.5rem; display: flex; justify-content: space-between; }
+  .bar { fill: #3b6ea5; } .bar.other { fill: #999; }
+  .axis { font-size: 10px; fill: #666; }
+  table { border-collapse: collapse; margin-top: 1.5rem; }
+  td, th { padding: 2px 12px 2px 0; text-align: left; }
+  td.time { text-align: right; }
+  .error { color: #b00; }
+</style>
+</head>
+<body>
+<h1>⏱️ Noko Reporting Dashboard</h1>
+<form id="filters">
+  <label>From <input type="date" name="from"></label>
+  <label>To <input type="date" name="to"></label>
+  <label>User <select name="user"><option value="">Everyone</option></select></label>
+  <label>Tag <select name="tag"><option value="">Any tag</option></select></label>
+  <button type="submit">Apply</button>
+</form>
+<p id="summary"></p>
+<div class="charts" id="charts"></div>
+<table id="categories"></table>
+<table id="work-types"></table>
+<script>
+const form = document.getElementById('filters');
+const formatTime = minutes => {
+  const hours = Math.floor(minutes / 60), mins = minutes % 60;
+  return hours === 0 ? mins + 'm' : mins === 0 ? hours + 'h' : hours + 'h ' + mins + 'm';
+};
+const escape = text => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+const getJson = url => fetch(url).then(res => res.json().then(body => {
+  if (!res.ok) throw new Error(body.error || res.statusText);
+  return body;
+}));
+
+function query() {
+  const params = new URLSearchParams();
+  new FormData(form).forEach((value, name) => { if (value) params.set(name, value); });
+  if (params.has('to') && !params.has('from')) params.delete('to');
+  return params.toString();
+}
+
+function barChart(section, weeks) {
+  const width = 300, height = 120, max = Math.max(60, ...section.minutes);
+  const barWidth = width / weeks.length;
+  const bars = section.minutes.map((minutes, i) => {
+    const barHeight = Math.round(minutes / max * (height - 20));
+    return '<rect class="bar' + (section.category === 'client' ? '' : ' other') + '" x="' + (i * barWidth + 1) + '" y="' + (height - 14 - barHeight) +
+      '" width="' + (barWidth - 2) + '" height="' + barHeight + '"><title>Week of ' + weeks[i] + ': ' + formatTime(minutes) + '</title></rect>';
+  }).join('');
+  const labels = weeks.map((week, i) => i % Math.ceil(weeks.length / 6) === 0
+    ? '<text class="axis" x="' + (i * barWidth + 1) + '" y="' + (height - 2) + '">' + week.slice(5) + '</text>' : '').join('');
+  return '<div class="chart"><h2><span>' + escape(section.name) + '</span><span>' + formatTime(section.total) + '</span></h2>' +
+    '<svg width="' + width + '" height="' + height + '">' + bars + labels + '</svg></div>';
+}
+
+async function load() {
+  const params = query();
+  try {
+    const [weekly, hours] = await Promise.all([getJson('/api/weekly?' + params), getJson('/api/hours?' + params)]);
+    form.from.value = weekly.from;
+    form.to.value = weekly.to;
+    const clients = weekly.sections.filter(section => section.category === 'client');
+    const others = weekly.sections.filter(section => section.category !== 'client');
+    document.getElementById('summary').textContent = weekly.from + ' → ' + weekly.to + ': ' + formatTime(hours.summary.total.minutes) +
+      ' (billable ' + formatTime(hours.summary.total.billableMinutes) + ')';
+    document.getElementById('charts').innerHTML = clients.concat(others).map(section => barChart(section, weekly.weeks)).join('') ||
+      '<p>No entries in this window.</p>';
+    document.getElementById('categories').innerHTML = '<tr><th>Section</th><th>Time</th><th>Entries</th></tr>' +
+      Object.entries(hours.summary.byCategory).sort((a, b) => b[1].minutes - a[1].minutes)
+        .map(([name, bucket]) => '<tr><td>' + escape(name) + '</td><td class="time">' + formatTime(bucket.minutes) + '</td><td class="time">' + bucket.entries + '</td></tr>').join('');
+    document.getElementById('work-types').innerHTML = '<tr><th>Work type</th><th>Time</th><th>Entries</th></tr>' +
+      Object.entries(hours.summary.byWorkType).sort((a, b) => b[1].minutes - a[1].minutes)
+        .map(([name, bucket]) => '<tr><td>' + escape(name) + '</td><td class="time">' + formatTime(bucket.minutes) + '</td><td class="time">' + bucket.entries + '</td></tr>').join('');
+  } catch (error) {
+    document.getElementById('summary').innerHTML = '<span class="error">' + escape(error.message) + '</span>';
+  }
+}
+
+getJson('/api/filters').then(filters => {
+  filters.users.forEach(user => form.user.add(new Option(user.name, user.id)));
+  filters.tags.forEach(tag => form.tag.add(new Option(tag, tag)));
+});
+form.addEventListener('submit', event => { event.preventDefault(); load(); });
+load();
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  HttpError,
+  isLoopback,
+  filterEntries,
+  summarizeWeekly,
+  createDashboardServer
+};
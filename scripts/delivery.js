@@ -0,0 +1,390 @@
+/**
+ * Report delivery
+ *
+ * Sends finished reports straight to where they are read instead of the
+ * clipboard. A generated report is split into parts, and each part is routed
+ * to one or more named targets:
+ *
+ *   geekbot        Geekbot update (generate geekbot)
+ *   office-hour    REPORT 1 of generate weekly
+ *   weekly-update  REPORT 2 of generate weekly
+ *   reminder       Missing-timesheet reminder of the scheduler (see scheduler.js)
+ *
+ * Targets and routes are configured in a JSON file (DELIVERY_FILE, or
+ * DATA_DIR/delivery.json):
+ *
+ * {
+ *   "targets": {
+ *     "standup": { "type": "geekbot", "standupId": 12345, "questionIds": [1, 2, 3] },
+ *     "office-hours": { "type": "slack", "webhookUrlEnv": "SLACK_WEBHOOK_OFFICE_HOUR" },
+ *     "lsm-weekly": { "type": "slack", "webhookUrl": "https://hooks.slack.com/services/..." },
+ *     "archive": { "type": "file", "path": "./reports/{date}-{part}.md" },
+ *     "terminal": { "type": "stdout" }
+ *   },
+ *   "routes": {
+ *     "geekbot": ["standup"],
+ *     "office-hour": ["office-hours"],
+ *     "weekly-update": ["lsm-weekly", "archive"]
+ *   }
+ * }
+ *
+ * Target types:
+ * - slack:   Slack incoming webhook (webhookUrl, or webhookUrlEnv naming an env var);
+ *            the Markdown report is converted to Slack mrkdwn
+ * - geekbot: Geekbot standup answers API (GEEKBOT_API_KEY, GEEKBOT_API_URL);
+ *            questionIds are the standup's three question ids, in order
+ * - file:    Writes the part to a file; {date} and {part} are replaced
+ * - stdout:  Prints the part
+ */
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const http = require('http');
+
+const REPORT_PARTS = ['geekbot', 'office-hour', 'weekly-update', 'reminder'];
+const TARGET_TYPES = ['slack', 'geekbot', 'file', 'stdout'];
+const DEFAULT_GEEKBOT_URL = 'https://api.geekbot.com';
+const DEFAULT_TIMEOUT_MS = 30000;
+
+class DeliveryError extends Error {
+  constructor(message, target) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.target = target;
+  }
+}
+
+/**
+ * Load delivery targets and routes
+ *
+ * @returns {Object|null} { targets, routes, source }, or null when the file does not exist
+ * @throws {Error} When the file exists but is invalid
+ */
+function loadDeliveryConfig(filepath) {
+  if (!filepath || !fs.existsSync(filepath)) {
+    return null;
+  }
+
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read delivery config ${filepath}: ${error.message}`);
+  }
+
+  const targets = document.targets || {};
+  const routes = document.routes || {};
+
+  Object.entries(targets).forEach(([name, spec]) => {
+    const label = `${filepath}: target "${name}"`;
+    if (!TARGET_TYPES.includes(spec.type)) {
+      throw new Error(`${label}: "type" must be one of ${TARGET_TYPES.join(', ')}`);
+    }
+    if (spec.type === 'slack' && !spec.webhookUrl && !spec.webhookUrlEnv) {
+      throw new Error(`${label}: needs "webhookUrl" or "webhookUrlEnv"`);
+    }
+    if (spec.type === 'geekbot' && (!spec.standupId || !Array.isArray(spec.questionIds) || spec.questionIds.length !== 3)) {
+      throw new Error(`${label}: needs "standupId" and three "questionIds"`);
+    }
+    if (spec.type === 'file' && !spec.path) {
+      throw new Error(`${label}: needs "path"`);
+    }
+  });
+
+  Object.entries(routes).forEach(([part, names]) => {
+    if (!REPORT_PARTS.includes(part)) {
+      throw new Error(`${filepath}: unknown route "${part}" (expected ${REPORT_PARTS.join(', ')})`);
+    }
+    (Array.isArray(names) ? names : [names]).forEach(name => {
+      if (!targets[name]) {
+        throw new Error(`${filepath}: route "${part}" references unknown target "${name}"`);
+      }
+    });
+  });
+
+  return { targets, routes, source: filepath };
+}
+
+/**
+ * Split a generated report into deliverable parts
+ *
+ * @param {string} text - Report text
+ * @param {string} reportType - 'geekbot' or 'weekly'
+ * @returns {Array} [{ part, text }]
+ */
+function splitReport(text, reportType) {
+  if (reportType === 'geekbot') {
+    return [{ part: 'geekbot', text: text.trim() }];
+  }
+
+  const lines = text.split('\n');
+  const report2 = lines.findIndex(line => /REPORT 2\b/i.test(line));
+  if (report2 === -1) {
+    throw new DeliveryError('Weekly report has no REPORT 2 section to split on', null);
+  }
+
+  return [
+    { part: 'office-hour', text: lines.slice(0, report2).join('\n').trim() },
+    { part: 'weekly-update', text: lines.slice(report2).join('\n').trim() }
+  ];
+}
+
+/**
+ * Extract the three Geekbot answers from "**Section N (...):**" blocks
+ *
+ * @returns {Array<string>} Answers to questions 1–3
+ */
+function parseGeekbotAnswers(text) {
+  const answers = ['', '', ''];
+  let current = -1;
+
+  text.split('\n').forEach(line => {
+    const heading = line.match(/^\W*Section ([123])\b/i);
+    if (heading) {
+      current = parseInt(heading[1]) - 1;
+      return;
+    }
+    if (current >= 0) {
+      answers[current] += `${line}\n`;
+    }
+  });
+
+  return answers.map(answer => answer.trim());
+}
+
+/**
+ * Convert report Markdown to Slack mrkdwn
+ *
+ * Slack does not render Markdown: "**bold**" and "## Heading" become
+ * "*bold*", "[text](url)" becomes "<url|text>", and &, < and > are escaped
+ * as Slack requires. Code spans and blocks are left as they are. "__bold__"
+ * is not converted, so identifiers like __init__ survive.
+ */
+function toSlackMrkdwn(text) {
+  const escape = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+  const convert = value => escape(value)
+    .replace(/^#{1,6}\s+(.+?)\s*#*\s*$/gm, (match, heading) => `**${heading.replace(/\*\*/g, '')}**`)
+    .replace(/\[([^\]\n]+)\]\((\S+?)\)/g, (match, label, url) => `<${url}|${label}>`)
+    .replace(/\*\*(?=\S)([^\n]*?\S)\*\*/g, '*$1*');
+
+  // Odd pieces are code spans and blocks
+  return text.split(/(```[\s\S]*?```|`[^`\n]*`)/)
+    .map((piece, index) => (index % 2 === 1 ? escape(piece) : convert(piece)))
+    .join('');
+}
+
+function postJson(url, payload, headers, timeoutMs, targetName) {
+  const parsed = new URL(url);
+  const transport = parsed.protocol === 'http:' ? http : https;
+  const body = JSON.stringify(payload);
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(parsed, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'content-length': Buffer.byteLength(body),
+        ...headers
+      }
+    }, res => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          reject(new DeliveryError(`${parsed.host} returned HTTP ${res.statusCode}: ${data.slice(0, 300)}`, targetName));
+        } else {
+          resolve(data);
+        }
+      });
+    });
+
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(new DeliveryError(`${parsed.host} timed out after ${timeoutMs}ms`, targetName));
+    });
+    req.on('error', error => reject(error instanceof DeliveryError
+      ? error
+      : new DeliveryError(`${parsed.host} request failed: ${error.message}`, targetName)));
+    req.end(body);
+  });
+}
+
+/**
+ * Build a target from its config entry
+ *
+ * Every target exposes:
+ *
+ *   {
+ *     name, type,
+ *     describe(): string,
+ *     preview(text, context): Object,   // What send() would do, for --dry-run
+ *     send(text, context): Promise<string>
+ *   }
+ *
+ * @param {string} name - Target name
+ * @param {Object} spec - Target config
+ * @param {Object} env - Environment (process.env)
+ * @param {Object} options - { timeoutMs }
+ */
+function createTarget(name, spec, env = process.env, options = {}) {
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+  if (spec.type === 'slack') {
+    const webhookUrl = spec.webhookUrl || env[spec.webhookUrlEnv];
+    const host = () => webhookUrl ? new URL(webhookUrl).host : `$${spec.webhookUrlEnv} (not set)`;
+    const requireUrl = () => {
+      if (!webhookUrl) {
+        throw new DeliveryError(`${spec.webhookUrlEnv} is not set`, name);
+      }
+    };
+
+    return {
+      name,
+      type: 'slack',
+      describe: () => `Slack webhook ${host()}`,
+      preview: text => ({ method: 'POST', url: `${host()}/…`, body: { text: toSlackMrkdwn(text) } }),
+      send: async text => {
+        requireUrl();
+        await postJson(webhookUrl, { text: toSlackMrkdwn(text) }, {}, timeoutMs, name);
+        return `posted to ${host()}`;
+      }
+    };
+  }
+
+  if (spec.type === 'geekbot') {
+    const apiKey = env.GEEKBOT_API_KEY;
+    const baseUrl = (spec.apiUrl || env.GEEKBOT_API_URL || DEFAULT_GEEKBOT_URL).replace(/\/+$/, '');
+    const payload = text => {
+      const answers = {};
+      parseGeekbotAnswers(text).forEach((answer, index) => {
+        answers[spec.questionIds[index]] = { text: answer || 'None' };
+      });
+      return { standup_id: spec.standupId, answers };
+    };
+
+    return {
+      name,
+      type: 'geekbot',
+      describe: () => `Geekbot standup ${spec.standupId}`,
+      preview: text => ({ method: 'POST', url: `${baseUrl}/v1/reports/`, body: payload(text) }),
+      send: async text => {
+        if (!apiKey) {
+          throw new DeliveryError('GEEKBOT_API_KEY is not set', name);
+        }
+        await postJson(`${baseUrl}/v1/reports/`, payload(text), { authorization: apiKey }, timeoutMs, name);
+        return `answered standup ${spec.standupId}`;
+      }
+    };
+  }
+
+  if (spec.type === 'file') {
+    const resolvePath = context => spec.path
+      .replace(/\{date\}/g, context.date)
+      .replace(/\{part\}/g, context.part);
+
+    return {
+      name,
+      type: 'file',
+      describe: () => `file ${spec.path}`,
+      preview: (text, context) => ({ path: resolvePath(context), bytes: Buffer.byteLength(text) }),
+      send: async (text, context) => {
+        const filepath = resolvePath(context);
+        fs.mkdirSync(path.dirname(filepath), { recursive: true });
+        fs.writeFileSync(filepath, `${text}\n`);
+        return `wrote ${filepath}`;
+      }
+    };
+  }
+
+  return {
+    name,
+    type: 'stdout',
+    describe: () => 'stdout',
+    preview: text => ({ bytes: Buffer.byteLength(text) }),
+    send: async text => {
+      console.log(text);
+      return 'printed';
+    }
+  };
+}
+
+/**
+ * Pair each report part with the targets it is routed to
+ *
+ * @param {Array} parts - splitReport() result
+ * @param {Object} config - loadDeliveryConfig() result
+ * With options.only (--target), each part goes to the named targets it is
+ * routed to. A named target that no route uses (e.g. stdout) gets every
+ * part, so a weekly report is never sent whole to one part's channel.
+ *
+ * @param {Object} options - { only: target names limiting the routes (--target), env, timeoutMs }
+ * @returns {Array} [{ part, text, target }]
+ * @throws {DeliveryError} When --target names an unknown target
+ */
+function planDelivery(parts, config, options = {}) {
+  const plan = [];
+  const toList = routed => (Array.isArray(routed) ? routed : [routed]);
+  const routedTargets = new Set(Object.values(config.routes).flatMap(toList));
+
+  (options.only || []).forEach(name => {
+    if (!config.targets[name]) {
+      throw new DeliveryError(`Unknown delivery target "${name}" (configured: ${Object.keys(config.targets).join(', ') || 'none'})`, name);
+    }
+  });
+
+  parts.forEach(({ part, text }) => {
+    const routed = toList(config.routes[part] || []);
+    const names = options.only
+      ? options.only.filter(name => routed.includes(name) || !routedTargets.has(name))
+      : routed;
+    names.forEach(name => {
+      plan.push({ part, text, target: createTarget(name, config.targets[name], options.env, options) });
+    });
+  });
+
+  return plan;
+}
+
+/**
+ * Send every planned delivery, continuing past failures
+ *
+ * @param {Array} plan - planDelivery() result
+ * @param {Object} options - { dryRun, date: 'YYYY-MM-DD' }
+ * @returns {Promise<Array>} [{ part, target, status: 'sent'|'dry-run'|'failed', detail }]
+ */
+async function deliver(plan, options = {}) {
+  const results = [];
+
+  for (const { part, text, target } of plan) {
+    const context = { part, date: options.date };
+    const result = { part, target: target.name, description: target.describe() };
+
+    if (options.dryRun) {
+      results.push({ ...result, status: 'dry-run', detail: target.preview(text, context) });
+      continue;
+    }
+
+    try {
+      results.push({ ...result, status: 'sent', detail: await target.send(text, context) });
+    } catch (error) {
+      results.push({ ...result, status: 'failed', detail: error.message });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  DeliveryError,
+  REPORT_PARTS,
+  TARGET_TYPES,
+  loadDeliveryConfig,
+  splitReport,
+  parseGeekbotAnswers,
+  toSlackMrkdwn,
+  createTarget,
+  planDelivery,
+  deliver
+};
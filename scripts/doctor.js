@@ -0,0 +1,244 @@
+/**
+ * Setup checks for the `doctor` command
+ *
+ * Checks the loaded configuration (see config.js) from the config file to
+ * the Noko API:
+ *
+ * - Config: schema problems in the config file and environment
+ * - Paths: data directory, project directories, configured files and git
+ *   repositories
+ * - IDs: API token, user id and a Noko project id for every project
+ * - Mappings: project mappings that name no known project
+ * - LLM: which providers in the chain are available
+ * - API: Noko reachability, the token's user and the configured ids
+ *
+ * The Noko client is passed in, so the API checks can run against a mock
+ * Noko server (NOKO_API_URL).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveRepoPath } = require('./git-activity');
+
+function check(group, level, message) {
+  return { group, level, message };
+}
+
+function checkConfig(loaded) {
+  const checks = [loaded.file
+    ? check('Config', 'ok', `Config file ${loaded.file}`)
+    : check('Config', 'ok', 'No config file (using the environment and defaults)')];
+  if (loaded.envFile) {
+    checks.push(check('Config', 'ok', `Environment file ${loaded.envFile}`));
+  }
+  loaded.problems.forEach(problem => {
+    checks.push(check('Config', problem.level === 'error' ? 'error' : 'warning', `${problem.path}: ${problem.message}`));
+  });
+  return checks;
+}
+
+function checkPaths(loaded, projectDirs) {
+  const { dataDir, files } = loaded.values;
+  const checks = [];
+
+  if (!fs.existsSync(dataDir)) {
+    checks.push(check('Paths', 'error', `Data directory ${dataDir} does not exist`));
+  } else {
+    try {
+      fs.accessSync(dataDir, fs.constants.W_OK);
+      checks.push(check('Paths', 'ok', `Data directory ${path.resolve(dataDir)}`));
+    } catch (error) {
+      checks.push(check('Paths', 'error', `Data directory ${dataDir} is not writable`));
+    }
+    checks.push(projectDirs.length > 0
+      ? check('Paths', 'ok', `Project directories: ${projectDirs.join(', ')}`)
+      : check('Paths', 'warning', `No project directories in ${dataDir} (run fetch, or create one per project)`));
+  }
+
+  Object.entries(files).filter(([, file]) => file).forEach(([name, file]) => {
+    if (!fs.existsSync(file)) {
+      checks.push(check('Paths', 'error', `files.${name}: ${file} does not exist`));
+    } else if (file.endsWith('.json')) {
+      try {
+        JSON.parse(fs.readFileSync(file, 'utf8'));
+        checks.push(check('Paths', 'ok', `files.${name}: ${file}`));
+      } catch (error) {
+        checks.push(check('Paths', 'error', `files.${name}: ${file} is not valid JSON: ${error.message}`));
+      }
+    } else {
+      checks.push(check('Paths', 'ok', `files.${name}: ${file}`));
+    }
+  });
+
+  Object.entries(loaded.values.projectRepos).forEach(([project, repos]) => {
+    [].concat(repos).forEach(repo => {
+      const resolved = resolveRepoPath(repo);
+      if (!fs.existsSync(resolved)) {
+        checks.push(check('Paths', 'warning', `projectRepos.${project}: ${repo} does not exist`));
+      } else if (!fs.existsSync(path.join(resolved, '.git'))) {
+        checks.push(check('Paths', 'warning', `projectRepos.${project}: ${repo} is not a git repository`));
+      } else {
+        checks.push(check('Paths', 'ok', `projectRepos.${project}: ${repo}`));
+      }
+    });
+  });
+
+  return checks;
+}
+
+function checkIds(loaded, projectDirs, projectIdOf) {
+  const { noko } = loaded.values;
+  const checks = [];
+
+  checks.push(noko.apiToken
+    ? check('IDs', 'ok', 'Noko API token is set')
+    : check('IDs', 'error', 'Noko API token is not set (noko.apiToken or NOKO_API_TOKEN)'));
+  // A missing user id is reported with the config problems
+  if (noko.userId !== null) {
+    checks.push(check('IDs', 'ok', `Noko user id ${noko.userId}`));
+  }
+
+  const names = [...new Set([...projectDirs, ...Object.keys(loaded.values.projects)])].sort();
+  names.forEach(name => {
+    const id = projectIdOf(name);
+    checks.push(id
+      ? check('IDs', 'ok', `Project ${name}: Noko project ${id}`)
+      : check('IDs', 'warning', `Project ${name} has no Noko project id and will not be fetched`));
+  });
+
+  return checks;
+}
+
+function checkMappings(loaded, projectDirs) {
+  const known = [...new Set([...projectDirs, ...Object.keys(loaded.values.projects)])];
+  const mappings = Object.entries(loaded.values.projectMappings);
+  if (mappings.length === 0) {
+    return [check('Mappings', 'ok', 'No project mappings (project names are the report categories)')];
+  }
+
+  return mappings.map(([project, category]) => (known.some(name => name.toLowerCase() === project.toLowerCase())
+    ? check('Mappings', 'ok', `${project} → ${category}`)
+    : check('Mappings', 'warning', `${project} → ${category}: no project named "${project}" (known: ${known.join(', ') || 'none'})`)));
+}
+
+function checkProviders(loaded, createProvider) {
+  const checks = loaded.values.llm.providers.map(name => {
+    try {
+      return createProvider(name).isAvailable()
+        ? check('LLM', 'ok', `${name} is available`)
+        : check('LLM', 'warning', `${name} is not available`);
+    } catch (error) {
+      return check('LLM', 'error', `${name}: ${error.message}`);
+    }
+  });
+  if (!checks.some(result => result.level === 'ok')) {
+    checks.push(check('LLM', 'warning', 'No LLM provider is available: reports will use the offline summarizer'));
+  }
+  return checks;
+}
+
+async function checkApi(loaded, client, projectIdOf, projectDirs) {
+  if (!client) {
+    return [check('API', 'warning', 'Skipped: no Noko API token')];
+  }
+
+  const checks = [];
+  try {
+    const user = await client.getCurrentUser();
+    checks.push(check('API', 'ok', `Noko API ${client.baseUrl} reachable as ${user.first_name} ${user.last_name} (${user.id})`));
+    if (loaded.values.noko.userId === null) {
+      checks.push(check('API', 'error', `The token belongs to user ${user.id}: set NOKO_USER_ID=${user.id}`));
+    } else if (user.id !== loaded.values.noko.userId) {
+      checks.push(check('API', 'warning', `The token belongs to user ${user.id}, but the configured user id is ${loaded.values.noko.userId}`));
+    }
+  } catch (error) {
+    const reason = error.status === 401 ? 'the token was rejected' : error.message;
+    return [check('API', 'error', `Noko API ${client.baseUrl} is not usable: ${reason}`)];
+  }
+
+  try {
+    const projects = await client.getProjects();
+    const byId = new Map(projects.map(project => [String(project.id), project]));
+    [...new Set([...projectDirs, ...Object.keys(loaded.values.projects)])].sort().forEach(name => {
+      const id = projectIdOf(name);
+      if (!id) return;
+      const project = byId.get(String(id));
+      checks.push(project
+        ? check('API', 'ok', `Project ${name}: ${id} is "${project.name}"`)
+        : check('API', 'error', `Project ${name}: Noko has no project ${id}`));
+    });
+  } catch (error) {
+    checks.push(check('API', 'error', `Could not list Noko projects: ${error.message}`));
+  }
+
+  const { userIds, groups } = loaded.values.team;
+  const teamIds = [...new Set([...userIds, ...Object.values(groups).flat()])];
+  if (teamIds.length > 0) {
+    try {
+      const users = new Set((await client.getUsers()).map(user => user.id));
+      const unknown = teamIds.filter(id => !users.has(id));
+      checks.push(unknown.length === 0
+        ? check('API', 'ok', `Team users found: ${teamIds.join(', ')}`)
+        : check('API', 'error', `Unknown team user ids: ${unknown.join(', ')}`));
+    } catch (error) {
+      checks.push(check('API', 'error', `Could not list Noko users: ${error.message}`));
+    }
+  }
+
+  return checks;
+}
+
+/**
+ * Run every check
+ *
+ * @param {Object} loaded - loadConfig() result
+ * @param {Object} options
+ * @param {Object|null} options.client - Noko client, null without a token
+ * @param {Function} options.createProvider - LLM provider factory
+ * @param {Array<string>} options.projectDirs - Project directories in the data directory
+ * @param {Function} options.projectIdOf - Project name → Noko project id
+ * @returns {Promise<Object>} { checks: [{ group, level, message }], errors, warnings }
+ */
+async function runDoctor(loaded, options) {
+  const checks = [
+    ...checkConfig(loaded),
+    ...checkPaths(loaded, options.projectDirs),
+    ...checkIds(loaded, options.projectDirs, options.projectIdOf),
+    ...checkMappings(loaded, options.projectDirs),
+    ...checkProviders(loaded, options.createProvider),
+    ...await checkApi(loaded, options.client, options.projectIdOf, options.projectDirs)
+  ];
+
+  return {
+    checks,
+    errors: checks.filter(result => result.level === 'error').length,
+    warnings: checks.filter(result => result.level === 'warning').length
+  };
+}
+
+/**
+ * Render doctor results as text, grouped
+ */
+function formatDoctorReport(report) {
+  const icons = { ok: '✅', warning: '⚠️ ', error: '❌' };
+  const lines = ['🩺 Doctor'];
+  let group = null;
+
+  report.checks.forEach(result => {
+    if (result.group !== group) {
+      group = result.group;
+      lines.push('', `${group}:`);
+    }
+    lines.push(`  ${icons[result.level]} ${result.message}`);
+  });
+
+  lines.push('', report.errors === 0 && report.warnings === 0
+    ? '✅ Everything looks good'
+    : `${report.errors} error${report.errors === 1 ? '' : 's'}, ${report.warnings} warning${report.warnings === 1 ? '' : 's'}`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  runDoctor,
+  formatDoctorReport
+};
@@ -0,0 +1,356 @@
+/**
+ * Canonical local entry store
+ *
+ * Each fetch covers a 2–7 day window, so the same Noko entry appears in
+ * several noko-<date>.json snapshots. The store keeps exactly one copy of
+ * every entry, keyed by Noko entry id, and records deletions:
+ *
+ * - the latest version of an entry wins, compared by `updated_at`
+ * - when a snapshot's fetch window is known (logs/.snapshots.json, written by
+ *   `fetch`), entries of that Noko project dated inside the window but absent
+ *   from the snapshot are marked deleted, unless a later fetch saw them or
+ *   they were edited after the snapshot was fetched
+ * - a deleted entry only comes back from a snapshot fetched after the
+ *   deletion, or when it was edited after the deletion
+ *
+ * Snapshots are ingested in fetch order (the manifest's fetchedAt, else the
+ * file's modification time) and remembered by file signature, so loading the
+ * store only reads snapshot files that are new or have changed.
+ *
+ * Store layout (DATA_DIR/.entry-store.json):
+ * {
+ *   "version": 1,
+ *   "updatedAt": "...",
+ *   "entries": { "<id>": { "project": "CATIC", "seenAt": "...", "entry": { ...noko entry } } },
+ *   "deleted": { "<id>": { "project": "CATIC", "deletedAt": "...", "entry": { ... } } },
+ *   "snapshots": { "CATIC/logs/noko-2025-01-31.json": "<signature>" }
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STORE_VERSION = 1;
+const STORE_FILENAME = '.entry-store.json';
+const MANIFEST_FILENAME = '.snapshots.json';
+
+function createEmptyStore() {
+  return {
+    version: STORE_VERSION,
+    updatedAt: null,
+    entries: {},
+    deleted: {},
+    snapshots: {}
+  };
+}
+
+function getStorePath(dataDir) {
+  return path.join(dataDir, STORE_FILENAME);
+}
+
+function loadStore(storePath) {
+  try {
+    if (fs.existsSync(storePath)) {
+      const store = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+      if (store && store.version === STORE_VERSION) {
+        return store;
+      }
+      console.warn(`⚠️  Entry store ${storePath} has an unknown version, starting fresh`);
+    }
+  } catch (error) {
+    console.warn(`⚠️  Could not read entry store ${storePath}: ${error.message}`);
+  }
+  return createEmptyStore();
+}
+
+function saveStore(storePath, store) {
+  store.updatedAt = new Date().toISOString();
+  fs.writeFileSync(storePath, JSON.stringify(store) + '\n');
+}
+
+/**
+ * Read a project's snapshot manifest (filename → fetch window)
+ *
+ * @returns {Object} e.g. { "noko-2025-01-31.json": { projectId, from, to, fetchedAt } }
+ */
+function readSnapshotManifest(logsDir) {
+  const manifestPath = path.join(logsDir, MANIFEST_FILENAME);
+  try {
+    if (fs.existsSync(manifestPath)) {
+      return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    }
+  } catch (error) {
+    console.warn(`⚠️  Could not read snapshot manifest ${manifestPath}: ${error.message}`);
+  }
+  return {};
+}
+
+/**
+ * Record the fetch window of a snapshot file, widening any existing window
+ * for the same file (several fetches on one day share a snapshot)
+ *
+ * @param {Object} window - { projectId, from, to, fetchedAt }: fetchedAt is
+ *   when the fetch started (ISO timestamp)
+ */
+function recordSnapshotWindow(logsDir, filename, window) {
+  const manifest = readSnapshotManifest(logsDir);
+  const existing = manifest[filename];
+
+  if (existing && existing.projectId === window.projectId) {
+    manifest[filename] = {
+      projectId: window.projectId,
+      from: existing.from < window.from ? existing.from : window.from,
+      to: existing.to > window.to ? existing.to : window.to,
+      fetchedAt: toTime(existing.fetchedAt) > toTime(window.fetchedAt) ? existing.fetchedAt : window.fetchedAt
+    };
+  } else {
+    manifest[filename] = window;
+  }
+
+  fs.writeFileSync(path.join(logsDir, MANIFEST_FILENAME), JSON.stringify(manifest, null, 2) + '\n');
+}
+
+// Milliseconds of an ISO timestamp, 0 when missing or unreadable
+function toTime(value) {
+  return (value && Date.parse(value)) || 0;
+}
+
+function laterOf(a, b) {
+  return toTime(a) > toTime(b) ? a : b;
+}
+
+function isNewer(candidate, current) {
+  const candidateTime = candidate.updated_at || '';
+  const currentTime = current.updated_at || '';
+  return candidateTime >= currentTime;
+}
+
+/**
+ * Insert or update entries, keeping the newest version of each id
+ *
+ * An entry present in a snapshot existed when the snapshot was fetched, so
+ * a deletion recorded before then is undone (e.g. the entry was moved
+ * between Noko projects). A snapshot fetched before the deletion only brings
+ * the entry back when it was edited after the deletion.
+ *
+ * @param {string} [fetchedAt] - When the snapshot was fetched (default: now)
+ * @returns {Object} Counts: { added, updated, unchanged }
+ */
+function upsertEntries(store, entries, project, fetchedAt = new Date().toISOString()) {
+  const counts = { added: 0, updated: 0, unchanged: 0 };
+
+  entries.forEach(entry => {
+    if (!entry || entry.id === undefined) return;
+    const id = String(entry.id);
+    const current = store.entries[id];
+    const deleted = store.deleted[id];
+
+    if (deleted) {
+      const deletedAt = toTime(deleted.deletedAt);
+      if (toTime(fetchedAt) <= deletedAt && toTime(entry.updated_at) <= deletedAt) {
+        counts.unchanged++;
+        return;
+      }
+      delete store.deleted[id];
+    }
+
+    if (!current) {
+      store.entries[id] = { project, seenAt: fetchedAt, entry };
+      counts.added++;
+    } else if (isNewer(entry, current.entry) && JSON.stringify(entry) !== JSON.stringify(current.entry)) {
+      store.entries[id] = { project, seenAt: laterOf(current.seenAt, fetchedAt), entry };
+      counts.updated++;
+    } else {
+      current.seenAt = laterOf(current.seenAt, fetchedAt);
+      counts.unchanged++;
+    }
+  });
+
+  return counts;
+}
+
+
+/**
+ * Mark entries deleted that a complete fetch window no longer returns
+ *
+ * Entries a later fetch saw, or edited after this fetch, are kept: their
+ * absence only means this snapshot is older than what the store knows.
+ *
+ * @param {Object} window - { projectId, from, to, fetchedAt } of the fetch
+ *   (fetchedAt defaults to now)
+ * @param {Array} entries - Every entry the fetch returned
+ * @returns {number} Number of entries marked deleted
+ */
+function reconcileWindow(store, window, entries) {
+  const seen = new Set(entries.map(entry => String(entry.id)));
+  const fetchedAt = window.fetchedAt || new Date().toISOString();
+  let deleted = 0;
+
+  Object.keys(store.entries).forEach(id => {
+    const { project, seenAt, entry } = store.entries[id];
+    const inProject = String(entry.project?.id) === String(window.projectId);
+    const inWindow = entry.date >= window.from && entry.date <= window.to;
+    const knownLater = toTime(seenAt) > toTime(fetchedAt) || toTime(entry.updated_at) > toTime(fetchedAt);
+
+    if (inProject && inWindow && !seen.has(id) && !knownLater) {
+      store.deleted[id] = { project, deletedAt: fetchedAt, entry };
+      delete store.entries[id];
+      deleted++;
+    }
+  });
+
+  return deleted;
+}
+
+/**
+ * List snapshot files for the given projects, in fetch order
+ *
+ * Windows recorded in the manifest without a file (fetches that returned
+ * no entries) are included with `exists: false`.
+ */
+function listSnapshots(dataDir, projects) {
+  const snapshots = [];
+
+  projects.forEach(project => {
+    const logsDir = path.join(dataDir, project, 'logs');
+    if (!fs.existsSync(logsDir)) return;
+
+    const manifest = readSnapshotManifest(logsDir);
+    let files = [];
+    try {
+      files = fs.readdirSync(logsDir)
+        .filter(file => file.startsWith('noko-') && file.endsWith('.json'));
+    } catch (error) {
+      console.warn(`⚠️  Could not read logs directory for ${project}: ${error.message}`);
+      return;
+    }
+
+    const filenames = new Set([...files, ...Object.keys(manifest)]);
+    filenames.forEach(filename => {
+      const filepath = path.join(logsDir, filename);
+      const exists = files.includes(filename);
+      const window = manifest[filename] || null;
+      const mtime = exists ? fs.statSync(filepath).mtimeMs : 0;
+
+      snapshots.push({
+        key: path.join(project, 'logs', filename),
+        project,
+        filename,
+        filepath,
+        exists,
+        window,
+        fetchedAt: (window && window.fetchedAt) || new Date(mtime).toISOString(),
+        signature: `${mtime}:${window ? `${window.projectId}:${window.from}:${window.to}:${window.fetchedAt || ''}` : ''}`
+      });
+    });
+  });
+
+  return snapshots.sort((a, b) => toTime(a.fetchedAt) - toTime(b.fetchedAt) ||
+    a.filename.localeCompare(b.filename) || a.project.localeCompare(b.project));
+}
+
+/**
+ * Ingest snapshot files that are new or changed since the last refresh
+ *
+ * @returns {Object} Totals: { snapshots, added, updated, deleted }
+ */
+function refreshStore(store, dataDir, projects) {
+  const totals = { snapshots: 0, added: 0, updated: 0, deleted: 0 };
+
+  listSnapshots(dataDir, projects).forEach(snapshot => {
+    if (store.snapshots[snapshot.key] === snapshot.signature) return;
+
+    let entries = [];
+    if (snapshot.exists) {
+      try {
+        entries = JSON.parse(fs.readFileSync(snapshot.filepath, 'utf8'));
+      } catch (error) {
+        console.warn(`⚠️  Could not read ${snapshot.filepath}: ${error.message}`);
+        return;
+      }
+      if (!Array.isArray(entries)) {
+        console.warn(`⚠️  Skipping ${snapshot.filepath}: not a list of entries`);
+        return;
+      }
+    }
+
+    const counts = upsertEntries(store, entries, snapshot.project, snapshot.fetchedAt);
+    totals.added += counts.added;
+    totals.updated += counts.updated;
+    if (snapshot.window) {
+      totals.deleted += reconcileWindow(store, { ...snapshot.window, fetchedAt: snapshot.fetchedAt }, entries);
+    }
+
+    store.snapshots[snapshot.key] = snapshot.signature;
+    totals.snapshots++;
+  });
+
+  return totals;
+}
+
+/**
+ * Rebuild a store from scratch out of every snapshot file
+ */
+function rebuildStore(dataDir, projects) {
+  const store = createEmptyStore();
+  const totals = refreshStore(store, dataDir, projects);
+  return { store, totals };
+}
+
+/**
+ * Live (non-deleted) entries in the store, ordered by date then id
+ */
+function getEntries(store) {
+  return Object.values(store.entries)
+    .map(record => record.entry)
+    .sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id);
+}
+
+/**
+ * Summary statistics for `store stats`
+ */
+function getStats(store) {
+  const projects = {};
+  let firstDate = null;
+  let lastDate = null;
+
+  Object.values(store.entries).forEach(({ project, entry }) => {
+    if (!projects[project]) {
+      projects[project] = { entries: 0, deleted: 0 };
+    }
+    projects[project].entries++;
+    if (!firstDate || entry.date < firstDate) firstDate = entry.date;
+    if (!lastDate || entry.date > lastDate) lastDate = entry.date;
+  });
+
+  Object.values(store.deleted).forEach(({ project }) => {
+    if (!projects[project]) {
+      projects[project] = { entries: 0, deleted: 0 };
+    }
+    projects[project].deleted++;
+  });
+
+  return {
+    entries: Object.keys(store.entries).length,
+    deleted: Object.keys(store.deleted).length,
+    snapshots: Object.keys(store.snapshots).length,
+    firstDate,
+    lastDate,
+    updatedAt: store.updatedAt,
+    projects
+  };
+}
+
+module.exports = {
+  getStorePath,
+  loadStore,
+  saveStore,
+  readSnapshotManifest,
+  recordSnapshotWindow,
+  upsertEntries,
+  reconcileWindow,
+  refreshStore,
+  rebuildStore,
+  getEntries,
+  getStats
+};
@@ -0,0 +1,71 @@
+/**
+ * Machine-readable export formats for categorized report data
+ *
+ * Renders the structure returned by generateReportData():
+ *
+ *   { reportType, from, to, sections: [{ name, category, entries: [record] }] }
+ *
+ * - json:   the structure as-is, pretty-printed
+ * - ndjson: one flat record per line, with section and category columns
+ * - csv:    the same flat records as RFC 4180 CSV with a header row
+ */
+
+const FORMATS = ['text', 'json', 'csv', 'ndjson'];
+
+const CSV_COLUMNS = [
+  'section', 'category', 'id', 'date', 'minutes', 'user', 'userId',
+  'project', 'projectId', 'tags', 'billable', 'tickets', 'description'
+];
+
+/**
+ * Flatten sections into one record per entry
+ */
+function flattenReportData(data) {
+  const rows = [];
+  data.sections.forEach(section => {
+    section.entries.forEach(entry => {
+      rows.push({ section: section.name, category: section.category, ...entry });
+    });
+  });
+  return rows;
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join(';') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const lines = [CSV_COLUMNS.join(',')];
+  rows.forEach(row => {
+    lines.push(CSV_COLUMNS.map(column => csvValue(row[column])).join(','));
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Render report data in a machine-readable format
+ *
+ * @param {Object} data - Result of generateReportData()
+ * @param {string} format - json, csv or ndjson
+ * @returns {string} Rendered output (no trailing newline)
+ */
+function formatReportData(data, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(data, null, 2);
+    case 'ndjson':
+      return flattenReportData(data).map(row => JSON.stringify(row)).join('\n');
+    case 'csv':
+      return toCsv(flattenReportData(data));
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  flattenReportData,
+  formatReportData
+};
@@ -9,10 +9,15 @@
 
 set -e
 
-# Load environment variables from .env file if it exists
-if [ -f ".env" ]; then
-    export $(cat .env | grep -v '^#' | xargs)
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+
+# Load settings from .env and noko-report.json (validated by config.js)
+# (captured first: set -e does not see a failure inside eval "$(...)")
+if ! CONFIG_EXPORTS="$(node "$SCRIPT_DIR/generate-reports.js" config shell)"; then
+    echo "❌ Could not load settings. Run: node scripts/generate-reports.js doctor"
+    exit 1
 fi
+eval "$CONFIG_EXPORTS"
 
 # Configuration - Load from environment variables
 if [ -z "$NOKO_API_TOKEN" ]; then
@@ -20,8 +25,7 @@ if [ -z "$NOKO_API_TOKEN" ]; then
     echo "   Please set your Noko API token:"
     echo "   export NOKO_API_TOKEN=your_token_here"
     echo ""
-    echo "   Or create a .env file with:"
-    echo "   NOKO_API_TOKEN=your_token_here"
+    echo "   Or run: node scripts/generate-reports.js init"
     exit 1
 fi
 
@@ -1,551 +1,1643 @@
 #!/usr/bin/env node
 
-// Load environment variables
-if (require('fs').existsSync('.env')) {
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const { createNokoClient } = require('./noko-client');
+const entryStore = require('./entry-store');
+const memoryBank = require('./memory-bank');
+const llmProviders = require('./llm-providers');
+const exportFormats = require('./export-formats');
+const team = require('./team');
+const calendar = require('./calendar');
+const delivery = require('./delivery');
+const reportHistory = require('./report-history');
+const reportTemplates = require('./report-templates');
+const projectStatus = require('./project-status');
+const redaction = require('./redaction');
+const ticketReferences = require('./ticket-references');
+const timesheetLint = require('./timesheet-lint');
+const appConfig = require('./config');
+const doctor = require('./doctor');
+const setupWizard = require('./init');
+const dashboardServer = require('./dashboard-server');
+const clientReport = require('./client-report');
+const scheduler = require('./scheduler');
+const gitActivity = require('./git-activity');
+const { createReporter, loadEntryStore, formatTime, stripHashtags } = require('./reporter');
+
+// Commands that report configuration problems themselves, and run without
+// required settings
+const SETUP_COMMANDS = ['doctor', 'config', 'init', 'help'];
+
+/**
+ * Load .env and the config file once, for every command (see config.js)
+ * 
+ * Configuration errors are reported here; `doctor` explains them in full.
+ * A missing required setting stops every command but the setup commands.
+ */
+function loadAppConfig() {
+  let loaded;
   try {
-    // Try to use dotenv if available
-    require('dotenv').config();
+    loaded = appConfig.loadConfig({ providerNames: llmProviders.PROVIDER_NAMES });
   } catch (error) {
-    // Fallback to manual parsing
-    const envContent = require('fs').readFileSync('.env', 'utf8');
-    envContent.split('\n').forEach(line => {
-      const match = line.match(/^([^#][^=]*)=(.*)$/);
-      if (match) {
-        process.env[match[1].trim()] = match[2].trim();
-      }
+    if (require.main !== module) throw error;
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  
+  if (!SETUP_COMMANDS.includes(process.argv[2] || 'help')) {
+    const missing = loaded.problems.filter(problem => problem.required);
+    if (missing.length > 0) {
+      const error = new Error(missing.map(problem => `Config ${problem.path}: ${problem.message}`).join('; '));
+      if (require.main !== module) throw error;
+      console.error(`❌ ${error.message} (run "init" to set it up)`);
+      process.exit(1);
+    }
+    loaded.problems.filter(problem => problem.level === 'error').forEach(problem => {
+      console.warn(`⚠️  Config ${problem.path}: ${problem.message} (run "doctor" for details)`);
     });
   }
+  return loaded;
 }
 
-const fs = require('fs');
-const path = require('path');
-const { execSync } = require('child_process');
+let loadedConfig = null;
+let sharedReporter = null;
 
-// Configuration
-function getConfig() {
-  const dataDir = process.env.DATA_DIR || './data';
-  
-  // Dynamic project discovery from data directory
-  let projects = [];
+/**
+ * The loaded configuration, read on first use so requiring this module has
+ * no side effects
+ */
+function getLoadedConfig() {
+  if (!loadedConfig) {
+    loadedConfig = loadAppConfig();
+  }
+  return loadedConfig;
+}
+
+/**
+ * The reporter every command works through (see reporter.js)
+ */
+function getReporter() {
+  if (!sharedReporter) {
+    sharedReporter = createReporter({ config: getLoadedConfig().values });
+  }
+  return sharedReporter;
+}
+
+// Utility function to ensure directories exist
+function ensureDirectoryExists(dirPath) {
+  if (!fs.existsSync(dirPath)) {
+    fs.mkdirSync(dirPath, { recursive: true });
+  }
+}
+
+function readJsonFile(filepath) {
   try {
-    if (fs.existsSync(dataDir)) {
-      projects = fs.readdirSync(dataDir, { withFileTypes: true })
-        .filter(dirent => dirent.isDirectory())
-        .map(dirent => dirent.name)
-        .filter(name => !name.startsWith('.'));
+    if (fs.existsSync(filepath)) {
+      const content = fs.readFileSync(filepath, 'utf8');
+      return JSON.parse(content);
     }
   } catch (error) {
-    console.warn(`⚠️  Could not read data directory ${dataDir}: ${error.message}`);
+    console.warn(`⚠️  Could not read ${filepath}: ${error.message}`);
   }
+  return null;
+}
+
+/**
+ * Incremental sync state
+ *
+ * Stored in DATA_DIR/.sync-state.json, keyed by project directory name:
+ * { "CATIC": { "projectId": "701450", "lastSyncedAt": "2025-01-31T17:02:11.000Z" } }
+ *
+ * lastSyncedAt is when the last sync started, so entries edited while it
+ * ran are fetched again next time.
+ */
+function getSyncStatePath() {
+  return path.join(getReporter().dataDir, '.sync-state.json');
+}
+
+function readSyncState() {
+  return readJsonFile(getSyncStatePath()) || {};
+}
+
+function writeSyncState(state) {
+  ensureDirectoryExists(getReporter().dataDir);
+  fs.writeFileSync(getSyncStatePath(), JSON.stringify(state, null, 2) + '\n');
+}
+
+/**
+ * Merge fetched entries into a snapshot file, replacing entries with the same id
+ * 
+ * Several fetches on the same day write to the same noko-<date>.json file, so
+ * an incremental fetch must not clobber entries saved by an earlier, wider one.
+ * Entries inside the new fetch window that the fetch no longer returned were
+ * deleted in Noko and are dropped, keeping the snapshot true to its window.
+ */
+function mergeEntriesIntoFile(filepath, entries, window) {
+  const existing = readJsonFile(filepath);
+  const byId = new Map();
   
-  // Fallback to environment variable or previous defaults if no projects found
-  if (projects.length === 0) {
-    projects = process.env.PROJECTS ? process.env.PROJECTS.split(',').map(p => p.trim()) : ['CATIC', 'SDSU'];
-    console.warn(`⚠️  No project directories found in ${dataDir}, using: ${projects.join(', ')}`);
-  }
+  (Array.isArray(existing) ? existing : [])
+    .filter(entry => entry.date < window.from || entry.date > window.to)
+    .forEach(entry => byId.set(entry.id, entry));
+  entries.forEach(entry => byId.set(entry.id, entry));
+  
+  const merged = Array.from(byId.values()).sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id);
+  fs.writeFileSync(filepath, JSON.stringify(merged, null, 2) + '\n');
+  return merged.length;
+}
+
+// Days before the last sync that an incremental fetch re-reads in full, so
+// entries deleted in that window are noticed
+const SYNC_OVERLAP_DAYS = 7;
+
+/**
+ * Fetch Noko entries for configured projects via the Noko v2 API
+ * 
+ * An incremental fetch reads two things for each project:
+ * - every entry created or edited since the last sync (`updated_from`),
+ *   whatever its date, so back-dated and late-edited entries are not missed
+ * - the whole window from SYNC_OVERLAP_DAYS before the last sync up to
+ *   today, so entries deleted in Noko drop out of the snapshot
+ * Projects that have never been synced, or all projects when `full` is
+ * set, are fetched `days` back.
+ * 
+ * Project IDs come from "projects" in the config file or <PROJECT>_PROJECT_ID,
+ * as in fetch-noko.sh.
+ * 
+ * @param {string} projectArg - Project directory name, or "both"/"all" for every project
+ * @param {number|Object} days - Days back for projects without sync state, or an
+ *   explicit { from, to } window (fetched in full, sync state left untouched)
+ * @param {Object} options - { full: boolean, client: NokoClient }
+ * @returns {Promise<Object>} Per-project results: { entries, file, from, to } or { error }
+ */
+async function fetchNokoData(projectArg = 'both', days = 7, options = {}) {
+  const { noko } = getLoadedConfig().values;
+  const client = options.client || createNokoClient({
+    token: noko.apiToken,
+    baseUrl: noko.apiUrl || undefined,
+    maxRetries: noko.maxRetries !== null ? noko.maxRetries : undefined
+  });
   
-  // Project mapping configuration - maps discovered projects to report categories
-  const projectMappings = parseProjectMappings();
+  const projects = (projectArg === 'both' || projectArg === 'all')
+    ? getReporter().projects
+    : [projectArg];
   
-  // Special bucket project IDs for LSM and Internal categorization
-  const specialBuckets = {
-    lsm: '560795',        // Main LSM Noko bucket
-    internal: '17045',    // Internal Noko bucket  
-    drainpipe: '687916',  // Drainpipe project
-    lullabotdotcom: '550434' // Lullabotdotcom project
-  };
+  const syncState = readSyncState();
+  const today = getReporter().today();
+  const explicitWindow = typeof days === 'object' ? getReporter().resolveWindow(days) : null;
+  const to = explicitWindow ? explicitWindow.to : today;
+  const results = {};
   
-  return {
-    dataDir,
-    projects,
-    projectMappings,
-    specialBuckets
-  };
+  for (const project of projects) {
+    const projectId = getProjectId(project);
+    if (!projectId) {
+      console.warn(`❌ Project ID not found for ${project}. Add it to "projects" in ${appConfig.CONFIG_FILE_NAME} or set ${project}_PROJECT_ID in your .env file.`);
+      results[project] = { error: 'missing project id' };
+      continue;
+    }
+    
+    const lastSyncedAt = syncState[project] && syncState[project].projectId === projectId
+      ? syncState[project].lastSyncedAt
+      : null;
+    const incremental = !explicitWindow && !options.full && Boolean(lastSyncedAt);
+    let from = explicitWindow ? explicitWindow.from : getReporter().daysAgo(days);
+    if (incremental) {
+      const overlapFrom = calendar.addDays(calendar.toLocalDate(new Date(lastSyncedAt), getReporter().config.timezone || undefined), -SYNC_OVERLAP_DAYS);
+      from = overlapFrom < to ? overlapFrom : to;
+    }
+    const startedAt = getReporter().now().toISOString();
+    
+    console.log(`📊 Fetching ${project} data (ID: ${projectId}) from ${from} to ${to}${incremental ? `, plus entries updated since ${lastSyncedAt}` : ''}...`);
+    
+    try {
+      let entries = await client.getProjectEntries(projectId, { from, to });
+      if (incremental) {
+        const byId = new Map(entries.map(entry => [entry.id, entry]));
+        (await client.getProjectEntries(projectId, { updated_from: lastSyncedAt }))
+          .filter(entry => !byId.has(entry.id))
+          .forEach(entry => byId.set(entry.id, entry));
+        entries = Array.from(byId.values());
+      }
+      const logsDir = path.join(getReporter().dataDir, project, 'logs');
+      const filename = `noko-${today}.json`;
+      const window = { projectId, from, to };
+      let file = path.join(logsDir, filename);
+      
+      ensureDirectoryExists(logsDir);
+      if (entries.length === 0) {
+        console.log(`ℹ️  No entries found for ${project}`);
+      }
+      if (entries.length > 0 || fs.existsSync(file)) {
+        mergeEntriesIntoFile(file, entries, window);
+        if (entries.length > 0) {
+          console.log(`✅ Saved ${entries.length} ${project} entries to: ${file}`);
+        }
+      } else {
+        file = null;
+      }
+      entryStore.recordSnapshotWindow(logsDir, filename, { ...window, fetchedAt: startedAt });
+      
+      if (!explicitWindow) {
+        syncState[project] = { projectId, lastSyncedAt: startedAt };
+        writeSyncState(syncState);
+      }
+      
+      results[project] = { entries: entries.length, file, from, to };
+    } catch (error) {
+      console.error(`❌ Failed to fetch ${project}: ${error.message}`);
+      results[project] = { error: error.message };
+    }
+  }
+  
+  return results;
 }
 
 /**
- * Parse project mapping configuration from environment variables
+ * Explain how each of the user's entries in the window was classified
  * 
- * Project mappings allow mapping discovered project directories to report categories.
- * This enables flexible reporting structures for different organizational setups.
+ * @param {number|Object} days - Days back to include, or a { from, to } window
+ * @returns {string} One line per entry: date, project, description → section (rule)
+ */
+function explainClassification(days = 1) {
+  return getReporter().explainClassification(days).map(({ entry, category, key, rule }) => {
+    const section = key ? `${category} → ${key}` : category;
+    return `#${entry.id} ${entry.date} [${entry.project?.name || 'No project'}] ${entry.description}\n` +
+      `    ${section} (rule: ${rule || `default "${getReporter().classificationRules.defaultCategory}"`})`;
+  }).join('\n');
+}
+
+/**
+ * Raw data for LLM processing (see reporter.generateRawData), announcing
+ * the scope unless quiet
+ */
+function generateRawDataForLLM(days = 1, reportType = 'geekbot', quiet = false, excludeInternal = false, userIds = null) {
+  if (!quiet) {
+    console.log(`📝 Generating raw data for LLM processing (${reportType})...`);
+    console.log(`📁 Discovered projects: ${getReporter().projects.join(', ')}`);
+    if (excludeInternal) {
+      console.log(`🎯 Excluding Internal activities (LSM-only mode)`);
+    }
+    if (userIds) {
+      console.log(`👥 Team mode: users ${userIds.join(', ')}`);
+    }
+  }
+  
+  return getReporter().generateRawData(days, reportType, excludeInternal, userIds);
+}
+
+/**
+ * Print report data for the raw-* and clean-* commands
  * 
- * Environment variable format:
- * PROJECT_MAPPINGS="DH:CATIC,GovHub:CATIC,MJFF:SDSU,LSM:General"
+ * @param {string} format - text, json, csv or ndjson
+ * @param {Object} options - { days, reportType, excludeInternal, clean, title, userIds }
+ */
+function printReportData(format, options) {
+  const { days, reportType, excludeInternal, clean, title, userIds } = options;
+  
+  if (format !== 'text') {
+    const data = getReporter().generateReportData(days, reportType, excludeInternal, userIds);
+    console.log(exportFormats.formatReportData(data, format));
+    return;
+  }
+  
+  const rawData = generateRawDataForLLM(days, reportType, clean, excludeInternal, userIds);
+  if (clean) {
+    console.log(rawData || 'No entries found');
+    return;
+  }
+  console.log(title);
+  console.log('=' .repeat(60));
+  console.log(rawData || 'No entries found');
+  console.log('=' .repeat(60));
+}
+
+/**
+ * Write a week's accomplishments back to the project memory banks
  * 
- * This would map:
- * - DH and GovHub projects → CATIC category
- * - MJFF projects → SDSU category  
- * - LSM projects → General category
+ * Accomplishments come from the accepted weekly report when one is given
+ * (its "## <Category> Project Update" sections), otherwise from the user's
+ * client entries in the window with hashtags removed. Each category's items
+ * are appended to progress.md and replace the recent-activity block of
+ * activeContext.md for every project directory in that category.
  * 
- * @returns {Object} Mapping object with category names as keys and project arrays as values
+ * @param {number|Object} days - Days covered by the report, or a { from, to } window
+ * @param {string|null} reportText - Accepted weekly report, if available
+ * @returns {Array} Updated files: [{ project, files }]
  */
-function parseProjectMappings() {
-  const mappingStr = process.env.PROJECT_MAPPINGS || '';
-  const projectToCategory = {};
-  const categoryToProjects = {};
+function updateMemoryBank(days = 7, reportText = null) {
+  const { from, to } = getReporter().resolveWindow(days);
+  const period = `${from} → ${to}`;
+  let accomplishments = reportText ? memoryBank.parseWeeklyAccomplishments(reportText) : {};
   
-  if (mappingStr) {
-    // Parse "DH:CATIC,GovHub:CATIC,MJFF:SDSU" format
-    const pairs = mappingStr.split(',').map(pair => pair.trim());
+  if (Object.keys(accomplishments).length === 0) {
+    if (reportText) {
+      console.warn('⚠️  No "Project Update" sections found in the report, using time entries instead');
+    }
+    const USER_ID = getReporter().userId;
     
-    for (const pair of pairs) {
-      const [project, category] = pair.split(':').map(s => s.trim());
-      if (project && category) {
-        projectToCategory[project] = category;
-        
-        if (!categoryToProjects[category]) {
-          categoryToProjects[category] = [];
+    getReporter().getEntries()
+      .filter(entry => entry.user.id === USER_ID && entry.date >= from && entry.date <= to)
+      .forEach(entry => {
+        const { category, key } = getReporter().classifyEntry(entry);
+        const description = stripHashtags(entry.description);
+        if (category !== 'client' || !description) return;
+        accomplishments[key] = accomplishments[key] || [];
+        if (!accomplishments[key].includes(description)) {
+          accomplishments[key].push(description);
         }
-        categoryToProjects[category].push(project);
-      }
+      });
+  }
+  
+  const updated = [];
+  Object.keys(accomplishments).sort().forEach(category => {
+    const projects = getReporter().getProjectsForKey(category);
+    if (projects.length === 0) {
+      console.warn(`⚠️  No project directory found for "${category}", skipping`);
+      return;
+    }
+    projects.forEach(project => {
+      updated.push({
+        project,
+        files: [
+          memoryBank.appendProgress(getReporter().dataDir, project, period, accomplishments[category]),
+          memoryBank.refreshActiveContext(getReporter().dataDir, project, period, accomplishments[category])
+        ]
+      });
+    });
+  });
+  
+  return updated;
+}
+
+/**
+ * Render getReporter().generateHoursReport() output as text tables
+ */
+function formatHoursReport(report) {
+  const lines = [];
+  const { summary } = report;
+  const split = bucket => `billable ${formatTime(bucket.billableMinutes)}, unbillable ${formatTime(bucket.unbillableMinutes)}`;
+  
+  lines.push(`⏱️  Hours ${report.from} → ${report.to} (${report.scope})`);
+  lines.push(`Total: ${formatTime(summary.total.minutes)} (${split(summary.total)})`);
+  
+  [
+    ['By Category', summary.byCategory, false],
+    ['By Project', summary.byProject, false],
+    ['By Tag', summary.byTag, false],
+    ['By Work Type', summary.byWorkType, false],
+    ['By User', summary.byUser, false],
+    ['By Day', summary.byDay, true]
+  ].forEach(([title, buckets, chronological]) => {
+    const keys = Object.keys(buckets);
+    if (keys.length === 0) return;
+    if (chronological) {
+      keys.sort();
+    } else {
+      keys.sort((a, b) => buckets[b].minutes - buckets[a].minutes || a.localeCompare(b));
     }
+    const width = Math.min(40, Math.max(...keys.map(key => key.length)));
+    lines.push('', `${title}:`);
+    keys.forEach(key => {
+      const bucket = buckets[key];
+      lines.push(`  ${key.padEnd(width)}  ${formatTime(bucket.minutes).padStart(8)}  (${split(bucket)})`);
+    });
+  });
+  
+  if (report.retainers.length > 0) {
+    lines.push('', `📈 Retainer Burn (month to date, ${report.to.slice(0, 7)}):`);
+    report.retainers.forEach(retainer => {
+      const icon = retainer.status === 'on-track' ? '✅' : '⚠️ ';
+      lines.push(`  ${icon} ${retainer.name}: ${retainer.usedHours.toFixed(1)}h / ${retainer.monthlyHours}h ` +
+        `(${Math.round(retainer.percentUsed)}%), projected ${retainer.projectedHours.toFixed(1)}h by month end ` +
+        `[${retainer.workingDays.elapsed}/${retainer.workingDays.total} working days]`);
+      if (retainer.warning) {
+        lines.push(`     ${retainer.status === 'over' ? 'Over-use' : 'Under-use'}: ${retainer.warning}`);
+      }
+    });
+  }
+  
+  return lines.join('\n');
+}
+
+function formatStatusReport(report) {
+  const icons = { green: '🟢', yellow: '🟡', red: '🔴' };
+  const lines = [`🚦 Project Status ${report.from} → ${report.to} (vs ${report.trailingWindows} earlier periods)`];
+  
+  if (report.statuses.length === 0) {
+    lines.push('No activity in this or the trailing periods');
   }
+  report.statuses.forEach(status => {
+    lines.push(`${icons[status.status]} ${status.name.padEnd(24)} ${formatTime(status.minutes).padStart(8)}  (avg ${formatTime(Math.round(status.trailingAverage))})  ${projectStatus.STATUS_LABELS[status.status]}`);
+    status.reasons.forEach(reason => lines.push(`     - ${reason}`));
+  });
+  
+  return lines.join('\n');
+}
+
+/**
+ * Generate the report template the LLM fills in (see reporter.renderSkeleton)
+ * 
+ * @param {string} reportType - 'geekbot' or 'weekly'
+ * @param {Object} options - { template: name, excludeInternal, statuses }
+ * @returns {string} Template string for LLM processing
+ */
+function generateReportTemplate(reportType = 'weekly', options = {}) {
+  return getReporter().renderSkeleton(reportType, options);
+}
+
+/**
+ * System prompt for Geekbot's three standup questions
+ */
+function buildGeekbotSystemPrompt(excludeInternal = false, template = null) {
+  const scope = excludeInternal
+    ? 'The entries are categorized into client projects and general LSM work. Internal activities have been excluded from this report.'
+    : 'The entries are already categorized into client projects, general LSM work, and internal activities.';
   
+  return `When given this log of time tracking entries, organize the entries by category and summarize what has been accomplished. ${scope} Do not summarize the time spent, just focus on a concise list of things accomplished. Remove all hashtags and create clean, professional summaries. Sections may start with a project memory bank block: use it as background only, never list it as accomplished work. A "--- Work types" line gives the section's time by kind of work: never list it as an item.
+
+Categories explained:
+- Client Projects (DH, GovHub, MJFF, etc.): LSM client work and support
+- LSM: General LSM administrative work, cross-project activities, and LSM infrastructure${excludeInternal ? '' : `
+- Internal: Company-wide activities, internal tools, and administrative work`}
+
+Format the output exactly like this:
+
+${generateReportTemplate('geekbot', { loaded: template, excludeInternal })}`;
+}
+
+/**
+ * System prompt for the weekly reports
+ */
+function buildWeeklySystemPrompt(template = null, statuses = null) {
+  return `Please process this time tracking data and create clean reports by removing hashtags and summarizing activities. Project sections may start with a memory bank block describing client background and ongoing initiatives: use it as context only, never report it as this week's work. A "--- Work types" line gives a section's time by kind of work, computed from its tags: use it to characterize the week (for example "mostly security updates") rather than listing it. Status indicators and their reasons in the format below are computed from the data: keep them exactly as given.
+
+Format the output exactly like this:
+
+${generateReportTemplate('weekly', { loaded: template, statuses })}`;
+}
+
+/**
+ * Ordered LLM provider chain (llm.providers or LLM_PROVIDERS)
+ */
+function getLlmProviderChain() {
+  return getLoadedConfig().values.llm.providers;
+}
+
+/**
+ * Settings for each LLM provider, from the llm.* config
+ */
+function getLlmProviderOptions() {
+  const llm = getLoadedConfig().values.llm;
   return {
-    projectToCategory,    // e.g., { "DH": "CATIC", "GovHub": "CATIC", "MJFF": "SDSU" }
-    categoryToProjects,   // e.g., { "CATIC": ["DH", "GovHub"], "SDSU": ["MJFF"] }
-    hasCustomMappings: Object.keys(projectToCategory).length > 0
+    'anthropic': { apiKey: llm.anthropicApiKey, model: llm.anthropicModel, baseUrl: llm.anthropicBaseUrl },
+    'claude-cli': { command: llm.claudeCliPath },
+    'gemini-cli': { command: llm.geminiCliPath }
   };
 }
 
-const CONFIG = getConfig();
+function isHistoryEnabled() {
+  return getLoadedConfig().values.features.history;
+}
 
-// Utility function to ensure directories exist
-function ensureDirectoryExists(dirPath) {
-  if (!fs.existsSync(dirPath)) {
-    fs.mkdirSync(dirPath, { recursive: true });
-  }
+function getHistoryDir() {
+  return reportHistory.getHistoryDir(getReporter().dataDir);
 }
 
-// Utility functions
-function getCurrentDate() {
-  return new Date().toISOString().split('T')[0];
+/**
+ * Save a generated report with its input data to the history archive
+ * 
+ * @returns {Object|null} The saved record, or null when history is disabled
+ */
+function archiveGeneratedReport(reportType, days, result, rawData, options) {
+  if (!isHistoryEnabled()) {
+    return null;
+  }
+  
+  const excludeInternal = reportType === 'geekbot' && Boolean(options.excludeInternal);
+  const categories = {};
+  getReporter().collectReportSections(days, reportType, excludeInternal, options.userIds).forEach(section => {
+    categories[section.name] = {
+      minutes: section.entries.reduce((sum, entry) => sum + entry.minutes, 0),
+      entries: section.entries.length
+    };
+  });
+  
+  try {
+    return reportHistory.archiveReport(getHistoryDir(), {
+      reportType,
+      date: getReporter().today(),
+      generatedAt: getReporter().now().toISOString(),
+      window: getReporter().resolveWindow(days),
+      provider: result.provider,
+      userIds: options.userIds || [getReporter().userId],
+      categories,
+      text: result.text,
+      rawData
+    });
+  } catch (error) {
+    console.warn(`⚠️  Could not archive report: ${error.message}`);
+    return null;
+  }
 }
 
-function getDateDaysAgo(days) {
-  const date = new Date();
-  date.setDate(date.getDate() - days);
-  return date.toISOString().split('T')[0];
+/**
+ * Date of the last archived report before today, for since-last-report
+ */
+function getLastReportDate(reportType) {
+  if (!isHistoryEnabled()) {
+    return null;
+  }
+  const previous = reportHistory.findPreviousReport(getHistoryDir(), reportType, getReporter().today());
+  return previous ? previous.date : null;
 }
 
-function formatTime(minutes) {
-  const hours = Math.floor(minutes / 60);
-  const mins = minutes % 60;
-  if (hours === 0) return `${mins}m`;
-  if (mins === 0) return `${hours}h`;
-  return `${hours}h ${mins}m`;
+/**
+ * Redaction config from REDACTION_FILE or DATA_DIR/redaction.json
+ * 
+ * @returns {Object|null} loadRedactionConfig() result, null when disabled
+ */
+function getRedactionConfig() {
+  const { features, files } = getLoadedConfig().values;
+  if (!features.redaction) {
+    return null;
+  }
+  const config = redaction.loadRedactionConfig(files.redaction || path.join(getReporter().dataDir, 'redaction.json'));
+  return config.enabled === false ? null : config;
 }
 
-function readJsonFile(filepath) {
-  try {
-    if (fs.existsSync(filepath)) {
-      const content = fs.readFileSync(filepath, 'utf8');
-      return JSON.parse(content);
+/**
+ * Create the redactor for a report's sections
+ * 
+ * "auto" clients are every known client: the report categories with their
+ * projects, the clients named by the classification rules and the client
+ * sections with their Noko projects. "auto" people are the entry users as
+ * they appear in the LLM input.
+ */
+function createReportRedactor(config, sections) {
+  const clients = new Set();
+  const people = new Map();
+  
+  getReporter().getReportCategories().forEach(key => {
+    clients.add(key);
+    getReporter().getProjectsForKey(key).forEach(project => clients.add(project));
+  });
+  getReporter().classificationRules.rules.forEach(rule => {
+    if (rule.client) clients.add(rule.client);
+  });
+  sections.forEach(section => {
+    if (section.category === 'client') {
+      clients.add(section.name);
+      clients.add(section.key);
+      getReporter().getProjectsForKey(section.key).forEach(project => clients.add(project));
     }
-  } catch (error) {
-    console.warn(`⚠️  Could not read ${filepath}: ${error.message}`);
+    section.entries.forEach(entry => {
+      if (section.category === 'client' && entry.project?.name) {
+        clients.add(entry.project.name.replace(/^\[LSM\]\s*/, ''));
+      }
+      const name = `${entry.user.first_name} ${entry.user.last_name.charAt(0)}.`;
+      if (!people.has(name)) {
+        people.set(name, { name, aliases: [`${entry.user.first_name} ${entry.user.last_name}`] });
+      }
+    });
+  });
+  
+  return redaction.createRedactor(config, { clients: Array.from(clients), people: Array.from(people.values()) });
+}
+
+/**
+ * Build the LLM request for a report: system prompt, raw data and, when
+ * redaction is on, both redacted with the redactor to re-hydrate the output
+ * 
+ * @param {string} reportType - 'geekbot' or 'weekly'
+ * @param {Object} options - See generateReport
+ * @returns {Object} { days, excludeInternal, template, statuses, rawData,
+ *   system, prompt, redactor }; system is null when there is no data,
+ *   redactor is null when redaction is disabled
+ */
+function buildLlmRequest(reportType, options = {}) {
+  const days = options.days || (reportType === 'weekly' ? 7 : 1); // Days back or { from, to }
+  const excludeInternal = reportType === 'geekbot' && Boolean(options.excludeInternal);
+  const rawData = generateRawDataForLLM(days, reportType, true, excludeInternal, options.userIds);
+  
+  const template = getReporter().getReportTemplate(reportType, options.template);
+  const statuses = reportType === 'weekly' ? getReporter().generateStatusReport(days, options.userIds).statuses : null;
+  const request = { days, excludeInternal, template, statuses, rawData, system: null, prompt: rawData, redactor: null };
+  
+  if (!rawData.trim()) {
+    return request;
   }
-  return null;
+  
+  let system = reportType === 'weekly'
+    ? buildWeeklySystemPrompt(template, statuses)
+    : buildGeekbotSystemPrompt(excludeInternal, template);
+  
+  const previous = isHistoryEnabled() && getLoadedConfig().values.features.historyContext
+    ? reportHistory.findPreviousReport(getHistoryDir(), reportType, getReporter().today())
+    : null;
+  if (previous) {
+    system += `\n\n${reportHistory.formatPreviousReportContext(previous)}`;
+  }
+  
+  const redactionConfig = getRedactionConfig();
+  if (redactionConfig) {
+    const redactor = createReportRedactor(redactionConfig, getReporter().collectReportSections(days, reportType, excludeInternal, options.userIds));
+    system = redactor.redact(system);
+    request.prompt = redactor.redact(rawData);
+    request.redactor = redactor;
+  }
+  
+  return { ...request, system };
 }
 
-function readMemoryBank(project) {
-  const memoryBankPath = path.join(CONFIG.dataDir, project, 'memory-bank');
-  const memoryBank = {};
+/**
+ * Generate a finished report through the LLM provider chain
+ * 
+ * @param {string} reportType - 'geekbot' or 'weekly'
+ * @param {Object} options - { days, excludeInternal, providers, userIds, template, noLlm }
+ * When every provider fails, or with options.noLlm, the report is rendered
+ * by the offline summarizer instead. The LLM only sees the redacted prompt
+ * (see redaction.js); its output is re-hydrated with the real values.
+ * 
+ * @returns {Promise<Object>} { text, provider, rawData, archived }; provider
+ *   is 'no-activity' when there were no entries to summarize and 'offline'
+ *   for the offline summarizer, archived is the history record (null when
+ *   REPORT_HISTORY_ENABLED=false)
+ */
+async function generateReport(reportType, options = {}) {
+  const { days, excludeInternal, template, statuses, rawData, system, prompt, redactor } = buildLlmRequest(reportType, options);
+  
+  if (!rawData.trim()) {
+    const result = { text: getReporter().renderReport(reportType, { days, excludeInternal, userIds: options.userIds, template, statuses }), provider: 'no-activity' };
+    return { ...result, rawData, archived: archiveGeneratedReport(reportType, days, result, rawData, options) };
+  }
+  
+  const offline = failures => {
+    const result = {
+      text: getReporter().renderReport(reportType, { days, excludeInternal, userIds: options.userIds, template, statuses }),
+      provider: 'offline',
+      failures
+    };
+    return { ...result, rawData, archived: archiveGeneratedReport(reportType, days, result, rawData, options) };
+  };
+  
+  if (options.noLlm) {
+    console.error('📴 Generating with the offline summarizer');
+    return offline([]);
+  }
   
   try {
-    const files = ['activeContext.md', 'progress.md', 'productContext.md'];
-    files.forEach(file => {
-      const filePath = path.join(memoryBankPath, file);
-      if (fs.existsSync(filePath)) {
-        memoryBank[file.replace('.md', '')] = fs.readFileSync(filePath, 'utf8');
+    // Without template markers the built-in checks for the report type apply
+    const markers = template.meta.markers && template.meta.markers.length > 0 ? template.meta.markers : undefined;
+    const result = await llmProviders.generateWithFallback({ system, prompt, reportType, markers }, {
+      providers: options.providers || getLlmProviderChain(),
+      providerOptions: getLlmProviderOptions(),
+      timeoutMs: getLoadedConfig().values.llm.timeoutMs,
+      retries: getLoadedConfig().values.llm.retries,
+      onAttempt: (provider, attempt, error) => {
+        if (error) {
+          console.error(`⚠️  ${provider}${attempt ? ` (attempt ${attempt})` : ''}: ${error.message}`);
+        } else {
+          console.error(`✅ Generated with ${provider}`);
+        }
       }
     });
+    if (redactor) {
+      result.text = redactor.rehydrate(result.text);
+    }
+    return { ...result, rawData, archived: archiveGeneratedReport(reportType, days, result, rawData, options) };
   } catch (error) {
-    console.warn(`⚠️  Could not read memory bank for ${project}: ${error.message}`);
+    // Only real provider failures fall back; configuration errors must surface
+    if (error instanceof llmProviders.LlmProviderError && error.failures && error.failures.length > 0) {
+      console.error('📴 All LLM providers failed, falling back to the offline summarizer');
+      return offline(error.failures);
+    }
+    error.rawData = rawData;
+    throw error;
+  }
+}
+
+/**
+ * Print exactly what generateReport would send to the LLM, and the
+ * placeholder mapping that stays local
+ */
+function printRedactionPreview(reportType, options) {
+  const request = buildLlmRequest(reportType, options);
+  if (!request.system) {
+    console.log('📭 No entries in this window: nothing would be sent');
+    return;
+  }
+  
+  console.log(request.redactor
+    ? '🔐 Redaction on: this is exactly what the LLM receives'
+    : '⚠️  Redaction is disabled: this is sent as-is');
+  console.log('\n=== System prompt ===');
+  console.log(request.system);
+  console.log('\n=== Prompt ===');
+  console.log(request.prompt.trim());
+  
+  if (request.redactor) {
+    const mappings = request.redactor.mappings();
+    console.log('\n🔐 Placeholders (kept local):');
+    if (mappings.length === 0) {
+      console.log('  (nothing redacted)');
+    }
+    mappings.forEach(({ placeholder, value }) => console.log(`  ${placeholder.padEnd(14)} ${value}`));
+  }
+}
+
+/**
+ * Split CLI arguments into positional values and --flags
+ * 
+ * Supports `--name value`, `--name=value` and boolean `--name`. Flags listed
+ * in booleanFlags never consume the following argument.
+ * 
+ * @returns {Object} { positional: Array<string>, flags: Object }
+ */
+function parseCliArgs(argList, booleanFlags = []) {
+  const positional = [];
+  const flags = {};
+  
+  for (let i = 0; i < argList.length; i++) {
+    const arg = argList[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (inlineValue !== undefined) {
+      flags[name] = inlineValue;
+    } else if (!booleanFlags.includes(name) && argList[i + 1] !== undefined && !argList[i + 1].startsWith('--')) {
+      flags[name] = argList[++i];
+    } else {
+      flags[name] = true;
+    }
+  }
+  
+  return { positional, flags };
+}
+
+function getDeliveryConfigPath() {
+  return getLoadedConfig().values.files.delivery || path.join(getReporter().dataDir, 'delivery.json');
+}
+
+/**
+ * Delivery targets and routes from DELIVERY_FILE or DATA_DIR/delivery.json
+ * 
+ * @throws {Error} When no delivery config exists
+ */
+function getDeliveryConfig() {
+  const filepath = getDeliveryConfigPath();
+  const config = delivery.loadDeliveryConfig(filepath);
+  if (!config) {
+    throw new Error(`No delivery targets configured. Create ${filepath} (see config/delivery.example.json)`);
+  }
+  return config;
+}
+
+function askConfirmation(question) {
+  const readline = require('readline');
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+/**
+ * Start the read-only dashboard server (see dashboard-server.js)
+ * 
+ * Previews render the offline report, so serving never calls an LLM, and
+ * the entry store is read without being written.
+ * 
+ * @param {Object} options - { host, port }
+ * @returns {Promise<http.Server>} Listening server
+ */
+function startDashboard(options) {
+  const reporter = createReporter({ config: getLoadedConfig().values, readOnly: true });
+  const server = dashboardServer.createDashboardServer({
+    window: (query, defaultDays) => reporter.resolveWindow(parseWindowArgs({
+      from: query.get('from') || undefined,
+      to: query.get('to') || undefined,
+      period: query.get('period') || undefined
+    }, query.get('days') || undefined, defaultDays)),
+    entries: reporter.getEntries,
+    classify: reporter.classifyEntry,
+    workType: reporter.workTypeOf,
+    categories: () => ({
+      categories: reporter.getReportCategories(),
+      mappings: reporter.projectMappings.projectToCategory
+    }),
+    preview: (reportType, window, userIds) => ({
+      rawData: reporter.generateRawData(window, reportType, false, userIds),
+      report: reporter.renderReport(reportType, { days: window, userIds })
+    })
+  }, { host: options.host });
+  
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, options.host, () => resolve(server));
+  });
+}
+
+/**
+ * Schedule from files.schedule or DATA_DIR/schedule.json (see scheduler.js)
+ */
+function getSchedule() {
+  const filepath = getLoadedConfig().values.files.schedule || path.join(getReporter().dataDir, 'schedule.json');
+  const schedule = scheduler.loadSchedule(filepath);
+  if (!schedule) {
+    throw new Error(`No schedule configured. Create ${filepath} (see config/schedule.example.json)`);
+  }
+  return schedule;
+}
+
+/**
+ * Check that jobs which deliver their report have somewhere to deliver it,
+ * before the scheduler starts rather than after a report was generated
+ * 
+ * @throws {Error} When a delivering job has no delivery config, or the
+ *   delivery config is invalid
+ */
+function checkScheduleDelivery(schedule) {
+  const delivering = schedule.jobs.filter(job => job.type === 'report' && job.deliver).map(job => job.name);
+  if (delivering.length > 0 && !delivery.loadDeliveryConfig(getDeliveryConfigPath())) {
+    throw new Error(`Scheduled jobs ${delivering.join(', ')} deliver their reports, but no delivery targets are configured. ` +
+      `Create ${getDeliveryConfigPath()} (see config/delivery.example.json) or set "deliver": false on the jobs`);
+  }
+}
+
+/**
+ * Remind NOKO_USER_ID when today's timesheet has no entries
+ * 
+ * The reminder goes to the "reminder" delivery route, or is printed when
+ * no route is configured.
+ * 
+ * @returns {Promise<Object>} { status, detail }
+ * @throws {Error} When every reminder delivery failed
+ */
+async function sendTimesheetReminder(job) {
+  const reporter = getReporter();
+  const today = reporter.today();
+  const entries = reporter.filterEntries({ from: today, to: today }, { userIds: [reporter.userId] });
+  if (entries.length > 0) {
+    return { status: 'ok', detail: `${entries.length} entr${entries.length === 1 ? 'y' : 'ies'} logged today, no reminder needed` };
+  }
+  
+  const text = job.message || `⏰ No time logged in Noko today (${today}). Add your entries before you finish for the day.`;
+  const deliveryConfig = delivery.loadDeliveryConfig(getDeliveryConfigPath());
+  if (!deliveryConfig || !deliveryConfig.routes.reminder) {
+    console.log(text);
+    return { status: 'ok', detail: 'no time logged, reminder printed (no "reminder" delivery route)' };
   }
   
-  return memoryBank;
+  const results = await delivery.deliver(delivery.planDelivery([{ part: 'reminder', text }], deliveryConfig, {
+    timeoutMs: getLoadedConfig().values.delivery.timeoutMs || undefined
+  }), { date: today });
+  const sent = results.filter(result => result.status === 'sent').map(result => result.target);
+  const failed = results.filter(result => result.status === 'failed').map(result => `${result.target}: ${result.detail}`);
+  if (sent.length === 0) {
+    throw new Error(`reminder not delivered (${failed.join('; ')})`);
+  }
+  return { status: failed.length > 0 ? 'partial' : 'ok', detail: `reminder sent to ${sent.join(', ')}${failed.length > 0 ? `; failed: ${failed.join('; ')}` : ''}` };
 }
 
 /**
- * Enhanced LSM filtering logic
+ * Run a scheduled job: fetch, then generate and deliver its report (the
+ * steps of llm-geekbot.sh and llm-weekly.sh) or check the timesheet
  * 
- * LSM = Lullabot Support and Maintenance Department
+ * The Geekbot update covers everything since the last archived one, or
+ * since the previous working day, like llm-geekbot.sh. A run is only
+ * failed, and retried, when nothing was delivered; when some targets
+ * failed it is 'partial' and the failed targets are listed.
  * 
- * Primary identification: Noko project names with "[LSM]" prefix
- * Secondary: Configurable project patterns and tag exclusions
- * 
- * Edge cases handled:
- * - LSM work sometimes logged to non-LSM Noko buckets (drainpipe, lullabotdotcom)
- * - Context-dependent classification (LSM folks vs others)
- */
-function filterLsmEntries(entries) {
-  // Primary filter: Look for "[LSM]" prefix in project names
-  const lsmByProjectName = entries.filter(entry => {
-    return entry.project && entry.project.name && entry.project.name.includes('[LSM]');
-  });
+ * @param {Object} job - Job from scheduler.loadSchedule()
+ * @returns {Promise<Object>} { status: 'ok'|'partial', detail }
+ */
+async function runScheduledJob(job) {
+  // Pick up new project directories and calendar changes between runs
+  sharedReporter = null;
+  const notes = [];
   
-  // Secondary filter: Exclude entries explicitly tagged as internal/sales
-  // (Some LSM work might be logged to other buckets but still be LSM work)
-  const lsmByExclusion = entries.filter(entry => {
-    // Skip if already included by project name
-    if (entry.project && entry.project.name && entry.project.name.includes('[LSM]')) {
-      return false;
+  if (job.fetch) {
+    const fetchResults = await fetchNokoData('both', job.type === 'reminder' ? 1 : 7);
+    if (Object.values(fetchResults).some(result => result.error)) {
+      notes.push('fetch had errors, used previously synced data');
     }
-    
-    // Check for explicit exclusion tags
-    const hasExclusionTags = entry.tags && entry.tags.some(tag => 
-      tag.name.toLowerCase().includes('internal') || 
-      tag.name.toLowerCase().includes('sales')
-    );
-    
-    // Include if no exclusion tags (might be LSM work in other buckets)
-    // Note: This is conservative - actual classification may depend on context
-    return !hasExclusionTags;
+  }
+  
+  if (job.type === 'reminder') {
+    const reminder = await sendTimesheetReminder(job);
+    return { ...reminder, detail: [reminder.detail, ...notes].join('; ') };
+  }
+  
+  const generated = await generateReport(job.report, {
+    days: job.report === 'geekbot' ? parseWindowArgs({ 'since-last-report': true }, undefined, 1, 'geekbot') : 7,
+    excludeInternal: job.excludeInternal || getLoadedConfig().values.geekbot.excludeInternal,
+    template: job.template || undefined,
+    noLlm: job.noLlm
   });
+  notes.unshift(`generated by ${generated.provider}${generated.archived ? `, saved to history as ${generated.archived.id}` : ''}`);
+  
+  if (!job.deliver) {
+    console.log(generated.text);
+    return { status: 'ok', detail: notes.join('; ') };
+  }
   
-  // Combine both filters and remove duplicates
-  const allLsmEntries = [...lsmByProjectName, ...lsmByExclusion];
-  const uniqueEntries = allLsmEntries.filter((entry, index, self) => 
-    index === self.findIndex(e => e.id === entry.id)
-  );
+  // Removed while the scheduler runs: retrying would only generate and
+  // archive the report again
+  if (!delivery.loadDeliveryConfig(getDeliveryConfigPath())) {
+    console.log(generated.text);
+    notes.push(`not delivered, no delivery config (${getDeliveryConfigPath()})`);
+    return { status: 'ok', detail: notes.join('; ') };
+  }
   
-  return uniqueEntries;
+  const results = await deliverReport(job.report, generated.text, { yes: true });
+  const sent = results.filter(result => result.status === 'sent').map(result => `${result.part} → ${result.target}`);
+  const failed = results.filter(result => result.status === 'failed').map(result => `${result.part} → ${result.target}`);
+  if (results.length > 0 && sent.length === 0) {
+    throw new Error(`nothing delivered (failed: ${failed.join(', ')})`);
+  }
+  notes.push(results.length === 0 ? 'no delivery routes configured' : `delivered ${sent.join(', ')}`);
+  if (failed.length > 0) {
+    notes.push(`failed: ${failed.join(', ')} (send with the deliver command)`);
+  }
+  return { status: failed.length > 0 ? 'partial' : 'ok', detail: notes.join('; ') };
+}
+
+/**
+ * Scheduler over the configured schedule and run log (see scheduler.js)
+ */
+function createJobScheduler(schedule) {
+  return scheduler.createScheduler({
+    schedule,
+    logFile: scheduler.getLogPath(getReporter().dataDir),
+    runJob: runScheduledJob,
+    getCalendar: () => getReporter().getCalendar(),
+    now: () => getReporter().now(),
+    timeZone: getReporter().timezone
+  });
+}
+
+/**
+ * Noko project id of a project directory, from the config file or
+ * <PROJECT>_PROJECT_ID
+ */
+function getProjectId(name) {
+  return getLoadedConfig().values.projects[name] || process.env[`${name}_PROJECT_ID`] || null;
 }
 
 /**
- * Enhanced categorization for geekbot reports
+ * Check the setup (see doctor.js), against NOKO_API_URL when it is set
  * 
- * Categories:
- * 1. Client Projects: [LSM] prefixed projects (DH, GovHub, MJFF, etc.)
- * 2. LSM General: Administrative work + LSM bucket + drainpipe + lullabotdotcom (when not client-specific)
- * 3. Internal: #internal tagged + Internal bucket + company-wide activities
- * 4. Other: Any uncategorized entries (auto-categorized)
- */
-function categorizeEntriesForGeekbot(allEntries, userId) {
-  const categories = {
-    clientProjects: {},  // Key = project name, Value = entries array
-    lsm: [],            // General LSM activities
-    internal: [],       // Internal activities  
-    other: []           // Uncategorized entries
-  };
-  
-  // Filter to user's entries only
-  const userEntries = allEntries.filter(entry => entry.user.id === userId);
+ * @returns {Promise<Object>} doctor.runDoctor() result
+ */
+async function runSetupChecks() {
+  const { dataDir, noko } = getLoadedConfig().values;
+  const projectDirs = fs.existsSync(dataDir)
+    ? fs.readdirSync(dataDir, { withFileTypes: true })
+      .filter(dirent => dirent.isDirectory() && !dirent.name.startsWith('.'))
+      .map(dirent => dirent.name)
+    : [];
   
-  userEntries.forEach(entry => {
-    const projectId = entry.project?.id?.toString();
-    const projectName = entry.project?.name || '';
-    const tags = entry.tags || [];
-    
-    // Check for internal tags
-    const hasInternalTag = tags.some(tag => 
-      tag.name.toLowerCase().includes('internal') || 
-      tag.name.toLowerCase().includes('sales')
-    );
-    
-    // Category 1: Client Projects ([LSM] prefixed)
-    if (projectName.includes('[LSM]')) {
-      // Extract clean project name for grouping
-      const cleanProjectName = projectName.replace(/^\[LSM\]\s*/, '').trim();
-      // Try to match with discovered project directories
-      // Enhanced matching: check directory name inclusion and common abbreviations
-      const matchedProject = CONFIG.projects.find(proj => {
-        const projLower = proj.toLowerCase();
-        const nameLower = cleanProjectName.toLowerCase();
-        
-        // Direct containment check
-        if (nameLower.includes(projLower) || projLower.includes(nameLower)) {
-          return true;
-        }
-        
-        // Common abbreviation patterns
-        if (projLower === 'dh' && nameLower.includes('dartmouth')) return true;
-        if (projLower === 'govhub' && nameLower.includes('georgia')) return true;
-        if (projLower === 'mjff' && nameLower.includes('mjff')) return true;
-        
-        return false;
-      });
-      
-      // Determine category key
-      let categoryKey;
-      
-      // Apply project mapping if configured and matched project exists
-      if (matchedProject && CONFIG.projectMappings.hasCustomMappings) {
-        categoryKey = CONFIG.projectMappings.projectToCategory[matchedProject] || matchedProject;
-      } else {
-        // Fallback to matched project or first word of project name
-        categoryKey = matchedProject || cleanProjectName.split(' ')[0];
-      }
-      
-      if (!categories.clientProjects[categoryKey]) {
-        categories.clientProjects[categoryKey] = [];
-      }
-      categories.clientProjects[categoryKey].push(entry);
-      return;
-    }
-    
-    // Category 3: Internal (check first since it's more specific)
-    if (hasInternalTag || projectId === CONFIG.specialBuckets.internal) {
-      categories.internal.push(entry);
-      return;
-    }
-    
-    // Category 2: LSM General
-    if (projectId === CONFIG.specialBuckets.lsm || 
-        projectId === CONFIG.specialBuckets.drainpipe ||
-        projectId === CONFIG.specialBuckets.lullabotdotcom) {
-      categories.lsm.push(entry);
-      return;
-    }
-    
-    // Category 4: Other - uncategorized entries (make best guess)
-    categories.other.push(entry);
+  return doctor.runDoctor(getLoadedConfig(), {
+    client: noko.apiToken ? createNokoClient({ token: noko.apiToken, baseUrl: noko.apiUrl || undefined, maxRetries: 0, timeoutMs: 10000 }) : null,
+    createProvider: name => llmProviders.createProvider(name, getLlmProviderOptions()),
+    projectDirs,
+    projectIdOf: getProjectId
   });
-  
-  return categories;
 }
 
-// Function to generate raw data for LLM processing
-function generateRawDataForLLM(days = 1, reportType = 'geekbot', quiet = false, excludeInternal = false) {
-  if (!quiet) {
-    console.log(`📝 Generating raw data for LLM processing (${reportType})...`);
-    console.log(`📁 Discovered projects: ${CONFIG.projects.join(', ')}`);
-    if (excludeInternal) {
-      console.log(`🎯 Excluding Internal activities (LSM-only mode)`);
-    }
+/**
+ * Print every setting with its source, secrets masked
+ */
+function printConfig() {
+  console.log(`⚙️  Configuration (${getLoadedConfig().file || 'no config file'})`);
+  appConfig.describeConfig(getLoadedConfig()).forEach(row => {
+    const value = row.value === null || row.value === undefined ? '-' : JSON.stringify(row.value);
+    console.log(`  ${row.path.padEnd(28)} ${value.slice(0, 60).padEnd(60)} ${row.source}`);
+  });
+  if (getLoadedConfig().problems.length > 0) {
+    console.log(`\n⚠️  ${getLoadedConfig().problems.length} problem${getLoadedConfig().problems.length === 1 ? '' : 's'}, run "doctor" for details`);
   }
-  
-  let rawData = '';
-  const USER_ID = parseInt(process.env.NOKO_USER_ID) || 8372; // User's Noko user ID (configurable via env var)
-  
-  // Calculate date range for filtering
-  const today = new Date();
-  const cutoffDate = new Date();
-  cutoffDate.setDate(cutoffDate.getDate() - days);
-  
-  // Collect all entries from all project directories
-  let allEntries = [];
-  
-  CONFIG.projects.forEach(project => {
-    const logsDir = path.join(CONFIG.dataDir, project, 'logs');
-    
-    if (!fs.existsSync(logsDir)) {
-      return;
-    }
-    
-    // Get all available Noko files
-    try {
-      const files = fs.readdirSync(logsDir)
-        .filter(file => file.startsWith('noko-') && file.endsWith('.json'))
-        .sort(); // Sort to process chronologically
-      
-      for (const file of files) {
-        const filePath = path.join(logsDir, file);
-        const entries = readJsonFile(filePath);
-        if (entries && Array.isArray(entries)) {
-          allEntries = allEntries.concat(entries);
-        }
-      }
-    } catch (error) {
-      console.warn(`⚠️  Could not read logs directory for ${project}: ${error.message}`);
-    }
+}
+
+/**
+ * Deliver a finished report to its routed targets
+ * 
+ * Prints the plan, then asks for confirmation unless --yes is given. Without
+ * a terminal to ask on, --yes is required. --dry-run shows what each target
+ * would receive and sends nothing.
+ * 
+ * @param {string} reportType - 'geekbot' or 'weekly'
+ * @param {string} text - Report text
+ * @param {Object} flags - { 'dry-run', yes, target: 'name,...' }
+ * @returns {Promise<Array>} delivery.deliver() results
+ */
+async function deliverReport(reportType, text, flags) {
+  const dryRun = Boolean(flags['dry-run']);
+  const plan = delivery.planDelivery(delivery.splitReport(text, reportType), getDeliveryConfig(), {
+    only: typeof flags.target === 'string' ? flags.target.split(',').map(name => name.trim()) : null,
+    timeoutMs: getLoadedConfig().values.delivery.timeoutMs || undefined
   });
   
-  if (allEntries.length === 0) {
-    return rawData;
+  if (plan.length === 0) {
+    console.error(`⚠️  No delivery routes configured for ${reportType} reports`);
+    return [];
   }
   
-  // Filter entries by date range
-  const filteredEntries = allEntries.filter(entry => {
-    const entryDate = new Date(entry.date);
-    const entryDateStr = entryDate.toISOString().split('T')[0];
-    const cutoffDateStr = cutoffDate.toISOString().split('T')[0];
-    const todayDateStr = today.toISOString().split('T')[0];
-    
-    return entryDateStr >= cutoffDateStr && entryDateStr <= todayDateStr;
+  console.error(`📤 Delivery plan${dryRun ? ' (dry run)' : ''}:`);
+  plan.forEach(({ part, target }) => {
+    console.error(`   ${part} → ${target.name} (${target.describe()})`);
   });
   
-  if (reportType === 'geekbot') {
-    // Use enhanced categorization for geekbot reports
-    const categories = categorizeEntriesForGeekbot(filteredEntries, USER_ID);
-    
-    // Generate output in specified order: Projects, LSM, Internal
-    
-    // 1. Client Projects
-    Object.keys(categories.clientProjects).sort().forEach(projectKey => {
-      const entries = categories.clientProjects[projectKey];
-      if (entries.length > 0) {
-        rawData += `\n=== ${projectKey} ===\n`;
-        entries.forEach(entry => {
-          const timeFormatted = formatTime(entry.minutes);
-          const user = `${entry.user.first_name} ${entry.user.last_name.charAt(0)}.`;
-          rawData += `${timeFormatted} - ${user}: ${entry.description} (${entry.date})\n`;
-        });
-      }
-    });
-    
-    // 2. LSM General
-    if (categories.lsm.length > 0) {
-      rawData += `\n=== LSM ===\n`;
-      categories.lsm.forEach(entry => {
-        const timeFormatted = formatTime(entry.minutes);
-        const user = `${entry.user.first_name} ${entry.user.last_name.charAt(0)}.`;
-        rawData += `${timeFormatted} - ${user}: ${entry.description} (${entry.date})\n`;
-      });
-    }
-    
-    // 3. Internal (conditionally included)
-    if (!excludeInternal && categories.internal.length > 0) {
-      rawData += `\n=== Internal ===\n`;
-      categories.internal.forEach(entry => {
-        const timeFormatted = formatTime(entry.minutes);
-        const user = `${entry.user.first_name} ${entry.user.last_name.charAt(0)}.`;
-        rawData += `${timeFormatted} - ${user}: ${entry.description} (${entry.date})\n`;
-      });
-    }
-    
-    // 4. Other (auto-categorize)
-    if (categories.other.length > 0) {
-      // Group by project name for uncategorized entries
-      const otherGrouped = {};
-      categories.other.forEach(entry => {
-        const projectName = entry.project?.name || 'Uncategorized';
-        if (!otherGrouped[projectName]) {
-          otherGrouped[projectName] = [];
-        }
-        otherGrouped[projectName].push(entry);
-      });
-      
-      Object.keys(otherGrouped).sort().forEach(projectName => {
-        const entries = otherGrouped[projectName];
-        rawData += `\n=== ${projectName} ===\n`;
-        entries.forEach(entry => {
-          const timeFormatted = formatTime(entry.minutes);
-          const user = `${entry.user.first_name} ${entry.user.last_name.charAt(0)}.`;
-          rawData += `${timeFormatted} - ${user}: ${entry.description} (${entry.date})\n`;
-        });
-      });
+  if (!dryRun && !flags.yes) {
+    if (!process.stdin.isTTY) {
+      throw new Error('Refusing to deliver without confirmation. Pass --yes, or --dry-run to preview');
     }
-    
-  } else {
-    // For other reports: use original LSM filtering approach
-    const lsmEntries = filterLsmEntries(filteredEntries);
-    const userEntries = lsmEntries.filter(entry => entry.user.id === USER_ID);
-    
-    if (userEntries.length > 0) {
-      // Group by project for non-geekbot reports
-      const projectGroups = {};
-      userEntries.forEach(entry => {
-        const projectName = entry.project?.name?.replace(/^\[LSM\]\s*/, '') || 'Unknown';
-        if (!projectGroups[projectName]) {
-          projectGroups[projectName] = [];
-        }
-        projectGroups[projectName].push(entry);
-      });
-      
-      Object.keys(projectGroups).sort().forEach(projectName => {
-        const entries = projectGroups[projectName];
-        rawData += `\n=== ${projectName} ===\n`;
-        entries.forEach(entry => {
-          const timeFormatted = formatTime(entry.minutes);
-          const user = `${entry.user.first_name} ${entry.user.last_name.charAt(0)}.`;
-          rawData += `${timeFormatted} - ${user}: ${entry.description} (${entry.date})\n`;
-        });
-      });
+    if (!(await askConfirmation(`Send ${plan.length} message(s)? [y/N] `))) {
+      console.error('🚫 Delivery cancelled');
+      return [];
     }
   }
   
-  return rawData;
+  const results = await delivery.deliver(plan, { dryRun, date: getReporter().today() });
+  results.forEach(result => {
+    if (result.status === 'dry-run') {
+      console.error(`\n🧪 ${result.part} → ${result.target}:`);
+      console.error(JSON.stringify(result.detail, null, 2));
+    } else if (result.status === 'sent') {
+      console.error(`✅ ${result.part} → ${result.target}: ${result.detail}`);
+    } else {
+      console.error(`❌ ${result.part} → ${result.target}: ${result.detail}`);
+      process.exitCode = 1;
+    }
+  });
+  return results;
 }
 
-/**
- * Get configured project categories for report generation
- * 
- * Returns the categories that should be used in reports, either from 
- * project mappings or discovered projects.
- * 
- * @returns {Array} Array of category names for report generation
- */
-function getReportCategories() {
-  if (CONFIG.projectMappings.hasCustomMappings) {
-    // Use categories from project mappings
-    return Object.keys(CONFIG.projectMappings.categoryToProjects).sort();
-  } else {
-    // Fallback to discovered projects
-    return CONFIG.projects.slice().sort();
-  }
-}
+// Flags that never take a value
+const BOOLEAN_FLAGS = ['full', 'team', 'mine', 'since-last-report', 'deliver', 'dry-run', 'yes', 'raw', 'skeleton', 'no-llm', 'strict', 'once'];
 
 /**
- * Generate dynamic report template for weekly reports
+ * Resolve the report window from CLI arguments
  * 
- * Creates the template structure that will be used by the LLM to generate
- * clean reports with the correct project categories.
+ * Precedence: --from/--to, then --since-last-report or --period <name>,
+ * then the positional [days] argument (a number or a period name), then
+ * the command's default. since-last-report starts at the last archived
+ * report of reportType, falling back to the previous working day.
  * 
- * @returns {string} Template string for LLM processing
+ * @param {Object} flags - Parsed CLI flags
+ * @param {string} [daysArg] - Positional days argument
+ * @param {number} defaultDays - Default days back
+ * @param {string} [reportType] - Report whose history since-last-report uses
+ * @returns {number|Object} Days back, or a { from, to } window
+ * @throws {Error} On invalid dates or unknown periods
  */
-function generateReportTemplate() {
-  const categories = getReportCategories();
-  
-  let template = "**REPORT 1: LSM Office Hour Update**\n";
+function parseWindowArgs(flags, daysArg, defaultDays, reportType = 'geekbot') {
+  const today = getReporter().today();
   
-  // Generate office hour status for each category
-  categories.forEach(category => {
-    template += `${category} :large_green_circle:\n`;
-    template += `- [clean summary without hashtags]\n\n`;
-  });
+  if (flags.from || flags.to) {
+    if (!flags.from) {
+      throw new Error('--to requires --from');
+    }
+    const window = { from: flags.from, to: flags.to || today };
+    [window.from, window.to].forEach(date => {
+      if (!calendar.isValidDate(date)) {
+        throw new Error(`Invalid date "${date}" (expected YYYY-MM-DD)`);
+      }
+    });
+    if (window.from > window.to) {
+      throw new Error(`--from ${window.from} is after --to ${window.to}`);
+    }
+    return window;
+  }
   
-  template += "**REPORT 2: LSM Weekly Update**\n";
+  const period = flags['since-last-report'] ? 'since-last-report' : (flags.period || (calendar.PERIODS.includes(daysArg) ? daysArg : null));
+  if (period) {
+    const lastReportDate = period === 'since-last-report' ? getLastReportDate(reportType) : null;
+    return getReporter().resolvePeriod(period, lastReportDate);
+  }
   
-  // Generate weekly update sections for each category
-  categories.forEach(category => {
-    template += `## ${category} Project Update\n`;
-    template += `**This Week:** [summary of accomplishments]\n`;
-    template += `**Status:** On track\n\n`;
-  });
+  if (daysArg !== undefined) {
+    const days = parseInt(daysArg);
+    if (!/^\d+$/.test(daysArg)) {
+      throw new Error(`Invalid days "${daysArg}" (expected a number or one of ${calendar.PERIODS.join(', ')})`);
+    }
+    return days;
+  }
   
-  return template.trim();
+  return defaultDays;
+}
+
+/**
+ * Date window of the client-report command
+ *
+ * --period month and quarter are the last complete month and quarter;
+ * custom takes --from/--to. Other period names work as for every command.
+ */
+function parseClientWindow(flags) {
+  const period = flags.period || (flags.from || flags.to ? 'custom' : 'month');
+  if (period === 'custom') {
+    if (!flags.from) {
+      throw new Error('--period custom requires --from <date> (and optionally --to <date>)');
+    }
+    return parseWindowArgs({ from: flags.from, to: flags.to });
+  }
+  if (flags.from || flags.to) {
+    throw new Error(`--from/--to require --period custom, not --period ${period}`);
+  }
+  if (!clientReport.CLIENT_PERIODS[period] && !calendar.PERIODS.includes(period)) {
+    throw new Error(`Unknown period "${period}" (expected month, quarter, custom or one of ${calendar.PERIODS.join(', ')})`);
+  }
+  return parseWindowArgs({ period: clientReport.CLIENT_PERIODS[period] || period });
 }
 
 // Minimal CLI interface for LLM workflow
-function main() {
+async function main() {
   const args = process.argv.slice(2);
   const command = args[0] || 'help';
   
+  // Before anything reads the environment: config file values are exported to it
+  getLoadedConfig();
+  const { positional, flags } = parseCliArgs(args.slice(1), BOOLEAN_FLAGS);
+  
   switch (command) {
-    case 'raw-geekbot':
-      const rawDays = args[1] ? parseInt(args[1]) : 1;
-      const rawExcludeInternal = args[2] === 'exclude-internal';
-      const rawGeekbot = generateRawDataForLLM(rawDays, 'geekbot', false, rawExcludeInternal);
-      console.log('📋 Raw Geekbot Data:');
-      console.log('=' .repeat(60));
-      console.log(rawGeekbot || 'No entries found');
-      console.log('=' .repeat(60));
+    case 'fetch':
+      const fetchDays = parseWindowArgs(flags, positional[1], getLoadedConfig().values.defaultDaysBack);
+      console.log('🔄 Fetching Noko data...');
+      const fetchResults = await fetchNokoData(positional[0] || 'both', fetchDays, {
+        full: Boolean(flags.full)
+      });
+      const fetchFailed = Object.values(fetchResults).some(result => result.error);
+      if (fetchFailed) {
+        console.error('❌ Noko fetch completed with errors');
+        process.exitCode = 1;
+      } else {
+        console.log('✅ Noko fetch completed!');
+      }
       break;
       
-    case 'raw-weekly':
-      const rawWeekly = generateRawDataForLLM(7, 'weekly');
-      console.log('📋 Raw Weekly Data:');
+    case 'generate':
+      const generateType = positional[0];
+      if (generateType !== 'geekbot' && generateType !== 'weekly') {
+        console.error('❌ Usage: generate geekbot|weekly [days|period] [exclude-internal] [--provider name,...] [--team|--group name|--users ids]');
+        process.exitCode = 1;
+        break;
+      }
+      const generateProviders = flags.provider === undefined ? undefined : String(flags.provider).split(',');
+      const unknownProviders = (generateProviders || []).filter(name => !llmProviders.PROVIDER_NAMES.includes(name));
+      if (unknownProviders.length > 0) {
+        console.error(`❌ Unknown LLM provider ${unknownProviders.join(', ')} (expected ${llmProviders.PROVIDER_NAMES.join(', ')})`);
+        console.error('❌ Usage: generate geekbot|weekly [days|period] [exclude-internal] [--provider name,...] [--team|--group name|--users ids]');
+        process.exitCode = 1;
+        break;
+      }
+      const generateArgs = positional.slice(1);
+      const generateTeam = team.resolveTeam(flags, process.env);
+      console.error(`🤖 Generating ${generateType} report${generateTeam ? ` (${generateTeam.label})` : ''}...`);
+      const generated = await generateReport(generateType, {
+        days: parseWindowArgs(flags, generateArgs.find(arg => arg !== 'exclude-internal'), undefined, generateType),
+        excludeInternal: generateArgs.includes('exclude-internal'),
+        providers: generateProviders,
+        userIds: generateTeam ? generateTeam.userIds : null,
+        template: flags.template,
+        noLlm: Boolean(flags['no-llm'])
+      });
+      console.log(generated.text);
+      if (generated.archived) {
+        console.error(`🗂️  Saved to history as ${generated.archived.id}`);
+      }
+      if (flags.deliver || flags['dry-run']) {
+        await deliverReport(generateType, generated.text, flags);
+      }
+      break;
+      
+    case 'deliver':
+      const deliverType = positional[0];
+      if ((deliverType !== 'geekbot' && deliverType !== 'weekly') || !flags.report) {
+        console.error('❌ Usage: deliver geekbot|weekly --report <file>|- [--target name,...] [--dry-run] [--yes]');
+        process.exitCode = 1;
+        break;
+      }
+      const deliverText = fs.readFileSync(flags.report === '-' || flags.report === true ? 0 : flags.report, 'utf8');
+      const deliverProblem = llmProviders.validateReport(deliverText, deliverType);
+      if (deliverProblem) {
+        throw new Error(`Report is not a valid ${deliverType} report: ${deliverProblem}`);
+      }
+      await deliverReport(deliverType, deliverText, flags);
+      break;
+      
+    case 'team':
+      const resolvedTeam = team.resolveTeam(flags, process.env) || team.resolveTeam({ team: true }, process.env);
+      const teamReport = getReporter().generateTeamReport(parseWindowArgs(flags, positional[0], 7), resolvedTeam);
+      if (flags.format === 'json') {
+        console.log(JSON.stringify(teamReport, null, 2));
+      } else {
+        console.log(team.formatTeamReport(teamReport, formatTime));
+      }
+      break;
+      
+    case 'hours':
+      const hoursReport = getReporter().generateHoursReport(parseWindowArgs(flags, positional[0], 7), {
+        mine: Boolean(flags.mine)
+      });
+      if (flags.format === 'json') {
+        console.log(JSON.stringify(hoursReport, null, 2));
+      } else {
+        console.log(formatHoursReport(hoursReport));
+      }
+      break;
+      
+    case 'tickets':
+      const ticketReport = getReporter().generateTicketReport(parseWindowArgs(flags, positional[0], 7), {
+        mine: Boolean(flags.mine)
+      });
+      if (flags.format === 'json') {
+        console.log(JSON.stringify(ticketReport, null, 2));
+      } else {
+        console.log(ticketReferences.formatTickets(ticketReport, formatTime));
+      }
+      break;
+      
+    case 'lint':
+      const lintTeam = team.resolveTeam(flags, process.env);
+      const lintReport = getReporter().generateLintReport(parseWindowArgs(flags, positional[0], 7), lintTeam ? lintTeam.userIds : null);
+      if (flags.format === 'json') {
+        console.log(JSON.stringify(lintReport, null, 2));
+      } else {
+        console.log(timesheetLint.formatLintReport(lintReport));
+      }
+      if (lintReport.errors > 0 || (flags.strict && lintReport.warnings > 0)) {
+        process.exitCode = 1;
+      }
+      break;
+      
+    case 'gaps':
+      const gapReport = getReporter().generateGapReport(parseWindowArgs(flags, positional[0], 7));
+      if (flags.format === 'json') {
+        console.log(JSON.stringify(gapReport, null, 2));
+      } else {
+        console.log(gitActivity.formatGaps(gapReport, formatTime));
+      }
+      break;
+      
+    case 'status':
+      const statusTeam = team.resolveTeam(flags, process.env);
+      const statusReport = getReporter().generateStatusReport(parseWindowArgs(flags, positional[0], 7, 'weekly'), statusTeam ? statusTeam.userIds : null);
+      if (flags.format === 'json') {
+        console.log(JSON.stringify(statusReport, null, 2));
+      } else {
+        console.log(formatStatusReport(statusReport));
+      }
+      break;
+      
+    case 'client-report':
+      if (!positional[0]) {
+        console.error(`❌ Usage: client-report <client> [--period month|quarter|custom] [--format markdown|html|json] (clients: ${getReporter().getReportCategories().join(', ') || 'none'})`);
+        process.exitCode = 1;
+        break;
+      }
+      const clientTeam = team.resolveTeam(flags, process.env);
+      const clientOptions = { days: parseClientWindow(flags), userIds: clientTeam ? clientTeam.userIds : null };
+      const clientFormat = flags.format || 'markdown';
+      let clientOutput;
+      if (clientFormat === 'json') {
+        clientOutput = JSON.stringify(getReporter().generateClientReport(positional[0], clientOptions.days, clientOptions.userIds), null, 2);
+      } else if (clientFormat === 'markdown' || clientFormat === 'html') {
+        clientOutput = getReporter().renderClientReport(positional[0], { ...clientOptions, format: clientFormat, template: flags.template });
+      } else {
+        throw new Error(`Unknown format "${clientFormat}" (expected markdown, html or json)`);
+      }
+      if (flags.output) {
+        fs.writeFileSync(flags.output, clientOutput.endsWith('\n') ? clientOutput : clientOutput + '\n');
+        console.log(`✅ Client report written to ${flags.output}`);
+      } else {
+        console.log(clientOutput);
+      }
+      break;
+      
+    case 'explain':
+      const explainWindow = getReporter().resolveWindow(parseWindowArgs(flags, positional[0], 1));
+      console.log(`🔎 Classification of entries (${explainWindow.from} → ${explainWindow.to}):`);
+      console.log(`   Rules: ${getReporter().classificationRules.source}`);
       console.log('=' .repeat(60));
-      console.log(rawWeekly || 'No entries found');
+      console.log(explainClassification(explainWindow) || 'No entries found');
       console.log('=' .repeat(60));
       break;
       
-    case 'clean-weekly':
-      const cleanWeekly = generateRawDataForLLM(7, 'weekly', true);
-      console.log(cleanWeekly || 'No entries found');
+    case 'memory':
+      if (positional[0] !== 'update') {
+        console.error('❌ Usage: memory update [days|period] [--report <file>|-]');
+        process.exitCode = 1;
+        break;
+      }
+      const memoryReport = flags.report
+        ? fs.readFileSync(flags.report === '-' || flags.report === true ? 0 : flags.report, 'utf8')
+        : null;
+      const memoryUpdated = updateMemoryBank(parseWindowArgs(flags, positional[1], 7, 'weekly'), memoryReport);
+      if (memoryUpdated.length === 0) {
+        console.log('ℹ️  No accomplishments found, memory bank unchanged');
+      }
+      memoryUpdated.forEach(({ project, files }) => {
+        console.log(`🧠 Updated ${project} memory bank: ${files.join(', ')}`);
+      });
+      break;
+      
+    case 'history':
+      const historyAction = positional[0] || 'list';
+      const historyType = flags.type;
+      if (historyType && historyType !== 'geekbot' && historyType !== 'weekly') {
+        throw new Error(`Unknown report type: ${historyType} (expected geekbot or weekly)`);
+      }
+      
+      if (historyAction === 'list') {
+        const records = reportHistory.listReports(getHistoryDir(), historyType);
+        if (records.length === 0) {
+          console.log(`ℹ️  No archived reports in ${getHistoryDir()}`);
+        }
+        records.forEach(record => {
+          const minutes = Object.values(record.categories || {}).reduce((sum, category) => sum + category.minutes, 0);
+          const window = record.window ? `${record.window.from} → ${record.window.to}` : '';
+          console.log(`${record.id.padEnd(32)} ${window.padEnd(26)} ${formatTime(minutes).padStart(8)}  ${record.provider}`);
+        });
+      } else if (historyAction === 'show') {
+        const record = reportHistory.findReport(getHistoryDir(), positional[1] || 'latest', historyType);
+        if (!record) {
+          throw new Error(`No archived report matches "${positional[1] || 'latest'}"`);
+        }
+        if (flags.format === 'json') {
+          console.log(JSON.stringify(record, null, 2));
+        } else {
+          console.log(`🗂️  ${record.id} (${record.window.from} → ${record.window.to}, ${record.provider}, ${record.generatedAt})`);
+          console.log('=' .repeat(60));
+          console.log(flags.raw ? record.rawData : record.text);
+          console.log('=' .repeat(60));
+        }
+      } else if (historyAction === 'diff') {
+        if (positional.length < 3) {
+          throw new Error('Usage: history diff <a> <b> [--type geekbot|weekly]');
+        }
+        const before = reportHistory.findReport(getHistoryDir(), positional[1], historyType);
+        if (!before) {
+          throw new Error(`No archived report matches "${positional[1]}"`);
+        }
+        const after = reportHistory.findReport(getHistoryDir(), positional[2], historyType || before.reportType);
+        if (!after) {
+          throw new Error(`No archived ${before.reportType} report matches "${positional[2]}"`);
+        }
+        const diff = reportHistory.diffReports(before, after);
+        if (flags.format === 'json') {
+          console.log(JSON.stringify(diff, null, 2));
+        } else {
+          console.log(reportHistory.formatDiff(diff, formatTime));
+        }
+      } else {
+        console.error(`❌ Unknown history action: ${historyAction} (expected list, show or diff)`);
+        process.exitCode = 1;
+      }
+      break;
+      
+    case 'store':
+      const storeAction = positional[0] || 'stats';
+      const storePath = entryStore.getStorePath(getReporter().dataDir);
+      if (storeAction === 'rebuild') {
+        const { store: rebuilt, totals } = entryStore.rebuildStore(getReporter().dataDir, getReporter().projects);
+        ensureDirectoryExists(getReporter().dataDir);
+        entryStore.saveStore(storePath, rebuilt);
+        console.log(`🗄️  Rebuilt entry store from ${totals.snapshots} snapshot(s)`);
+        console.log(`   ${Object.keys(rebuilt.entries).length} entries, ${Object.keys(rebuilt.deleted).length} deleted`);
+      } else if (storeAction === 'stats') {
+        const stats = entryStore.getStats(loadEntryStore(getReporter().dataDir, getReporter().projects, totals => {
+          console.log(`🗄️  Ingested ${totals.snapshots} snapshot(s): ${totals.added} added, ${totals.updated} updated, ${totals.deleted} deleted`);
+        }));
+        console.log('🗄️  Entry Store:');
+        console.log(`  Path:      ${storePath}`);
+        console.log(`  Entries:   ${stats.entries}`);
+        console.log(`  Deleted:   ${stats.deleted}`);
+        console.log(`  Snapshots: ${stats.snapshots}`);
+        console.log(`  Dates:     ${stats.firstDate || '-'} → ${stats.lastDate || '-'}`);
+        console.log(`  Updated:   ${stats.updatedAt || 'never'}`);
+        Object.keys(stats.projects).sort().forEach(project => {
+          const counts = stats.projects[project];
+          console.log(`  ${project}: ${counts.entries} entries, ${counts.deleted} deleted`);
+        });
+      } else {
+        console.error(`❌ Unknown store action: ${storeAction} (expected stats or rebuild)`);
+        process.exitCode = 1;
+      }
       break;
       
+    case 'raw-geekbot':
     case 'clean-geekbot':
-      const days = args[1] ? parseInt(args[1]) : 1;
-      const excludeInternal = args[2] === 'exclude-internal';
-      const cleanGeekbot = generateRawDataForLLM(days, 'geekbot', true, excludeInternal);
-      console.log(cleanGeekbot || 'No entries found');
+    case 'raw-weekly':
+    case 'clean-weekly':
+      const dataTeam = team.resolveTeam(flags, process.env);
+      const dataFormat = flags.format || 'text';
+      if (!exportFormats.FORMATS.includes(dataFormat)) {
+        console.error(`❌ Unknown format: ${dataFormat} (expected ${exportFormats.FORMATS.join(', ')})`);
+        process.exitCode = 1;
+        break;
+      }
+      const isGeekbot = command.endsWith('geekbot');
+      printReportData(dataFormat, {
+        days: parseWindowArgs(flags, positional.find(arg => arg !== 'exclude-internal'), isGeekbot ? 1 : 7, isGeekbot ? 'geekbot' : 'weekly'),
+        reportType: isGeekbot ? 'geekbot' : 'weekly',
+        excludeInternal: isGeekbot && positional.includes('exclude-internal'),
+        clean: command.startsWith('clean-'),
+        title: isGeekbot ? '📋 Raw Geekbot Data:' : '📋 Raw Weekly Data:',
+        userIds: dataTeam ? dataTeam.userIds : null
+      });
+      break;
+      
+    case 'templates':
+      const templatesAction = positional[0] || 'list';
+      
+      if (templatesAction === 'list') {
+        const [userTemplateDir] = getReporter().getTemplateDirs();
+        const selection = reportTemplates.loadTemplateSelection(userTemplateDir);
+        const selected = ['geekbot', 'weekly', 'client-report'].map(type => reportTemplates.selectTemplateName(type, getReporter().userId, selection));
+        console.log(`📝 Report templates (${userTemplateDir}, then built-in):`);
+        reportTemplates.listTemplates(getReporter().getTemplateDirs()).forEach(listed => {
+          const marks = [listed.builtIn ? 'built-in' : 'custom'];
+          if (selected.includes(listed.name)) marks.push('selected');
+          console.log(`  ${listed.name.padEnd(20)} ${(listed.meta.reportType || '-').padEnd(13)} ${listed.meta.description || ''} [${marks.join(', ')}]`);
+        });
+      } else if (templatesAction === 'render') {
+        const renderName = positional[1] || 'weekly';
+        const renderTemplate = reportTemplates.loadTemplate(
+          ['geekbot', 'weekly'].includes(renderName) ? getReporter().getReportTemplate(renderName, flags.template).name : renderName,
+          getReporter().getTemplateDirs()
+        );
+        const renderType = renderTemplate.meta.reportType || (renderName === 'geekbot' ? 'geekbot' : 'weekly');
+        if (renderType === 'client-report') {
+          throw new Error(`${renderTemplate.name} is a client report template: use client-report <client> --template ${renderTemplate.name}`);
+        }
+        const renderArgs = positional.slice(2);
+        const renderExcludeInternal = renderArgs.includes('exclude-internal');
+        
+        if (flags.skeleton) {
+          console.log(generateReportTemplate(renderType, {
+            loaded: renderTemplate,
+            excludeInternal: renderExcludeInternal,
+            statuses: renderType === 'weekly' ? getReporter().generateStatusReport(7).statuses : null
+          }));
+        } else {
+          const renderDays = parseWindowArgs(flags, renderArgs.find(arg => arg !== 'exclude-internal'), renderType === 'weekly' ? 7 : 1, renderType);
+          const renderTeam = team.resolveTeam(flags, process.env);
+          const renderUserIds = renderTeam ? renderTeam.userIds : null;
+          const renderSections = getReporter().collectReportSections(renderDays, renderType, renderExcludeInternal, renderUserIds);
+          const renderStatuses = renderType === 'weekly' ? getReporter().generateStatusReport(renderDays, renderUserIds).statuses : null;
+          console.log(reportTemplates.renderTemplate(renderTemplate, getReporter().buildTemplateContext(renderSections, renderDays, renderType, renderStatuses)));
+        }
+      } else {
+        console.error(`❌ Unknown templates action: ${templatesAction} (expected list or render)`);
+        process.exitCode = 1;
+      }
       break;
       
+    case 'redact':
+      const redactAction = positional[0];
+      const redactType = positional[1] === 'weekly' ? 'weekly' : 'geekbot';
+      if (redactAction !== 'preview') {
+        console.error('❌ Usage: redact preview [geekbot|weekly] [days] [exclude-internal]');
+        process.exitCode = 1;
+        break;
+      }
+      const redactArgs = positional.slice(['geekbot', 'weekly'].includes(positional[1]) ? 2 : 1);
+      const redactTeam = team.resolveTeam(flags, process.env);
+      printRedactionPreview(redactType, {
+        days: parseWindowArgs(flags, redactArgs.find(arg => arg !== 'exclude-internal'), undefined, redactType),
+        excludeInternal: redactArgs.includes('exclude-internal'),
+        userIds: redactTeam ? redactTeam.userIds : null,
+        template: flags.template
+      });
+      break;
+
+    case 'serve':
+      const serveHost = flags.host || getLoadedConfig().values.server.host;
+      const servePort = flags.port !== undefined ? parseInt(flags.port) : getLoadedConfig().values.server.port;
+      if (isNaN(servePort)) {
+        throw new Error(`Invalid --port "${flags.port}"`);
+      }
+      if (!dashboardServer.isLoopback(serveHost)) {
+        console.warn(`⚠️  Listening on ${serveHost}: anyone who can reach this address can read your time entries`);
+      }
+      const server = await startDashboard({ host: serveHost, port: servePort });
+      const { port: listeningPort } = server.address();
+      console.log(`📊 Dashboard on http://${serveHost.includes(':') ? `[${serveHost}]` : serveHost}:${listeningPort}/ (read-only, Ctrl+C to stop)`);
+      break;
+
+    case 'schedule':
+      const scheduleAction = positional[0] || 'run';
+      const schedule = getSchedule();
+      if (scheduleAction === 'status') {
+        const scheduleLog = scheduler.loadRunLog(scheduler.getLogPath(getReporter().dataDir));
+        const scheduleNow = getReporter().now();
+        const scheduleState = {
+          date: calendar.toLocalDate(scheduleNow, getReporter().timezone),
+          time: calendar.toLocalTime(scheduleNow, getReporter().timezone),
+          timestamp: scheduleNow.getTime(),
+          calendar: getReporter().getCalendar()
+        };
+        if (flags.format === 'json') {
+          console.log(JSON.stringify({
+            source: schedule.source,
+            jobs: schedule.jobs.map(job => ({ ...job, next: scheduler.nextRun(job, schedule, scheduleLog, scheduleState) })),
+            log: scheduleLog
+          }, null, 2));
+        } else {
+          console.log(scheduler.formatScheduleStatus(schedule, scheduleLog, scheduleState, parseInt(flags.limit) || 10));
+        }
+      } else if (scheduleAction === 'run') {
+        checkScheduleDelivery(schedule);
+        const lockFile = scheduler.getLockPath(getReporter().dataDir);
+        scheduler.acquireLock(lockFile);
+        const jobScheduler = createJobScheduler(schedule);
+        if (flags.once) {
+          try {
+            const runs = await jobScheduler.tick();
+            if (runs.length === 0) console.log('⏰ Nothing due');
+            if (runs.some(run => run.status === 'failed')) process.exitCode = 1;
+          } finally {
+            scheduler.releaseLock(lockFile);
+          }
+          break;
+        }
+        const shutdown = () => {
+          jobScheduler.stop();
+          scheduler.releaseLock(lockFile);
+          console.log('👋 Scheduler stopped');
+          process.exit(0);
+        };
+        process.once('SIGINT', shutdown);
+        process.once('SIGTERM', shutdown);
+        console.log(`⏰ Scheduler started with ${schedule.jobs.map(job => `${job.name} at ${job.at}`).join(', ')} (${schedule.source}, Ctrl+C to stop)`);
+        await jobScheduler.start();
+      } else {
+        console.error(`❌ Unknown schedule action: ${scheduleAction} (expected run or status)`);
+        process.exitCode = 1;
+      }
+      break;
+      
+    case 'config':
+      const configAction = positional[0] || 'show';
+      if (configAction === 'show') {
+        if (flags.format === 'json') {
+          console.log(JSON.stringify({ file: getLoadedConfig().file, settings: appConfig.describeConfig(getLoadedConfig()), problems: getLoadedConfig().problems }, null, 2));
+        } else {
+          printConfig();
+        }
+      } else if (configAction === 'shell') {
+        console.log(appConfig.toShellExports(getLoadedConfig()));
+      } else if (configAction === 'schema') {
+        console.log(JSON.stringify(appConfig.toJsonSchema(), null, 2));
+      } else {
+        console.error('❌ Usage: config show|shell|schema');
+        process.exitCode = 1;
+      }
+      break;
+
+    case 'doctor':
+      const doctorReport = await runSetupChecks();
+      if (flags.format === 'json') {
+        console.log(JSON.stringify(doctorReport, null, 2));
+      } else {
+        console.log(doctor.formatDoctorReport(doctorReport));
+      }
+      if (doctorReport.errors > 0) {
+        process.exitCode = 1;
+      }
+      break;
+
+    case 'init':
+      const prompter = setupWizard.createPrompter();
+      try {
+        const initResult = await setupWizard.runInit({
+          loaded: getLoadedConfig(),
+          prompter,
+          file: getLoadedConfig().file || path.resolve(appConfig.CONFIG_FILE_NAME),
+          createClient: ({ token, baseUrl }) => createNokoClient({ token, baseUrl, maxRetries: 0, timeoutMs: 10000 })
+        });
+        if (!initResult) {
+          process.exitCode = 1;
+        } else {
+          console.log('\n🩺 Next: node scripts/generate-reports.js doctor');
+        }
+      } finally {
+        prompter.close();
+      }
+      break;
+
     case 'report-template':
-      const template = generateReportTemplate();
+      const templateType = positional[0] === 'geekbot' ? 'geekbot' : 'weekly';
+      const template = generateReportTemplate(templateType, {
+        template: flags.template,
+        statuses: templateType === 'weekly' ? getReporter().generateStatusReport(7).statuses : null
+      });
       console.log('📋 Dynamic Report Template:');
       console.log('=' .repeat(60));
       console.log(template);
@@ -553,12 +1645,12 @@ function main() {
       break;
       
     case 'report-categories':
-      const categories = getReportCategories();
+      const categories = getReporter().getReportCategories();
       console.log('📊 Configured Report Categories:');
       console.log(categories.join(', '));
-      if (CONFIG.projectMappings.hasCustomMappings) {
+      if (getReporter().projectMappings.hasCustomMappings) {
         console.log('\n📋 Project Mappings:');
-        Object.entries(CONFIG.projectMappings.projectToCategory).forEach(([project, category]) => {
+        Object.entries(getReporter().projectMappings.projectToCategory).forEach(([project, category]) => {
           console.log(`  ${project} → ${category}`);
         });
       }
@@ -572,35 +1664,121 @@ function main() {
   node generate-reports.js <command> [options]
 
 Commands:
+  fetch [project|both] [days] [--full]     Fetch Noko entries via the API (incremental from last sync)
   raw-geekbot [days] [exclude-internal]    Generate raw data for LLM processing (Geekbot, default: 1 day)
-  raw-weekly                               Generate raw data for LLM processing (Weekly, 7 days)
+  raw-weekly [days]                        Generate raw data for LLM processing (Weekly, default: 7 days)
   clean-geekbot [days] [exclude-internal]  Generate clean data for LLM (Geekbot, no headers)
-  clean-weekly                             Generate clean data for LLM (Weekly, no headers)
-  report-template                          Generate dynamic report template for weekly reports
+  clean-weekly [days]                      Generate clean data for LLM (Weekly, no headers)
+                                           raw-*/clean-* accept --format json|csv|ndjson|text
+  report-template [geekbot|weekly]         Show the report format given to the LLM (default: weekly)
   report-categories                        Show configured report categories and project mappings
+  generate geekbot [days] [exclude-internal] Generate a finished Geekbot update via the LLM provider chain
+  generate weekly [days]                   Generate the Office Hour and Weekly Update reports
+  team [days] [--group name|--users ids]   Per-person sections, client rollup and missing updates (default: 7 days)
+  hours [days] [--mine] [--format json]    Hours by category, project, tag, work type, user and day, plus retainer burn
+  status [days] [--format json]            Green/yellow/red status per category with reasons (default: 7 days)
+  tickets [days] [--mine] [--format json]  Tickets and PRs worked on, with time, days and people (default: 7 days)
+  lint [days] [--strict] [--format json]   Check entries for data-quality problems; exits 1 on errors
+                                           (--strict: also on warnings)
+  gaps [days] [--format json]              Days with commits in PROJECT_REPOS but no time logged, with draft
+                                           descriptions from the commit messages (default: 7 days, offline)
+  client-report <client> [--period month|quarter|custom] [--format markdown|html|json] [--output <file>]
+                                           Client summary: weekly accomplishments, hours by person and tag, themes
+                                           (month/quarter: last complete one; custom: --from/--to; default: month)
+  explain [days]                           Show the classification rule applied to each entry
+  memory update [days] [--report <file>|-] Write accepted weekly accomplishments to the memory banks
+  deliver geekbot|weekly --report <file>|- Send a finished report to its delivery targets
+  templates list                           List report templates and which are selected
+  templates render [name|type] [days]      Render a template against local data (no LLM)
+                                           --skeleton renders the format given to the LLM instead
+  history list [--type geekbot|weekly]     List archived reports
+  history show [date|id|latest] [--raw]    Show an archived report (or its input data with --raw)
+  history diff <a> <b>                     Compare categories, hours and accomplishments of two reports
+  redact preview [geekbot|weekly] [days]   Show exactly what would be sent to the LLM, after redaction
+  store stats                              Show entry store statistics
+  store rebuild                            Rebuild the entry store from snapshot files
+  serve [--port 8787] [--host 127.0.0.1]   Local read-only dashboard and JSON API over the categorized entries
+  schedule [run] [--once]                  Run the scheduled fetch/generate/deliver jobs and timesheet reminder
+                                           until stopped (--once: run what is due now and exit)
+  schedule status [--format json]          Show jobs, next runs and the run log
+  init                                     Interactive setup: pick Noko projects and team, write noko-report.json
+  doctor [--format json]                   Check config, paths, project ids, mappings, LLM providers and the Noko API
+  config show [--format json]              Show every setting and where it comes from (secrets masked)
+  config shell                             Print the settings as shell exports (used by the shell scripts)
+  config schema                            Print the JSON Schema of noko-report.json
   help                                     Show this help message
 
+Date windows (every command that takes [days]):
+  [days]               Days back from today, or a period name instead of a number
+  --from <date>        Start date (YYYY-MM-DD), with --to <date> (default: today)
+  --period <name>      today, yesterday, this-week, last-week, this-month, last-month, this-quarter,
+                       last-quarter, since-last-report
+  --since-last-report  From your last archived report (or previous working day) to today
+                       Dates use REPORT_TIMEZONE (default: system timezone)
+
 Options:
   exclude-internal     Exclude Internal activities from geekbot reports
                        (useful for part-time CS/LSM users)
+  --full               Ignore sync state and fetch the full [days] window
+  --format <format>    Output format for raw-*/clean-* commands: text (default), json, csv, ndjson
+  --team               Cover TEAM_USER_IDS instead of NOKO_USER_ID (raw-*, clean-*, generate, team)
+  --group <name>       Cover the users in TEAM_GROUP_<NAME>
+  --users <ids>        Cover a comma-separated list of Noko user ids
+  --provider <names>   LLM providers to try in order (anthropic, claude-cli, gemini-cli, stub)
+  --template <name>    Report template to use instead of the templates.json selection
+  --no-llm             Summarize with the offline summarizer instead of an LLM (generate)
+  --deliver            Send the generated report to its delivery targets (generate)
+  --dry-run            Show what each delivery target would receive without sending
+  --yes                Deliver without asking for confirmation
+  --target <names>     Deliver only to these targets (each part to the ones routed for it)
 
 Examples:
+  node generate-reports.js fetch both 7
   node generate-reports.js raw-geekbot 1
   node generate-reports.js clean-geekbot 2 exclude-internal
   node generate-reports.js clean-weekly
   node generate-reports.js report-template
   node generate-reports.js report-categories
+  node generate-reports.js explain 7
+  node generate-reports.js generate geekbot 2 --provider stub
+  node generate-reports.js generate weekly --no-llm
+  node generate-reports.js clean-weekly --format csv > week.csv
+  node generate-reports.js generate weekly --team
+  node generate-reports.js team 7 --group lsm
+  node generate-reports.js generate geekbot --since-last-report
+  node generate-reports.js hours --from 2025-01-01 --to 2025-01-31
+  node generate-reports.js generate weekly --deliver --dry-run
+  node generate-reports.js deliver geekbot --report update.md --yes
+  node generate-reports.js templates render hours-summary --period last-week
+  node generate-reports.js history diff 2025-01-24 2025-01-31 --type weekly
+  node generate-reports.js redact preview weekly
+  node generate-reports.js tickets --period last-week --mine
+  node generate-reports.js lint this-week --strict
+  node generate-reports.js gaps --period last-week
+  node generate-reports.js client-report MJFF --period quarter --format html --output mjff-q3.html
+  node generate-reports.js doctor
+  node generate-reports.js serve --port 9000
+  node generate-reports.js schedule status
+  NOKO_API_URL=http://localhost:8080/v2 node generate-reports.js doctor
       `);
       break;
   }
 }
 
 if (require.main === module) {
-  main();
+  main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
 }
 
+// The library API is reporter.js; these use the configuration from .env
+// and noko-report.json
 module.exports = {
+  createReporter,
+  getReporter,
+  fetchNokoData,
   generateRawDataForLLM,
-  getReportCategories,
+  getReportCategories: () => getReporter().getReportCategories(),
   generateReportTemplate
 }; 
\ No newline at end of file
@@ -0,0 +1,207 @@
+/**
+ * Local git activity and missing time entries
+ *
+ * Small fixes often go unlogged. The `gaps` command reads your commits from
+ * local git repositories, configured per project like the project mappings
+ * (projectRepos in noko-report.json, or PROJECT_REPOS):
+ *
+ *   PROJECT_REPOS=DH:~/code/dh-site,DH:~/code/dh-theme,GovHub:~/code/govhub
+ *
+ * and lists the days where a project has commits but no time logged to its
+ * report section, with a draft entry description built from the commit
+ * messages. Only `git log` is run, so it works offline.
+ *
+ * Commits are yours when their author email is one of git.authors
+ * (GIT_AUTHOR_EMAILS), or else the repository's user.email. Commit dates
+ * are converted to REPORT_TIMEZONE, like entry dates.
+ */
+
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const calendar = require('./calendar');
+const offlineSummarizer = require('./offline-summarizer');
+
+const FIELD_SEPARATOR = '\x1f';
+const MAX_DRAFT_ITEMS = 4;
+// "fix: …", "feat(search): …", "chore!: …"
+const CONVENTIONAL_PREFIX = /^(\w+)(\([^)]*\))?!?:\s*/;
+
+function runGit(repo, args, exec = execFileSync) {
+  return exec('git', ['-C', repo, ...args], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+/**
+ * Expand ~ and resolve a repository path
+ */
+function resolveRepoPath(repo, cwd = process.cwd()) {
+  const expanded = repo === '~' || repo.startsWith('~/') ? path.join(os.homedir(), repo.slice(1)) : repo;
+  return path.resolve(cwd, expanded);
+}
+
+/**
+ * The repository's user.email, or null when none is configured
+ */
+function getRepoAuthor(repo, exec = execFileSync) {
+  try {
+    return runGit(repo, ['config', 'user.email'], exec).trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Your commits in a repository within a window
+ *
+ * Merge commits are skipped; every branch is read, so work on feature
+ * branches counts.
+ *
+ * @param {string} repo - Repository path
+ * @param {Object} options - { from, to: 'YYYY-MM-DD', authors: emails,
+ *   timeZone, exec (execFileSync, for tests) }
+ * @returns {Array} [{ hash, date, time, author, subject, repo }], oldest first
+ * @throws {Error} When the repository cannot be read
+ */
+function readCommits(repo, options) {
+  const authors = options.authors.map(author => author.toLowerCase());
+  let output;
+  try {
+    output = runGit(repo, [
+      'log', '--all', '--no-merges',
+      // One day of slack on each side: git compares in the system timezone
+      `--since=${calendar.addDays(options.from, -1)}T00:00:00`,
+      `--until=${calendar.addDays(options.to, 1)}T23:59:59`,
+      `--format=%H${FIELD_SEPARATOR}%aI${FIELD_SEPARATOR}%ae${FIELD_SEPARATOR}%s`
+    ], options.exec);
+  } catch (error) {
+    throw new Error(`Could not read git log in ${repo}: ${(error.stderr || error.message).toString().trim().split('\n')[0]}`);
+  }
+
+  return output.split('\n').filter(Boolean)
+    .map(line => {
+      const [hash, authored, author, subject] = line.split(FIELD_SEPARATOR);
+      const instant = new Date(authored);
+      return {
+        hash,
+        date: calendar.toLocalDate(instant, options.timeZone),
+        time: calendar.toLocalTime(instant, options.timeZone),
+        author,
+        subject: subject || '',
+        repo: path.basename(repo)
+      };
+    })
+    .filter(commit => commit.date >= options.from && commit.date <= options.to &&
+      authors.includes(commit.author.toLowerCase()))
+    .sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+}
+
+/**
+ * Draft a Noko entry description from commit subjects
+ *
+ * Conventional-commit prefixes are dropped and near-duplicate subjects
+ * merged; at most MAX_DRAFT_ITEMS are kept.
+ *
+ * @returns {string} e.g. "Fix SSO redirect; Update composer dependencies (+2 more)"
+ */
+function draftDescription(subjects) {
+  const items = offlineSummarizer.summarizeEntries(subjects.map(subject => ({
+    description: subject.replace(CONVENTIONAL_PREFIX, '')
+  }))).map(group => group.text);
+  const shown = items.slice(0, MAX_DRAFT_ITEMS).join('; ');
+  return items.length > MAX_DRAFT_ITEMS ? `${shown} (+${items.length - MAX_DRAFT_ITEMS} more)` : shown;
+}
+
+/**
+ * Days and projects with commits but no logged time
+ *
+ * @param {Array} projectCommits - [{ project, section, commits }]: commits
+ *   per configured project, section being its report section
+ * @param {Array} entries - Your entries in the window
+ * @param {Function} sectionOf - entry → report section (classifyEntry key)
+ * @returns {Array} [{ date, project, section, commits, first, last, draft,
+ *   logged: [{ section, minutes }] }], by date then project
+ */
+function findGaps(projectCommits, entries, sectionOf) {
+  const loggedByDay = {};
+  entries.forEach(entry => {
+    const section = sectionOf(entry);
+    if (!section) return;
+    const day = loggedByDay[entry.date] = loggedByDay[entry.date] || {};
+    day[section] = (day[section] || 0) + entry.minutes;
+  });
+
+  const gaps = [];
+  projectCommits.forEach(({ project, section, commits }) => {
+    const byDate = {};
+    commits.forEach(commit => {
+      (byDate[commit.date] = byDate[commit.date] || []).push(commit);
+    });
+
+    Object.entries(byDate).forEach(([date, dayCommits]) => {
+      const logged = loggedByDay[date] || {};
+      const hasTime = Object.keys(logged).some(name => name.toLowerCase() === section.toLowerCase());
+      if (hasTime) return;
+      gaps.push({
+        date,
+        project,
+        section,
+        commits: dayCommits,
+        first: dayCommits[0].time,
+        last: dayCommits[dayCommits.length - 1].time,
+        draft: draftDescription(dayCommits.map(commit => commit.subject)),
+        logged: Object.entries(logged).map(([name, minutes]) => ({ section: name, minutes }))
+      });
+    });
+  });
+
+  return gaps.sort((a, b) => a.date.localeCompare(b.date) || a.project.localeCompare(b.project));
+}
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Render a gap report as text
+ *
+ * @param {Object} report - generateGapReport() result (see reporter.js)
+ * @param {Function} formatTime - minutes → display string
+ */
+function formatGaps(report, formatTime) {
+  const lines = [`🕳️  Commits without logged time (${report.from} → ${report.to}, ${report.scope}):`];
+
+  report.repos.filter(repo => repo.error).forEach(repo => {
+    lines.push(`⚠️  ${repo.project}: ${repo.error}`);
+  });
+  if (report.repos.length === 0) {
+    lines.push('', 'No repositories configured: set projectRepos in noko-report.json or PROJECT_REPOS (e.g. DH:~/code/dh-site)');
+    return lines.join('\n');
+  }
+
+  report.gaps.forEach(gap => {
+    const logged = gap.logged.length > 0
+      ? `logged: ${gap.logged.map(item => `${item.section} ${formatTime(item.minutes)}`).join(', ')}`
+      : 'nothing logged';
+    const section = gap.section !== gap.project ? ` (${gap.section})` : '';
+    const span = gap.first === gap.last ? gap.first : `${gap.first}–${gap.last}`;
+    lines.push('', `${gap.date}  ${gap.project}${section}: ${plural(gap.commits.length, 'commit')} ${span}, ${logged}`);
+    lines.push(`  Draft: ${gap.draft}`);
+    gap.commits.forEach(commit => {
+      lines.push(`  - ${commit.hash.slice(0, 7)} ${commit.time} ${commit.subject} (${commit.repo})`);
+    });
+  });
+
+  const scanned = report.repos.filter(repo => !repo.error).length;
+  const source = `${plural(report.commitCount, 'commit')} in ${scanned} repositor${scanned === 1 ? 'y' : 'ies'}`;
+  lines.push('', report.gaps.length > 0
+    ? `${plural(report.gaps.length, 'day')} with commits but no time, from ${source}`
+    : `✅ Every day with commits has time logged (${source})`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  resolveRepoPath,
+  getRepoAuthor,
+  readCommits,
+  draftDescription,
+  findGaps,
+  formatGaps
+};
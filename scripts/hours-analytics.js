@@ -0,0 +1,222 @@
+/**
+ * Hours analytics and retainer budget burn
+ *
+ * Pure aggregation over Noko entries: the caller decides the window and
+ * how entries map to report sections (see classifyEntry in reporter.js).
+ *
+ * Retainers are configured in a JSON file (RETAINERS_FILE, or
+ * DATA_DIR/retainers.json):
+ *
+ * {
+ *   "retainers": [
+ *     { "name": "MJFF", "section": "MJFF", "monthlyHours": 40 },
+ *     { "name": "GovHub", "projectId": [701450], "monthlyHours": 20,
+ *       "underuseThreshold": 0.8, "overuseThreshold": 1.0 }
+ *   ]
+ * }
+ *
+ * A retainer matches entries by Noko project id(s) or by report section.
+ */
+
+const fs = require('fs');
+const { UNTYPED } = require('./work-types');
+
+const DEFAULT_UNDERUSE_THRESHOLD = 0.8;
+const DEFAULT_OVERUSE_THRESHOLD = 1.0;
+
+function emptyBucket() {
+  return { minutes: 0, billableMinutes: 0, unbillableMinutes: 0, entries: 0 };
+}
+
+function addToBucket(buckets, key, entry) {
+  if (!buckets[key]) {
+    buckets[key] = emptyBucket();
+  }
+  const bucket = buckets[key];
+  bucket.minutes += entry.minutes;
+  bucket.entries++;
+  if (entry.billable) {
+    bucket.billableMinutes += entry.minutes;
+  } else {
+    bucket.unbillableMinutes += entry.minutes;
+  }
+}
+
+/**
+ * Total entry time by section, project, tag, work type, user and day
+ *
+ * Entries with several tags count towards each tag; untagged entries are
+ * grouped under "(untagged)". Each entry has one work type (see
+ * work-types.js), and entries without one are grouped under "(untyped)".
+ *
+ * @param {Array} entries - Noko entries
+ * @param {Function} sectionOf - entry → report section name
+ * @param {Function} [workTypeOf] - entry → work type name or null; without
+ *   it byWorkType stays empty
+ * @returns {Object} { total, byCategory, byProject, byTag, byWorkType, byUser, byDay }
+ */
+function summarizeHours(entries, sectionOf, workTypeOf = null) {
+  const summary = {
+    total: emptyBucket(),
+    byCategory: {},
+    byProject: {},
+    byTag: {},
+    byWorkType: {},
+    byUser: {},
+    byDay: {}
+  };
+
+  entries.forEach(entry => {
+    addToBucket(summary, 'total', entry);
+    addToBucket(summary.byCategory, sectionOf(entry), entry);
+    addToBucket(summary.byProject, entry.project?.name || 'No project', entry);
+    addToBucket(summary.byUser, `${entry.user.first_name} ${entry.user.last_name}`.trim(), entry);
+    addToBucket(summary.byDay, entry.date, entry);
+
+    const tags = (entry.tags || []).map(tag => tag.name);
+    (tags.length > 0 ? tags : ['(untagged)']).forEach(tag => addToBucket(summary.byTag, tag, entry));
+    if (workTypeOf) {
+      addToBucket(summary.byWorkType, workTypeOf(entry) || UNTYPED, entry);
+    }
+  });
+
+  return summary;
+}
+
+/**
+ * Load retainer allotments
+ *
+ * @returns {Array} Retainer definitions, [] when the file does not exist
+ * @throws {Error} When the file exists but is invalid
+ */
+function loadRetainers(filepath) {
+  if (!filepath || !fs.existsSync(filepath)) {
+    return [];
+  }
+
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read retainers ${filepath}: ${error.message}`);
+  }
+
+  const retainers = Array.isArray(document) ? document : document.retainers;
+  if (!Array.isArray(retainers)) {
+    throw new Error(`${filepath}: expected a "retainers" array`);
+  }
+
+  retainers.forEach((retainer, index) => {
+    const label = `${filepath}: retainer ${index + 1}${retainer.name ? ` (${retainer.name})` : ''}`;
+    if (!(retainer.monthlyHours > 0)) {
+      throw new Error(`${label}: "monthlyHours" must be a positive number`);
+    }
+    if (retainer.projectId === undefined && !retainer.section) {
+      throw new Error(`${label}: needs "projectId" or "section" to match entries`);
+    }
+  });
+
+  return retainers;
+}
+
+function isWorkingDay(dateStr) {
+  const day = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+  return day !== 0 && day !== 6;
+}
+
+/**
+ * Count working days (Mon–Fri by default) between two dates, inclusive
+ *
+ * @param {Function} [isWorkingDayFn] - Override for holiday-aware calendars
+ */
+function countWorkingDays(from, to, isWorkingDayFn = isWorkingDay) {
+  let count = 0;
+  const date = new Date(`${from}T00:00:00Z`);
+  const end = new Date(`${to}T00:00:00Z`);
+
+  while (date <= end) {
+    if (isWorkingDayFn(date.toISOString().split('T')[0])) count++;
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return count;
+}
+
+function getMonthBounds(today) {
+  const [year, month] = today.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const prefix = today.slice(0, 7);
+  return { start: `${prefix}-01`, end: `${prefix}-${String(lastDay).padStart(2, '0')}` };
+}
+
+/**
+ * Whether an entry counts towards a retainer (by project id or section)
+ */
+function retainerMatches(retainer, entry, sectionOf) {
+  if (retainer.projectId !== undefined) {
+    const ids = (Array.isArray(retainer.projectId) ? retainer.projectId : [retainer.projectId]).map(String);
+    return ids.includes(String(entry.project?.id));
+  }
+  return sectionOf(entry) === retainer.section;
+}
+
+/**
+ * Month-to-date burn and month-end projection for each retainer
+ *
+ * Projection scales month-to-date hours by working days:
+ *   projected = used / elapsedWorkingDays * totalWorkingDays
+ *
+ * @param {Array} entries - Entries covering at least the month to date
+ * @param {Array} retainers - Result of loadRetainers()
+ * @param {Object} options - { today: 'YYYY-MM-DD', sectionOf, isWorkingDay }
+ * @returns {Array} [{ name, monthlyHours, usedHours, projectedHours, percentUsed, status, warning }]
+ */
+function computeRetainerBurn(entries, retainers, options) {
+  const { today, sectionOf } = options;
+  const workingDayFn = options.isWorkingDay || isWorkingDay;
+  const { start, end } = getMonthBounds(today);
+  const elapsed = countWorkingDays(start, today, workingDayFn);
+  const total = countWorkingDays(start, end, workingDayFn);
+  const monthEntries = entries.filter(entry => entry.date >= start && entry.date <= today);
+
+  return retainers.map(retainer => {
+    const usedMinutes = monthEntries
+      .filter(entry => retainerMatches(retainer, entry, sectionOf))
+      .reduce((sum, entry) => sum + entry.minutes, 0);
+
+    const usedHours = usedMinutes / 60;
+    const projectedHours = elapsed > 0 ? usedHours / elapsed * total : usedHours;
+    const underuse = retainer.underuseThreshold !== undefined ? retainer.underuseThreshold : DEFAULT_UNDERUSE_THRESHOLD;
+    const overuse = retainer.overuseThreshold !== undefined ? retainer.overuseThreshold : DEFAULT_OVERUSE_THRESHOLD;
+
+    let status = 'on-track';
+    let warning = null;
+    if (projectedHours > retainer.monthlyHours * overuse) {
+      status = 'over';
+      warning = `projected ${projectedHours.toFixed(1)}h exceeds ${retainer.monthlyHours}h allotment`;
+    } else if (projectedHours < retainer.monthlyHours * underuse) {
+      status = 'under';
+      warning = `projected ${projectedHours.toFixed(1)}h is below ${Math.round(underuse * 100)}% of ${retainer.monthlyHours}h allotment`;
+    }
+
+    return {
+      name: retainer.name || retainer.section || String(retainer.projectId),
+      monthlyHours: retainer.monthlyHours,
+      usedHours,
+      projectedHours,
+      percentUsed: usedHours / retainer.monthlyHours * 100,
+      remainingHours: retainer.monthlyHours - usedHours,
+      workingDays: { elapsed, total },
+      status,
+      warning
+    };
+  });
+}
+
+module.exports = {
+  summarizeHours,
+  loadRetainers,
+  countWorkingDays,
+  getMonthBounds,
+  retainerMatches,
+  computeRetainerBurn
+};
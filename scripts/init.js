@@ -0,0 +1,228 @@
+/**
+ * Interactive setup for the `init` command
+ *
+ * Asks for the Noko API token, then lists the Noko projects and users the
+ * token can see for selection, and writes the answers to the config file
+ * (see config.js). Settings already in the file are kept and offered as
+ * defaults, so `init` can be re-run to change the selection.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const appConfig = require('./config');
+
+/**
+ * Line-based prompter that also works with piped input
+ *
+ * @returns {Object} { ask(question, defaultValue): Promise<string>, close() }
+ */
+function createPrompter(input = process.stdin, output = process.stdout) {
+  const rl = readline.createInterface({ input, terminal: false });
+  const lines = [];
+  let waiting = null;
+  let closed = false;
+
+  rl.on('line', line => {
+    if (waiting) {
+      const resolve = waiting;
+      waiting = null;
+      resolve(line);
+    } else {
+      lines.push(line);
+    }
+  });
+  rl.on('close', () => {
+    closed = true;
+    if (waiting) waiting(null);
+  });
+
+  return {
+    ask(question, defaultValue = '') {
+      output.write(`${question}${defaultValue !== '' ? ` [${defaultValue}]` : ''}: `);
+      return new Promise(resolve => {
+        const answer = value => {
+          if (value === null) output.write('\n');
+          resolve(value === null || value.trim() === '' ? String(defaultValue) : value.trim());
+        };
+        if (lines.length > 0) answer(lines.shift());
+        else if (closed) answer(null);
+        else waiting = answer;
+      });
+    },
+    close() {
+      rl.close();
+    }
+  };
+}
+
+/**
+ * Parse a selection like "1,3-5", "all" or "none" into 0-based indexes
+ *
+ * @returns {Array<number>|null} Indexes, or null when the selection is invalid
+ */
+function parseSelection(text, count) {
+  const value = text.trim().toLowerCase();
+  if (value === 'all') return Array.from({ length: count }, (_, index) => index);
+  if (value === '' || value === 'none') return [];
+
+  const indexes = new Set();
+  for (const part of value.split(',').map(item => item.trim()).filter(Boolean)) {
+    const range = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!range) return null;
+    const from = parseInt(range[1], 10);
+    const to = range[2] ? parseInt(range[2], 10) : from;
+    if (from < 1 || to > count || from > to) return null;
+    for (let number = from; number <= to; number++) indexes.add(number - 1);
+  }
+  return Array.from(indexes).sort((a, b) => a - b);
+}
+
+/**
+ * Default directory name for a Noko project: the first word of its name
+ * without the [LSM] prefix, which report classification matches
+ */
+function defaultProjectName(nokoName) {
+  const words = nokoName.replace(/^\[LSM\]\s*/, '').split(/\s+/);
+  return (words[0] || 'Project').replace(/\W/g, '') || 'Project';
+}
+
+async function askSelection(prompter, question, count, defaultValue) {
+  for (;;) {
+    const answer = await prompter.ask(question, defaultValue);
+    const selection = parseSelection(answer, count);
+    if (selection) return selection;
+    console.log(`   Enter numbers between 1 and ${count}, ranges like 2-4, "all" or "none"`);
+  }
+}
+
+/**
+ * Run the interactive setup
+ *
+ * @param {Object} options
+ * @param {Object} options.loaded - loadConfig() result, for defaults
+ * @param {Function} options.createClient - ({ token, baseUrl }) → Noko client
+ * @param {Object} options.prompter - createPrompter() result
+ * @param {string} options.file - Config file to write
+ * @returns {Promise<Object>} { file, document } or null when cancelled
+ */
+async function runInit(options) {
+  const { loaded, prompter, file } = options;
+  const existing = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  const current = loaded.values;
+
+  console.log('🔧 Noko reporting setup');
+  console.log(`   Writes ${file}; press Enter to keep the value in brackets.\n`);
+
+  const token = await prompter.ask('🔑 Noko API token', current.noko.apiToken || '');
+  if (!token) {
+    console.log('❌ A Noko API token is required (Noko → Account → Integrations & Apps → Personal access tokens)');
+    return null;
+  }
+  const baseUrl = current.noko.apiUrl || undefined;
+  const client = options.createClient({ token, baseUrl });
+
+  let user;
+  try {
+    user = await client.getCurrentUser();
+  } catch (error) {
+    console.log(`❌ Could not reach the Noko API with this token: ${error.message}`);
+    return null;
+  }
+  console.log(`✅ Signed in as ${user.first_name} ${user.last_name} (${user.id})\n`);
+
+  const projects = (await client.getProjects())
+    .filter(project => project.enabled !== false)
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const configuredIds = new Map(Object.entries(current.projects).map(([name, id]) => [String(id), name]));
+
+  console.log('📁 Noko projects:');
+  projects.forEach((project, index) => {
+    const mark = configuredIds.has(String(project.id)) ? ` ← ${configuredIds.get(String(project.id))}` : '';
+    console.log(`  ${String(index + 1).padStart(3)}. ${project.name} (${project.id})${mark}`);
+  });
+  const defaultProjects = projects
+    .map((project, index) => (configuredIds.has(String(project.id)) ? index + 1 : null))
+    .filter(Boolean)
+    .join(',');
+  const selectedProjects = await askSelection(prompter, 'Projects to report on (e.g. 1,3-5)', projects.length, defaultProjects);
+
+  const projectIds = {};
+  for (const index of selectedProjects) {
+    const project = projects[index];
+    let name = await prompter.ask(`   Directory name for "${project.name}"`,
+      configuredIds.get(String(project.id)) || defaultProjectName(project.name));
+    while (!/^\w+$/.test(name)) {
+      console.log('   Use letters, digits and _ only');
+      name = await prompter.ask(`   Directory name for "${project.name}"`, defaultProjectName(project.name));
+    }
+    projectIds[name] = project.id;
+  }
+
+  const users = (await client.getUsers())
+    .filter(candidate => candidate.state !== 'disabled')
+    .sort((a, b) => `${a.first_name} ${a.last_name}`.localeCompare(`${b.first_name} ${b.last_name}`));
+  console.log('\n👥 Noko users:');
+  users.forEach((candidate, index) => {
+    console.log(`  ${String(index + 1).padStart(3)}. ${candidate.first_name} ${candidate.last_name} (${candidate.id})`);
+  });
+  const defaultTeam = users
+    .map((candidate, index) => (current.team.userIds.includes(candidate.id) ? index + 1 : null))
+    .filter(Boolean)
+    .join(',') || 'none';
+  const selectedUsers = await askSelection(prompter, 'Team members for --team (e.g. 2,5, or none)', users.length, defaultTeam);
+
+  let mappings;
+  for (;;) {
+    const currentMappings = Object.entries(current.projectMappings).map(([project, category]) => `${project}:${category}`).join(',');
+    const answer = await prompter.ask('\n🔗 Project mappings (project:category,..., or none)', currentMappings || 'none');
+    const parsed = appConfig.parseMappingString(answer === 'none' ? '' : answer);
+    if (parsed.errors.length === 0) {
+      mappings = parsed.value;
+      break;
+    }
+    console.log(`   ${parsed.errors.join('; ')}`);
+  }
+
+  const dataDir = await prompter.ask('📂 Data directory', current.dataDir);
+
+  const document = {
+    ...existing,
+    noko: { ...(existing.noko || {}), apiToken: token, userId: user.id },
+    projects: projectIds,
+    projectMappings: mappings,
+    team: { ...(existing.team || {}), userIds: selectedUsers.map(index => users[index].id) },
+    dataDir
+  };
+
+  console.log('');
+  const confirm = await prompter.ask(`💾 Write ${file}? (y/n)`, 'y');
+  if (!/^y(es)?$/i.test(confirm)) {
+    console.log('Cancelled, nothing written');
+    return null;
+  }
+
+  if (fs.existsSync(file)) {
+    fs.copyFileSync(file, `${file}.backup`);
+    console.log(`📄 Previous config saved as ${path.basename(file)}.backup`);
+  }
+  fs.writeFileSync(file, JSON.stringify(document, null, 2) + '\n', { mode: 0o600 });
+  console.log(`✅ Wrote ${file}`);
+
+  Object.keys(projectIds).forEach(name => {
+    fs.mkdirSync(path.join(dataDir, name, 'logs'), { recursive: true });
+    fs.mkdirSync(path.join(dataDir, name, 'memory-bank'), { recursive: true });
+  });
+  if (Object.keys(projectIds).length > 0) {
+    console.log(`📁 Created project directories in ${dataDir}: ${Object.keys(projectIds).join(', ')}`);
+  }
+
+  return { file, document };
+}
+
+module.exports = {
+  createPrompter,
+  parseSelection,
+  defaultProjectName,
+  runInit
+};
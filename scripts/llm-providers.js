@@ -0,0 +1,404 @@
+/**
+ * Pluggable LLM providers
+ *
+ * Replaces the `claude -p` / Gemini juggling in the shell scripts with an
+ * ordered fallback chain of providers. Every provider exposes:
+ *
+ *   {
+ *     name: 'claude-cli',
+ *     isAvailable(): boolean,
+ *     generate({ system, prompt, reportType, timeoutMs }): Promise<string>
+ *   }
+ *
+ * Providers:
+ * - anthropic:  Anthropic Messages API (ANTHROPIC_API_KEY, ANTHROPIC_MODEL)
+ * - claude-cli: Claude Code CLI in print mode (CLAUDE_CLI_PATH or `claude` on PATH)
+ * - gemini-cli: Gemini CLI (GEMINI_CLI_PATH or `gemini` on PATH)
+ * - stub:       Deterministic local formatter for offline runs and testing
+ *
+ * Each provider is retried, its output validated against the expected report
+ * structure, and the next provider tried when it fails.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const https = require('https');
+const http = require('http');
+const { spawn } = require('child_process');
+
+const DEFAULT_ANTHROPIC_URL = 'https://api.anthropic.com';
+const DEFAULT_ANTHROPIC_MODEL = 'claude-sonnet-4-20250514';
+
+class LlmProviderError extends Error {
+  constructor(message, provider) {
+    super(message);
+    this.name = 'LlmProviderError';
+    this.provider = provider;
+  }
+}
+
+/**
+ * Find an executable on PATH or at one of the given locations
+ */
+function findExecutable(name, candidates = []) {
+  const pathDirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  const locations = [...candidates, ...pathDirs.map(dir => path.join(dir, name))];
+
+  return locations.find(location => {
+    try {
+      fs.accessSync(location, fs.constants.X_OK);
+      return fs.statSync(location).isFile();
+    } catch (error) {
+      return false;
+    }
+  }) || null;
+}
+
+/**
+ * Run a command with stdin input and a hard timeout
+ *
+ * @returns {Promise<string>} stdout of a successful (exit code 0) run
+ */
+function runCommand(command, args, input, timeoutMs, providerName) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGTERM');
+    }, timeoutMs);
+
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(new LlmProviderError(`${command} could not be started: ${error.message}`, providerName));
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      if (timedOut) {
+        reject(new LlmProviderError(`${command} timed out after ${timeoutMs}ms`, providerName));
+      } else if (code !== 0) {
+        reject(new LlmProviderError(`${command} exited with code ${code}: ${stderr.trim().slice(0, 300)}`, providerName));
+      } else {
+        resolve(stdout);
+      }
+    });
+
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
+
+function createAnthropicProvider(options = {}) {
+  const apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+  const baseUrl = (options.baseUrl || process.env.ANTHROPIC_BASE_URL || DEFAULT_ANTHROPIC_URL).replace(/\/+$/, '');
+  const model = options.model || process.env.ANTHROPIC_MODEL || DEFAULT_ANTHROPIC_MODEL;
+  const maxTokens = options.maxTokens || 2048;
+
+  return {
+    name: 'anthropic',
+
+    isAvailable() {
+      return Boolean(apiKey) && !/your_anthropic_api_key/.test(apiKey);
+    },
+
+    generate({ system, prompt, timeoutMs }) {
+      const url = new URL(`${baseUrl}/v1/messages`);
+      const transport = url.protocol === 'http:' ? http : https;
+      const body = JSON.stringify({
+        model,
+        max_tokens: maxTokens,
+        system,
+        messages: [{ role: 'user', content: prompt }]
+      });
+
+      return new Promise((resolve, reject) => {
+        const req = transport.request(url, {
+          method: 'POST',
+          headers: {
+            'content-type': 'application/json',
+            'content-length': Buffer.byteLength(body),
+            'x-api-key': apiKey,
+            'anthropic-version': '2023-06-01'
+          }
+        }, res => {
+          let data = '';
+          res.setEncoding('utf8');
+          res.on('data', chunk => { data += chunk; });
+          res.on('end', () => {
+            if (res.statusCode < 200 || res.statusCode >= 300) {
+              reject(new LlmProviderError(`Anthropic API returned HTTP ${res.statusCode}: ${data.slice(0, 300)}`, 'anthropic'));
+              return;
+            }
+            try {
+              const parsed = JSON.parse(data);
+              const text = (parsed.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('');
+              resolve(text);
+            } catch (error) {
+              reject(new LlmProviderError(`Anthropic API returned invalid JSON: ${error.message}`, 'anthropic'));
+            }
+          });
+        });
+
+        req.setTimeout(timeoutMs, () => {
+          req.destroy(new LlmProviderError(`Anthropic API timed out after ${timeoutMs}ms`, 'anthropic'));
+        });
+        req.on('error', error => reject(error instanceof LlmProviderError
+          ? error
+          : new LlmProviderError(`Anthropic API request failed: ${error.message}`, 'anthropic')));
+        req.end(body);
+      });
+    }
+  };
+}
+
+function createClaudeCliProvider(options = {}) {
+  const command = options.command || process.env.CLAUDE_CLI_PATH ||
+    findExecutable('claude', [path.join(os.homedir(), '.claude', 'local', 'claude')]);
+
+  return {
+    name: 'claude-cli',
+
+    isAvailable() {
+      return Boolean(command);
+    },
+
+    generate({ system, prompt, timeoutMs }) {
+      return runCommand(command, ['-p', '--system-prompt', system], prompt, timeoutMs, 'claude-cli');
+    }
+  };
+}
+
+function createGeminiCliProvider(options = {}) {
+  const command = options.command || process.env.GEMINI_CLI_PATH || findExecutable('gemini');
+
+  return {
+    name: 'gemini-cli',
+
+    isAvailable() {
+      return Boolean(command);
+    },
+
+    // The Gemini CLI has no system prompt option: the instructions go first
+    // in the piped input, followed by the data. Piped input runs it
+    // non-interactively; no tools are approved.
+    generate({ system, prompt, timeoutMs }) {
+      return runCommand(command, [], `${system}\n\n${prompt}`, timeoutMs, 'gemini-cli');
+    }
+  };
+}
+
+/**
+ * Parse "=== Section ===" raw data into { section: [descriptions] }
+ *
+ * Memory bank blocks and work type lines are skipped; time, user and date
+ * are stripped from entry lines along with Noko hashtags.
+ */
+function parseRawSections(rawData) {
+  const sections = {};
+  let current = null;
+  let inMemoryBank = false;
+
+  rawData.split('\n').forEach(line => {
+    const header = line.match(/^=== (.+) ===$/);
+    if (header) {
+      current = header[1];
+      sections[current] = sections[current] || [];
+      inMemoryBank = false;
+      return;
+    }
+    if (line.startsWith('--- Project memory bank')) {
+      inMemoryBank = true;
+      return;
+    }
+    if (line.startsWith('--- End memory bank')) {
+      inMemoryBank = false;
+      return;
+    }
+    if (line.startsWith('--- Work types:')) return;
+    if (!current || inMemoryBank || !line.trim()) return;
+
+    const entry = line.match(/^[^:]+?:\s(.*?)(?:\s\(\d{4}-\d{2}-\d{2}\))?$/);
+    const description = (entry ? entry[1] : line)
+      .replace(/(^|\s)#[\w-]+/g, '$1')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (description && !sections[current].includes(description)) {
+      sections[current].push(description);
+    }
+  });
+
+  return sections;
+}
+
+/**
+ * Deterministic provider: formats the raw data without any model
+ *
+ * Output always passes validation, so the pipeline can be exercised
+ * end-to-end offline.
+ */
+function createStubProvider() {
+  return {
+    name: 'stub',
+
+    isAvailable() {
+      return true;
+    },
+
+    generate({ prompt, reportType }) {
+      const sections = parseRawSections(prompt);
+      const names = Object.keys(sections);
+
+      if (reportType === 'weekly') {
+        let text = '**REPORT 1: LSM Office Hour Update**\n';
+        names.forEach(name => {
+          text += `${name} :large_green_circle:\n`;
+          sections[name].forEach(item => { text += `- ${item}\n`; });
+          text += '\n';
+        });
+        text += '**REPORT 2: LSM Weekly Update**\n';
+        names.forEach(name => {
+          text += `## ${name} Project Update\n**This Week:**\n`;
+          sections[name].forEach(item => { text += `- ${item}\n`; });
+          text += '**Status:** On track\n\n';
+        });
+        return Promise.resolve(text.trim());
+      }
+
+      let text = "**Section 1 (What's new since your last update?):**\n";
+      names.forEach(name => {
+        text += `${name}:\n`;
+        sections[name].forEach(item => { text += `* ${item}\n`; });
+        text += '\n';
+      });
+      text += '**Section 2 (What will you do today?):**\n' +
+        'Monitor for new issues on active client projects and respond\n' +
+        'Be available for client communications and urgent requests\n' +
+        'Continue ongoing LSM administrative and development tasks\n\n' +
+        '**Section 3 (Anything blocking your progress?):**\n' +
+        'No current blockers';
+      return Promise.resolve(text);
+    }
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  'anthropic': createAnthropicProvider,
+  'claude-cli': createClaudeCliProvider,
+  'gemini-cli': createGeminiCliProvider,
+  'stub': createStubProvider
+};
+
+function createProvider(name, options = {}) {
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new LlmProviderError(`Unknown LLM provider "${name}" (expected ${Object.keys(PROVIDER_FACTORIES).join(', ')})`, name);
+  }
+  return factory(options[name] || {});
+}
+
+/**
+ * Check that a response has the structure of the requested report
+ *
+ * @param {string} text - Response text
+ * @param {string} reportType - 'geekbot' or 'weekly'
+ * @param {Array<string>} [markers] - Text the report template requires;
+ *   replaces the built-in checks for the report type when given
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateReport(text, reportType, markers) {
+  if (!text || !text.trim()) {
+    return 'empty response';
+  }
+
+  if (Array.isArray(markers)) {
+    const missing = markers.filter(marker => !text.toLowerCase().includes(marker.toLowerCase()));
+    return missing.length > 0 ? `missing ${missing.join(', ')}` : null;
+  }
+
+  if (reportType === 'geekbot') {
+    const missing = [1, 2, 3].filter(n => !new RegExp(`Section ${n}\\b`, 'i').test(text));
+    return missing.length > 0 ? `missing Geekbot section(s) ${missing.join(', ')}` : null;
+  }
+
+  if (reportType === 'weekly') {
+    const missing = ['REPORT 1', 'REPORT 2'].filter(marker => !text.toUpperCase().includes(marker));
+    return missing.length > 0 ? `missing ${missing.join(' and ')}` : null;
+  }
+
+  return null;
+}
+
+/**
+ * Generate a report through an ordered chain of providers
+ *
+ * @param {Object} request - { system, prompt, reportType, markers }
+ * @param {Object} options
+ * @param {Array<string>} options.providers - Provider names in fallback order
+ * @param {number} options.timeoutMs - Per-attempt timeout
+ * @param {number} options.retries - Extra attempts per provider
+ * @param {Function} [options.onAttempt] - Called with (providerName, attempt, error|null)
+ * @param {Object} [options.providerOptions] - Settings per provider name, see createProvider()
+ * @returns {Promise<Object>} { text, provider, failures }
+ * @throws {LlmProviderError} When every provider fails
+ * @throws {Error} When a provider name is unknown, before any provider is tried
+ */
+async function generateWithFallback(request, options = {}) {
+  const names = options.providers || ['claude-cli', 'gemini-cli'];
+  const unknown = names.filter(name => !PROVIDER_FACTORIES[name]);
+  if (unknown.length > 0) {
+    // A configuration error, not a provider failure: callers must not fall back on it
+    throw new Error(`Unknown LLM provider ${unknown.map(name => `"${name}"`).join(', ')} (expected ${Object.keys(PROVIDER_FACTORIES).join(', ')})`);
+  }
+  const timeoutMs = options.timeoutMs || 120000;
+  const retries = options.retries !== undefined ? options.retries : 1;
+  const onAttempt = options.onAttempt || (() => {});
+  const failures = [];
+
+  for (const name of names) {
+    const provider = createProvider(name, options.providerOptions);
+
+    if (!provider.isAvailable()) {
+      failures.push({ provider: name, error: 'not available' });
+      onAttempt(name, 0, new LlmProviderError('not available', name));
+      continue;
+    }
+
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      try {
+        const text = (await provider.generate({ ...request, timeoutMs })).trim();
+        const problem = validateReport(text, request.reportType, request.markers);
+        if (problem) {
+          throw new LlmProviderError(`invalid response: ${problem}`, name);
+        }
+        onAttempt(name, attempt, null);
+        return { text, provider: name, failures };
+      } catch (error) {
+        failures.push({ provider: name, error: error.message });
+        onAttempt(name, attempt, error);
+      }
+    }
+  }
+
+  const summary = failures.map(failure => `${failure.provider}: ${failure.error}`).join('; ');
+  const error = new LlmProviderError(`All LLM providers failed (${summary})`, null);
+  error.failures = failures;
+  throw error;
+}
+
+module.exports = {
+  LlmProviderError,
+  PROVIDER_NAMES: Object.keys(PROVIDER_FACTORIES),
+  createProvider,
+  validateReport,
+  parseRawSections,
+  generateWithFallback
+};
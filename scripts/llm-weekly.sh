@@ -1,14 +1,20 @@
 #!/bin/bash
 
-# LLM-powered weekly reports via Claude Code CLI
-# This script generates raw Noko data and processes it directly with Claude
+# LLM-powered weekly reports
+# Thin wrapper: fetches Noko data and runs `generate-reports.js generate weekly`,
+# which handles the LLM provider chain, retries and response validation
 
 set -e
 
-# Load environment variables from .env file if it exists
-if [ -f ".env" ]; then
-    export $(cat .env | grep -v '^#' | xargs)
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+
+# Load settings from .env and noko-report.json (validated by config.js)
+# (captured first: set -e does not see a failure inside eval "$(...)")
+if ! CONFIG_EXPORTS="$(node "$SCRIPT_DIR/generate-reports.js" config shell)"; then
+    echo "❌ Could not load settings. Run: node scripts/generate-reports.js doctor"
+    exit 1
 fi
+eval "$CONFIG_EXPORTS"
 
 # Check for required environment variables
 if [ -z "$NOKO_API_TOKEN" ]; then
@@ -16,31 +22,44 @@ if [ -z "$NOKO_API_TOKEN" ]; then
     echo "   Please set your Noko API token:"
     echo "   export NOKO_API_TOKEN=your_token_here"
     echo ""
-    echo "   Or create a .env file with:"
-    echo "   NOKO_API_TOKEN=your_token_here"
+    echo "   Or run: node scripts/generate-reports.js init"
     exit 1
 fi
 
 echo "🏢 Starting LLM-Powered Weekly Reports..."
 
-# Find claude executable (handles aliases and different install locations)
-CLAUDE_CMD=""
-if command -v claude &> /dev/null; then
-    CLAUDE_CMD="claude"
-elif [ -f "/Users/sirkitree/.claude/local/claude" ]; then
-    CLAUDE_CMD="/Users/sirkitree/.claude/local/claude"
-elif [ -f "$HOME/.claude/local/claude" ]; then
-    CLAUDE_CMD="$HOME/.claude/local/claude"
-else
-    echo "❌ Claude Code CLI not found. Please install it first:"
-    echo "   npm install -g @anthropic-ai/claude-code"
-    echo ""
-    echo "   Or follow installation instructions at:"
-    echo "   https://docs.anthropic.com/en/docs/claude-code/overview"
-    exit 1
-fi
-
-echo "🔍 Using Claude at: $CLAUDE_CMD"
+# Delivery and lint options are handled here; everything else is passed to `generate weekly`
+DELIVER=false
+LINT=false
+DELIVER_ARGS=()
+GENERATE_ARGS=()
+
+while [[ $# -gt 0 ]]; do
+    case $1 in
+        --deliver)
+            DELIVER=true
+            shift
+            ;;
+        --dry-run|--yes)
+            DELIVER=true
+            DELIVER_ARGS+=("$1")
+            shift
+            ;;
+        --target)
+            DELIVER=true
+            DELIVER_ARGS+=("$1" "$2")
+            shift 2
+            ;;
+        --lint)
+            LINT=true
+            shift
+            ;;
+        *)
+            GENERATE_ARGS+=("$1")
+            shift
+            ;;
+    esac
+done
 
 # Cross-platform clipboard function
 copy_to_clipboard() {
@@ -68,70 +87,37 @@ copy_to_clipboard() {
     fi
 }
 
+# Send a finished report to its delivery targets (Slack, Geekbot, file, stdout)
+deliver_report() {
+    local report_file
+    report_file=$(mktemp)
+    echo "$2" > "$report_file"
+    echo ""
+    node "$SCRIPT_DIR/generate-reports.js" deliver "$1" --report "$report_file" "${DELIVER_ARGS[@]}" || echo "⚠️  Delivery reported errors"
+    rm -f "$report_file"
+}
+
 # Fetch latest Noko data
 echo "📥 Fetching weekly Noko data..."
-SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
-"$SCRIPT_DIR/fetch-noko.sh" both 7 json
-
-# Generate raw data for LLM processing
-echo "📝 Generating raw data for LLM..."
-RAW_DATA=$(node "$SCRIPT_DIR/generate-reports.js" clean-weekly 2>/dev/null)
-
-# Check if we have data to process
-if [ -z "$RAW_DATA" ] || echo "$RAW_DATA" | grep -q "No entries found"; then
-    echo "⚠️  No entries found this week. Generating fallback response..."
-    
-    # Generate dynamic fallback response using discovered projects
-    CATEGORIES=$(node "$SCRIPT_DIR/generate-reports.js" report-categories 2>/dev/null | tail -n +2)
-    fallback_response="**REPORT 1: LSM Office Hour Update**
-No updates this week for configured projects: $CATEGORIES
-
-**REPORT 2: LSM Weekly Update**
-## Project Updates
-**This Week:**
-- No significant activity
-
-**Next Week:**
-- Monitor for new issues and client requests
-- Continue maintenance activities
-
-**Status:** On track"
-    
-    copy_to_clipboard "$fallback_response"
-    echo "✅ Fallback response copied to clipboard!"
-    exit 0
+node "$SCRIPT_DIR/generate-reports.js" fetch both 7 || echo "⚠️  Noko fetch reported errors - continuing with previously synced data"
+
+# With --lint, stop before generating when the timesheet has lint errors
+if [ "$LINT" = "true" ]; then
+    echo "🔍 Linting this week's entries..."
+    if ! node "$SCRIPT_DIR/generate-reports.js" lint 7 "${GENERATE_ARGS[@]}"; then
+        echo "❌ Fix the timesheet problems above in Noko, then run again (or run without --lint)"
+        exit 1
+    fi
 fi
 
-# Generate dynamic system prompt using discovered projects
-echo "🎯 Generating dynamic report template..."
-REPORT_TEMPLATE=$(echo "**REPORT 1: LSM Office Hour Update**"; node "$SCRIPT_DIR/generate-reports.js" report-template 2>/dev/null | sed -n '4,$p' | sed '$d')
+# Generate both reports through the LLM provider chain (see LLM_PROVIDERS)
+# Extra arguments are passed through, e.g. --team or --group lsm for team-wide reports
+# or --no-llm for the offline summarizer;
+# --deliver, --dry-run, --yes and --target send the result to its delivery targets
+echo "🤖 Generating weekly reports..."
 
-# Create system prompt for Claude Code
-SYSTEM_PROMPT="Please process this time tracking data and create two clean reports by removing hashtags and summarizing activities:
-
-$REPORT_TEMPLATE"
-
-# Use Claude Code CLI with system prompt
-echo "🤖 Processing with Claude Code..."
-
-# Capture both stdout and stderr for better error handling
-RESULT=$(echo "$RAW_DATA" | "$CLAUDE_CMD" --system-prompt "$SYSTEM_PROMPT" -p 2>&1)
-
-# Check if result looks like an error (but not if it contains "REPORT")
-if echo "$RESULT" | grep -qi "execution error\|failed\|invalid\|exception" && ! echo "$RESULT" | grep -qi "REPORT"; then
-    echo "⚠️  Claude Code returned an error: $RESULT"
-    echo ""
-    echo "📋 Raw data for manual processing:"
-    echo "================================================================="
-    echo "$RAW_DATA"
-    echo "================================================================="
-    echo ""
-    echo "🎯 MANUAL STEPS:"
-    echo "1. Copy the raw data above"
-    echo "2. Open Cursor chat (⌘+L) or Claude.ai"
-    echo "3. Ask Claude to format it for both weekly report formats"
-elif [ -n "$RESULT" ]; then
-    copy_to_clipboard "$RESULT"
+if RESULT=$(node "$SCRIPT_DIR/generate-reports.js" generate weekly 7 "${GENERATE_ARGS[@]}"); then
+    copy_to_clipboard "$RESULT" || true
     echo "✅ Weekly reports generated and copied to clipboard!"
     echo ""
     echo "📋 Generated reports:"
@@ -144,8 +130,22 @@ elif [ -n "$RESULT" ]; then
     echo "2. Copy Report 1 for LSM Office Hour (Wednesday)"
     echo "3. Copy Report 2 for LSM Weekly Update (Friday)"
     echo "4. Done! No manual processing needed."
+
+    if [ "$DELIVER" = "true" ]; then
+        deliver_report weekly "$RESULT"
+    fi
+
+    # Offer to write the accepted report back to the project memory banks
+    if [ "${MEMORY_BANK_ENABLED:-true}" = "true" ] && [ -t 0 ]; then
+        echo ""
+        read -p "🧠 Update project memory banks with this report? [y/N] " update_memory
+        if [[ "$update_memory" =~ ^[Yy]$ ]]; then
+            echo "$RESULT" | node "$SCRIPT_DIR/generate-reports.js" memory update 7 --report -
+        fi
+    fi
 else
-    echo "⚠️  Claude Code returned empty response"
+    RAW_DATA=$(node "$SCRIPT_DIR/generate-reports.js" clean-weekly "${GENERATE_ARGS[@]}" 2>/dev/null)
+    echo "⚠️  Report generation failed. Showing raw data for manual processing..."
     echo ""
     echo "📋 Raw data for manual processing:"
     echo "================================================================="
@@ -156,4 +156,4 @@ else
     echo "1. Copy the raw data above"
     echo "2. Open Cursor chat (⌘+L) or Claude.ai"
     echo "3. Ask Claude to format it for both weekly report formats"
-fi 
\ No newline at end of file
+fi
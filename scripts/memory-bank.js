@@ -0,0 +1,212 @@
+/**
+ * Project memory bank
+ *
+ * Each project directory may hold a memory bank of Markdown context files:
+ *
+ *   data/<project>/memory-bank/
+ *   ├── activeContext.md   # Current focus and ongoing initiatives
+ *   ├── progress.md        # Running log of weekly accomplishments
+ *   └── productContext.md  # Client and product background
+ *
+ * Report generation attaches this context to the project's section of the
+ * LLM input, and `memory update` writes accepted weekly accomplishments back
+ * so the context stays current without hand-editing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MEMORY_BANK_FILES = ['activeContext.md', 'progress.md', 'productContext.md'];
+const ACTIVE_CONTEXT_START = '<!-- noko:recent-activity:start -->';
+const ACTIVE_CONTEXT_END = '<!-- noko:recent-activity:end -->';
+
+function getMemoryBankPath(dataDir, project) {
+  return path.join(dataDir, project, 'memory-bank');
+}
+
+function readMemoryBank(dataDir, project) {
+  const memoryBankPath = getMemoryBankPath(dataDir, project);
+  const memoryBank = {};
+
+  try {
+    MEMORY_BANK_FILES.forEach(file => {
+      const filePath = path.join(memoryBankPath, file);
+      if (fs.existsSync(filePath)) {
+        memoryBank[file.replace('.md', '')] = fs.readFileSync(filePath, 'utf8');
+      }
+    });
+  } catch (error) {
+    console.warn(`⚠️  Could not read memory bank for ${project}: ${error.message}`);
+  }
+
+  return memoryBank;
+}
+
+/**
+ * Format a memory bank as a context block for the LLM input
+ *
+ * progress.md only grows, so it is trimmed from the top to keep the most
+ * recent weeks; the other files are trimmed from the bottom.
+ *
+ * @param {Object} memoryBank - Result of readMemoryBank()
+ * @param {number} maxChars - Per-file character limit
+ * @returns {string} Context block, or '' when the memory bank is empty
+ */
+function formatMemoryBankContext(memoryBank, maxChars = 2000) {
+  const sections = [
+    ['productContext', 'Product context'],
+    ['activeContext', 'Active context'],
+    ['progress', 'Recent progress']
+  ];
+
+  const parts = sections
+    .filter(([key]) => memoryBank[key] && memoryBank[key].trim())
+    .map(([key, label]) => {
+      let content = memoryBank[key].trim();
+      if (content.length > maxChars) {
+        content = key === 'progress'
+          ? '…' + content.slice(-maxChars)
+          : content.slice(0, maxChars) + '…';
+      }
+      return `[${label}]\n${content}`;
+    });
+
+  if (parts.length === 0) return '';
+  return `--- Project memory bank (background only, do not report as this week's work) ---\n${parts.join('\n\n')}\n--- End memory bank ---\n`;
+}
+
+/**
+ * Extract per-category accomplishments from a weekly report
+ *
+ * Reads the "## <Category> Project Update" sections of REPORT 2 and
+ * collects the "**This Week:**" text (inline or as a bullet list).
+ *
+ * @param {string} reportText - Accepted weekly report
+ * @returns {Object} Category name → array of accomplishment strings
+ */
+function parseWeeklyAccomplishments(reportText) {
+  const accomplishments = {};
+  let category = null;
+  let inThisWeek = false;
+
+  reportText.split('\n').forEach(rawLine => {
+    const line = rawLine.trim();
+    const heading = line.match(/^#{2,3}\s+(.+?)\s+Project Update\s*$/i);
+
+    if (heading) {
+      category = heading[1].trim();
+      inThisWeek = false;
+      return;
+    }
+    if (!category) return;
+
+    const thisWeek = line.match(/^\*\*This Week:?\*\*:?\s*(.*)$/i);
+    if (thisWeek) {
+      inThisWeek = true;
+      accomplishments[category] = accomplishments[category] || [];
+      const inline = thisWeek[1].trim();
+      if (inline && !/^\[.*\]$/.test(inline)) {
+        accomplishments[category].push(inline);
+      }
+      return;
+    }
+
+    if (/^\*\*[^*]+\*\*/.test(line) || /^#/.test(line)) {
+      inThisWeek = false;
+      return;
+    }
+
+    if (inThisWeek) {
+      const bullet = line.match(/^[-*•]\s+(.+)$/);
+      if (bullet) {
+        accomplishments[category].push(bullet[1].trim());
+      }
+    }
+  });
+
+  Object.keys(accomplishments).forEach(key => {
+    if (accomplishments[key].length === 0) delete accomplishments[key];
+  });
+
+  return accomplishments;
+}
+
+/**
+ * Append a week's accomplishments to progress.md
+ *
+ * Re-running for the same period replaces that period's block instead of
+ * appending a duplicate.
+ *
+ * @param {string} period - Heading label, e.g. "2025-01-27 → 2025-01-31"
+ * @param {Array<string>} items - Accomplishments
+ * @returns {string} Path of the updated file
+ */
+function appendProgress(dataDir, project, period, items) {
+  const memoryBankPath = getMemoryBankPath(dataDir, project);
+  const filePath = path.join(memoryBankPath, 'progress.md');
+  fs.mkdirSync(memoryBankPath, { recursive: true });
+
+  let content = fs.existsSync(filePath)
+    ? fs.readFileSync(filePath, 'utf8')
+    : `# ${project} Progress\n`;
+
+  const heading = `## Week ${period}`;
+  const block = `${heading}\n${items.map(item => `- ${item}`).join('\n')}\n`;
+  const existingIndex = content.indexOf(`${heading}\n`);
+
+  if (existingIndex !== -1) {
+    const nextHeading = content.indexOf('\n## ', existingIndex + heading.length);
+    const end = nextHeading === -1 ? content.length : nextHeading + 1;
+    content = content.slice(0, existingIndex) + block + content.slice(end);
+  } else {
+    content = content.replace(/\n*$/, '\n\n') + block;
+  }
+
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+/**
+ * Refresh the generated "Recent activity" block of activeContext.md
+ *
+ * Only the text between the noko:recent-activity markers is rewritten, so
+ * hand-written context in the rest of the file is preserved.
+ *
+ * @returns {string} Path of the updated file
+ */
+function refreshActiveContext(dataDir, project, period, items) {
+  const memoryBankPath = getMemoryBankPath(dataDir, project);
+  const filePath = path.join(memoryBankPath, 'activeContext.md');
+  fs.mkdirSync(memoryBankPath, { recursive: true });
+
+  const block = [
+    ACTIVE_CONTEXT_START,
+    `## Recent Activity (${period})`,
+    ...items.map(item => `- ${item}`),
+    ACTIVE_CONTEXT_END
+  ].join('\n');
+
+  let content = fs.existsSync(filePath)
+    ? fs.readFileSync(filePath, 'utf8')
+    : `# ${project} Active Context\n`;
+
+  const start = content.indexOf(ACTIVE_CONTEXT_START);
+  const end = content.indexOf(ACTIVE_CONTEXT_END);
+
+  if (start !== -1 && end > start) {
+    content = content.slice(0, start) + block + content.slice(end + ACTIVE_CONTEXT_END.length);
+  } else {
+    content = content.replace(/\n*$/, '\n\n') + block + '\n';
+  }
+
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+module.exports = {
+  readMemoryBank,
+  formatMemoryBankContext,
+  parseWeeklyAccomplishments,
+  appendProgress,
+  refreshActiveContext
+};
@@ -0,0 +1,229 @@
+/**
+ * Noko v2 API client
+ *
+ * Native Node replacement for the single curl call in fetch-noko.sh. Unlike
+ * the shell fetcher this client:
+ * - follows the `Link: <...>; rel="next"` header until every page is read,
+ *   on the configured API host only, so the token is never sent elsewhere
+ * - checks the HTTP status and throws a NokoApiError instead of returning
+ *   error bodies as if they were entries
+ * - retries rate-limited (429) and server-side (5xx) responses with backoff,
+ *   honouring `Retry-After` when Noko sends one, up to a maximum delay
+ *
+ * The base URL is configurable (NOKO_API_URL) so the client can be pointed at
+ * a local mock Noko server over plain http.
+ */
+
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_BASE_URL = 'https://api.nokotime.com/v2';
+const USER_AGENT = 'lsm-noko-reporting-automation';
+
+class NokoApiError extends Error {
+  constructor(message, status, body) {
+    super(message);
+    this.name = 'NokoApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Extract the `rel="next"` URL from a Link header
+ *
+ * @param {string} linkHeader - Raw Link header value
+ * @returns {string|null} Next page URL, or null on the last page
+ */
+function parseNextLink(linkHeader) {
+  if (!linkHeader) return null;
+
+  for (const part of linkHeader.split(',')) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="?next"?/);
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+}
+
+/**
+ * Create a Noko API client
+ *
+ * @param {Object} options
+ * @param {string} options.token - Noko personal access token (X-NokoToken)
+ * @param {string} [options.baseUrl] - API root, defaults to the public v2 API
+ * @param {number} [options.maxRetries] - Retries for 429/5xx/network errors
+ * @param {number} [options.retryDelayMs] - Base delay for exponential backoff
+ * @param {number} [options.maxRetryDelayMs] - Longest wait between retries, whatever Retry-After says
+ * @param {number} [options.timeoutMs] - Per-request timeout
+ * @returns {Object} Client with request helpers
+ */
+function createNokoClient(options = {}) {
+  const token = options.token;
+  const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+  const retryDelayMs = options.retryDelayMs !== undefined ? options.retryDelayMs : 1000;
+  const maxRetryDelayMs = options.maxRetryDelayMs !== undefined ? options.maxRetryDelayMs : 60000;
+  const timeoutMs = options.timeoutMs || 30000;
+
+  if (!token) {
+    throw new NokoApiError('NOKO_API_TOKEN is not set', 0, null);
+  }
+
+  function buildUrl(pathOrUrl, params = {}) {
+    const url = /^https?:\/\//.test(pathOrUrl)
+      ? new URL(pathOrUrl)
+      : new URL(baseUrl + pathOrUrl);
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        url.searchParams.set(key, value);
+      }
+    });
+    return url;
+  }
+
+  // Single HTTP GET, resolving with { status, headers, body } for any status
+  function requestOnce(url) {
+    const transport = url.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.get(url, {
+        headers: {
+          'X-NokoToken': token,
+          'User-Agent': USER_AGENT,
+          'Accept': 'application/json'
+        }
+      }, res => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+      });
+
+      req.setTimeout(timeoutMs, () => {
+        req.destroy(new Error(`Request timed out after ${timeoutMs}ms`));
+      });
+      req.on('error', reject);
+    });
+  }
+
+  function retryDelay(attempt, headers) {
+    const retryAfter = headers && parseInt(headers['retry-after'], 10);
+    const delay = retryAfter >= 0 ? retryAfter * 1000 : retryDelayMs * Math.pow(2, attempt);
+    return Math.min(delay, maxRetryDelayMs);
+  }
+
+  /**
+   * GET a URL, retrying 429/5xx and network failures
+   *
+   * @returns {Promise<{data: *, next: (string|null)}>}
+   */
+  async function get(pathOrUrl, params) {
+    const url = buildUrl(pathOrUrl, params);
+    let attempt = 0;
+
+    for (;;) {
+      let response;
+      try {
+        response = await requestOnce(url);
+      } catch (error) {
+        if (attempt >= maxRetries) {
+          throw new NokoApiError(`Request to ${url.pathname} failed: ${error.message}`, 0, null);
+        }
+        await sleep(retryDelay(attempt));
+        attempt++;
+        continue;
+      }
+
+      const { status, headers, body } = response;
+      const retryable = status === 429 || status >= 500;
+
+      if (retryable && attempt < maxRetries) {
+        await sleep(retryDelay(attempt, headers));
+        attempt++;
+        continue;
+      }
+
+      if (status < 200 || status >= 300) {
+        throw new NokoApiError(`Noko API returned HTTP ${status} for ${url.pathname}`, status, body);
+      }
+
+      let data;
+      try {
+        data = body ? JSON.parse(body) : null;
+      } catch (error) {
+        throw new NokoApiError(`Noko API returned invalid JSON for ${url.pathname}`, status, body);
+      }
+
+      return { data, next: parseNextLink(headers.link) };
+    }
+  }
+
+  /**
+   * GET every page of a collection endpoint
+   *
+   * @returns {Promise<Array>} Concatenated items from all pages
+   */
+  async function getAll(pathOrUrl, params) {
+    const apiOrigin = new URL(baseUrl).origin;
+    let items = [];
+    let page = await get(pathOrUrl, params);
+
+    for (;;) {
+      if (!Array.isArray(page.data)) {
+        throw new NokoApiError(`Expected a list from ${pathOrUrl}`, 200, JSON.stringify(page.data));
+      }
+      items = items.concat(page.data);
+      if (!page.next) break;
+      const next = new URL(page.next, baseUrl + '/');
+      if (next.origin !== apiOrigin) {
+        throw new NokoApiError(`Refusing to follow a next page link to ${next.origin} (API host is ${apiOrigin})`, 200, null);
+      }
+      page = await get(next.href);
+    }
+
+    return items;
+  }
+
+  return {
+    baseUrl,
+    get,
+    getAll,
+
+    getCurrentUser() {
+      return get('/current_user').then(page => page.data);
+    },
+
+    getProjects(params = {}) {
+      return getAll('/projects', { per_page: 1000, ...params });
+    },
+
+    getUsers(params = {}) {
+      return getAll('/users', { per_page: 1000, ...params });
+    },
+
+    /**
+     * Fetch all entries for a project in a date range (inclusive)
+     */
+    getProjectEntries(projectId, { from, to, ...params } = {}) {
+      return getAll(`/projects/${encodeURIComponent(projectId)}/entries`, {
+        from,
+        to,
+        per_page: 1000,
+        ...params
+      });
+    }
+  };
+}
+
+module.exports = {
+  createNokoClient,
+  parseNextLink,
+  NokoApiError,
+  DEFAULT_BASE_URL
+};
@@ -0,0 +1,130 @@
+/**
+ * Deterministic offline summarizer
+ *
+ * Turns a category's entries into report items without an LLM, so a usable
+ * report comes out even offline (`--no-llm`) or when every provider fails:
+ *
+ * - Noko hashtags are removed and descriptions tidied
+ * - Near-duplicate descriptions logged on several days become one item
+ * - Repeated meetings collapse into one counted item ("Standup ×5")
+ *
+ * The items are rendered through the report templates like any other
+ * template data (see buildTemplateContext in reporter.js).
+ */
+
+const MEETING_PATTERN = /\b(stand-?up|scrum|sync|meeting|call|1:1|one-on-one|retro(spective)?|planning|check-?in|huddle|demo)\b/i;
+const MEETING_MAX_WORDS = 5;
+const SIMILARITY_THRESHOLD = 0.75;
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'to', 'of', 'for', 'on', 'in', 'with', 'at', 'by']);
+
+/**
+ * Remove hashtags, collapse whitespace and trailing punctuation, and
+ * capitalize the first letter
+ */
+function cleanDescription(description) {
+  const cleaned = (description || '')
+    .replace(/(^|\s)#[\w-]+/g, '$1')
+    .replace(/\s+/g, ' ')
+    .replace(/[\s.;,:-]+$/, '')
+    .trim();
+  return cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
+}
+
+function tokenize(text) {
+  return new Set(text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word && !STOP_WORDS.has(word)));
+}
+
+/**
+ * Whether two descriptions say the same thing
+ *
+ * True for equal word sets, a Jaccard similarity of at least
+ * SIMILARITY_THRESHOLD, or one description containing all the words of a
+ * shorter one of three or more words.
+ */
+function isNearDuplicate(a, b) {
+  const tokensA = tokenize(a);
+  const tokensB = tokenize(b);
+  if (tokensA.size === 0 || tokensB.size === 0) return false;
+
+  const shared = [...tokensA].filter(word => tokensB.has(word)).length;
+  const union = tokensA.size + tokensB.size - shared;
+  const smaller = Math.min(tokensA.size, tokensB.size);
+
+  return shared / union >= SIMILARITY_THRESHOLD || (smaller >= 3 && shared === smaller);
+}
+
+function isMeeting(description) {
+  return MEETING_PATTERN.test(description) && tokenize(description).size <= MEETING_MAX_WORDS;
+}
+
+/**
+ * Whether two short meeting descriptions name the same meeting: near
+ * duplicates, or one's words all appear in the other ("Standup" and
+ * "Daily standup", but not "Call with DH" and "Call with MJFF")
+ */
+function isSameMeeting(a, b) {
+  const tokensA = tokenize(a);
+  const tokensB = tokenize(b);
+  const [smaller, larger] = tokensA.size <= tokensB.size ? [tokensA, tokensB] : [tokensB, tokensA];
+  return isNearDuplicate(a, b) || (smaller.size > 0 && [...smaller].every(word => larger.has(word)));
+}
+
+/**
+ * Group a category's entries into summary items
+ *
+ * @param {Array} entries - Noko entries (or template entries with date,
+ *   minutes and description)
+ * @returns {Array} [{ text, count, minutes, dates, meeting }] in order of
+ *   first appearance
+ */
+function summarizeEntries(entries) {
+  const groups = [];
+
+  entries
+    .slice()
+    .sort((a, b) => (a.date || '').localeCompare(b.date || ''))
+    .forEach(entry => {
+      const text = cleanDescription(entry.description);
+      if (!text) return;
+
+      const meeting = isMeeting(text);
+      const group = groups.find(candidate => candidate.meeting === meeting &&
+        (meeting ? isSameMeeting(candidate.text, text) : isNearDuplicate(candidate.text, text)));
+
+      if (!group) {
+        groups.push({ text, count: 1, minutes: entry.minutes || 0, dates: [entry.date], meeting });
+        return;
+      }
+
+      group.count++;
+      group.minutes += entry.minutes || 0;
+      if (!group.dates.includes(entry.date)) group.dates.push(entry.date);
+      // Keep the most detailed wording of a repeated work item
+      if (!meeting && text.length > group.text.length) group.text = text;
+    });
+
+  return groups;
+}
+
+/**
+ * Summary items as report bullets
+ *
+ * @returns {Array<string>} e.g. ['Standup ×5', 'Fixed login redirect']
+ */
+function summarizeItems(entries) {
+  return summarizeEntries(entries).map(group => (group.meeting && group.count > 1
+    ? `${group.text} ×${group.count}`
+    : group.text));
+}
+
+module.exports = {
+  MEETING_PATTERN,
+  cleanDescription,
+  isNearDuplicate,
+  summarizeEntries,
+  summarizeItems
+};
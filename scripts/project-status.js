@@ -0,0 +1,162 @@
+/**
+ * Project health status
+ *
+ * Sets a green/yellow/red status per report category from the data instead
+ * of assuming every project is on track. A category's status is the worst of:
+ *
+ * - No activity in the window while the trailing windows had some (yellow)
+ * - Hours dropping below or spiking above the trailing average (yellow)
+ * - A retainer near its monthly limit (yellow) or projected over it (red)
+ * - Entries flagged with a status tag such as #blocked (red), #risk or
+ *   #waiting (yellow), as a Noko tag or a hashtag in the description
+ *
+ * Every non-green status carries the reasons behind it. Thresholds can be
+ * tuned in a JSON file (STATUS_RULES_FILE, or DATA_DIR/status-rules.json)
+ * whose fields override DEFAULT_STATUS_RULES.
+ */
+
+const fs = require('fs');
+
+const STATUS_LEVELS = ['green', 'yellow', 'red'];
+
+const STATUS_EMOJI = {
+  green: ':large_green_circle:',
+  yellow: ':large_yellow_circle:',
+  red: ':red_circle:'
+};
+
+const STATUS_LABELS = {
+  green: 'On track',
+  yellow: 'Needs attention',
+  red: 'At risk'
+};
+
+const DEFAULT_STATUS_RULES = {
+  trailingWindows: 4,         // Earlier windows of the same length to average
+  minTrailingMinutes: 120,    // Trend checks need at least this average
+  dropRatio: 0.5,             // Yellow below this share of the average
+  spikeRatio: 2,              // Yellow above this multiple of the average
+  retainerNearLimit: 0.9,     // Yellow at this share of the monthly hours
+  tags: { blocked: 'red', risk: 'yellow', waiting: 'yellow' }
+};
+
+/**
+ * Load status thresholds, falling back to DEFAULT_STATUS_RULES
+ *
+ * @throws {Error} When the file exists but is invalid
+ */
+function loadStatusRules(filepath) {
+  if (!filepath || !fs.existsSync(filepath)) {
+    return { ...DEFAULT_STATUS_RULES };
+  }
+
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read status rules ${filepath}: ${error.message}`);
+  }
+
+  Object.entries(document.tags || {}).forEach(([tag, level]) => {
+    if (!STATUS_LEVELS.includes(level)) {
+      throw new Error(`${filepath}: tag "${tag}" must map to ${STATUS_LEVELS.join(', ')}`);
+    }
+  });
+
+  return { ...DEFAULT_STATUS_RULES, ...document };
+}
+
+function worse(a, b) {
+  return STATUS_LEVELS.indexOf(b) > STATUS_LEVELS.indexOf(a) ? b : a;
+}
+
+function hours(minutes) {
+  return `${(minutes / 60).toFixed(1)}h`;
+}
+
+/**
+ * Status tags on an entry, from its Noko tags and description hashtags
+ *
+ * @returns {Array<string>} Matching tag names from rules.tags
+ */
+function findStatusTags(entry, rules) {
+  const names = new Set((entry.tags || []).map(tag => tag.name.replace(/^#/, '').toLowerCase()));
+  ((entry.description || '').match(/#[\w-]+/g) || []).forEach(tag => names.add(tag.slice(1).toLowerCase()));
+  return Object.keys(rules.tags).filter(tag => names.has(tag));
+}
+
+/**
+ * Compute the status of one category
+ *
+ * @param {Object} category
+ * @param {string} category.name - Report category
+ * @param {Array} category.entries - Entries in the window
+ * @param {Array<number>} category.trailingMinutes - Minutes in each earlier window
+ * @param {Array} category.retainers - computeRetainerBurn() results for its retainers
+ * @param {Object} rules - loadStatusRules() result
+ * @returns {Object} { name, status, reasons, minutes, trailingAverage }
+ */
+function computeCategoryStatus(category, rules = DEFAULT_STATUS_RULES) {
+  const minutes = category.entries.reduce((sum, entry) => sum + entry.minutes, 0);
+  const trailing = category.trailingMinutes || [];
+  const trailingAverage = trailing.length > 0
+    ? trailing.reduce((sum, value) => sum + value, 0) / trailing.length
+    : 0;
+  const reasons = [];
+  let status = 'green';
+
+  const flag = (level, reason) => {
+    status = worse(status, level);
+    reasons.push(reason);
+  };
+
+  if (trailingAverage >= rules.minTrailingMinutes) {
+    if (minutes === 0) {
+      flag('yellow', `No activity this period (trailing average ${hours(trailingAverage)})`);
+    } else if (minutes < trailingAverage * rules.dropRatio) {
+      flag('yellow', `Hours down ${Math.round((1 - minutes / trailingAverage) * 100)}% vs trailing average (${hours(minutes)} vs ${hours(trailingAverage)})`);
+    } else if (minutes > trailingAverage * rules.spikeRatio) {
+      flag('yellow', `Hours up ${Math.round((minutes / trailingAverage - 1) * 100)}% vs trailing average (${hours(minutes)} vs ${hours(trailingAverage)})`);
+    }
+  }
+
+  (category.retainers || []).forEach(burn => {
+    if (burn.status === 'over') {
+      flag('red', `Retainer ${burn.name}: ${burn.warning}`);
+    } else if (burn.usedHours >= burn.monthlyHours * rules.retainerNearLimit) {
+      flag('yellow', `Retainer ${burn.name} at ${Math.round(burn.percentUsed)}% of ${burn.monthlyHours}h`);
+    }
+  });
+
+  category.entries.forEach(entry => {
+    findStatusTags(entry, rules).forEach(tag => {
+      const description = (entry.description || '').replace(/(^|\s)#[\w-]+/g, '$1').replace(/\s+/g, ' ').trim();
+      flag(rules.tags[tag], `#${tag}: ${description || 'no description'} (${entry.date})`);
+    });
+  });
+
+  return { name: category.name, status, reasons, minutes, trailingAverage };
+}
+
+/**
+ * Compute statuses for every category, worst first
+ *
+ * @param {Array} categories - Inputs for computeCategoryStatus()
+ * @returns {Array} computeCategoryStatus() results
+ */
+function computeStatuses(categories, rules = DEFAULT_STATUS_RULES) {
+  return categories
+    .map(category => computeCategoryStatus(category, rules))
+    .sort((a, b) => STATUS_LEVELS.indexOf(b.status) - STATUS_LEVELS.indexOf(a.status) || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  STATUS_LEVELS,
+  STATUS_EMOJI,
+  STATUS_LABELS,
+  DEFAULT_STATUS_RULES,
+  loadStatusRules,
+  findStatusTags,
+  computeCategoryStatus,
+  computeStatuses
+};
@@ -0,0 +1,204 @@
+/**
+ * Redaction before text leaves the machine
+ *
+ * Replaces sensitive values in the LLM prompt with stable placeholders
+ * ([CLIENT_1], [PERSON_2], [URL_1], ...) and puts the real values back into
+ * the LLM output. The same value always gets the same placeholder within a
+ * run, so the LLM can still group and summarize by it. Secrets are never put
+ * back: they come out as "[redacted]".
+ *
+ * Configured in a JSON file (REDACTION_FILE, or DATA_DIR/redaction.json);
+ * without one, the built-in detectors and client and people redaction are on:
+ *
+ * {
+ *   "enabled": true,
+ *   "detect": { "emails": true, "urls": true, "ips": true, "hostnames": true, "secrets": true },
+ *   "clients": "auto",                              // every known client; or a list
+ *   "people": "auto",                               // entry users; or a list, or false
+ *   "patterns": [{ "label": "TICKET", "pattern": "\\bDH-\\d+\\b", "flags": "i" }],
+ *   "keep": ["drupal.org"]                          // Values never redacted
+ * }
+ */
+
+const fs = require('fs');
+
+const DEFAULT_REDACTION_CONFIG = {
+  enabled: true,
+  detect: { emails: true, urls: true, ips: true, hostnames: true, secrets: true },
+  clients: 'auto',
+  people: 'auto',
+  patterns: [],
+  keep: []
+};
+
+const SECRET_PATTERNS = [
+  { pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { pattern: /\b((?:password|passwd|pwd|token|secret|api[_-]?key|access[_-]?key)\s*[:=]\s*)([^\s,;)'"]+)/gi, group: 2 },
+  { pattern: /\b(Bearer\s+)([A-Za-z0-9._~+/-]{20,}=*)/g, group: 2 },
+  { pattern: /\bAKIA[0-9A-Z]{16}\b/g },
+  { pattern: /\b(?:ghp|gho|ghu|ghs|github_pat)_[A-Za-z0-9_]{20,}\b/g },
+  { pattern: /\bsk-[A-Za-z0-9_-]{20,}\b/g },
+  { pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g }
+];
+
+// Order matters: secrets and emails before the URL and hostname detectors
+// that would otherwise match parts of them
+const DETECTORS = [
+  { key: 'secrets', label: 'SECRET', patterns: SECRET_PATTERNS },
+  { key: 'emails', label: 'EMAIL', patterns: [{ pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g }] },
+  { key: 'urls', label: 'URL', patterns: [{ pattern: /\b(?:https?|ftp|ssh):\/\/[^\s<>()"']+/gi, trim: true }] },
+  { key: 'ips', label: 'IP', patterns: [{ pattern: /\b(?:\d{1,3}\.){3}\d{1,3}(?::\d+)?\b/g }] },
+  {
+    key: 'hostnames',
+    label: 'HOST',
+    patterns: [{ pattern: /\b(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+(?:com|net|org|io|dev|edu|gov|co|us|uk|info|biz|cloud|app|site|internal|local|lan)\b/gi }]
+  }
+];
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Load the redaction config, falling back to DEFAULT_REDACTION_CONFIG
+ *
+ * @throws {Error} When the file exists but is invalid
+ */
+function loadRedactionConfig(filepath) {
+  if (!filepath || !fs.existsSync(filepath)) {
+    return { ...DEFAULT_REDACTION_CONFIG };
+  }
+
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read redaction config ${filepath}: ${error.message}`);
+  }
+
+  (document.patterns || []).forEach((custom, index) => {
+    if (!/^[A-Z][A-Z0-9]*$/.test(custom.label || '')) {
+      throw new Error(`${filepath}: pattern ${index + 1} needs an upper-case "label" such as "TICKET"`);
+    }
+    try {
+      new RegExp(custom.pattern, custom.flags || '');
+    } catch (error) {
+      throw new Error(`${filepath}: pattern ${index + 1} (${custom.label}): ${error.message}`);
+    }
+  });
+
+  return {
+    ...DEFAULT_REDACTION_CONFIG,
+    ...document,
+    detect: { ...DEFAULT_REDACTION_CONFIG.detect, ...(document.detect || {}) }
+  };
+}
+
+/**
+ * Create a redactor for one run
+ *
+ * @param {Object} config - loadRedactionConfig() result
+ * @param {Object} known - Values found in the data: { clients: [names], people: [{ name, aliases }] }
+ * @returns {Object} { redact(text), rehydrate(text), mappings() }
+ */
+function createRedactor(config, known = {}) {
+  const placeholders = new Map();  // Lower-cased value → placeholder
+  const values = new Map();        // Placeholder → { type, value }
+  const counters = {};
+  const keep = new Set((config.keep || []).map(value => value.toLowerCase()));
+
+  const placeholderFor = (label, value, canonical = value) => {
+    const key = `${label}:${canonical.toLowerCase()}`;
+    if (!placeholders.has(key)) {
+      counters[label] = (counters[label] || 0) + 1;
+      const placeholder = `[${label}_${counters[label]}]`;
+      placeholders.set(key, placeholder);
+      values.set(placeholder, { type: label, value: canonical });
+    }
+    return placeholders.get(key);
+  };
+
+  const rules = [];
+  DETECTORS.filter(detector => config.detect[detector.key]).forEach(detector => {
+    detector.patterns.forEach(rule => rules.push({ label: detector.label, ...rule }));
+  });
+  (config.patterns || []).forEach(custom => {
+    const flags = (custom.flags || '').includes('g') ? custom.flags : `${custom.flags || ''}g`;
+    rules.push({ label: custom.label, pattern: new RegExp(custom.pattern, flags) });
+  });
+
+  // Literal names, longest first so "Dartmouth Health" wins over "Dartmouth"
+  const literals = [];
+  if (config.clients) {
+    const clients = config.clients === 'auto' ? (known.clients || []) : config.clients;
+    clients.forEach(name => literals.push({ label: 'CLIENT', value: name, canonical: name }));
+  }
+  if (config.people) {
+    const people = config.people === 'auto'
+      ? (known.people || [])
+      : config.people.map(name => ({ name, aliases: [] }));
+    people.forEach(person => {
+      [person.name, ...(person.aliases || [])].forEach(alias => {
+        literals.push({ label: 'PERSON', value: alias, canonical: person.name });
+      });
+    });
+  }
+  literals
+    .filter(literal => literal.value && literal.value.trim().length > 1)
+    .sort((a, b) => b.value.length - a.value.length)
+    .forEach(literal => {
+      rules.push({
+        label: literal.label,
+        canonical: literal.canonical,
+        pattern: new RegExp(`(?<![\\w])${escapeRegExp(literal.value)}(?![\\w])`, 'gi')
+      });
+    });
+
+  function redact(text) {
+    return rules.reduce((current, rule) => current.replace(rule.pattern, (match, ...groups) => {
+      if (/^\[[A-Z][A-Z0-9]*_\d+\]$/.test(match)) return match;
+
+      if (rule.group) {
+        const prefix = groups.slice(0, rule.group - 1).join('');
+        const value = groups[rule.group - 1];
+        return keep.has(value.toLowerCase()) ? match : prefix + placeholderFor(rule.label, value);
+      }
+
+      let value = match;
+      let trailing = '';
+      if (rule.trim) {
+        const punctuation = value.match(/[.,;:!?)\]]+$/);
+        if (punctuation) {
+          trailing = punctuation[0];
+          value = value.slice(0, -trailing.length);
+        }
+      }
+      if (keep.has(value.toLowerCase())) return match;
+      return placeholderFor(rule.label, value, rule.canonical || value) + trailing;
+    }), text);
+  }
+
+  function rehydrate(text) {
+    return text.replace(/\[?\b([A-Z][A-Z0-9]*_\d+)\b\]?/g, (match, name) => {
+      const found = values.get(`[${name}]`);
+      if (!found) return match;
+      return found.type === 'SECRET' ? '[redacted]' : found.value;
+    });
+  }
+
+  function mappings() {
+    return Array.from(values.entries()).map(([placeholder, { type, value }]) => ({
+      placeholder,
+      type,
+      value: type === 'SECRET' ? `${value.slice(0, 4)}…` : value
+    }));
+  }
+
+  return { redact, rehydrate, mappings };
+}
+
+module.exports = {
+  DEFAULT_REDACTION_CONFIG,
+  loadRedactionConfig,
+  createRedactor
+};
@@ -0,0 +1,237 @@
+/**
+ * Report history archive
+ *
+ * Every generated report is saved as one JSON record under
+ * DATA_DIR/.history/ (a dot directory, so it is not mistaken for a project):
+ *
+ *   {
+ *     "id": "2025-01-31-weekly-153000",
+ *     "reportType": "weekly",
+ *     "date": "2025-01-31",                       // Local date generated
+ *     "generatedAt": "2025-01-31T20:30:00.000Z",
+ *     "window": { "from": "2025-01-24", "to": "2025-01-31" },
+ *     "provider": "claude-cli",
+ *     "userIds": [8372],
+ *     "categories": { "DH": { "minutes": 600, "entries": 12 } },
+ *     "text": "...",                              // The report as generated
+ *     "rawData": "..."                            // The LLM input
+ *   }
+ *
+ * Records are referenced by id, by date (the latest report that day) or by
+ * "latest".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const memoryBank = require('./memory-bank');
+const delivery = require('./delivery');
+
+function getHistoryDir(dataDir) {
+  return path.join(dataDir, '.history');
+}
+
+/**
+ * Save a generated report
+ *
+ * @param {string} historyDir - Archive directory
+ * @param {Object} record - Record without id (see module comment)
+ * @returns {Object} The saved record, with its id
+ */
+function archiveReport(historyDir, record) {
+  const time = record.generatedAt.slice(11, 19).replace(/:/g, '');
+  let id = `${record.date}-${record.reportType}-${time}`;
+  for (let n = 2; fs.existsSync(path.join(historyDir, `${id}.json`)); n++) {
+    id = `${record.date}-${record.reportType}-${time}-${n}`;
+  }
+
+  const saved = { id, ...record };
+  fs.mkdirSync(historyDir, { recursive: true });
+  fs.writeFileSync(path.join(historyDir, `${id}.json`), JSON.stringify(saved, null, 2));
+  return saved;
+}
+
+/**
+ * All archived reports, oldest first
+ *
+ * @param {string} historyDir - Archive directory
+ * @param {string} [reportType] - Only this report type
+ */
+function listReports(historyDir, reportType) {
+  if (!fs.existsSync(historyDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(historyDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(historyDir, file), 'utf8'));
+      } catch (error) {
+        console.warn(`⚠️  Skipping unreadable report ${file}: ${error.message}`);
+        return null;
+      }
+    })
+    .filter(record => record && (!reportType || record.reportType === reportType))
+    .sort((a, b) => a.generatedAt.localeCompare(b.generatedAt));
+}
+
+/**
+ * Find a report by id, date or "latest"
+ *
+ * @returns {Object|null} Matching record (the latest one for a date)
+ */
+function findReport(historyDir, ref, reportType) {
+  const records = listReports(historyDir, reportType);
+  if (ref === 'latest') {
+    return records[records.length - 1] || null;
+  }
+  const byId = records.find(record => record.id === ref);
+  if (byId) return byId;
+  const onDate = records.filter(record => record.date === ref);
+  return onDate[onDate.length - 1] || null;
+}
+
+/**
+ * Latest report of a type generated before a date
+ *
+ * Reports from the same day are skipped so a re-run compares against the
+ * previous report rather than the one it replaces.
+ */
+function findPreviousReport(historyDir, reportType, beforeDate) {
+  const earlier = listReports(historyDir, reportType).filter(record => record.date < beforeDate);
+  return earlier[earlier.length - 1] || null;
+}
+
+/**
+ * Accomplishments per category: the "This Week" items of a weekly report or
+ * the Section 1 bullets of a Geekbot update
+ *
+ * @returns {Object} Category → array of items
+ */
+function extractAccomplishments(record) {
+  if (record.reportType === 'weekly') {
+    return memoryBank.parseWeeklyAccomplishments(record.text);
+  }
+
+  const accomplishments = {};
+  let category = null;
+  delivery.parseGeekbotAnswers(record.text)[0].split('\n').forEach(rawLine => {
+    const line = rawLine.trim();
+    const bullet = line.match(/^[-*•]\s+(.+)$/);
+    if (bullet && category) {
+      accomplishments[category].push(bullet[1].trim());
+    } else if (/:$/.test(line)) {
+      category = line.slice(0, -1).trim();
+      accomplishments[category] = accomplishments[category] || [];
+    }
+  });
+  return accomplishments;
+}
+
+function normalizeItem(item) {
+  return item.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Compare two reports: categories, hours and accomplishments
+ *
+ * @param {Object} a - Earlier record
+ * @param {Object} b - Later record
+ * @returns {Object} { a, b, totalMinutes, categories, accomplishments }
+ */
+function diffReports(a, b) {
+  const total = record => Object.values(record.categories || {}).reduce((sum, category) => sum + category.minutes, 0);
+  const names = [...new Set([...Object.keys(a.categories || {}), ...Object.keys(b.categories || {})])].sort();
+
+  const categories = names.map(name => {
+    const before = a.categories[name] ? a.categories[name].minutes : null;
+    const after = b.categories[name] ? b.categories[name].minutes : null;
+    let status = 'changed';
+    if (before === null) status = 'added';
+    else if (after === null) status = 'removed';
+    else if (before === after) status = 'same';
+    return { name, a: before, b: after, delta: (after || 0) - (before || 0), status };
+  });
+
+  const itemsA = extractAccomplishments(a);
+  const itemsB = extractAccomplishments(b);
+  const accomplishments = [...new Set([...Object.keys(itemsA), ...Object.keys(itemsB)])].sort().map(category => {
+    const before = itemsA[category] || [];
+    const after = itemsB[category] || [];
+    const beforeKeys = new Set(before.map(normalizeItem));
+    const afterKeys = new Set(after.map(normalizeItem));
+    return {
+      category,
+      added: after.filter(item => !beforeKeys.has(normalizeItem(item))),
+      removed: before.filter(item => !afterKeys.has(normalizeItem(item))),
+      repeated: after.filter(item => beforeKeys.has(normalizeItem(item)))
+    };
+  });
+
+  return {
+    a: { id: a.id, date: a.date, window: a.window },
+    b: { id: b.id, date: b.date, window: b.window },
+    totalMinutes: { a: total(a), b: total(b), delta: total(b) - total(a) },
+    categories,
+    accomplishments
+  };
+}
+
+/**
+ * Render a report diff as text
+ *
+ * @param {Object} diff - diffReports() result
+ * @param {Function} formatTime - minutes → "1h 30m"
+ */
+function formatDiff(diff, formatTime) {
+  const signed = minutes => `${minutes < 0 ? '-' : '+'}${formatTime(Math.abs(minutes))}`;
+  const lines = [
+    `📊 ${diff.a.id} → ${diff.b.id}`,
+    `Total: ${formatTime(diff.totalMinutes.a)} → ${formatTime(diff.totalMinutes.b)} (${signed(diff.totalMinutes.delta)})`,
+    '',
+    'Categories:'
+  ];
+
+  diff.categories.forEach(category => {
+    const before = category.a === null ? '-' : formatTime(category.a);
+    const after = category.b === null ? '-' : formatTime(category.b);
+    lines.push(`  ${category.name.padEnd(20)} ${before} → ${after} (${category.status === 'same' ? 'unchanged' : `${category.status}, ${signed(category.delta)}`})`);
+  });
+
+  lines.push('', 'Accomplishments:');
+  diff.accomplishments.forEach(({ category, added, removed, repeated }) => {
+    lines.push(`  ${category}:`);
+    added.forEach(item => lines.push(`    + ${item}`));
+    removed.forEach(item => lines.push(`    - ${item}`));
+    repeated.forEach(item => lines.push(`    = ${item} (repeated)`));
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Context block with the previous report, for the LLM system prompt
+ *
+ * @param {Object} record - Previous report
+ * @param {number} maxChars - Character limit for the report text
+ */
+function formatPreviousReportContext(record, maxChars = 4000) {
+  const text = record.text.length > maxChars ? record.text.slice(0, maxChars) + '…' : record.text;
+  const window = record.window ? `${record.window.from} → ${record.window.to}` : record.date;
+  return `--- Previous report (${window}, context only) ---
+${text}
+--- End previous report ---
+Do not repeat items from the previous report as new work unless the entries show further progress on them.`;
+}
+
+module.exports = {
+  getHistoryDir,
+  archiveReport,
+  listReports,
+  findReport,
+  findPreviousReport,
+  extractAccomplishments,
+  diffReports,
+  formatDiff,
+  formatPreviousReportContext
+};
@@ -0,0 +1,295 @@
+/**
+ * Report templates
+ *
+ * Report layouts live in Markdown template files instead of code. The
+ * built-in layouts ship in config/templates/; templates in TEMPLATES_DIR
+ * (default: DATA_DIR/templates) add to them or override them by name.
+ *
+ * A template starts with optional front matter, followed by the layout:
+ *
+ *   ---
+ *   description: LSM Office Hour and Weekly Update
+ *   reportType: weekly
+ *   markers: REPORT 1, REPORT 2
+ *   ---
+ *   {{#each categories}}
+ *   ## {{name}} ({{time}})
+ *   {{#each items}}
+ *   - {{this}}
+ *   {{/each}}
+ *   {{else}}
+ *   No activity
+ *   {{/each}}
+ *
+ * Syntax:
+ * - {{path}}                          Value from the context (dotted paths, `this`, @index, @number)
+ * - {{#each list}}...{{else}}...{{/each}}  Loop; the else branch renders for an empty list
+ * - {{#if value}}...{{else}}...{{/if}}     Conditional (empty lists are false)
+ * - {{#unless value}}...{{/unless}}        Inverted conditional
+ *
+ * A line holding only a block tag is removed entirely, so loops do not leave
+ * blank lines behind. `markers` lists text the LLM output must contain.
+ *
+ * Which template a report uses is chosen in TEMPLATES_DIR/templates.json:
+ *
+ *   {
+ *     "geekbot": "geekbot",
+ *     "weekly": "team-weekly",
+ *     "users": { "72862": { "weekly": "manager-weekly" } }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BUILTIN_TEMPLATES_DIR = path.join(__dirname, '..', 'config', 'templates');
+const TEMPLATE_EXTENSION = '.md';
+
+class TemplateError extends Error {
+  constructor(message, template) {
+    super(template ? `${template}: ${message}` : message);
+    this.name = 'TemplateError';
+    this.template = template;
+  }
+}
+
+/**
+ * Split front matter from the template body
+ *
+ * @returns {Object} { meta: { description, reportType, markers }, body }
+ */
+function parseTemplate(source) {
+  const meta = {};
+  let body = source;
+  const frontMatter = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+
+  if (frontMatter) {
+    body = source.slice(frontMatter[0].length);
+    frontMatter[1].split(/\r?\n/).forEach(line => {
+      const field = line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+      if (field) {
+        meta[field[1]] = field[2];
+      }
+    });
+  }
+
+  if (meta.markers) {
+    meta.markers = meta.markers.split(',').map(marker => marker.trim()).filter(Boolean);
+  }
+
+  return { meta, body };
+}
+
+/**
+ * Compile a template body into a tree of text, variable and block nodes
+ *
+ * @throws {TemplateError} On unbalanced or unknown block tags
+ */
+function compileTemplate(body, name) {
+  const standalone = /^[ \t]*(\{\{(?:[#/][^}]*|else)\}\})[ \t]*\r?\n/gm;
+  const source = body.replace(standalone, '$1');
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const tagPattern = /\{\{\s*([#/]?)\s*([^}]*?)\s*\}\}/g;
+  let lastIndex = 0;
+  let match;
+
+  // Line numbers for errors come from the body as written, before standalone
+  // tag lines were joined: the nth tag is the same in both
+  const tagLines = Array.from(body.matchAll(tagPattern), tag => body.slice(0, tag.index).split('\n').length);
+  let tagNumber = -1;
+  const current = () => {
+    const node = stack[stack.length - 1];
+    return node.inElse ? node.elseChildren : node.children;
+  };
+  const lineOf = () => tagLines[tagNumber];
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    tagNumber++;
+    if (match.index > lastIndex) {
+      current().push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = tagPattern.lastIndex;
+
+    const [, sigil, expression] = match;
+    if (sigil === '#') {
+      const [helper, argument] = expression.split(/\s+/);
+      if (!['each', 'if', 'unless'].includes(helper) || !argument) {
+        throw new TemplateError(`unknown block {{#${expression}}} on line ${lineOf()}`, name);
+      }
+      const block = { type: helper, path: argument, children: [], elseChildren: [], inElse: false };
+      current().push(block);
+      stack.push(block);
+    } else if (sigil === '/') {
+      const open = stack[stack.length - 1];
+      if (open.type !== expression) {
+        throw new TemplateError(`unexpected {{/${expression}}} on line ${lineOf()}`, name);
+      }
+      stack.pop();
+    } else if (expression === 'else') {
+      const open = stack[stack.length - 1];
+      if (open.type === 'root' || open.inElse) {
+        throw new TemplateError(`unexpected {{else}} on line ${lineOf()}`, name);
+      }
+      open.inElse = true;
+    } else {
+      current().push({ type: 'variable', path: expression });
+    }
+  }
+
+  if (lastIndex < source.length) {
+    current().push({ type: 'text', value: source.slice(lastIndex) });
+  }
+  if (stack.length > 1) {
+    throw new TemplateError(`unclosed {{#${stack[stack.length - 1].type}}} block`, name);
+  }
+
+  return root;
+}
+
+function lookup(scopes, expression) {
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (expression === 'this') return scope.this;
+    if (expression.startsWith('@')) {
+      if (expression in scope.locals) return scope.locals[expression];
+      continue;
+    }
+
+    const [head, ...rest] = expression.split('.');
+    const base = head === 'this' ? scope.this : scope.this && scope.this[head];
+    if (base === undefined && head !== 'this') continue;
+    return rest.reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), base);
+  }
+  return undefined;
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function renderNodes(nodes, scopes) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.value;
+
+    const value = lookup(scopes, node.path);
+    if (node.type === 'variable') {
+      return value === undefined || value === null ? '' : String(value);
+    }
+    if (node.type === 'each') {
+      const list = Array.isArray(value) ? value : [];
+      if (list.length === 0) return renderNodes(node.elseChildren, scopes);
+      return list.map((item, index) => renderNodes(node.children, [
+        ...scopes,
+        { this: item, locals: { '@index': index, '@number': index + 1 } }
+      ])).join('');
+    }
+
+    const condition = node.type === 'if' ? isTruthy(value) : !isTruthy(value);
+    return renderNodes(condition ? node.children : node.elseChildren, scopes);
+  }).join('');
+}
+
+/**
+ * Render a template against a context
+ *
+ * @param {Object} template - loadTemplate() result, or { name, body }
+ * @param {Object} context - Template data
+ * @returns {string} Rendered text
+ * @throws {TemplateError} When the template does not compile
+ */
+function renderTemplate(template, context) {
+  const tree = compileTemplate(template.body, template.name);
+  return renderNodes(tree.children, [{ this: context, locals: {} }])
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * All templates in the given directories; earlier directories win
+ *
+ * @param {Array<string>} dirs - Template directories, highest priority first
+ * @returns {Array} [{ name, path, builtIn, meta }]
+ */
+function listTemplates(dirs) {
+  const templates = new Map();
+
+  dirs.filter(dir => dir && fs.existsSync(dir)).forEach(dir => {
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith(TEMPLATE_EXTENSION))
+      .sort()
+      .forEach(file => {
+        const name = file.slice(0, -TEMPLATE_EXTENSION.length);
+        if (templates.has(name)) return;
+        const filepath = path.join(dir, file);
+        templates.set(name, {
+          name,
+          path: filepath,
+          builtIn: path.resolve(dir) === path.resolve(BUILTIN_TEMPLATES_DIR),
+          meta: parseTemplate(fs.readFileSync(filepath, 'utf8')).meta
+        });
+      });
+  });
+
+  return Array.from(templates.values());
+}
+
+/**
+ * Load a template by name
+ *
+ * @returns {Object} { name, path, meta, body }
+ * @throws {TemplateError} When no directory has the template
+ */
+function loadTemplate(name, dirs) {
+  const found = listTemplates(dirs).find(template => template.name === name);
+  if (!found) {
+    throw new TemplateError(`Unknown template "${name}" (available: ${listTemplates(dirs).map(template => template.name).join(', ') || 'none'})`);
+  }
+
+  const { meta, body } = parseTemplate(fs.readFileSync(found.path, 'utf8'));
+  compileTemplate(body, name);
+  return { name, path: found.path, meta, body };
+}
+
+/**
+ * Load templates.json from the user template directory
+ *
+ * @returns {Object} Template selection, {} when the file does not exist
+ * @throws {Error} When the file exists but is invalid
+ */
+function loadTemplateSelection(dir) {
+  const filepath = dir ? path.join(dir, 'templates.json') : null;
+  if (!filepath || !fs.existsSync(filepath)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read template selection ${filepath}: ${error.message}`);
+  }
+}
+
+/**
+ * Template name for a report type and user
+ *
+ * Precedence: explicit override, then the user's entry in templates.json,
+ * then the report type's entry, then the built-in template of that name.
+ */
+function selectTemplateName(reportType, userId, selection, override) {
+  if (override) return override;
+  const userSelection = (selection.users || {})[String(userId)] || {};
+  return userSelection[reportType] || selection[reportType] || reportType;
+}
+
+module.exports = {
+  BUILTIN_TEMPLATES_DIR,
+  TemplateError,
+  parseTemplate,
+  compileTemplate,
+  renderTemplate,
+  listTemplates,
+  loadTemplate,
+  loadTemplateSelection,
+  selectTemplateName
+};
@@ -0,0 +1,1235 @@
+/**
+ * Reporting library
+ *
+ * createReporter() builds the report pipeline from an explicit
+ * configuration, clock and entry source, so other Node tools can embed it
+ * and tests can run it against fixtures. generate-reports.js is a client of
+ * this API.
+ *
+ *   const { createReporter } = require('./scripts/reporter');
+ *   const reporter = createReporter({
+ *     config: { dataDir: './data', noko: { userId: 8372 } },
+ *     now: new Date('2025-01-31T17:00:00Z'),
+ *     source: entries              // Noko entries, or { getEntries() }
+ *   });
+ *   const week = { from: '2025-01-27', to: '2025-01-31' };
+ *   reporter.collectReportSections(week, 'weekly');
+ *   reporter.generateHoursReport(week);
+ *   reporter.renderReport('weekly', { days: week });
+ *
+ * Options:
+ * - config: settings shaped like loadConfig().values (see config.js);
+ *   noko.userId is required, missing settings take the schema defaults, and
+ *   nothing is read from the environment
+ * - now: Date, or a function returning the current Date (default: the
+ *   system clock); report dates are its calendar date in config.timezone
+ * - source: entries to report on, as an array or { getEntries() }
+ *   (default: the entry store in config.dataDir, see entry-store.js)
+ * - projects: project directory names (default: scanned from dataDir)
+ * - readOnly: ingest new snapshots into the default entry store in memory
+ *   only, never writing the store file (for the dashboard)
+ * - warn: called with non-fatal configuration warnings (default: console.warn)
+ *
+ * Requiring this module has no side effects; the data directory is only
+ * read when a reporter is created or asked for entries.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const appConfig = require('./config');
+const entryStore = require('./entry-store');
+const classificationRules = require('./classification-rules');
+const memoryBank = require('./memory-bank');
+const hoursAnalytics = require('./hours-analytics');
+const team = require('./team');
+const calendar = require('./calendar');
+const reportTemplates = require('./report-templates');
+const projectStatus = require('./project-status');
+const offlineSummarizer = require('./offline-summarizer');
+const ticketReferences = require('./ticket-references');
+const timesheetLint = require('./timesheet-lint');
+const clientReport = require('./client-report');
+const gitActivity = require('./git-activity');
+const workTypes = require('./work-types');
+
+function formatTime(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  if (hours === 0) return `${mins}m`;
+  if (mins === 0) return `${hours}h`;
+  return `${hours}h ${mins}m`;
+}
+
+/**
+ * Strip Noko hashtags from a description
+ */
+function stripHashtags(description) {
+  return (description || '').replace(/(^|\s)#[\w-]+/g, '$1').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Project directories in a data directory (dot directories hold internal data)
+ */
+function discoverProjects(dataDir) {
+  if (!fs.existsSync(dataDir)) {
+    return [];
+  }
+  return fs.readdirSync(dataDir, { withFileTypes: true })
+    .filter(dirent => dirent.isDirectory())
+    .map(dirent => dirent.name)
+    .filter(name => !name.startsWith('.'));
+}
+
+/**
+ * Index project mappings both ways
+ *
+ * Project mappings allow mapping discovered project directories to report categories.
+ * This enables flexible reporting structures for different organizational setups.
+ *
+ * Set as projectMappings in the config file, or in the environment
+ * (validated by config.js):
+ * PROJECT_MAPPINGS="DH:CATIC,GovHub:CATIC,MJFF:SDSU,LSM:General"
+ *
+ * This would map:
+ * - DH and GovHub projects → CATIC category
+ * - MJFF projects → SDSU category
+ * - LSM projects → General category
+ *
+ * @param {Object} mappings - Project directory name → category
+ * @returns {Object} Mapping object with category names as keys and project arrays as values
+ */
+function indexProjectMappings(mappings) {
+  const projectToCategory = { ...mappings };
+  const categoryToProjects = {};
+
+  Object.entries(projectToCategory).forEach(([project, category]) => {
+    if (!categoryToProjects[category]) {
+      categoryToProjects[category] = [];
+    }
+    categoryToProjects[category].push(project);
+  });
+
+  return {
+    projectToCategory,    // e.g., { "DH": "CATIC", "GovHub": "CATIC", "MJFF": "SDSU" }
+    categoryToProjects,   // e.g., { "CATIC": ["DH", "GovHub"], "SDSU": ["MJFF"] }
+    hasCustomMappings: Object.keys(projectToCategory).length > 0
+  };
+}
+
+/**
+ * Load classification rules from a rules file or the shipped defaults
+ *
+ * A broken custom rules file falls back to config/classification-rules.json
+ * with a warning, so reports still run while the file is being fixed.
+ *
+ * @returns {Object} Compiled rule set (see classification-rules.js)
+ */
+function loadClassificationRules(rulesFile, warn) {
+  if (rulesFile) {
+    try {
+      return classificationRules.loadRules(rulesFile);
+    } catch (error) {
+      warn(error.message);
+      warn(`Falling back to default rules: ${classificationRules.DEFAULT_RULES_FILE}`);
+    }
+  }
+
+  return classificationRules.loadRules();
+}
+
+/**
+ * Ingest new or changed snapshots into a loaded store, saving it unless
+ * read-only
+ *
+ * @returns {Object} Ingest totals (see entry-store.js refreshStore)
+ */
+function ingestSnapshots(store, dataDir, projects, readOnly) {
+  const totals = entryStore.refreshStore(store, dataDir, projects);
+
+  if (totals.snapshots > 0 && !readOnly && fs.existsSync(dataDir)) {
+    entryStore.saveStore(entryStore.getStorePath(dataDir), store);
+  }
+
+  return totals;
+}
+
+/**
+ * Load the canonical entry store, ingesting any new or changed snapshots
+ *
+ * The store is created on first use from the existing snapshot files, so
+ * report commands work without running `store rebuild` first.
+ *
+ * @param {Function} [onIngest] - Called with the ingest totals when snapshots were ingested
+ * @param {Object} [options] - { readOnly }: ingest in memory without saving the store
+ * @returns {Object} Entry store (see entry-store.js)
+ */
+function loadEntryStore(dataDir, projects, onIngest = null, options = {}) {
+  const store = entryStore.loadStore(entryStore.getStorePath(dataDir));
+  const totals = ingestSnapshots(store, dataDir, projects, Boolean(options.readOnly));
+
+  if (totals.snapshots > 0 && onIngest) {
+    onIngest(totals);
+  }
+
+  return store;
+}
+
+/**
+ * Entry source backed by the entry store: live entries, de-duplicated by
+ * Noko entry id
+ *
+ * The store file is read once; later calls only ingest snapshots fetched
+ * since, and return the same list while nothing changed.
+ */
+function createStoreSource(dataDir, projects, readOnly = false) {
+  let store = null;
+  let entries = null;
+
+  return {
+    getEntries: () => {
+      if (!store) {
+        store = loadEntryStore(dataDir, projects, null, { readOnly });
+      } else if (ingestSnapshots(store, dataDir, projects, readOnly).snapshots > 0) {
+        entries = null;
+      }
+      if (!entries) {
+        entries = entryStore.getEntries(store);
+      }
+      return entries;
+    }
+  };
+}
+
+/**
+ * Create a reporter (see the module comment for the options)
+ *
+ * @returns {Object} Reporter: settings, dates, classification, filtering,
+ *   analysis and rendering functions
+ */
+function createReporter(options = {}) {
+  const config = appConfig.withDefaults(options.config);
+  const warn = options.warn || (message => console.warn(`⚠️  ${message}`));
+  const clock = typeof options.now === 'function' ? options.now : () => new Date(options.now || Date.now());
+  const timezone = config.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const dataDir = config.dataDir;
+  const userId = config.noko.userId;
+  if (userId === null) {
+    throw new Error('config.noko.userId is required: your Noko user id');
+  }
+
+  // Dynamic project discovery from the data directory, falling back to the
+  // configured projects or previous defaults
+  let projects = options.projects;
+  if (!projects) {
+    try {
+      projects = discoverProjects(dataDir);
+    } catch (error) {
+      warn(`Could not read data directory ${dataDir}: ${error.message}`);
+      projects = [];
+    }
+    if (projects.length === 0) {
+      const configured = Object.keys(config.projects);
+      projects = configured.length > 0 ? configured : ['CATIC', 'SDSU'];
+      warn(`No project directories found in ${dataDir}, using: ${projects.join(', ')}`);
+    }
+  }
+
+  const projectMappings = indexProjectMappings(config.projectMappings);
+  const rules = loadClassificationRules(config.files.classificationRules, warn);
+  const source = Array.isArray(options.source)
+    ? { getEntries: () => options.source }
+    : options.source || createStoreSource(dataDir, projects, Boolean(options.readOnly));
+
+  // Dates are computed in the configured timezone, not UTC
+
+  function now() {
+    return clock();
+  }
+
+  function today() {
+    return calendar.toLocalDate(now(), timezone);
+  }
+
+  function daysAgo(days) {
+    return calendar.addDays(today(), -days);
+  }
+
+  let workingCalendar = null;
+
+  /**
+   * Working-day calendar from files.calendar or DATA_DIR/calendar.json
+   */
+  function getCalendar() {
+    if (!workingCalendar) {
+      workingCalendar = calendar.loadCalendar(config.files.calendar || path.join(dataDir, 'calendar.json'));
+    }
+    return workingCalendar;
+  }
+
+  /**
+   * Normalize a report range to an inclusive { from, to } window
+   *
+   * @param {number|Object} range - Days back from today, or { from, to }
+   * @returns {Object} { from, to } as 'YYYY-MM-DD'
+   */
+  function resolveWindow(range) {
+    if (range && typeof range === 'object') {
+      return { from: range.from, to: range.to };
+    }
+    return { from: daysAgo(range), to: today() };
+  }
+
+  /**
+   * Window of a named period (see calendar.PERIODS)
+   */
+  function resolvePeriod(name, lastReportDate = null) {
+    return calendar.resolvePeriod(name, today(), getCalendar(), lastReportDate);
+  }
+
+  function getEntries() {
+    return source.getEntries();
+  }
+
+  /**
+   * Project directories that feed a report section
+   *
+   * With project mappings a category (e.g. CATIC) covers several project
+   * directories (DH, GovHub); otherwise the section key is the directory.
+   */
+  function getProjectsForKey(key) {
+    if (projectMappings.categoryToProjects[key]) {
+      return projectMappings.categoryToProjects[key];
+    }
+    return projects.filter(project => project.toLowerCase() === String(key).toLowerCase());
+  }
+
+  /**
+   * Memory bank context block for a report section, '' when disabled or empty
+   */
+  function getMemoryBankContext(key) {
+    if (!config.features.memoryBank) return '';
+
+    return getProjectsForKey(key)
+      .map(project => memoryBank.formatMemoryBankContext(memoryBank.readMemoryBank(dataDir, project)))
+      .filter(Boolean)
+      .join('');
+  }
+
+  /**
+   * Resolve the report key for a client project entry
+   *
+   * Rules may name the client explicitly (e.g. "[LSM] Dartmouth ..." → DH);
+   * otherwise the clean project name is matched against discovered project
+   * directories by containment, falling back to its first word. Project
+   * mappings are applied to the matched directory.
+   */
+  function resolveClientKey(projectName, ruleClient) {
+    const cleanProjectName = projectName.replace(/^\[LSM\]\s*/, '').trim();
+    const nameLower = cleanProjectName.toLowerCase();
+
+    let matchedProject;
+    if (ruleClient) {
+      matchedProject = projects.find(proj => proj.toLowerCase() === ruleClient.toLowerCase()) || ruleClient;
+    } else {
+      matchedProject = projects.find(proj => {
+        const projLower = proj.toLowerCase();
+        return nameLower.includes(projLower) || projLower.includes(nameLower);
+      });
+    }
+
+    // Apply project mapping if configured and matched project exists
+    if (matchedProject && projectMappings.hasCustomMappings) {
+      return projectMappings.projectToCategory[matchedProject] || matchedProject;
+    }
+
+    // Fallback to matched project or first word of project name
+    return matchedProject || cleanProjectName.split(' ')[0];
+  }
+
+  /**
+   * Classify an entry with the configured rules
+   *
+   * @returns {Object} { category, key, rule } — key is the report section the
+   *   entry lands in (client key, "LSM", "Internal" or its Noko project name)
+   */
+  function classifyEntry(entry) {
+    const result = classificationRules.classifyEntry(entry, rules);
+    let key;
+
+    switch (result.category) {
+      case 'client':
+        key = resolveClientKey(entry.project?.name || '', result.client);
+        break;
+      case 'lsm':
+        key = 'LSM';
+        break;
+      case 'internal':
+        key = 'Internal';
+        break;
+      case 'exclude':
+        key = null;
+        break;
+      default:
+        key = entry.project?.name || 'Uncategorized';
+    }
+
+    return { category: result.category, key, rule: result.rule };
+  }
+
+  /**
+   * Get configured project categories for report generation
+   *
+   * Returns the categories that should be used in reports, either from
+   * project mappings or discovered projects.
+   *
+   * @returns {Array} Array of category names for report generation
+   */
+  function getReportCategories() {
+    if (projectMappings.hasCustomMappings) {
+      // Use categories from project mappings
+      return Object.keys(projectMappings.categoryToProjects).sort();
+    } else {
+      // Fallback to discovered projects
+      return projects.slice().sort();
+    }
+  }
+
+  /**
+   * Entries in a window
+   *
+   * @param {number|Object} days - Days back to include, or a { from, to } window
+   * @param {Object} [filters] - { userIds }: only these users' entries
+   * @returns {Array} Noko entries (dates are already local 'YYYY-MM-DD' dates)
+   */
+  function filterEntries(days, filters = {}) {
+    const { from, to } = resolveWindow(days);
+    return getEntries().filter(entry => entry.date >= from && entry.date <= to &&
+      (!filters.userIds || filters.userIds.includes(entry.user.id)));
+  }
+
+  /**
+   * LSM filtering logic
+   *
+   * LSM = Lullabot Support and Maintenance Department
+   *
+   * Entries are classified by the ordered rules file (see LSM.md). Everything
+   * except Internal and explicitly excluded entries is kept:
+   * - client and LSM categories are LSM work by definition
+   * - uncategorized ("other") entries are kept conservatively, since LSM work
+   *   is sometimes logged to other buckets
+   */
+  function filterLsmEntries(entries) {
+    return entries.filter(entry => {
+      const { category } = classifyEntry(entry);
+      return category !== 'internal' && category !== 'exclude';
+    });
+  }
+
+  /**
+   * Enhanced categorization for geekbot reports
+   *
+   * Categories (decided by the classification rules file):
+   * 1. Client Projects: [LSM] prefixed projects (DH, GovHub, MJFF, etc.)
+   * 2. LSM General: Administrative work + LSM bucket + drainpipe + lullabotdotcom (when not client-specific)
+   * 3. Internal: #internal tagged + Internal bucket + company-wide activities
+   * 4. Other: Any uncategorized entries (auto-categorized)
+   */
+  function categorizeEntriesForGeekbot(allEntries, userIds) {
+    const categories = {
+      clientProjects: {},  // Key = project name, Value = entries array
+      lsm: [],            // General LSM activities
+      internal: [],       // Internal activities
+      other: []           // Uncategorized entries
+    };
+
+    // Filter to the user's (or team's) entries only
+    const users = Array.isArray(userIds) ? userIds : [userIds];
+    const userEntries = allEntries.filter(entry => users.includes(entry.user.id));
+
+    userEntries.forEach(entry => {
+      const { category, key } = classifyEntry(entry);
+
+      if (category === 'client') {
+        if (!categories.clientProjects[key]) {
+          categories.clientProjects[key] = [];
+        }
+        categories.clientProjects[key].push(entry);
+      } else if (category === 'lsm') {
+        categories.lsm.push(entry);
+      } else if (category === 'internal') {
+        categories.internal.push(entry);
+      } else if (category === 'other') {
+        categories.other.push(entry);
+      }
+    });
+
+    return categories;
+  }
+
+  /**
+   * How each of the user's entries in the window was classified
+   *
+   * @param {number|Object} days - Days back to include, or a { from, to } window
+   * @returns {Array} [{ entry, category, key, rule }]
+   */
+  function explainClassification(days = 1) {
+    return filterEntries(days, { userIds: [userId] }).map(entry => ({ entry, ...classifyEntry(entry) }));
+  }
+
+  /**
+   * Collect the report sections for a window, in report order
+   *
+   * Geekbot reports use the rule-based categories (client projects, LSM,
+   * Internal, then uncategorized entries grouped by Noko project); other
+   * reports use LSM filtering grouped by clean Noko project name.
+   *
+   * @param {number|Object} days - Days back to include, or a { from, to } window
+   * @param {string} reportType - 'geekbot' or another report type
+   * @param {boolean} excludeInternal - Drop the Internal section (geekbot only)
+   * @param {Array<number>} userIds - Users to include (team mode), defaults to config.noko.userId
+   * @returns {Array} [{ name, category, key, entries }] where key is the
+   *   classification key used for memory bank lookup
+   */
+  function collectReportSections(days = 1, reportType = 'geekbot', excludeInternal = false, userIds = null) {
+    const users = userIds || [userId];
+    const sections = [];
+
+    const filteredEntries = filterEntries(days);
+
+    if (filteredEntries.length === 0) {
+      return sections;
+    }
+
+    if (reportType === 'geekbot') {
+      // Use enhanced categorization for geekbot reports
+      const categories = categorizeEntriesForGeekbot(filteredEntries, users);
+
+      // Generate output in specified order: Projects, LSM, Internal
+
+      // 1. Client Projects
+      Object.keys(categories.clientProjects).sort().forEach(projectKey => {
+        const entries = categories.clientProjects[projectKey];
+        if (entries.length > 0) {
+          sections.push({ name: projectKey, category: 'client', key: projectKey, entries });
+        }
+      });
+
+      // 2. LSM General
+      if (categories.lsm.length > 0) {
+        sections.push({ name: 'LSM', category: 'lsm', key: 'LSM', entries: categories.lsm });
+      }
+
+      // 3. Internal (conditionally included)
+      if (!excludeInternal && categories.internal.length > 0) {
+        sections.push({ name: 'Internal', category: 'internal', key: 'Internal', entries: categories.internal });
+      }
+
+      // 4. Other (auto-categorize)
+      if (categories.other.length > 0) {
+        // Group by project name for uncategorized entries
+        const otherGrouped = {};
+        categories.other.forEach(entry => {
+          const projectName = entry.project?.name || 'Uncategorized';
+          if (!otherGrouped[projectName]) {
+            otherGrouped[projectName] = [];
+          }
+          otherGrouped[projectName].push(entry);
+        });
+
+        Object.keys(otherGrouped).sort().forEach(projectName => {
+          sections.push({ name: projectName, category: 'other', key: projectName, entries: otherGrouped[projectName] });
+        });
+      }
+
+    } else {
+      // For other reports: use original LSM filtering approach
+      const lsmEntries = filterLsmEntries(filteredEntries);
+      const userEntries = lsmEntries.filter(entry => users.includes(entry.user.id));
+
+      // Group by project for non-geekbot reports
+      const projectGroups = {};
+      userEntries.forEach(entry => {
+        const projectName = entry.project?.name?.replace(/^\[LSM\]\s*/, '') || 'Unknown';
+        if (!projectGroups[projectName]) {
+          projectGroups[projectName] = [];
+        }
+        projectGroups[projectName].push(entry);
+      });
+
+      Object.keys(projectGroups).sort().forEach(projectName => {
+        const entries = projectGroups[projectName];
+        const { category, key } = classifyEntry(entries[0]);
+        sections.push({ name: projectName, category, key, entries });
+      });
+    }
+
+    return sections;
+  }
+
+  /**
+   * Render report sections as the raw text given to the LLM, with memory
+   * bank context for client sections
+   */
+  function formatRawData(sections) {
+    let rawData = '';
+
+    sections.forEach(section => {
+      rawData += `\n=== ${section.name} ===\n`;
+      if (section.category === 'client') {
+        rawData += getMemoryBankContext(section.key);
+      }
+      const breakdown = workTypes.formatWorkTypes(workTypes.summarizeWorkTypes(section.entries, workTypeOf), formatTime);
+      if (breakdown) {
+        rawData += `--- Work types: ${breakdown}\n`;
+      }
+      section.entries.forEach(entry => {
+        const timeFormatted = formatTime(entry.minutes);
+        const user = `${entry.user.first_name} ${entry.user.last_name.charAt(0)}.`;
+        rawData += `${timeFormatted} - ${user}: ${entry.description} (${entry.date})\n`;
+      });
+    });
+
+    return rawData;
+  }
+
+  /**
+   * Raw text for LLM processing: formatRawData() of the window's sections
+   */
+  function generateRawData(days = 1, reportType = 'geekbot', excludeInternal = false, userIds = null) {
+    return formatRawData(collectReportSections(days, reportType, excludeInternal, userIds));
+  }
+
+  /**
+   * Ticket config from files.tickets or DATA_DIR/tickets.json
+   */
+  function getTicketConfig() {
+    return ticketReferences.loadTicketConfig(config.files.tickets || path.join(dataDir, 'tickets.json'));
+  }
+
+  /**
+   * Generate the categorized report data as structured records
+   *
+   * Same sections and entries as generateRawData, for export as
+   * JSON/CSV/NDJSON instead of prose.
+   *
+   * @returns {Object} { reportType, from, to, sections: [{ name, category, entries: [record] }] }
+   */
+  function generateReportData(days = 1, reportType = 'geekbot', excludeInternal = false, userIds = null) {
+    const ticketConfig = getTicketConfig();
+    const sections = collectReportSections(days, reportType, excludeInternal, userIds).map(section => ({
+      name: section.name,
+      category: section.category,
+      entries: section.entries.map(entry => ({
+        id: entry.id,
+        date: entry.date,
+        minutes: entry.minutes,
+        user: `${entry.user.first_name} ${entry.user.last_name}`.trim(),
+        userId: entry.user.id,
+        project: entry.project?.name || null,
+        projectId: entry.project?.id || null,
+        tags: (entry.tags || []).map(tag => tag.name),
+        billable: Boolean(entry.billable),
+        tickets: ticketReferences.extractEntryTickets(entry, section.key, ticketConfig).map(ticket => ticket.id),
+        description: stripHashtags(entry.description)
+      }))
+    }));
+
+    return {
+      reportType,
+      ...resolveWindow(days),
+      sections
+    };
+  }
+
+  let taxonomy = null;
+
+  /**
+   * Work type taxonomy from files.workTypes or DATA_DIR/work-types.json
+   */
+  function getWorkTypes() {
+    if (!taxonomy) {
+      taxonomy = workTypes.loadWorkTypes(config.files.workTypes || path.join(dataDir, 'work-types.json'));
+    }
+    return taxonomy;
+  }
+
+  /**
+   * Work type of an entry (see work-types.js), null when untyped
+   */
+  function workTypeOf(entry) {
+    return workTypes.workTypeOf(entry, getWorkTypes());
+  }
+
+  /**
+   * Time by work type with display times, and the main type if any
+   *
+   * @returns {Object} { workTypes: [{ name, minutes, time, entries, percent }], mainWorkType }
+   */
+  function describeWorkTypes(entries) {
+    const breakdown = workTypes.summarizeWorkTypes(entries, workTypeOf)
+      .map(type => ({ ...type, time: formatTime(type.minutes) }));
+    return { workTypes: breakdown, mainWorkType: workTypes.mainWorkType(breakdown) };
+  }
+
+  /**
+   * Retainer allotments from files.retainers or DATA_DIR/retainers.json
+   */
+  function getRetainers() {
+    return hoursAnalytics.loadRetainers(config.files.retainers || path.join(dataDir, 'retainers.json'));
+  }
+
+  const isWorkingDay = date => calendar.isWorkingDay(date, getCalendar());
+
+  /**
+   * Hours analytics for a window plus month-to-date retainer burn
+   *
+   * Unlike the report sections this covers the whole team's entries unless
+   * `mine` is set, since retainers are consumed by everyone's time.
+   *
+   * @param {number|Object} days - Days back for the totals, or a { from, to } window
+   * @param {Object} options - { mine: boolean }
+   * @returns {Object} { from, to, scope, summary, retainers }
+   */
+  function generateHoursReport(days = 7, options = {}) {
+    const { from, to } = resolveWindow(days);
+    const sectionOf = entry => classifyEntry(entry).key || '(excluded)';
+
+    const entries = getEntries().filter(entry => !options.mine || entry.user.id === userId);
+    const windowEntries = entries.filter(entry => entry.date >= from && entry.date <= to);
+
+    return {
+      from,
+      to,
+      scope: options.mine ? `user ${userId}` : 'all users',
+      summary: hoursAnalytics.summarizeHours(windowEntries, sectionOf, workTypeOf),
+      retainers: hoursAnalytics.computeRetainerBurn(entries, getRetainers(), {
+        today: to,
+        sectionOf,
+        isWorkingDay
+      })
+    };
+  }
+
+  /**
+   * Tickets touched in a window, with time summed across days and people
+   *
+   * @param {number|Object} days - Days back or { from, to }
+   * @param {Object} options - { mine }: only config.noko.userId's entries
+   * @returns {Object} { from, to, scope, tickets, unreferenced } (see groupByTicket)
+   */
+  function generateTicketReport(days = 7, options = {}) {
+    const { from, to } = resolveWindow(days);
+    const entries = filterEntries(days, { userIds: options.mine ? [userId] : null })
+      .filter(entry => classifyEntry(entry).category !== 'exclude');
+    const { tickets, unreferenced } = ticketReferences.groupByTicket(entries, entry => classifyEntry(entry).key, getTicketConfig());
+
+    return {
+      from,
+      to,
+      scope: options.mine ? `user ${userId}` : 'all users',
+      tickets: tickets.map(({ entries: ticketEntries, ...ticket }) => ({
+        ...ticket,
+        entries: ticketEntries.map(entry => ({ id: entry.id, date: entry.date, minutes: entry.minutes, description: stripHashtags(entry.description) }))
+      })),
+      unreferenced
+    };
+  }
+
+  /**
+   * Lint the time entries of a window for data-quality problems
+   *
+   * @param {number|Object} days - Days back or { from, to }
+   * @param {Array<number>} userIds - Users to lint (default: config.noko.userId)
+   * @returns {Object} { from, to, scope, problems, errors, warnings }
+   */
+  function generateLintReport(days = 7, userIds = null) {
+    const users = userIds || [userId];
+    const { from, to } = resolveWindow(days);
+    const entries = filterEntries(days, { userIds: users });
+    const lintRules = timesheetLint.loadLintRules(config.files.lintRules || path.join(dataDir, 'lint-rules.json'));
+
+    const workingDays = [];
+    for (let date = from; date <= to; date = calendar.addDays(date, 1)) {
+      if (isWorkingDay(date)) workingDays.push(date);
+    }
+
+    const problems = timesheetLint.lintTimesheet(entries, lintRules, {
+      classify: classifyEntry,
+      hasDataProject: key => projects.some(project => project.toLowerCase() === String(key).toLowerCase()) ||
+        Object.values(projectMappings.projectToCategory).includes(key),
+      workingDays,
+      today: today(),
+      userIds: users
+    });
+
+    return {
+      from,
+      to,
+      scope: userIds ? `users ${users.join(', ')}` : `user ${users[0]}`,
+      problems,
+      errors: problems.filter(problem => problem.level === 'error').length,
+      warnings: problems.filter(problem => problem.level === 'warning').length
+    };
+  }
+
+  /**
+   * Team report: per-person sections, per-client rollup and missing updates
+   *
+   * @param {number|Object} days - Days back to include, or a { from, to } window
+   * @param {Object} resolvedTeam - { userIds, label } from team.resolveTeam()
+   * @returns {Object} buildTeamReport() result plus { from, to, label }
+   */
+  function generateTeamReport(days, resolvedTeam) {
+    const { from, to } = resolveWindow(days);
+    const entries = getEntries();
+
+    // Names for members without entries in the window come from older entries
+    const knownNames = {};
+    entries.forEach(entry => {
+      knownNames[entry.user.id] = `${entry.user.first_name} ${entry.user.last_name}`.trim();
+    });
+
+    const windowEntries = entries.filter(entry => entry.date >= from && entry.date <= to);
+    const report = team.buildTeamReport(windowEntries, resolvedTeam.userIds, classifyEntry, knownNames);
+
+    return { ...report, from, to, label: resolvedTeam.label };
+  }
+
+  /**
+   * Health status for each weekly report category
+   *
+   * Compares the window with the same number of days in each of the earlier
+   * trailing windows, and checks retainer burn and status tags.
+   *
+   * @param {number|Object} days - Days back or { from, to }
+   * @param {Array<number>} [userIds] - Users to cover (default: config.noko.userId)
+   * @returns {Object} { from, to, trailingWindows, statuses }
+   */
+  function generateStatusReport(days = 7, userIds = null) {
+    const { from, to } = resolveWindow(days);
+    const length = calendar.daysBetween(from, to) + 1;
+    const statusRules = projectStatus.loadStatusRules(config.files.statusRules || path.join(dataDir, 'status-rules.json'));
+    const sectionOf = entry => classifyEntry(entry).key || '(excluded)';
+    const minutesOf = section => section ? section.entries.reduce((sum, entry) => sum + entry.minutes, 0) : 0;
+
+    const current = collectReportSections({ from, to }, 'weekly', false, userIds);
+    const trailing = [];
+    for (let i = 1; i <= statusRules.trailingWindows; i++) {
+      const windowTo = calendar.addDays(from, -(i - 1) * length - 1);
+      trailing.push(collectReportSections({ from: calendar.addDays(windowTo, -(length - 1)), to: windowTo }, 'weekly', false, userIds));
+    }
+
+    const retainers = getRetainers();
+    const burn = hoursAnalytics.computeRetainerBurn(getEntries(), retainers, {
+      today: to,
+      sectionOf,
+      isWorkingDay
+    });
+
+    const names = [...new Set([current, ...trailing].flat().map(section => section.name))];
+    const statuses = projectStatus.computeStatuses(names.map(name => {
+      const section = current.find(candidate => candidate.name === name);
+      const trailingSections = trailing.map(sections => sections.find(candidate => candidate.name === name));
+      const seenEntries = [section, ...trailingSections].filter(Boolean).flatMap(found => found.entries);
+
+      return {
+        name,
+        entries: section ? section.entries : [],
+        trailingMinutes: trailingSections.map(minutesOf),
+        retainers: burn.filter((result, index) => seenEntries.some(entry => hoursAnalytics.retainerMatches(retainers[index], entry, sectionOf)))
+      };
+    }), statusRules);
+
+    return { from, to, trailingWindows: statusRules.trailingWindows, statuses };
+  }
+
+  /**
+   * Template fields for a category's computed status (green when unknown)
+   */
+  function getStatusFields(statuses, name) {
+    const found = (statuses || []).find(status => status.name === name);
+    const status = found ? found.status : 'green';
+    const reasons = found ? found.reasons : [];
+
+    return {
+      status,
+      statusEmoji: projectStatus.STATUS_EMOJI[status],
+      statusLabel: projectStatus.STATUS_LABELS[status],
+      statusReasons: reasons,
+      statusReason: reasons.join('; ')
+    };
+  }
+
+  function getTemplateDirs() {
+    return [
+      config.files.templatesDir || path.join(dataDir, 'templates'),
+      reportTemplates.BUILTIN_TEMPLATES_DIR
+    ];
+  }
+
+  /**
+   * Load the template for a report type
+   *
+   * @param {string} reportType - 'geekbot' or 'weekly'
+   * @param {string} [name] - Template name overriding templates.json (--template)
+   * @returns {Object} reportTemplates.loadTemplate() result
+   */
+  function getReportTemplate(reportType, name) {
+    const [userDir] = getTemplateDirs();
+    const selection = reportTemplates.loadTemplateSelection(userDir);
+    const templateName = reportTemplates.selectTemplateName(reportType, userId, selection, name);
+    return reportTemplates.loadTemplate(templateName, getTemplateDirs());
+  }
+
+  /**
+   * Template data for a report window
+   *
+   * Each category carries its time, its entries (hashtags removed), summary
+   * items from the offline summarizer, its time by work type, and its
+   * entries grouped by project.
+   *
+   * @param {Array} sections - collectReportSections() result
+   * @param {number|Object} days - Days back or { from, to }
+   * @param {string} reportType - 'geekbot' or 'weekly'
+   * @param {Array} [statuses] - Computed category statuses (generateStatusReport)
+   * @returns {Object} Template context
+   */
+  function buildTemplateContext(sections, days, reportType, statuses = null) {
+    const { from, to } = resolveWindow(days);
+    const ticketConfig = getTicketConfig();
+    const toTickets = (entries, keyOf) => ticketReferences.groupByTicket(entries, keyOf, ticketConfig).tickets.map(ticket => ({
+      id: ticket.id,
+      tracker: ticket.tracker,
+      url: ticket.url,
+      link: ticketReferences.formatTicketLink(ticket),
+      minutes: ticket.minutes,
+      time: formatTime(ticket.minutes),
+      days: ticket.days.length,
+      dayCount: ticketReferences.formatDayCount(ticket.days),
+      people: ticket.people.join(', ')
+    }));
+    const toEntry = entry => ({
+      id: entry.id,
+      date: entry.date,
+      minutes: entry.minutes,
+      time: formatTime(entry.minutes),
+      description: stripHashtags(entry.description),
+      project: entry.project?.name || 'No project',
+      user: `${entry.user.first_name} ${entry.user.last_name}`.trim(),
+      tags: (entry.tags || []).map(tag => tag.name).join(', '),
+      workType: workTypeOf(entry) || '',
+      billable: Boolean(entry.billable)
+    });
+
+    const categories = sections.map(section => {
+      const entries = section.entries.map(toEntry);
+      const minutes = entries.reduce((sum, entry) => sum + entry.minutes, 0);
+      const byProject = {};
+      entries.forEach(entry => {
+        byProject[entry.project] = byProject[entry.project] || [];
+        byProject[entry.project].push(entry);
+      });
+
+      return {
+        name: section.name,
+        category: section.category,
+        ...getStatusFields(statuses, section.name),
+        minutes,
+        time: formatTime(minutes),
+        items: offlineSummarizer.summarizeItems(entries),
+        ...describeWorkTypes(section.entries),
+        tickets: toTickets(section.entries, () => section.key),
+        entries,
+        projects: Object.keys(byProject).sort().map(project => ({
+          name: project,
+          time: formatTime(byProject[project].reduce((sum, entry) => sum + entry.minutes, 0)),
+          entries: byProject[project]
+        }))
+      };
+    });
+
+    const sectionKeys = new Map();
+    sections.forEach(section => section.entries.forEach(entry => sectionKeys.set(entry, section.key)));
+
+    const totalMinutes = categories.reduce((sum, category) => sum + category.minutes, 0);
+    return {
+      reportType,
+      date: today(),
+      from,
+      to,
+      userId,
+      configured: getReportCategories().join(', '),
+      categories,
+      tickets: toTickets(Array.from(sectionKeys.keys()), entry => sectionKeys.get(entry)),
+      ...describeWorkTypes(Array.from(sectionKeys.keys())),
+      totalMinutes,
+      totalTime: formatTime(totalMinutes),
+      skeleton: false
+    };
+  }
+
+  /**
+   * Template data with placeholder items, rendered as the format the LLM fills in
+   *
+   * Weekly categories are the ones with computed statuses when given, so the
+   * format carries each category's status; otherwise the configured categories.
+   */
+  function buildSkeletonContext(reportType, excludeInternal = false, statuses = null) {
+    let names = getReportCategories();
+    if (reportType === 'geekbot') {
+      names = ['[Client Project Name]', 'LSM', ...(excludeInternal ? [] : ['Internal'])];
+    } else if (statuses && statuses.length > 0) {
+      names = statuses.map(status => status.name).sort();
+    }
+    const placeholder = '[clean summary without hashtags]';
+
+    return {
+      reportType,
+      date: today(),
+      from: '[from]',
+      to: '[to]',
+      userId,
+      configured: getReportCategories().join(', '),
+      categories: names.map(name => ({
+        name,
+        ...getStatusFields(statuses, name),
+        minutes: 0,
+        time: '[time]',
+        items: [placeholder],
+        workTypes: [],
+        mainWorkType: null,
+        tickets: [],
+        entries: [{ date: '[date]', time: '[time]', description: placeholder, project: name, user: '[user]', tags: '' }],
+        projects: [{ name, time: '[time]', entries: [] }]
+      })),
+      tickets: [],
+      workTypes: [],
+      mainWorkType: null,
+      totalMinutes: 0,
+      totalTime: '[time]',
+      skeleton: true
+    };
+  }
+
+  /**
+   * Render the report format the LLM fills in
+   *
+   * Renders the selected template with placeholder items for the report
+   * categories, including their computed status for weekly reports.
+   *
+   * @param {string} reportType - 'geekbot' or 'weekly'
+   * @param {Object} options - { template: name, loaded: template, excludeInternal, statuses }
+   * @returns {string} Template string for LLM processing
+   */
+  function renderSkeleton(reportType = 'weekly', options = {}) {
+    const template = options.loaded || getReportTemplate(reportType, options.template);
+    return reportTemplates.renderTemplate(template, buildSkeletonContext(reportType, options.excludeInternal, options.statuses));
+  }
+
+  /**
+   * Summary of one client's work in a window, for client-facing reports
+   *
+   * Covers everyone's time on the client's projects unless userIds is set,
+   * like the hours report. The client is a report section key: a project
+   * directory, or a category when project mappings are configured.
+   *
+   * @param {string} client - Client name, matched case-insensitively
+   * @param {number|Object} days - Days back or { from, to }
+   * @param {Array<number>} [userIds] - Users to cover (default: everyone)
+   * @returns {Object} clientReport.buildClientReport() result
+   * @throws {Error} When no category or client entry has that name
+   */
+  function generateClientReport(client, days, userIds = null) {
+    const { from, to } = resolveWindow(days);
+    const clientKeys = new Map();
+    const keyOf = entry => {
+      const { category, key } = classifyEntry(entry);
+      return category === 'client' ? key : null;
+    };
+
+    getReportCategories().forEach(key => clientKeys.set(key.toLowerCase(), key));
+    getEntries().forEach(entry => {
+      const key = keyOf(entry);
+      if (key && !clientKeys.has(key.toLowerCase())) clientKeys.set(key.toLowerCase(), key);
+    });
+
+    const name = clientKeys.get(String(client).toLowerCase());
+    if (!name) {
+      throw new Error(`Unknown client "${client}" (known: ${Array.from(clientKeys.values()).sort().join(', ') || 'none'})`);
+    }
+
+    const entries = filterEntries(days, { userIds })
+      .filter(entry => (keyOf(entry) || '').toLowerCase() === name.toLowerCase());
+    const sectionOf = entry => keyOf(entry) || '(other)';
+    const retainer = getRetainers().find(candidate => (candidate.section || '').toLowerCase() === name.toLowerCase() ||
+      (candidate.section === undefined && entries.some(entry => hoursAnalytics.retainerMatches(candidate, entry, sectionOf))));
+
+    return clientReport.buildClientReport(entries, { client: name, from, to, retainer, workTypeOf });
+  }
+
+  /**
+   * Days with commits in a project's local repositories but no time logged
+   * to its report section (see git-activity.js)
+   *
+   * Covers config.noko.userId's entries. A repository that cannot be read
+   * is reported in `repos` with its error rather than failing the report.
+   *
+   * @param {number|Object} days - Days back or { from, to }
+   * @param {Object} [options] - { readCommits, getRepoAuthor }: overrides of
+   *   the git-activity functions, for tests
+   * @returns {Object} { from, to, scope, repos: [{ project, path, commits,
+   *   error }], commitCount, gaps } (gaps from gitActivity.findGaps, plus
+   *   projectId)
+   */
+  function generateGapReport(days = 7, options = {}) {
+    const { from, to } = resolveWindow(days);
+    const readCommits = options.readCommits || gitActivity.readCommits;
+    const getRepoAuthor = options.getRepoAuthor || gitActivity.getRepoAuthor;
+
+    const repos = [];
+    const projectCommits = Object.entries(config.projectRepos || {}).map(([project, paths]) => {
+      const commits = [];
+      [].concat(paths).forEach(repoPath => {
+        const repo = gitActivity.resolveRepoPath(repoPath);
+        const authors = config.git.authors.length > 0 ? config.git.authors : [getRepoAuthor(repo)].filter(Boolean);
+        try {
+          if (!fs.existsSync(repo)) {
+            throw new Error(`Repository not found: ${repo}`);
+          }
+          if (authors.length === 0) {
+            throw new Error(`No author email for ${repo}: set GIT_AUTHOR_EMAILS or the repository's user.email`);
+          }
+          const repoCommits = readCommits(repo, { from, to, authors, timeZone: timezone });
+          repos.push({ project, path: repo, commits: repoCommits.length, error: null });
+          commits.push(...repoCommits);
+        } catch (error) {
+          repos.push({ project, path: repo, commits: 0, error: error.message });
+        }
+      });
+
+      commits.sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+      return { project, section: projectMappings.projectToCategory[project] || project, commits };
+    });
+
+    const entries = filterEntries(days, { userIds: [userId] });
+    const gaps = gitActivity.findGaps(projectCommits, entries, entry => classifyEntry(entry).key)
+      .map(gap => ({ ...gap, projectId: config.projects[gap.project] || null }));
+
+    return {
+      from,
+      to,
+      scope: `user ${userId}`,
+      repos,
+      commitCount: projectCommits.reduce((sum, project) => sum + project.commits.length, 0),
+      gaps
+    };
+  }
+
+  /**
+   * Render a client report
+   *
+   * @param {string} client - Client name (see generateClientReport)
+   * @param {Object} options - { days, userIds, format: 'markdown' (default)
+   *   or 'html', template (loaded template or name, for Markdown) }
+   * @returns {string} Rendered report
+   */
+  function renderClientReport(client, options = {}) {
+    const report = generateClientReport(client, options.days || calendar.resolvePeriod(clientReport.CLIENT_PERIODS.month, today(), getCalendar()), options.userIds);
+    const context = clientReport.buildClientTemplateContext(report, formatTime);
+    if (options.format === 'html') {
+      return clientReport.renderClientReportHtml(context);
+    }
+
+    const template = options.template && typeof options.template === 'object'
+      ? options.template
+      : getReportTemplate('client-report', options.template);
+    return reportTemplates.renderTemplate(template, context);
+  }
+
+  /**
+   * Render a report from the template without an LLM
+   *
+   * Items come from the offline summarizer, so the report is deterministic
+   * and available offline. Without entries in the window this renders the
+   * template's empty-list branches.
+   *
+   * @param {string} reportType - 'geekbot' or 'weekly'
+   * @param {Object} options - { days, excludeInternal, userIds, template
+   *   (loaded template or name), statuses (default: computed for weekly) }
+   * @returns {string} Rendered report
+   */
+  function renderReport(reportType, options = {}) {
+    const days = options.days || (reportType === 'weekly' ? 7 : 1);
+    const template = options.template && typeof options.template === 'object'
+      ? options.template
+      : getReportTemplate(reportType, options.template);
+    const statuses = options.statuses !== undefined
+      ? options.statuses
+      : (reportType === 'weekly' ? generateStatusReport(days, options.userIds).statuses : null);
+    const sections = collectReportSections(days, reportType, reportType === 'geekbot' && Boolean(options.excludeInternal), options.userIds);
+    return reportTemplates.renderTemplate(template, buildTemplateContext(sections, days, reportType, statuses));
+  }
+
+  return {
+    // Settings
+    config,
+    dataDir,
+    timezone,
+    projects,
+    projectMappings,
+    classificationRules: rules,
+    userId,
+    // Dates
+    now,
+    today,
+    daysAgo,
+    getCalendar,
+    resolveWindow,
+    resolvePeriod,
+    // Classification
+    classifyEntry,
+    explainClassification,
+    getProjectsForKey,
+    getReportCategories,
+    getWorkTypes,
+    workTypeOf,
+    // Filtering
+    getEntries,
+    filterEntries,
+    filterLsmEntries,
+    collectReportSections,
+    // Analysis
+    generateReportData,
+    generateHoursReport,
+    generateTicketReport,
+    generateLintReport,
+    generateTeamReport,
+    generateStatusReport,
+    generateClientReport,
+    generateGapReport,
+    getTicketConfig,
+    getRetainers,
+    // Rendering
+    formatRawData,
+    generateRawData,
+    getMemoryBankContext,
+    getTemplateDirs,
+    getReportTemplate,
+    getStatusFields,
+    buildTemplateContext,
+    buildSkeletonContext,
+    renderSkeleton,
+    renderReport,
+    renderClientReport
+  };
+}
+
+module.exports = {
+  createReporter,
+  createStoreSource,
+  loadEntryStore,
+  discoverProjects,
+  indexProjectMappings,
+  formatTime,
+  stripHashtags
+};
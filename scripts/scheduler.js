@@ -0,0 +1,424 @@
+/**
+ * Built-in scheduler for the `schedule` command
+ *
+ * Runs the daily and weekly reports unattended, with the same steps as
+ * llm-geekbot.sh and llm-weekly.sh: fetch, generate and deliver. Jobs are
+ * configured in a JSON file (SCHEDULE_FILE, or DATA_DIR/schedule.json):
+ *
+ * {
+ *   "jobs": [
+ *     { "name": "geekbot", "report": "geekbot", "at": "09:30" },
+ *     { "name": "weekly", "report": "weekly", "at": "15:00", "days": ["wed", "fri"] }
+ *   ],
+ *   "reminder": { "at": "16:30" },
+ *   "retries": 2,
+ *   "retryMinutes": 15
+ * }
+ *
+ * Times are in REPORT_TIMEZONE. Without "days" a job runs on working days;
+ * holidays and PTO from the calendar (see calendar.js) are always skipped.
+ * The reminder is delivered to the "reminder" route (see delivery.js) when
+ * today's timesheet has no entries by its time.
+ *
+ * The scheduler checks every minute for runs that are due today and not yet
+ * done, so a run missed while the laptop slept happens when it wakes. Runs
+ * are only caught up on their own day; a run that never happened is logged
+ * as missed the next day. Failed runs are retried up to `retries` times,
+ * `retryMinutes` apart.
+ *
+ * Every run is appended to the run log, DATA_DIR/.schedule-log.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const calendar = require('./calendar');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const JOB_REPORTS = ['geekbot', 'weekly'];
+const REMINDER_JOB = 'reminder';
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_MINUTES = 15;
+const DEFAULT_INTERVAL_MS = 60000;
+const MISSED_LOOKBACK_DAYS = 7;
+const MAX_LOG_RUNS = 500;
+
+function getLogPath(dataDir) {
+  return path.join(dataDir, '.schedule-log.json');
+}
+
+function getLockPath(dataDir) {
+  return path.join(dataDir, '.schedule.lock');
+}
+
+function parseTime(value, label) {
+  const match = typeof value === 'string' && value.match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) {
+    throw new Error(`${label}: "at" must be a time like "09:30"`);
+  }
+  return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+function parseDays(days, label) {
+  if (days === undefined) return null;
+  if (!Array.isArray(days) || days.length === 0) {
+    throw new Error(`${label}: "days" must be a list of days like ["mon", "wed"]`);
+  }
+  return days.map(day => {
+    const index = DAY_NAMES.indexOf(String(day).slice(0, 3).toLowerCase());
+    if (index === -1) {
+      throw new Error(`${label}: unknown day "${day}" (expected ${DAY_NAMES.join(', ')})`);
+    }
+    return index;
+  });
+}
+
+/**
+ * Load and validate the schedule
+ *
+ * The reminder becomes a job named "reminder" with type 'reminder'; report
+ * jobs have type 'report'.
+ *
+ * @returns {Object|null} { jobs, retries, retryMinutes, source }, or null
+ *   when the file does not exist
+ * @throws {Error} When the file exists but is invalid
+ */
+function loadSchedule(filepath) {
+  if (!filepath || !fs.existsSync(filepath)) {
+    return null;
+  }
+
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read schedule ${filepath}: ${error.message}`);
+  }
+
+  const names = new Set();
+  const jobs = (document.jobs || []).map((spec, index) => {
+    const name = spec.name || spec.report;
+    const label = `${filepath}: job ${name ? `"${name}"` : index + 1}`;
+    if (!JOB_REPORTS.includes(spec.report)) {
+      throw new Error(`${label}: "report" must be one of ${JOB_REPORTS.join(', ')}`);
+    }
+    if (name === REMINDER_JOB || names.has(name)) {
+      throw new Error(`${label}: job names must be unique and not "${REMINDER_JOB}"`);
+    }
+    names.add(name);
+    return {
+      name,
+      type: 'report',
+      report: spec.report,
+      at: parseTime(spec.at, label),
+      days: parseDays(spec.days, label),
+      fetch: spec.fetch !== false,
+      deliver: spec.deliver !== false,
+      excludeInternal: Boolean(spec.excludeInternal),
+      noLlm: Boolean(spec.noLlm),
+      template: spec.template || null
+    };
+  });
+
+  if (document.reminder) {
+    const label = `${filepath}: reminder`;
+    jobs.push({
+      name: REMINDER_JOB,
+      type: 'reminder',
+      at: parseTime(document.reminder.at, label),
+      days: parseDays(document.reminder.days, label),
+      fetch: document.reminder.fetch !== false,
+      message: document.reminder.message || null
+    });
+  }
+
+  const retries = document.retries !== undefined ? document.retries : DEFAULT_RETRIES;
+  const retryMinutes = document.retryMinutes !== undefined ? document.retryMinutes : DEFAULT_RETRY_MINUTES;
+  if (!Number.isInteger(retries) || retries < 0 || !(retryMinutes > 0)) {
+    throw new Error(`${filepath}: "retries" must be a whole number and "retryMinutes" a positive number`);
+  }
+
+  return { jobs, retries, retryMinutes, source: filepath };
+}
+
+/**
+ * Whether a job runs on a date: its days (default: the calendar's working
+ * days), never on holidays or PTO
+ */
+function isScheduledOn(job, date, workingCalendar) {
+  if (workingCalendar.holidays.has(date) || workingCalendar.pto.has(date)) return false;
+  const day = calendar.dayOfWeek(date);
+  return job.days ? job.days.includes(day) : !workingCalendar.weekends.has(day);
+}
+
+/**
+ * Load the run log
+ *
+ * @returns {Object} { since: first day the scheduler ran, runs: [{ job,
+ *   date, attempt, status, startedAt, finishedAt, detail }] }
+ * @throws {Error} When the file exists but is invalid
+ */
+function loadRunLog(filepath) {
+  if (!fs.existsSync(filepath)) {
+    return { since: null, runs: [] };
+  }
+  try {
+    const log = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    return { since: log.since || null, runs: Array.isArray(log.runs) ? log.runs : [] };
+  } catch (error) {
+    throw new Error(`Could not read run log ${filepath}: ${error.message}`);
+  }
+}
+
+function saveRunLog(filepath, log) {
+  fs.mkdirSync(path.dirname(filepath), { recursive: true });
+  fs.writeFileSync(filepath, JSON.stringify({ since: log.since, runs: log.runs.slice(-MAX_LOG_RUNS) }, null, 2) + '\n');
+}
+
+function runsFor(log, jobName, date) {
+  return log.runs.filter(run => run.job === jobName && run.date === date);
+}
+
+/**
+ * Runs to start now, and earlier runs that never happened
+ *
+ * A job is due once its time has passed on a scheduled day, until a run
+ * succeeds. Failed runs are retried `retries` times, `retryMinutes` apart.
+ * A job's previous scheduled day (within a week, and not before the
+ * scheduler first ran) without any run is missed.
+ *
+ * @param {Object} schedule - loadSchedule() result
+ * @param {Object} log - loadRunLog() result
+ * @param {Object} now - { date, time, timestamp (ms), calendar (loadCalendar() result) }
+ * @returns {Object} { due: [{ job, date, attempt }], missed: [{ job, date }] }
+ */
+function findRuns(schedule, log, now) {
+  const due = [];
+  const missed = [];
+
+  schedule.jobs.forEach(job => {
+    if (isScheduledOn(job, now.date, now.calendar) && now.time >= job.at) {
+      const runs = runsFor(log, job.name, now.date);
+      const failures = runs.filter(run => run.status === 'failed');
+      const last = failures[failures.length - 1];
+      const done = runs.some(run => run.status !== 'failed');
+      const waiting = last && now.timestamp < Date.parse(last.finishedAt) + schedule.retryMinutes * 60000;
+      if (!done && failures.length <= schedule.retries && !waiting) {
+        due.push({ job, date: now.date, attempt: failures.length + 1 });
+      }
+    }
+
+    for (let offset = 1; offset <= MISSED_LOOKBACK_DAYS; offset++) {
+      const date = calendar.addDays(now.date, -offset);
+      if (!isScheduledOn(job, date, now.calendar)) continue;
+      if (log.since && date >= log.since && runsFor(log, job.name, date).length === 0) {
+        missed.push({ job, date });
+      }
+      break;
+    }
+  });
+
+  return { due, missed };
+}
+
+/**
+ * Next time a job will run
+ *
+ * @returns {string|null} 'due now', 'YYYY-MM-DD HH:MM', or null when it is
+ *   not scheduled in the next two weeks
+ */
+function nextRun(job, schedule, log, now) {
+  if (findRuns({ ...schedule, jobs: [job] }, log, now).due.length > 0) {
+    return 'due now';
+  }
+  for (let offset = 0; offset <= 14; offset++) {
+    const date = calendar.addDays(now.date, offset);
+    if (!isScheduledOn(job, date, now.calendar)) continue;
+    if (offset === 0 && (now.time >= job.at || runsFor(log, job.name, date).length > 0)) continue;
+    return `${date} ${job.at}`;
+  }
+  return null;
+}
+
+/**
+ * Take the scheduler lock, so two schedulers cannot deliver the same report
+ *
+ * @throws {Error} When another running process holds the lock
+ */
+function acquireLock(filepath, pid = process.pid) {
+  if (fs.existsSync(filepath)) {
+    const holder = parseInt(fs.readFileSync(filepath, 'utf8'), 10);
+    let alive = false;
+    if (holder && holder !== pid) {
+      try {
+        process.kill(holder, 0);
+        alive = true;
+      } catch (error) {
+        alive = error.code === 'EPERM';
+      }
+    }
+    if (alive) {
+      throw new Error(`The scheduler is already running (pid ${holder}, ${filepath})`);
+    }
+  }
+  fs.mkdirSync(path.dirname(filepath), { recursive: true });
+  fs.writeFileSync(filepath, `${pid}\n`);
+}
+
+function releaseLock(filepath, pid = process.pid) {
+  if (fs.existsSync(filepath) && parseInt(fs.readFileSync(filepath, 'utf8'), 10) === pid) {
+    fs.unlinkSync(filepath);
+  }
+}
+
+/**
+ * Create the scheduler loop
+ *
+ * @param {Object} options
+ * @param {Object} options.schedule - loadSchedule() result
+ * @param {string} options.logFile - Run log path
+ * @param {Function} options.runJob - async (job, { date, attempt }) →
+ *   { status: 'ok'|'partial', detail }; throws when the run failed
+ * @param {Function} options.getCalendar - () → loadCalendar() result
+ * @param {Function} [options.now] - () → Date (default: the system clock)
+ * @param {string} [options.timeZone] - Timezone of job times (default: REPORT_TIMEZONE)
+ * @param {number} [options.intervalMs] - Time between checks (default: a minute)
+ * @param {Function} [options.report] - Progress messages (default: console.log)
+ * @returns {Object} { tick(): Promise<Array>, start(), stop() }
+ */
+function createScheduler(options) {
+  const { schedule, logFile, runJob } = options;
+  const clock = options.now || (() => new Date());
+  const timeZone = options.timeZone || calendar.getTimezone();
+  const intervalMs = options.intervalMs || DEFAULT_INTERVAL_MS;
+  const report = options.report || (message => console.log(message));
+  let timer = null;
+  let stopped = false;
+  let running = false;
+  let lastTick = null;
+
+  function append(log, run) {
+    log.runs.push(run);
+    saveRunLog(logFile, log);
+  }
+
+  async function tick() {
+    if (running) return [];
+    running = true;
+    try {
+      const instant = clock();
+      if (lastTick && instant - lastTick > intervalMs * 2) {
+        report(`💤 Resumed after ${Math.round((instant - lastTick) / 60000)}m, checking for missed runs`);
+      }
+      lastTick = instant;
+
+      const now = {
+        date: calendar.toLocalDate(instant, timeZone),
+        time: calendar.toLocalTime(instant, timeZone),
+        timestamp: instant.getTime(),
+        calendar: options.getCalendar()
+      };
+      const log = loadRunLog(logFile);
+      if (!log.since) {
+        log.since = now.date;
+        saveRunLog(logFile, log);
+      }
+
+      const { due, missed } = findRuns(schedule, log, now);
+      missed.forEach(({ job, date }) => {
+        report(`⚠️  Missed ${job.name} on ${date} (the scheduler was not running)`);
+        append(log, { job: job.name, date, attempt: 0, status: 'missed', startedAt: null, finishedAt: instant.toISOString(), detail: 'not run on its day' });
+      });
+
+      const results = [];
+      for (const { job, date, attempt } of due) {
+        report(`▶️  ${job.name} (${date}${attempt > 1 ? `, retry ${attempt - 1} of ${schedule.retries}` : ''})`);
+        const startedAt = clock().toISOString();
+        let run;
+        try {
+          const result = await runJob(job, { date, attempt });
+          run = { job: job.name, date, attempt, status: result.status || 'ok', startedAt, finishedAt: clock().toISOString(), detail: result.detail || '' };
+        } catch (error) {
+          run = { job: job.name, date, attempt, status: 'failed', startedAt, finishedAt: clock().toISOString(), detail: error.message };
+        }
+        append(log, run);
+        const icon = { ok: '✅', partial: '⚠️ ', failed: '❌' }[run.status] || '✅';
+        report(`${icon} ${job.name}: ${run.status}${run.detail ? ` (${run.detail})` : ''}`);
+        results.push(run);
+      }
+      return results;
+    } finally {
+      running = false;
+    }
+  }
+
+  function loop() {
+    if (stopped) return;
+    timer = setTimeout(() => {
+      tick()
+        .catch(error => report(`❌ Scheduler check failed: ${error.message}`))
+        .then(loop);
+    }, intervalMs);
+  }
+
+  return {
+    tick,
+    start() {
+      stopped = false;
+      return tick()
+        .catch(error => report(`❌ Scheduler check failed: ${error.message}`))
+        .then(loop);
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    }
+  };
+}
+
+function describeDays(days) {
+  return days ? days.map(day => DAY_NAMES[day]).join(', ') : 'working days';
+}
+
+/**
+ * Render jobs, their next runs and the latest run log entries as text
+ *
+ * @param {Object} schedule - loadSchedule() result
+ * @param {Object} log - loadRunLog() result
+ * @param {Object} now - See findRuns()
+ * @param {number} [limit] - Run log entries to show
+ */
+function formatScheduleStatus(schedule, log, now, limit = 10) {
+  const lines = [`⏰ Schedule (${schedule.source})`, ''];
+  schedule.jobs.forEach(job => {
+    const what = job.type === 'reminder' ? 'reminder when no time is logged' : `${job.report}${job.deliver ? ' + deliver' : ''}`;
+    const today = runsFor(log, job.name, now.date).slice(-1)[0];
+    lines.push(`  ${job.name.padEnd(12)} ${job.at} ${describeDays(job.days).padEnd(20)} ${what}`);
+    lines.push(`  ${''.padEnd(12)} next: ${nextRun(job, schedule, log, now) || 'not in the next two weeks'}` +
+      (today ? `, today: ${today.status}` : ''));
+  });
+
+  const recent = log.runs.slice(-limit).reverse();
+  lines.push('', recent.length > 0 ? `📜 Last ${recent.length} runs:` : '📜 No runs yet');
+  recent.forEach(run => {
+    const at = (run.startedAt || run.finishedAt || '').replace('T', ' ').slice(0, 16);
+    lines.push(`  ${run.date} ${run.job.padEnd(12)} ${run.status.padEnd(8)} ${at} UTC${run.detail ? `  ${run.detail}` : ''}`);
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  DAY_NAMES,
+  REMINDER_JOB,
+  getLogPath,
+  getLockPath,
+  loadSchedule,
+  isScheduledOn,
+  loadRunLog,
+  saveRunLog,
+  findRuns,
+  nextRun,
+  acquireLock,
+  releaseLock,
+  createScheduler,
+  formatScheduleStatus
+};
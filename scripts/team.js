@@ -0,0 +1,176 @@
+/**
+ * Team mode
+ *
+ * Fetched project data contains the whole team's time, so reports can cover
+ * several Noko users instead of only NOKO_USER_ID. Teams are configured in
+ * the environment, following the <NAME>_PROJECT_ID convention:
+ *
+ *   TEAM_USER_IDS=8372,72862          # Default team (--team)
+ *   TEAM_GROUP_LSM=8372,72862,51234   # Named group (--group lsm)
+ *
+ * or passed directly with --users 8372,72862.
+ */
+
+/**
+ * Parse "8372, 72862" into [8372, 72862]
+ */
+function parseUserIdList(value) {
+  return String(value || '')
+    .split(',')
+    .map(id => parseInt(id.trim(), 10))
+    .filter(id => !isNaN(id));
+}
+
+/**
+ * Resolve the users a command should cover from its CLI flags
+ *
+ * @param {Object} flags - Parsed CLI flags (users, group, team)
+ * @param {Object} env - Environment (process.env)
+ * @returns {Object|null} { userIds, label }, or null when no team flag was given
+ * @throws {Error} When the named group or default team is not configured
+ */
+function resolveTeam(flags, env) {
+  if (flags.users) {
+    const userIds = parseUserIdList(flags.users);
+    if (userIds.length === 0) {
+      throw new Error(`--users needs a comma-separated list of Noko user ids`);
+    }
+    return { userIds, label: `users ${userIds.join(', ')}` };
+  }
+
+  if (flags.group) {
+    const variable = `TEAM_GROUP_${String(flags.group).toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+    const userIds = parseUserIdList(env[variable]);
+    if (userIds.length === 0) {
+      throw new Error(`Team group "${flags.group}" is not configured. Set ${variable}=id1,id2 in your .env file.`);
+    }
+    return { userIds, label: `group ${flags.group}` };
+  }
+
+  if (flags.team) {
+    const userIds = parseUserIdList(env.TEAM_USER_IDS);
+    if (userIds.length === 0) {
+      throw new Error('Team is not configured. Set TEAM_USER_IDS=id1,id2 in your .env file.');
+    }
+    return { userIds, label: 'team' };
+  }
+
+  return null;
+}
+
+function fullName(user) {
+  return `${user.first_name || ''} ${user.last_name || ''}`.trim();
+}
+
+/**
+ * Build per-person sections, a per-client rollup and missing updates
+ *
+ * @param {Array} windowEntries - Entries in the report window
+ * @param {Array<number>} userIds - Team members
+ * @param {Function} classify - entry → { category, key } (see classifyEntry)
+ * @param {Object} knownNames - user id → name, for members without entries
+ * @returns {Object} { members, rollup, missing }
+ */
+function buildTeamReport(windowEntries, userIds, classify, knownNames = {}) {
+  const members = userIds.map(id => ({
+    id,
+    name: knownNames[id] || `User ${id}`,
+    minutes: 0,
+    sections: {}
+  }));
+  const byId = new Map(members.map(member => [member.id, member]));
+  const rollup = {};
+
+  windowEntries.forEach(entry => {
+    const member = byId.get(entry.user.id);
+    if (!member) return;
+
+    const { category, key } = classify(entry);
+    if (!key) return;
+
+    member.name = fullName(entry.user) || member.name;
+    member.minutes += entry.minutes;
+    if (!member.sections[key]) {
+      member.sections[key] = [];
+    }
+    member.sections[key].push(entry);
+
+    if (category === 'client') {
+      if (!rollup[key]) {
+        rollup[key] = { minutes: 0, people: {} };
+      }
+      const client = rollup[key];
+      client.minutes += entry.minutes;
+      if (!client.people[member.id]) {
+        client.people[member.id] = { name: member.name, minutes: 0, descriptions: [] };
+      }
+      const person = client.people[member.id];
+      person.minutes += entry.minutes;
+      if (entry.description && !person.descriptions.includes(entry.description)) {
+        person.descriptions.push(entry.description);
+      }
+    }
+  });
+
+  const missing = members
+    .filter(member => member.minutes === 0)
+    .map(member => ({ id: member.id, name: member.name }));
+
+  return {
+    members: members.filter(member => member.minutes > 0),
+    rollup,
+    missing
+  };
+}
+
+/**
+ * Render a team report as text
+ *
+ * @param {Object} report - buildTeamReport() result plus { from, to, label }
+ * @param {Function} formatTime - minutes → "1h 30m"
+ */
+function formatTeamReport(report, formatTime) {
+  const lines = [`👥 Team Report ${report.from} → ${report.to} (${report.label})`];
+
+  report.members.forEach(member => {
+    lines.push('', `=== ${member.name} (${formatTime(member.minutes)}) ===`);
+    Object.keys(member.sections).sort().forEach(section => {
+      lines.push(`--- ${section} ---`);
+      member.sections[section].forEach(entry => {
+        lines.push(`${formatTime(entry.minutes)} - ${entry.description} (${entry.date})`);
+      });
+    });
+  });
+
+  const clients = Object.keys(report.rollup).sort();
+  if (clients.length > 0) {
+    lines.push('', '=== Client Rollup ===');
+    clients.forEach(client => {
+      const { minutes, people } = report.rollup[client];
+      lines.push(`${client} (${formatTime(minutes)}):`);
+      Object.values(people)
+        .sort((a, b) => b.minutes - a.minutes)
+        .forEach(person => {
+          lines.push(`  ${person.name} (${formatTime(person.minutes)}): ${person.descriptions.join('; ')}`);
+        });
+    });
+  }
+
+  lines.push('', '=== Missing Updates ===');
+  if (report.missing.length === 0) {
+    lines.push('Everyone has logged time in this window');
+  } else {
+    report.missing.forEach(member => {
+      lines.push(`- ${member.name} (${member.id}): no entries since ${report.from}`);
+    });
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  parseUserIdList,
+  resolveTeam,
+  buildTeamReport,
+  formatTeamReport
+};
@@ -0,0 +1,255 @@
+/**
+ * Ticket and pull-request references
+ *
+ * Extracts ticket references from entry descriptions and tags, and groups
+ * work by ticket across days and people. Recognized references:
+ *
+ * - Jira keys: PROJ-123
+ * - GitHub URLs: https://github.com/owner/repo/pull/12 → owner/repo#12
+ * - GitLab URLs: https://gitlab.com/group/repo/-/merge_requests/7 → group/repo!7
+ * - Repository references: owner/repo#12
+ * - Project-relative numbers: #12, PR 12 (only for projects with a repo)
+ * - Custom patterns from the config
+ *
+ * Tracker URLs are configured per project in a JSON file (TICKETS_FILE, or
+ * DATA_DIR/tickets.json):
+ *
+ * {
+ *   "jira": { "url": "https://lsm.atlassian.net/browse/{id}", "ignore": ["UTF", "SHA"] },
+ *   "projects": {
+ *     "DH": { "repo": "lsm/dh-site", "tracker": "gitlab", "issueUrl": "https://gitlab.com/lsm/dh-site/-/issues/{number}" },
+ *     "MJFF": { "jiraUrl": "https://mjff.atlassian.net/browse/{id}" }
+ *   },
+ *   "patterns": [{ "tracker": "redmine", "pattern": "\\bRM ?(\\d+)\\b", "id": "RM-{1}", "url": "https://redmine.example.com/issues/{1}" }]
+ * }
+ */
+
+const fs = require('fs');
+
+const DEFAULT_TICKET_CONFIG = {
+  jira: { url: null, ignore: ['UTF', 'ISO', 'SHA', 'MD', 'RFC', 'CVE', 'COVID'] },
+  projects: {},
+  patterns: []
+};
+
+const GITHUB_URL = /\bhttps?:\/\/github\.com\/([\w.-]+\/[\w.-]+)\/(pull|issues)\/(\d+)[^\s)\]]*/gi;
+const GITLAB_URL = /\bhttps?:\/\/([\w.-]+)\/([\w.-]+(?:\/[\w.-]+)+)\/-\/(merge_requests|issues)\/(\d+)[^\s)\]]*/gi;
+const REPO_REFERENCE = /(?<![\w/])([\w.-]+\/[\w.-]+)#(\d+)\b/g;
+const LOCAL_REFERENCE = /(?<![\w/#])(?:#|\bPR\s*#?|\bMR\s*!?)(\d+)\b/gi;
+const JIRA_KEY = /\b([A-Z][A-Z0-9]{1,9})-(\d+)\b/g;
+
+/**
+ * Load the ticket config, falling back to DEFAULT_TICKET_CONFIG
+ *
+ * @throws {Error} When the file exists but is invalid
+ */
+function loadTicketConfig(filepath) {
+  if (!filepath || !fs.existsSync(filepath)) {
+    return { ...DEFAULT_TICKET_CONFIG };
+  }
+
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ticket config ${filepath}: ${error.message}`);
+  }
+
+  (document.patterns || []).forEach((custom, index) => {
+    if (!custom.tracker || !custom.pattern) {
+      throw new Error(`${filepath}: pattern ${index + 1} needs "tracker" and "pattern"`);
+    }
+    try {
+      new RegExp(custom.pattern, custom.flags || '');
+    } catch (error) {
+      throw new Error(`${filepath}: pattern ${index + 1} (${custom.tracker}): ${error.message}`);
+    }
+  });
+
+  return {
+    ...DEFAULT_TICKET_CONFIG,
+    ...document,
+    jira: { ...DEFAULT_TICKET_CONFIG.jira, ...(document.jira || {}) }
+  };
+}
+
+function fillPlaceholders(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (values[name] !== undefined ? values[name] : placeholder));
+}
+
+/**
+ * Ticket references in a piece of text
+ *
+ * @param {string} text - Description or tag name
+ * @param {string} projectKey - Classification key of the entry's project
+ * @param {Object} config - loadTicketConfig() result
+ * @returns {Array} [{ id, tracker, url }], de-duplicated by id
+ */
+function extractTicketReferences(text, projectKey, config = DEFAULT_TICKET_CONFIG) {
+  const project = (config.projects || {})[projectKey] || {};
+  const found = new Map();
+  const add = (id, tracker, url) => {
+    if (!found.has(id)) {
+      found.set(id, { id, tracker, url: url || null });
+    } else if (url && !found.get(id).url) {
+      found.get(id).url = url;
+    }
+  };
+  const repoUrl = (repo, number) => (repo === project.repo && project.issueUrl
+    ? fillPlaceholders(project.issueUrl, { number, repo })
+    : `https://github.com/${repo}/issues/${number}`);
+
+  // URLs first, and removed from the text so their parts are not matched again
+  let rest = (text || '')
+    .replace(GITHUB_URL, (url, repo, kind, number) => {
+      add(`${repo}#${number}`, 'github', `https://github.com/${repo}/${kind}/${number}`);
+      return ' ';
+    })
+    .replace(GITLAB_URL, (url, host, repo, kind, number) => {
+      add(`${repo}${kind === 'merge_requests' ? '!' : '#'}${number}`, 'gitlab', `https://${host}/${repo}/-/${kind}/${number}`);
+      return ' ';
+    });
+
+  (config.patterns || []).forEach(custom => {
+    const flags = (custom.flags || '').includes('g') ? custom.flags : `${custom.flags || ''}g`;
+    rest = rest.replace(new RegExp(custom.pattern, flags), (...match) => {
+      const groups = {};
+      match.slice(0, -2).forEach((value, index) => { groups[index] = value; });
+      add(custom.id ? fillPlaceholders(custom.id, groups) : match[0], custom.tracker, custom.url ? fillPlaceholders(custom.url, groups) : null);
+      return ' ';
+    });
+  });
+
+  const repoTracker = repo => (repo === project.repo && project.tracker) || 'github';
+  rest = rest.replace(REPO_REFERENCE, (reference, repo, number) => {
+    add(`${repo}#${number}`, repoTracker(repo), repoUrl(repo, number));
+    return ' ';
+  });
+
+  if (project.repo) {
+    rest = rest.replace(LOCAL_REFERENCE, (reference, number) => {
+      add(`${project.repo}#${number}`, repoTracker(project.repo), repoUrl(project.repo, number));
+      return ' ';
+    });
+  }
+
+  const ignored = new Set((config.jira.ignore || []).map(prefix => prefix.toUpperCase()));
+  const jiraUrl = project.jiraUrl || config.jira.url;
+  rest.replace(JIRA_KEY, (key, prefix) => {
+    if (!ignored.has(prefix)) {
+      add(key, 'jira', jiraUrl ? fillPlaceholders(jiraUrl, { id: key }) : null);
+    }
+    return key;
+  });
+
+  return Array.from(found.values());
+}
+
+/**
+ * Ticket references of an entry, from its description and Noko tags
+ */
+function extractEntryTickets(entry, projectKey, config = DEFAULT_TICKET_CONFIG) {
+  const text = [entry.description || '', ...(entry.tags || []).map(tag => tag.name.replace(/^#/, ''))].join(' ');
+  return extractTicketReferences(text, projectKey, config);
+}
+
+/**
+ * Group entries by the tickets they reference
+ *
+ * An entry naming several tickets splits its time evenly between them.
+ *
+ * @param {Array} entries - Noko entries
+ * @param {Function} projectKeyOf - entry → classification key
+ * @param {Object} config - loadTicketConfig() result
+ * @returns {Object} { tickets: [{ id, tracker, url, projects, minutes, days,
+ *   people, entries }] (most time first), unreferenced: { entries, minutes } }
+ */
+function groupByTicket(entries, projectKeyOf, config = DEFAULT_TICKET_CONFIG) {
+  const tickets = new Map();
+  const unreferenced = { entries: 0, minutes: 0 };
+
+  entries.forEach(entry => {
+    const key = projectKeyOf(entry);
+    const references = extractEntryTickets(entry, key, config);
+    if (references.length === 0) {
+      unreferenced.entries++;
+      unreferenced.minutes += entry.minutes;
+      return;
+    }
+
+    const share = Math.round(entry.minutes / references.length);
+    const person = entry.user ? `${entry.user.first_name} ${entry.user.last_name.charAt(0)}.` : null;
+    references.forEach(reference => {
+      if (!tickets.has(reference.id)) {
+        tickets.set(reference.id, { ...reference, projects: [], minutes: 0, days: [], people: [], entries: [] });
+      }
+      const ticket = tickets.get(reference.id);
+      ticket.url = ticket.url || reference.url;
+      ticket.minutes += share;
+      ticket.entries.push(entry);
+      if (key && !ticket.projects.includes(key)) ticket.projects.push(key);
+      if (!ticket.days.includes(entry.date)) ticket.days.push(entry.date);
+      if (person && !ticket.people.includes(person)) ticket.people.push(person);
+    });
+  });
+
+  return {
+    tickets: Array.from(tickets.values())
+      .map(ticket => ({ ...ticket, days: ticket.days.sort() }))
+      .sort((a, b) => b.minutes - a.minutes || a.id.localeCompare(b.id)),
+    unreferenced
+  };
+}
+
+/**
+ * "2 days" / "1 day"
+ */
+function formatDayCount(days) {
+  return `${days.length} ${days.length === 1 ? 'day' : 'days'}`;
+}
+
+/**
+ * Markdown link for a ticket, or its id when it has no URL
+ */
+function formatTicketLink(ticket) {
+  return ticket.url ? `[${ticket.id}](${ticket.url})` : ticket.id;
+}
+
+/**
+ * Render grouped tickets as text
+ *
+ * @param {Object} report - { from, to, scope, tickets, unreferenced }
+ * @param {Function} formatTime - minutes → "1h 30m"
+ */
+function formatTickets(report, formatTime) {
+  const lines = [`🎫 Tickets ${report.from} → ${report.to} (${report.scope})`];
+
+  if (report.tickets.length === 0) {
+    lines.push('No ticket references in this window.');
+  } else {
+    const width = Math.min(40, Math.max(...report.tickets.map(ticket => ticket.id.length)));
+    report.tickets.forEach(ticket => {
+      lines.push(`  ${ticket.id.padEnd(width)}  ${formatTime(ticket.minutes).padStart(8)}  ${formatDayCount(ticket.days).padEnd(7)}  ${ticket.projects.join(', ')}  ${ticket.people.join(', ')}`);
+      if (ticket.url) {
+        lines.push(`  ${''.padEnd(width)}  ${ticket.url}`);
+      }
+    });
+  }
+
+  if (report.unreferenced.entries > 0) {
+    lines.push('', `${report.unreferenced.entries} entries (${formatTime(report.unreferenced.minutes)}) reference no ticket`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_TICKET_CONFIG,
+  loadTicketConfig,
+  extractTicketReferences,
+  extractEntryTickets,
+  groupByTicket,
+  formatDayCount,
+  formatTicketLink,
+  formatTickets
+};
@@ -0,0 +1,186 @@
+/**
+ * Timesheet lint
+ *
+ * Finds data-quality problems in time entries before they turn into bad
+ * reports. Entry rules:
+ *
+ * - uncategorized: no classification rule matches, so the entry lands in
+ *   the "Other" bucket
+ * - unmatched-lsm-project: an [LSM] client project whose report section
+ *   matches no data directory or project mapping
+ * - short-description: empty, or fewer than minDescriptionWords words
+ *   (hashtags do not count)
+ * - missing-tags: no Noko tags and no hashtags
+ *
+ * Day rule:
+ *
+ * - low-hours-day: a working day with less than targetHoursPerDay logged
+ *   (today is skipped unless includeToday is set)
+ *
+ * Each rule is "error", "warning" or "off". Levels and thresholds can be
+ * set in a JSON file (LINT_RULES_FILE, or DATA_DIR/lint-rules.json) whose
+ * fields override DEFAULT_LINT_RULES.
+ */
+
+const fs = require('fs');
+
+const LINT_LEVELS = ['off', 'warning', 'error'];
+
+const DEFAULT_LINT_RULES = {
+  rules: {
+    'uncategorized': 'error',
+    'unmatched-lsm-project': 'error',
+    'short-description': 'error',
+    'missing-tags': 'warning',
+    'low-hours-day': 'warning'
+  },
+  minDescriptionWords: 2,
+  targetHoursPerDay: 8,
+  includeToday: false
+};
+
+/**
+ * Load lint rules, falling back to DEFAULT_LINT_RULES
+ *
+ * @throws {Error} When the file exists but is invalid
+ */
+function loadLintRules(filepath) {
+  if (!filepath || !fs.existsSync(filepath)) {
+    return { ...DEFAULT_LINT_RULES, rules: { ...DEFAULT_LINT_RULES.rules } };
+  }
+
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read lint rules ${filepath}: ${error.message}`);
+  }
+
+  Object.entries(document.rules || {}).forEach(([rule, level]) => {
+    if (!(rule in DEFAULT_LINT_RULES.rules)) {
+      throw new Error(`${filepath}: unknown rule "${rule}" (expected ${Object.keys(DEFAULT_LINT_RULES.rules).join(', ')})`);
+    }
+    if (!LINT_LEVELS.includes(level)) {
+      throw new Error(`${filepath}: rule "${rule}" must be ${LINT_LEVELS.join(', ')}`);
+    }
+  });
+
+  return {
+    ...DEFAULT_LINT_RULES,
+    ...document,
+    rules: { ...DEFAULT_LINT_RULES.rules, ...(document.rules || {}) }
+  };
+}
+
+function descriptionWords(description) {
+  return (description || '')
+    .replace(/(^|\s)#[\w-]+/g, '$1')
+    .split(/\s+/)
+    .filter(word => /\w/.test(word));
+}
+
+function userName(user) {
+  return user ? `${user.first_name} ${user.last_name.charAt(0)}.` : 'Unknown';
+}
+
+/**
+ * Lint the entries of a window
+ *
+ * @param {Array} entries - Noko entries in the window, for the linted users
+ * @param {Object} config - loadLintRules() result
+ * @param {Object} context
+ * @param {Function} context.classify - entry → { category, key }
+ * @param {Function} context.hasDataProject - Client section key → boolean
+ * @param {Array<string>} context.workingDays - Working days in the window
+ * @param {string} context.today - Local date, for includeToday
+ * @param {Array<number>} context.userIds - Users to check daily hours for
+ * @returns {Array} [{ rule, level, entryId, date, user, message }], by date
+ */
+function lintTimesheet(entries, config, context) {
+  const problems = [];
+  const levelOf = rule => config.rules[rule] || 'off';
+  const report = (rule, entry, message, extra = {}) => {
+    if (levelOf(rule) === 'off') return;
+    problems.push({
+      rule,
+      level: levelOf(rule),
+      entryId: entry ? entry.id : null,
+      date: entry ? entry.date : extra.date,
+      user: entry ? userName(entry.user) : extra.user,
+      message
+    });
+  };
+
+  entries.forEach(entry => {
+    const projectName = entry.project?.name || 'No project';
+    const { category, key } = context.classify(entry);
+
+    if (category === 'other') {
+      report('uncategorized', entry, `Lands in "Other" as ${key}: no classification rule matches project "${projectName}"`);
+    }
+
+    if (category === 'client' && /^\[LSM\]/.test(projectName) && !context.hasDataProject(key)) {
+      report('unmatched-lsm-project', entry, `Project "${projectName}" (section ${key}) matches no data directory or project mapping`);
+    }
+
+    const words = descriptionWords(entry.description);
+    if (words.length === 0) {
+      report('short-description', entry, 'Empty description');
+    } else if (words.length < config.minDescriptionWords) {
+      report('short-description', entry, `Description "${entry.description.trim()}" has ${words.length} word${words.length === 1 ? '' : 's'} (minimum ${config.minDescriptionWords})`);
+    }
+
+    if ((entry.tags || []).length === 0 && !/(^|\s)#[\w-]+/.test(entry.description || '')) {
+      report('missing-tags', entry, 'No tags');
+    }
+  });
+
+  if (levelOf('low-hours-day') !== 'off') {
+    const targetMinutes = config.targetHoursPerDay * 60;
+    context.userIds.forEach(userId => {
+      const userEntries = entries.filter(entry => entry.user.id === userId);
+      const name = userEntries.length > 0 ? userName(userEntries[0].user) : `User ${userId}`;
+      context.workingDays
+        .filter(date => date < context.today || (config.includeToday && date === context.today))
+        .forEach(date => {
+          const minutes = userEntries.filter(entry => entry.date === date).reduce((sum, entry) => sum + entry.minutes, 0);
+          if (minutes < targetMinutes) {
+            report('low-hours-day', null, `${name} logged ${(minutes / 60).toFixed(1)}h of ${config.targetHoursPerDay}h`, { date, user: name });
+          }
+        });
+    });
+  }
+
+  return problems.sort((a, b) => a.date.localeCompare(b.date) || (a.entryId || 0) - (b.entryId || 0));
+}
+
+/**
+ * Render lint problems as text
+ *
+ * @param {Object} report - { from, to, scope, problems, errors, warnings }
+ */
+function formatLintReport(report) {
+  const lines = [`🔍 Timesheet lint ${report.from} → ${report.to} (${report.scope})`];
+
+  if (report.problems.length === 0) {
+    lines.push('✅ No problems found');
+    return lines.join('\n');
+  }
+
+  report.problems.forEach(problem => {
+    const icon = problem.level === 'error' ? '❌' : '⚠️ ';
+    const where = problem.entryId ? `#${problem.entryId}` : problem.user;
+    lines.push(`${icon} ${problem.date} ${where} [${problem.rule}] ${problem.message}`);
+  });
+
+  lines.push('', `${report.errors} error${report.errors === 1 ? '' : 's'}, ${report.warnings} warning${report.warnings === 1 ? '' : 's'}`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  LINT_LEVELS,
+  DEFAULT_LINT_RULES,
+  loadLintRules,
+  lintTimesheet,
+  formatLintReport
+};
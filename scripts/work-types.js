@@ -0,0 +1,176 @@
+/**
+ * Work types: a taxonomy of Noko tags
+ *
+ * Tags are free text, so one kind of work shows up as #meeting, #meetings
+ * and #mtg. The taxonomy maps raw tags (Noko tags and description hashtags)
+ * to canonical work types such as Support or Security update, so reports
+ * can group and annotate time by the kind of work.
+ *
+ * Configure it in a JSON file (WORK_TYPES_FILE, or DATA_DIR/work-types.json)
+ * whose types replace DEFAULT_WORK_TYPES:
+ *
+ * {
+ *   "types": {
+ *     "Security update": ["security", "secupdate", "sec-update"],
+ *     "Meeting": ["mtg", "call", "standup"]
+ *   }
+ * }
+ *
+ * A type's own name is one of its tags. Tags are compared without "#" and
+ * case, reading spaces and underscores as hyphens and ignoring a plural
+ * "s", so "#Meetings" and "meeting" are the same tag. An entry takes the
+ * first type, in file order, that one of its tags belongs to; entries
+ * without one are UNTYPED.
+ */
+
+const fs = require('fs');
+
+const UNTYPED = '(untyped)';
+// Share of the time above which a type is what the work "mostly" was
+const MAIN_TYPE_SHARE = 0.5;
+
+const DEFAULT_WORK_TYPES = {
+  'Security update': ['security', 'secupdate', 'sec-update', 'cve'],
+  'Code review': ['review', 'cr', 'pr-review', 'peer-review'],
+  'Meeting': ['mtg', 'call', 'standup', 'sync'],
+  'PM': ['project-management', 'planning', 'estimate', 'estimation'],
+  'Support': ['maintenance', 'maint', 'bug', 'bugfix', 'triage']
+};
+
+/**
+ * Canonical form of a tag: "#Code_Review" → "code-review"
+ */
+function normalizeTag(tag) {
+  return String(tag).trim().replace(/^#/, '').toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+/**
+ * Index a taxonomy by normalized tag
+ *
+ * @param {Object} types - Work type name → tags
+ * @param {string} label - Source, for error messages
+ * @returns {Object} { types: names in order, index: { tag: name } }
+ * @throws {Error} When a type is malformed or a tag is in two types
+ */
+function compileWorkTypes(types, label) {
+  if (!types || typeof types !== 'object' || Array.isArray(types)) {
+    throw new Error(`${label}: expected "types" to map work types to tags`);
+  }
+
+  const index = {};
+  Object.entries(types).forEach(([name, tags]) => {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || !tag.trim())) {
+      throw new Error(`${label}: work type "${name}" needs a list of tags`);
+    }
+    [name, ...tags].map(normalizeTag).forEach(tag => {
+      if (index[tag] && index[tag] !== name) {
+        throw new Error(`${label}: tag "${tag}" is in both "${index[tag]}" and "${name}"`);
+      }
+      index[tag] = name;
+    });
+  });
+
+  return { types: Object.keys(types), index };
+}
+
+/**
+ * Load the work type taxonomy, falling back to DEFAULT_WORK_TYPES
+ *
+ * @returns {Object} compileWorkTypes() result
+ * @throws {Error} When the file exists but is invalid
+ */
+function loadWorkTypes(filepath) {
+  if (!filepath || !fs.existsSync(filepath)) {
+    return compileWorkTypes(DEFAULT_WORK_TYPES, 'default work types');
+  }
+
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read work types ${filepath}: ${error.message}`);
+  }
+
+  return compileWorkTypes(document.types, filepath);
+}
+
+/**
+ * Work type of a single tag, or null when the taxonomy does not know it
+ */
+function tagWorkType(tag, taxonomy) {
+  const normalized = normalizeTag(tag);
+  return taxonomy.index[normalized] ||
+    (normalized.endsWith('s') && taxonomy.index[normalized.slice(0, -1)]) ||
+    null;
+}
+
+/**
+ * Work type of an entry, from its Noko tags and description hashtags
+ *
+ * @returns {string|null} Work type name, null when no tag maps to one
+ */
+function workTypeOf(entry, taxonomy) {
+  const tags = (entry.tags || []).map(tag => tag.name);
+  ((entry.description || '').match(/#[\w-]+/g) || []).forEach(tag => tags.push(tag));
+
+  const types = tags.map(tag => tagWorkType(tag, taxonomy)).filter(Boolean);
+  return taxonomy.types.find(type => types.includes(type)) || null;
+}
+
+/**
+ * Time by work type, largest first with UNTYPED last
+ *
+ * @param {Array} entries - Noko entries
+ * @param {Function} typeOf - entry → work type name or null
+ * @returns {Array} [{ name, minutes, entries, percent }]
+ */
+function summarizeWorkTypes(entries, typeOf) {
+  const buckets = {};
+  entries.forEach(entry => {
+    const name = typeOf(entry) || UNTYPED;
+    buckets[name] = buckets[name] || { name, minutes: 0, entries: 0 };
+    buckets[name].minutes += entry.minutes;
+    buckets[name].entries++;
+  });
+
+  const total = entries.reduce((sum, entry) => sum + entry.minutes, 0);
+  return Object.values(buckets)
+    .map(bucket => ({ ...bucket, percent: total > 0 ? Math.round(bucket.minutes / total * 100) : 0 }))
+    .sort((a, b) => (a.name === UNTYPED) - (b.name === UNTYPED) || b.minutes - a.minutes || a.name.localeCompare(b.name));
+}
+
+/**
+ * The work type most of the time went to, if any
+ *
+ * @param {Array} workTypes - summarizeWorkTypes() result
+ * @returns {Object|null} Its bucket when it has over MAIN_TYPE_SHARE of the time
+ */
+function mainWorkType(workTypes) {
+  const total = workTypes.reduce((sum, type) => sum + type.minutes, 0);
+  const main = workTypes.find(type => type.name !== UNTYPED);
+  return main && total > 0 && main.minutes / total > MAIN_TYPE_SHARE ? main : null;
+}
+
+/**
+ * One-line breakdown, e.g. "Security update 6h (60%), Meeting 2h (20%)"
+ *
+ * UNTYPED time is left out; '' when nothing is typed.
+ */
+function formatWorkTypes(workTypes, formatTime) {
+  return workTypes
+    .filter(type => type.name !== UNTYPED)
+    .map(type => `${type.name} ${formatTime(type.minutes)} (${type.percent}%)`)
+    .join(', ');
+}
+
+module.exports = {
+  UNTYPED,
+  DEFAULT_WORK_TYPES,
+  normalizeTag,
+  loadWorkTypes,
+  tagWorkType,
+  workTypeOf,
+  summarizeWorkTypes,
+  mainWorkType,
+  formatWorkTypes
+};
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const calendar = require('../scripts/calendar');
+
+const WEEKDAYS = calendar.loadCalendar(null);
+
+function writeCalendar(t, document) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'noko-calendar-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'calendar.json');
+  fs.writeFileSync(file, JSON.stringify(document));
+  return file;
+}
+
+test('local dates and times follow the timezone, across DST changes', () => {
+  const evening = new Date('2025-02-01T02:30:00Z');
+  assert.equal(calendar.toLocalDate(evening, 'America/New_York'), '2025-01-31');
+  assert.equal(calendar.toLocalDate(evening, 'UTC'), '2025-02-01');
+  assert.equal(calendar.toLocalDate(new Date('2025-01-31T11:00:00Z'), 'Pacific/Kiritimati'), '2025-02-01');
+
+  // US clocks went forward at 2:00 on 2025-03-09
+  assert.equal(calendar.toLocalTime(new Date('2025-03-09T06:30:00Z'), 'America/New_York'), '01:30');
+  assert.equal(calendar.toLocalTime(new Date('2025-03-09T07:30:00Z'), 'America/New_York'), '03:30');
+});
+
+test('date arithmetic stays on calendar days', () => {
+  assert.equal(calendar.addDays('2025-03-08', 2), '2025-03-10');
+  assert.equal(calendar.addDays('2024-03-01', -1), '2024-02-29');
+  assert.equal(calendar.daysBetween('2025-03-01', '2025-04-01'), 31);
+  assert.equal(calendar.isValidDate('2025-02-29'), false);
+  assert.equal(calendar.isValidDate('2024-02-29'), true);
+  assert.equal(calendar.isValidDate('2025-13-01'), false);
+});
+
+test('named periods resolve to inclusive windows', () => {
+  const wednesday = '2025-05-14';
+  assert.deepEqual(calendar.resolvePeriod('this-week', wednesday, WEEKDAYS), { from: '2025-05-12', to: wednesday });
+  assert.deepEqual(calendar.resolvePeriod('last-week', wednesday, WEEKDAYS), { from: '2025-05-05', to: '2025-05-11' });
+  assert.deepEqual(calendar.resolvePeriod('last-month', wednesday, WEEKDAYS), { from: '2025-04-01', to: '2025-04-30' });
+  assert.deepEqual(calendar.resolvePeriod('this-quarter', wednesday, WEEKDAYS), { from: '2025-04-01', to: wednesday });
+  assert.deepEqual(calendar.resolvePeriod('last-quarter', wednesday, WEEKDAYS), { from: '2025-01-01', to: '2025-03-31' });
+  assert.throws(() => calendar.resolvePeriod('fortnight', wednesday, WEEKDAYS), /Unknown period "fortnight"/);
+});
+
+test('since-last-report reaches back over weekends, holidays and PTO', t => {
+  const monday = '2025-02-03';
+  assert.deepEqual(calendar.resolvePeriod('since-last-report', monday, WEEKDAYS), { from: '2025-01-31', to: monday });
+  assert.deepEqual(calendar.resolvePeriod('since-last-report', monday, WEEKDAYS, '2025-01-29'), { from: '2025-01-29', to: monday });
+
+  const offDays = calendar.loadCalendar(writeCalendar(t, { holidays: ['2025-01-31'], pto: [{ from: '2025-01-29', to: '2025-01-30' }] }));
+  assert.deepEqual(calendar.resolvePeriod('since-last-report', monday, offDays), { from: '2025-01-28', to: monday });
+});
+
+test('loadCalendar rejects invalid dates and ranges', t => {
+  assert.throws(() => calendar.loadCalendar(writeCalendar(t, { holidays: ['2025-13-01'] })), /invalid holiday date "2025-13-01"/);
+  assert.throws(() => calendar.loadCalendar(writeCalendar(t, { pto: [{ from: '2025-07-11', to: '2025-07-07' }] })), /invalid PTO range/);
+
+  const fourDays = calendar.loadCalendar(writeCalendar(t, { weekends: [0, 5, 6] }));
+  assert.equal(calendar.isWorkingDay('2025-01-31', fourDays), false);
+  assert.equal(calendar.isWorkingDay('2025-01-30', fourDays), true);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rules = require('../scripts/classification-rules');
+const { createReporter } = require('../scripts/reporter');
+
+const RULES = rules.compileRules({
+  defaultCategory: 'other',
+  rules: [
+    { name: 'dartmouth', match: { projectName: '^\\[LSM\\].*dartmouth' }, category: 'client', client: 'DH' },
+    { name: 'sales-by-jane', match: { tag: 'sales', user: 'Jane Doe' }, category: 'internal' },
+    { name: 'bucket', match: { projectId: [17045] }, category: 'internal' },
+    { name: 'drupal-upgrades', match: { description: ['drupal 11'] }, category: 'lsm' }
+  ]
+});
+
+const JANE = { id: 8372, first_name: 'Jane', last_name: 'Doe' };
+
+function entry(project, description = '', extra = {}) {
+  return { id: 1, date: '2025-01-30', minutes: 60, description, user: JANE, project, tags: [], ...extra };
+}
+
+test('the first matching rule decides the category', () => {
+  assert.deepEqual(rules.classifyEntry(entry({ id: 1, name: '[LSM] Dartmouth Health Support' }, 'Drupal 11 upgrade'), RULES),
+    { category: 'client', client: 'DH', rule: 'dartmouth' });
+  assert.deepEqual(rules.classifyEntry(entry({ id: 2, name: 'Acme' }, 'Drupal 11 upgrade'), RULES),
+    { category: 'lsm', client: null, rule: 'drupal-upgrades' });
+  assert.deepEqual(rules.classifyEntry(entry({ id: 17045, name: 'Lullabot Internal' }), RULES),
+    { category: 'internal', client: null, rule: 'bucket' });
+});
+
+test('conditions combine with AND and unmatched entries get the default category', () => {
+  const sales = { tags: [{ name: 'Sales' }] };
+
+  assert.equal(rules.classifyEntry(entry({ id: 2, name: 'Acme' }, 'Proposal', sales), RULES).rule, 'sales-by-jane');
+  assert.deepEqual(rules.classifyEntry(entry({ id: 2, name: 'Acme' }, 'Proposal', { ...sales, user: { id: 1, first_name: 'Sam' } }), RULES),
+    { category: 'other', client: null, rule: null });
+});
+
+test('invalid rules are rejected with the rule named', () => {
+  assert.throws(() => rules.compileRules({ rules: [{ name: 'typo', match: {}, category: 'clinet' }] }),
+    /rule 1 \(typo\): unknown category "clinet"/);
+  assert.throws(() => rules.compileRules({ rules: [{ match: { project: 'x' }, category: 'lsm' }] }),
+    /unknown match key\(s\) project/);
+  assert.throws(() => rules.compileRules({ rules: [{ match: {}, category: 'lsm', client: 'DH' }] }),
+    /"client" is only valid with category "client"/);
+  assert.throws(() => rules.compileRules({ rules: [{ match: { projectName: '[' }, category: 'lsm' }] }),
+    /invalid projectName regex/);
+});
+
+test('the bundled rules file loads', () => {
+  const loaded = rules.loadRules();
+  assert.equal(loaded.source, rules.DEFAULT_RULES_FILE);
+  assert.ok(loaded.rules.length > 0);
+  assert.throws(() => rules.loadRules(path.join(__dirname, 'missing-rules.json')), /Could not read classification rules/);
+});
+
+test('explain lists the rule applied to each of the user\'s entries', t => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noko-explain-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const reporter = createReporter({
+    config: { dataDir, noko: { userId: JANE.id }, timezone: 'UTC' },
+    now: new Date('2025-01-31T12:00:00Z'),
+    source: [
+      entry({ id: 1, name: '[LSM] Dartmouth Health Support' }, 'SSO fix'),
+      entry({ id: 2, name: 'Acme' }, 'Someone else', { id: 2, user: { id: 1 } })
+    ],
+    projects: ['DH'],
+    warn: () => {}
+  });
+
+  const explained = reporter.explainClassification({ from: '2025-01-27', to: '2025-01-31' });
+  assert.deepEqual(explained.map(({ entry: item, category, rule }) => [item.description, category, rule]),
+    [['SSO fix', 'client', 'lsm-dartmouth']]);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const clientReport = require('../scripts/client-report');
+const { createReporter, formatTime } = require('../scripts/reporter');
+
+const JANE = { id: 8372, first_name: 'Jane', last_name: 'Doe' };
+const SAM = { id: 72862, first_name: 'Sam', last_name: 'Roe' };
+const DH = { id: 701450, name: '[LSM] Dartmouth Health Support' };
+
+function entry(id, user, date, minutes, description, tags = [], extra = {}) {
+  return { id, date, minutes, description, billable: tags.length > 0, user, project: DH, tags: tags.map(name => ({ name })), ...extra };
+}
+
+const ENTRIES = [
+  entry(1, JANE, '2025-01-02', 120, 'Fixed SSO redirect', ['dev']),
+  entry(2, SAM, '2025-01-07', 60, 'Fixed SSO redirect', ['dev']),
+  entry(3, JANE, '2025-01-08', 30, 'Weekly sync call'),
+  entry(4, SAM, '2025-01-15', 30, 'Weekly sync call'),
+  entry(5, SAM, '2025-01-29', 240, 'Migrated <search> index', ['ops'])
+];
+
+const JANUARY = { client: 'DH', from: '2025-01-01', to: '2025-01-31' };
+
+test('weeks run Monday to Sunday, clipped to the window', () => {
+  assert.deepEqual(clientReport.weekWindows('2025-01-01', '2025-01-14'), [
+    { from: '2025-01-01', to: '2025-01-05' },
+    { from: '2025-01-06', to: '2025-01-12' },
+    { from: '2025-01-13', to: '2025-01-14' }
+  ]);
+  assert.equal(clientReport.wholeMonths('2025-01-01', '2025-03-31'), 3);
+  assert.equal(clientReport.wholeMonths('2024-12-01', '2025-01-31'), 2);
+  assert.equal(clientReport.wholeMonths('2025-01-01', '2025-01-30'), null);
+  assert.equal(clientReport.wholeMonths('2025-01-02', '2025-01-31'), null);
+});
+
+test('the report splits hours by person and tag, and accomplishments by week', () => {
+  const report = clientReport.buildClientReport(ENTRIES, JANUARY);
+
+  assert.deepEqual(report.total, { minutes: 480, billableMinutes: 420, entries: 5 });
+  assert.deepEqual(report.people.map(person => [person.name, person.minutes, person.percent]), [['Sam Roe', 330, 69], ['Jane Doe', 150, 31]]);
+  assert.deepEqual(report.tags.map(tag => [tag.name, tag.minutes]), [['ops', 240], ['dev', 180], ['(untagged)', 60]]);
+  assert.deepEqual(report.weeks.map(week => [week.from, week.minutes, week.items]), [
+    ['2025-01-01', 120, ['Fixed SSO redirect']],
+    ['2025-01-06', 90, ['Fixed SSO redirect', 'Weekly sync call']],
+    ['2025-01-13', 30, ['Weekly sync call']],
+    ['2025-01-20', 0, []],
+    ['2025-01-27', 240, ['Migrated <search> index']]
+  ]);
+});
+
+test('themes are the largest workstreams, with meetings counted apart', () => {
+  const report = clientReport.buildClientReport(ENTRIES, JANUARY);
+
+  assert.deepEqual(report.themes, [
+    { text: 'Migrated <search> index', minutes: 240, days: 1, weeks: 1 },
+    { text: 'Fixed SSO redirect', minutes: 180, days: 2, weeks: 2 }
+  ]);
+  assert.deepEqual(report.meetings, { minutes: 60, count: 2 });
+  assert.deepEqual(clientReport.buildClientReport([], JANUARY).meetings, { minutes: 0, count: 0 });
+});
+
+test('the retainer allotment covers whole months only', () => {
+  const retainer = { section: 'DH', monthlyHours: 10 };
+
+  assert.deepEqual(clientReport.buildClientReport(ENTRIES, { ...JANUARY, retainer }).retainer,
+    { name: 'DH', monthlyHours: 10, allottedHours: 10, usedHours: 8, percentUsed: 80 });
+  const partial = clientReport.buildClientReport(ENTRIES, { ...JANUARY, to: '2025-01-20', retainer }).retainer;
+  assert.equal(partial.allottedHours, null);
+  assert.equal(partial.percentUsed, null);
+  assert.equal(clientReport.buildClientReport(ENTRIES, JANUARY).retainer, null);
+});
+
+test('the HTML page escapes entry text and has no external resources', () => {
+  const report = clientReport.buildClientReport(ENTRIES, { ...JANUARY, retainer: { name: 'DH', monthlyHours: 10 } });
+  const html = clientReport.renderClientReportHtml(clientReport.buildClientTemplateContext(report, formatTime));
+
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /<h1 style="[^"]+">DH summary<\/h1>/);
+  assert.match(html, /<li>Migrated &lt;search&gt; index <span style="[^"]+">\(4h, 1 week\)<\/span><\/li>/);
+  assert.match(html, /Retainer: 8h used of 10h \(80%\)/);
+  assert.match(html, /Meetings and calls: 1h across 2 meetings\./);
+  assert.doesNotMatch(html, /<link|<script|src=|<style/);
+});
+
+test('the reporter finds the client case-insensitively and renders the template', t => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noko-client-report-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dataDir, 'retainers.json'), JSON.stringify({ retainers: [{ name: 'DH', section: 'DH', monthlyHours: 10 }] }));
+
+  const reporter = createReporter({
+    config: { dataDir, noko: { userId: JANE.id } },
+    now: new Date('2025-02-10T17:00:00Z'),
+    source: [...ENTRIES, entry(6, JANE, '2025-01-09', 45, 'Team meeting', [], { project: { id: 17045, name: 'Lullabot Internal' } })],
+    projects: ['DH'],
+    warn: () => {}
+  });
+
+  const text = reporter.renderClientReport('dh', { days: { from: '2025-01-01', to: '2025-01-31' } });
+  assert.match(text, /^# DH Summary: 2025-01-01 to 2025-01-31\n\n\*\*Total time:\*\* 8h\n\*\*Retainer:\*\* 8h used of 10h \(80%\)/);
+  assert.match(text, /\| Sam Roe \| 5h 30m \| 69% \|/);
+  assert.equal(reporter.generateClientReport('DH', { from: '2025-01-01', to: '2025-01-31' }, [JANE.id]).total.minutes, 150);
+  assert.throws(() => reporter.generateClientReport('Acme', 30), /Unknown client "Acme" \(known: DH\)/);
+});
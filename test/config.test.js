@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const appConfig = require('../scripts/config');
+
+const PROVIDER_NAMES = ['anthropic', 'claude-cli', 'gemini-cli', 'stub'];
+
+/**
+ * A working directory with the given noko-report.json and .env contents
+ */
+function makeWorkDir(t, { file, dotenv } = {}) {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'noko-config-test-'));
+  t.after(() => fs.rmSync(cwd, { recursive: true, force: true }));
+  if (file) fs.writeFileSync(path.join(cwd, appConfig.CONFIG_FILE_NAME), JSON.stringify(file));
+  if (dotenv) fs.writeFileSync(path.join(cwd, '.env'), dotenv);
+  return cwd;
+}
+
+test('the environment beats the config file, which beats the defaults', t => {
+  const cwd = makeWorkDir(t, { file: { noko: { userId: 100 }, llm: { timeoutMs: 30000, retries: 3 } } });
+  const loaded = appConfig.loadConfig({ env: { LLM_RETRIES: '0' }, cwd, providerNames: PROVIDER_NAMES });
+
+  assert.equal(loaded.values.llm.retries, 0);
+  assert.equal(loaded.sources['llm.retries'], 'env');
+  assert.equal(loaded.values.llm.timeoutMs, 30000);
+  assert.equal(loaded.sources['llm.timeoutMs'], 'file');
+  assert.deepEqual(loaded.values.llm.providers, ['claude-cli', 'gemini-cli']);
+  assert.equal(loaded.sources['llm.providers'], 'default');
+  assert.deepEqual(loaded.problems, []);
+  assert.equal(loaded.file, path.join(cwd, appConfig.CONFIG_FILE_NAME));
+});
+
+test('.env fills in the environment without overriding it', t => {
+  const cwd = makeWorkDir(t, { dotenv: 'NOKO_USER_ID=200\nREPORT_TIMEZONE="America/New_York"\nexport CLIPBOARD_ENABLED=false # no clipboard\nLLM_PROVIDERS=stub\n' });
+  const env = { LLM_PROVIDERS: 'anthropic' };
+  const loaded = appConfig.loadConfig({ env, cwd, providerNames: PROVIDER_NAMES });
+
+  assert.equal(loaded.values.noko.userId, 200);
+  assert.equal(loaded.values.timezone, 'America/New_York');
+  assert.equal(loaded.values.features.clipboard, false);
+  assert.deepEqual(loaded.values.llm.providers, ['anthropic']);
+  assert.equal(loaded.envFile, path.join(cwd, '.env'));
+});
+
+test('config file values are exported to their environment names', t => {
+  const cwd = makeWorkDir(t, { file: { noko: { userId: 100 }, projects: { DH: 701450 }, features: { clipboard: false } } });
+  const env = { CLIPBOARD_ENABLED: '' };
+  appConfig.loadConfig({ env, cwd });
+
+  assert.equal(env.NOKO_USER_ID, '100');
+  assert.equal(env.PROJECTS, 'DH');
+  assert.equal(env.DH_PROJECT_ID, '701450');
+  assert.equal(env.CLIPBOARD_ENABLED, 'false');
+});
+
+test('NOKO_REPORT_CONFIG names the config file', t => {
+  const cwd = makeWorkDir(t);
+  const file = path.join(cwd, 'team.json');
+  fs.writeFileSync(file, JSON.stringify({ noko: { userId: 300 } }));
+
+  assert.equal(appConfig.loadConfig({ env: { NOKO_REPORT_CONFIG: file }, cwd }).values.noko.userId, 300);
+  assert.throws(() => appConfig.loadConfig({ env: { NOKO_REPORT_CONFIG: path.join(cwd, 'missing.json') }, cwd }), { name: 'ConfigError' });
+});
+
+test('the Noko user id is required', t => {
+  const loaded = appConfig.loadConfig({ env: {}, cwd: makeWorkDir(t) });
+
+  assert.equal(loaded.values.noko.userId, null);
+  assert.deepEqual(loaded.problems.filter(problem => problem.required).map(problem => problem.path), ['noko.userId']);
+});
+
+test('commands stop when the Noko user id is missing, setup commands do not', t => {
+  const cwd = makeWorkDir(t);
+  const env = { ...process.env, DATA_DIR: cwd };
+  delete env.NOKO_USER_ID;
+  delete env.NOKO_REPORT_CONFIG;
+  const run = args => spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'generate-reports.js'), ...args], { cwd, env, encoding: 'utf8', timeout: 30000 });
+
+  const hours = run(['hours', '7']);
+  assert.equal(hours.status, 1);
+  assert.match(hours.stderr, /Config noko\.userId: required: set NOKO_USER_ID/);
+
+  const shown = run(['config', 'show', '--format', 'json']);
+  assert.equal(shown.status, 0, shown.stderr);
+  assert.equal(JSON.parse(shown.stdout).problems[0].path, 'noko.userId');
+});
+
+test('invalid values are problems and fall back to the next source', t => {
+  const cwd = makeWorkDir(t, { file: { noko: { userId: 100 }, llm: { timeotMs: 5000 }, server: { port: 'high' } } });
+  const loaded = appConfig.loadConfig({ env: { SERVE_PORT: 'abc', LLM_PROVIDERS: 'claude-cli,gemni-cli' }, cwd, providerNames: PROVIDER_NAMES });
+  const messages = loaded.problems.map(problem => `${problem.path}: ${problem.message}`);
+
+  assert.equal(loaded.values.server.port, 8787);
+  assert.ok(messages.some(message => /^llm\.timeotMs: unknown setting.*llm\.timeoutMs/.test(message)), messages.join('\n'));
+  assert.ok(messages.some(message => message.startsWith('server.port: SERVE_PORT:')), messages.join('\n'));
+  assert.ok(messages.some(message => /^llm\.providers: unknown provider "gemni-cli".*gemini-cli/.test(message)), messages.join('\n'));
+});
+
+test('withDefaults completes settings without reading the environment', () => {
+  const values = { noko: { userId: 1 }, llm: { retries: 0 } };
+  const complete = appConfig.withDefaults(values);
+
+  assert.equal(complete.llm.retries, 0);
+  assert.equal(complete.llm.timeoutMs, 90000);
+  assert.equal(complete.defaultDaysBack, 7);
+  assert.deepEqual(values, { noko: { userId: 1 }, llm: { retries: 0 } });
+});
+
+test('the shell wrappers stop when the settings cannot be loaded', t => {
+  const cwd = makeWorkDir(t);
+  fs.writeFileSync(path.join(cwd, appConfig.CONFIG_FILE_NAME), '{ "noko": ');
+  const env = { ...process.env, NOKO_API_TOKEN: 'token' };
+  delete env.NOKO_REPORT_CONFIG;
+
+  ['llm-weekly.sh', 'llm-geekbot.sh', 'fetch-noko.sh'].forEach(script => {
+    const result = spawnSync('bash', [path.join(__dirname, '..', 'scripts', script)], { cwd, env, encoding: 'utf8', timeout: 30000 });
+    assert.equal(result.status, 1, `${script}: ${result.stdout}${result.stderr}`);
+    assert.match(result.stdout, /Could not load settings/, script);
+    assert.doesNotMatch(result.stdout, /Starting|Fetching/, script);
+  });
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createDashboardServer } = require('../scripts/dashboard-server');
+
+const JANE = { id: 8372, first_name: 'Jane', last_name: 'Doe' };
+
+const ENTRIES = [
+  { id: 1, date: '2025-01-28', minutes: 120, description: 'Fixed SSO redirect', user: JANE, project: { name: 'DH' }, tags: [{ name: 'dev' }] },
+  { id: 2, date: '2025-01-30', minutes: 60, description: 'Team meeting', user: JANE, project: { name: 'Internal' }, tags: [] }
+];
+
+const API = {
+  window: query => {
+    const from = query.get('from') || '2025-01-27';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from)) throw new Error(`Invalid date "${from}"`);
+    return { from, to: '2025-02-02' };
+  },
+  entries: () => ENTRIES,
+  classify: entry => ({ category: entry.project.name === 'Internal' ? 'exclude' : 'client', key: entry.project.name }),
+  workType: () => null,
+  categories: () => ({ categories: [], mappings: {} }),
+  preview: () => { throw new Error('Template failed to render'); }
+};
+
+async function startServer(t, api = API) {
+  const server = createDashboardServer(api);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const { port } = server.address();
+
+  return (pathname, { method = 'GET', host = `127.0.0.1:${port}` } = {}) => new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path: pathname, method, headers: { host } }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+test('entries are filtered by window, user and section, without excluded time', async t => {
+  const get = await startServer(t);
+
+  const { status, body } = await get('/api/entries?user=8372');
+  assert.equal(status, 200);
+  assert.equal(body.minutes, 120);
+  assert.deepEqual(body.entries.map(entry => [entry.id, entry.section, entry.user]), [[1, 'DH', 'Jane Doe']]);
+  assert.deepEqual((await get('/api/entries?section=MJFF')).body.entries, []);
+});
+
+test('invalid parameters are client errors', async t => {
+  const get = await startServer(t);
+
+  assert.deepEqual(await get('/api/hours?from=yesterday'), { status: 400, body: { error: 'Invalid date "yesterday"' } });
+  assert.equal((await get('/api/entries?user=jane')).status, 400);
+  assert.equal((await get('/api/preview/weekly?from=soon')).status, 400);
+  assert.equal((await get('/api/nothing')).status, 404);
+  assert.equal((await get('/api/entries', { method: 'POST' })).status, 405);
+  assert.equal((await get('/api/entries', { host: 'evil.example' })).status, 403);
+});
+
+test('failures reading entries or building a report are server errors', async t => {
+  const get = await startServer(t, { ...API, entries: () => { throw new SyntaxError('Unexpected end of JSON input'); } });
+
+  assert.deepEqual(await get('/api/filters'), { status: 500, body: { error: 'Unexpected end of JSON input' } });
+  assert.deepEqual(await get('/api/preview/geekbot'), { status: 500, body: { error: 'Template failed to render' } });
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const delivery = require('../scripts/delivery');
+
+const WEEKLY = [
+  '**REPORT 1: LSM Office Hour Update**',
+  'DH :large_green_circle:',
+  '',
+  '**REPORT 2: LSM Weekly Update**',
+  '## DH Project Update',
+  '- Fixed [DH-12](https://example.atlassian.net/browse/DH-12) & SSO'
+].join('\n');
+
+const GEEKBOT = [
+  "**Section 1 (What's new since your last update?):**",
+  'DH:',
+  '* Fixed SSO redirect',
+  '**Section 2 (What will you do today?):**',
+  'Code review',
+  '**Section 3 (Anything blocking your progress?):**',
+  'No current blockers'
+].join('\n');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noko-delivery-test-'));
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+/**
+ * Local webhook and Geekbot API recording every request body
+ */
+async function startServer(status = 200) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(typeof status === 'function' ? status(req) : status);
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  return { url, requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+function writeConfig(targets, routes) {
+  const file = path.join(workDir, `delivery-${Object.keys(targets).join('-')}.json`);
+  fs.writeFileSync(file, JSON.stringify({ targets, routes }));
+  return delivery.loadDeliveryConfig(file);
+}
+
+test('splitReport splits weekly reports at REPORT 2', () => {
+  const parts = delivery.splitReport(WEEKLY, 'weekly');
+  assert.deepEqual(parts.map(part => part.part), ['office-hour', 'weekly-update']);
+  assert.match(parts[0].text, /^\*\*REPORT 1/);
+  assert.match(parts[1].text, /^\*\*REPORT 2/);
+  assert.throws(() => delivery.splitReport('**REPORT 1** only', 'weekly'), { name: 'DeliveryError' });
+});
+
+test('loadDeliveryConfig rejects routes to unknown targets', () => {
+  assert.throws(() => writeConfig({ terminal: { type: 'stdout' } }, { geekbot: ['standup'] }),
+    /route "geekbot" references unknown target "standup"/);
+});
+
+test('toSlackMrkdwn converts bold, headings and links', () => {
+  assert.equal(delivery.toSlackMrkdwn('## **DH** Project Update\n**This Week:** [DH-12](https://x.test/DH-12) & <b>\n`**code**`'),
+    '*DH Project Update*\n*This Week:* <https://x.test/DH-12|DH-12> &amp; &lt;b&gt;\n`**code**`');
+});
+
+test('a dry run previews every request without sending or writing anything', async t => {
+  const server = await startServer();
+  t.after(server.close);
+  const config = writeConfig({
+    slack: { type: 'slack', webhookUrl: `${server.url}/hooks/weekly` },
+    archive: { type: 'file', path: path.join(workDir, 'reports', '{date}-{part}.md') },
+    standup: { type: 'geekbot', standupId: 5, questionIds: [11, 12, 13] }
+  }, { 'weekly-update': ['slack', 'archive'], geekbot: ['standup'] });
+  const env = { GEEKBOT_API_KEY: 'key', GEEKBOT_API_URL: server.url };
+
+  const weekly = await delivery.deliver(delivery.planDelivery(delivery.splitReport(WEEKLY, 'weekly'), config, { env }), { dryRun: true, date: '2025-01-31' });
+  const geekbot = await delivery.deliver(delivery.planDelivery(delivery.splitReport(GEEKBOT, 'geekbot'), config, { env }), { dryRun: true, date: '2025-01-31' });
+
+  assert.deepEqual(weekly.map(result => `${result.part}→${result.target}:${result.status}`), ['weekly-update→slack:dry-run', 'weekly-update→archive:dry-run']);
+  assert.equal(weekly[0].detail.body.text, '*REPORT 2: LSM Weekly Update*\n*DH Project Update*\n- Fixed <https://example.atlassian.net/browse/DH-12|DH-12> &amp; SSO');
+  assert.equal(weekly[1].detail.path, path.join(workDir, 'reports', '2025-01-31-weekly-update.md'));
+  assert.deepEqual(geekbot[0].detail.body, {
+    standup_id: 5,
+    answers: { 11: { text: 'DH:\n* Fixed SSO redirect' }, 12: { text: 'Code review' }, 13: { text: 'No current blockers' } }
+  });
+
+  assert.equal(server.requests.length, 0);
+  assert.equal(fs.existsSync(path.join(workDir, 'reports')), false);
+});
+
+test('a failed target does not stop the others', async t => {
+  const server = await startServer(req => (req.url === '/hooks/broken' ? 500 : 200));
+  t.after(server.close);
+  const config = writeConfig({
+    broken: { type: 'slack', webhookUrl: `${server.url}/hooks/broken` },
+    office: { type: 'slack', webhookUrl: `${server.url}/hooks/office` },
+    unset: { type: 'slack', webhookUrlEnv: 'SLACK_WEBHOOK_UNSET' }
+  }, { 'office-hour': ['broken', 'office', 'unset'] });
+
+  const results = await delivery.deliver(delivery.planDelivery(delivery.splitReport(WEEKLY, 'weekly'), config, { env: {} }), { date: '2025-01-31' });
+
+  assert.deepEqual(results.map(result => result.status), ['failed', 'sent', 'failed']);
+  assert.match(results[0].detail, /returned HTTP 500/);
+  assert.match(results[2].detail, /SLACK_WEBHOOK_UNSET is not set/);
+  assert.deepEqual(server.requests.find(request => request.url === '/hooks/office').body,
+    { text: '*REPORT 1: LSM Office Hour Update*\nDH :large_green_circle:' });
+});
+
+test('toSlackMrkdwn leaves double underscores alone', () => {
+  assert.equal(delivery.toSlackMrkdwn('Fixed __init__ and my__private__var in **DH**'), 'Fixed __init__ and my__private__var in *DH*');
+});
+
+test('--target keeps each part on its own routes', () => {
+  const config = writeConfig({
+    office: { type: 'slack', webhookUrl: 'http://127.0.0.1:1/office' },
+    weekly: { type: 'slack', webhookUrl: 'http://127.0.0.1:1/weekly' },
+    archive: { type: 'file', path: path.join(workDir, '{part}.md') },
+    terminal: { type: 'stdout' }
+  }, { 'office-hour': ['office'], 'weekly-update': ['weekly', 'archive'] });
+  const plan = options => delivery.planDelivery(delivery.splitReport(WEEKLY, 'weekly'), config, { env: {}, ...options })
+    .map(item => `${item.part}→${item.target.name}`);
+
+  assert.deepEqual(plan({}), ['office-hour→office', 'weekly-update→weekly', 'weekly-update→archive']);
+  assert.deepEqual(plan({ only: ['weekly'] }), ['weekly-update→weekly']);
+  assert.deepEqual(plan({ only: ['terminal', 'office'] }), ['office-hour→terminal', 'office-hour→office', 'weekly-update→terminal']);
+  assert.throws(() => plan({ only: ['slack'] }), /Unknown delivery target "slack"/);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const appConfig = require('../scripts/config');
+const doctor = require('../scripts/doctor');
+const { createNokoClient } = require('../scripts/noko-client');
+
+const JANE = { id: 8372, first_name: 'Jane', last_name: 'Doe' };
+
+/**
+ * Local Noko API with one user and the DH project
+ */
+async function startNoko(t) {
+  const server = http.createServer((req, res) => {
+    const routes = {
+      '/v2/current_user': JANE,
+      '/v2/projects': [{ id: 701450, name: '[LSM] Dartmouth Health Support' }],
+      '/v2/users': [JANE]
+    };
+    const body = routes[new URL(req.url, 'http://localhost').pathname];
+    if (req.headers['x-nokotoken'] !== 'secret') {
+      res.writeHead(401, { 'content-type': 'application/json' });
+      res.end('{"message":"bad token"}');
+      return;
+    }
+    res.writeHead(body ? 200 : 404, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(body || { message: 'not found' }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}/v2`;
+}
+
+async function runDoctor(t, file, { token = 'secret' } = {}) {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'noko-doctor-test-'));
+  t.after(() => fs.rmSync(cwd, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(cwd, 'data', 'DH'), { recursive: true });
+  const apiUrl = await startNoko(t);
+  fs.writeFileSync(path.join(cwd, appConfig.CONFIG_FILE_NAME), JSON.stringify({
+    dataDir: path.join(cwd, 'data'),
+    ...file,
+    noko: { apiToken: token, apiUrl, ...file.noko }
+  }));
+
+  const loaded = appConfig.loadConfig({ env: {}, cwd });
+  const { noko } = loaded.values;
+  const report = await doctor.runDoctor(loaded, {
+    client: createNokoClient({ token: noko.apiToken, baseUrl: noko.apiUrl, maxRetries: 0 }),
+    createProvider: name => ({ isAvailable: () => name === 'stub' }),
+    projectDirs: ['DH'],
+    projectIdOf: name => loaded.values.projects[name] || null
+  });
+  return { report, text: doctor.formatDoctorReport(report) };
+}
+
+const messages = (report, group) => report.checks.filter(check => check.group === group).map(check => `${check.level}: ${check.message}`);
+
+test('a working setup passes the API checks', async t => {
+  const { report } = await runDoctor(t, {
+    noko: { userId: JANE.id },
+    projects: { DH: 701450 },
+    team: { userIds: [JANE.id] },
+    llm: { providers: ['claude-cli', 'stub'] }
+  });
+
+  assert.equal(report.errors, 0, JSON.stringify(report.checks, null, 2));
+  assert.deepEqual(messages(report, 'API').map(message => message.replace(/http:\S+/, 'URL')), [
+    'ok: Noko API URL reachable as Jane Doe (8372)',
+    'ok: Project DH: 701450 is "[LSM] Dartmouth Health Support"',
+    'ok: Team users found: 8372'
+  ]);
+  assert.deepEqual(messages(report, 'LLM'), ['warning: claude-cli is not available', 'ok: stub is available']);
+});
+
+test('a missing user id, unknown project and unknown team member are errors', async t => {
+  const { report, text } = await runDoctor(t, {
+    projects: { DH: 999 },
+    team: { groups: { lsm: [8372, 51234] } }
+  });
+
+  assert.deepEqual(messages(report, 'API').slice(1), [
+    'error: The token belongs to user 8372: set NOKO_USER_ID=8372',
+    'error: Project DH: Noko has no project 999',
+    'error: Unknown team user ids: 51234'
+  ]);
+  assert.ok(messages(report, 'Config').some(message => message.startsWith('error: noko.userId: required')));
+  assert.match(text, /^🩺 Doctor\n\nConfig:\n/);
+  assert.match(text, /\n\d+ errors, \d+ warnings?$/);
+});
+
+test('a rejected token stops the API checks', async t => {
+  const { report } = await runDoctor(t, { noko: { userId: JANE.id } }, { token: 'wrong' });
+
+  assert.deepEqual(messages(report, 'API').map(message => message.replace(/http:\S+/, 'URL')), ['error: Noko API URL is not usable: the token was rejected']);
+});
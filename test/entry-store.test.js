@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const entryStore = require('../scripts/entry-store');
+
+const PROJECT_ID = 701450;
+const WINDOW = { projectId: PROJECT_ID, from: '2025-01-27', to: '2025-01-31' };
+
+function entry(id, updatedAt, extra = {}) {
+  return { id, date: '2025-01-29', minutes: 60, description: `Entry ${id}`, updated_at: updatedAt, project: { id: PROJECT_ID }, ...extra };
+}
+
+function emptyStore() {
+  return { version: 1, updatedAt: null, entries: {}, deleted: {}, snapshots: {} };
+}
+
+test('the newest version of an entry wins', () => {
+  const store = emptyStore();
+  entryStore.upsertEntries(store, [entry(1, '2025-01-29T10:00:00Z', { minutes: 30 })], 'DH', '2025-01-29T12:00:00Z');
+  const counts = entryStore.upsertEntries(store, [entry(1, '2025-01-30T10:00:00Z', { minutes: 45 })], 'DH', '2025-01-30T12:00:00Z');
+  entryStore.upsertEntries(store, [entry(1, '2025-01-29T10:00:00Z', { minutes: 30 })], 'DH', '2025-01-31T12:00:00Z');
+
+  assert.deepEqual(counts, { added: 0, updated: 1, unchanged: 0 });
+  assert.equal(entryStore.getEntries(store)[0].minutes, 45);
+});
+
+test('entries missing from a window are deleted as of the fetch', () => {
+  const store = emptyStore();
+  entryStore.upsertEntries(store, [entry(1, '2025-01-29T10:00:00Z'), entry(2, '2025-01-29T10:00:00Z')], 'DH', '2025-01-29T12:00:00Z');
+
+  assert.equal(entryStore.reconcileWindow(store, { ...WINDOW, fetchedAt: '2025-01-30T12:00:00Z' }, [entry(1, '2025-01-29T10:00:00Z')]), 1);
+  assert.equal(store.deleted['2'].deletedAt, '2025-01-30T12:00:00Z');
+});
+
+test('an older snapshot neither deletes nor restores what a newer fetch knows', () => {
+  const store = emptyStore();
+  entryStore.upsertEntries(store, [entry(1, '2025-01-29T10:00:00Z')], 'DH', '2025-01-31T12:00:00Z');
+
+  // Fetched before entry 3 existed and before entry 1 was deleted
+  assert.equal(entryStore.reconcileWindow(store, { ...WINDOW, fetchedAt: '2025-01-30T12:00:00Z' }, []), 0);
+  entryStore.upsertEntries(store, [entry(3, '2025-01-31T09:00:00Z')], 'DH', '2025-01-31T12:00:00Z');
+  assert.equal(entryStore.reconcileWindow(store, { ...WINDOW, fetchedAt: '2025-01-30T12:00:00Z' }, [entry(1, '2025-01-29T10:00:00Z')]), 0);
+
+  entryStore.reconcileWindow(store, { ...WINDOW, fetchedAt: '2025-02-01T12:00:00Z' }, [entry(3, '2025-01-31T09:00:00Z')]);
+  assert.ok(store.deleted['1']);
+  entryStore.upsertEntries(store, [entry(1, '2025-01-29T10:00:00Z')], 'DH', '2025-01-30T12:00:00Z');
+  assert.ok(store.deleted['1'], 'a snapshot from before the deletion does not restore the entry');
+
+  entryStore.upsertEntries(store, [entry(1, '2025-02-02T10:00:00Z')], 'DH', '2025-01-30T12:00:00Z');
+  assert.equal(store.deleted['1'], undefined, 'an edit after the deletion restores it');
+  assert.ok(store.entries['1']);
+});
+
+test('snapshots are replayed in fetch order, not filename order', t => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noko-store-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const logsDir = path.join(dataDir, 'DH', 'logs');
+  fs.mkdirSync(logsDir, { recursive: true });
+
+  // noko-2025-01-28.json was fetched last (e.g. re-fetched with --from), after entry 1 was deleted
+  const snapshots = [
+    ['noko-2025-01-30.json', '2025-01-30T12:00:00Z', [entry(1, '2025-01-29T10:00:00Z'), entry(2, '2025-01-29T10:00:00Z')]],
+    ['noko-2025-01-28.json', '2025-02-03T12:00:00Z', [entry(2, '2025-01-29T10:00:00Z')]]
+  ];
+  snapshots.forEach(([filename, fetchedAt, entries]) => {
+    fs.writeFileSync(path.join(logsDir, filename), JSON.stringify(entries));
+    entryStore.recordSnapshotWindow(logsDir, filename, { ...WINDOW, fetchedAt });
+  });
+
+  const { store, totals } = entryStore.rebuildStore(dataDir, ['DH']);
+
+  assert.equal(totals.snapshots, 2);
+  assert.deepEqual(entryStore.getEntries(store).map(saved => saved.id), [2]);
+  assert.deepEqual(Object.keys(store.deleted), ['1']);
+});
+
+test('recordSnapshotWindow widens the window and keeps the latest fetch time', t => {
+  const logsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noko-manifest-test-'));
+  t.after(() => fs.rmSync(logsDir, { recursive: true, force: true }));
+
+  entryStore.recordSnapshotWindow(logsDir, 'noko-2025-01-31.json', { ...WINDOW, fetchedAt: '2025-01-31T09:00:00Z' });
+  entryStore.recordSnapshotWindow(logsDir, 'noko-2025-01-31.json', { projectId: PROJECT_ID, from: '2025-01-30', to: '2025-02-02', fetchedAt: '2025-01-31T15:00:00Z' });
+
+  assert.deepEqual(entryStore.readSnapshotManifest(logsDir)['noko-2025-01-31.json'],
+    { projectId: PROJECT_ID, from: '2025-01-27', to: '2025-02-02', fetchedAt: '2025-01-31T15:00:00Z' });
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const exportFormats = require('../scripts/export-formats');
+
+const DATA = {
+  reportType: 'weekly',
+  from: '2025-01-27',
+  to: '2025-01-31',
+  sections: [
+    {
+      name: 'Dartmouth Health Support',
+      category: 'client',
+      entries: [{
+        id: 1,
+        date: '2025-01-30',
+        minutes: 90,
+        user: 'Jane Doe',
+        userId: 8372,
+        project: '[LSM] Dartmouth Health Support',
+        projectId: 701450,
+        tags: ['security', 'sso'],
+        billable: true,
+        tickets: ['DH-12'],
+        description: 'Fixed "SSO" redirect, again\nand tested'
+      }]
+    },
+    {
+      name: 'Internal',
+      category: 'internal',
+      entries: [{ id: 2, date: '2025-01-31', minutes: 30, user: 'Jane Doe', userId: 8372, project: null, projectId: null, tags: [], billable: false, tickets: [], description: 'Team meeting' }]
+    }
+  ]
+};
+
+test('csv has a header row and RFC 4180 quoting', () => {
+  const lines = exportFormats.formatReportData(DATA, 'csv').split('\n');
+
+  assert.equal(lines[0], 'section,category,id,date,minutes,user,userId,project,projectId,tags,billable,tickets,description');
+  assert.equal(lines[1], 'Dartmouth Health Support,client,1,2025-01-30,90,Jane Doe,8372,[LSM] Dartmouth Health Support,701450,security;sso,true,DH-12,"Fixed ""SSO"" redirect, again');
+  assert.equal(lines[2], 'and tested"');
+  assert.equal(lines[3], 'Internal,internal,2,2025-01-31,30,Jane Doe,8372,,,,false,,Team meeting');
+  assert.equal(lines.length, 4);
+});
+
+test('ndjson has one flat record per entry', () => {
+  const records = exportFormats.formatReportData(DATA, 'ndjson').split('\n').map(line => JSON.parse(line));
+
+  assert.deepEqual(records.map(record => [record.section, record.category, record.id]), [
+    ['Dartmouth Health Support', 'client', 1],
+    ['Internal', 'internal', 2]
+  ]);
+  assert.deepEqual(records[0].tags, ['security', 'sso']);
+});
+
+test('json is the report data as-is', () => {
+  assert.deepEqual(JSON.parse(exportFormats.formatReportData(DATA, 'json')), DATA);
+});
+
+test('unknown formats are rejected', () => {
+  assert.throws(() => exportFormats.formatReportData(DATA, 'xml'), /Unsupported export format: xml/);
+});
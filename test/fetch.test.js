@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// generate-reports.js reads its configuration from the environment and the
+// working directory on first use
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noko-fetch-test-'));
+const dataDir = path.join(workDir, 'data');
+fs.mkdirSync(path.join(dataDir, 'DH'), { recursive: true });
+process.chdir(workDir);
+Object.assign(process.env, { DATA_DIR: dataDir, NOKO_USER_ID: '1', NOKO_API_TOKEN: 'secret', DH_PROJECT_ID: '701450' });
+delete process.env.NOKO_REPORT_CONFIG;
+delete process.env.PROJECTS;
+
+const { fetchNokoData } = require('../scripts/generate-reports');
+
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+function entry(id, date) {
+  return { id, date, minutes: 60, description: `Entry ${id}`, project: { id: 701450, name: 'DH' }, user: { id: 1 } };
+}
+
+/**
+ * Noko client double recording every getProjectEntries() call
+ */
+function fakeClient(answer) {
+  const calls = [];
+  return {
+    calls,
+    getProjectEntries: async (projectId, params) => {
+      calls.push({ projectId, params });
+      return answer(params);
+    }
+  };
+}
+
+function readSnapshot() {
+  const logsDir = path.join(dataDir, 'DH', 'logs');
+  const file = fs.readdirSync(logsDir).find(name => name.startsWith('noko-'));
+  return JSON.parse(fs.readFileSync(path.join(logsDir, file), 'utf8'));
+}
+
+test('fetch syncs incrementally by update time after the first full fetch', async () => {
+  const first = fakeClient(() => [entry(1, '2025-01-30')]);
+  const firstResults = await fetchNokoData('DH', 7, { client: first });
+
+  assert.equal(firstResults.DH.entries, 1);
+  assert.equal(first.calls.length, 1);
+  assert.equal(first.calls[0].params.updated_from, undefined);
+
+  const syncState = JSON.parse(fs.readFileSync(path.join(dataDir, '.sync-state.json'), 'utf8'));
+  assert.equal(syncState.DH.projectId, '701450');
+  assert.ok(!Number.isNaN(Date.parse(syncState.DH.lastSyncedAt)));
+
+  // A back-dated entry, far before the window, only shows up by update time
+  const second = fakeClient(params => (params.updated_from ? [entry(2, '2024-11-04'), entry(1, '2025-01-30')] : [entry(1, '2025-01-30')]));
+  await fetchNokoData('DH', 7, { client: second });
+
+  assert.equal(second.calls.length, 2);
+  assert.deepEqual(second.calls[1].params, { updated_from: syncState.DH.lastSyncedAt });
+  assert.deepEqual(readSnapshot().map(saved => saved.id).sort(), [1, 2]);
+});
+
+test('fetch --full ignores the sync state', async () => {
+  const client = fakeClient(() => []);
+  await fetchNokoData('DH', 3, { client, full: true });
+
+  assert.equal(client.calls.length, 1);
+  assert.equal(client.calls[0].params.updated_from, undefined);
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'generate-reports.js');
+const JANE = { id: 8372, first_name: 'Jane', last_name: 'Doe' };
+const WEEK = ['--from', '2025-01-27', '--to', '2025-01-31'];
+
+/**
+ * A working directory with one DH snapshot and the given noko-report.json
+ */
+function makeWorkDir(t, config = {}) {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'noko-generate-test-'));
+  t.after(() => fs.rmSync(cwd, { recursive: true, force: true }));
+
+  const logsDir = path.join(cwd, 'data', 'DH', 'logs');
+  fs.mkdirSync(logsDir, { recursive: true });
+  fs.writeFileSync(path.join(logsDir, 'noko-2025-01-31.json'), JSON.stringify([{
+    id: 1,
+    date: '2025-01-30',
+    minutes: 120,
+    description: 'Fixed SSO redirect',
+    billable: true,
+    user: JANE,
+    project: { id: 701450, name: '[LSM] Dartmouth Health Support' },
+    tags: []
+  }]));
+  fs.writeFileSync(path.join(cwd, 'noko-report.json'), JSON.stringify({
+    noko: { userId: JANE.id },
+    dataDir: path.join(cwd, 'data'),
+    projects: { DH: 701450 },
+    features: { clipboard: false },
+    ...config
+  }));
+  return cwd;
+}
+
+function fakeCli(cwd, name, script) {
+  const file = path.join(cwd, name);
+  fs.writeFileSync(file, `#!/bin/sh\n${script}\n`, { mode: 0o755 });
+  return file;
+}
+
+function run(cwd, args) {
+  const env = { ...process.env };
+  Object.keys(env).filter(name => /^(NOKO_|LLM_|CLAUDE_|GEMINI_|ANTHROPIC_|DATA_DIR|PROJECTS$|[A-Z]+_PROJECT_ID$)/.test(name)).forEach(name => delete env[name]);
+  return spawnSync(process.execPath, [SCRIPT, ...args], { cwd, env, encoding: 'utf8', timeout: 30000 });
+}
+
+test('an unknown --provider is a usage error', t => {
+  const cwd = makeWorkDir(t);
+  const result = run(cwd, ['generate', 'weekly', ...WEEK, '--provider', 'claud']);
+
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Unknown LLM provider claud \(expected anthropic, claude-cli, gemini-cli, stub\)/);
+  assert.match(result.stderr, /Usage: generate geekbot\|weekly/);
+  assert.equal(result.stdout, '');
+});
+
+test('provider settings come from the config file', t => {
+  const cwd = makeWorkDir(t);
+  const claude = fakeCli(cwd, 'claude', 'cat > /dev/null; printf "**REPORT 1: Office Hour**\\n**REPORT 2: Weekly**\\n- From the configured CLI\\n"');
+  fs.writeFileSync(path.join(cwd, 'noko-report.json'), JSON.stringify({
+    ...JSON.parse(fs.readFileSync(path.join(cwd, 'noko-report.json'), 'utf8')),
+    llm: { providers: ['claude-cli'], claudeCliPath: claude, retries: 0 }
+  }));
+  const result = run(cwd, ['generate', 'weekly', ...WEEK]);
+
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stderr, /Generated with claude-cli/);
+  assert.match(result.stdout, /From the configured CLI/);
+});
+
+test('--no-llm summarizes offline without trying a provider', t => {
+  const cwd = makeWorkDir(t);
+  const claude = fakeCli(cwd, 'claude', `touch ${JSON.stringify(path.join(cwd, 'called'))}`);
+  fs.writeFileSync(path.join(cwd, 'noko-report.json'), JSON.stringify({
+    ...JSON.parse(fs.readFileSync(path.join(cwd, 'noko-report.json'), 'utf8')),
+    llm: { providers: ['claude-cli'], claudeCliPath: claude }
+  }));
+  const result = run(cwd, ['generate', 'weekly', ...WEEK, '--no-llm']);
+
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stderr, /Generating with the offline summarizer/);
+  assert.match(result.stdout, /^\*\*REPORT 1: LSM Office Hour Update\*\*[\s\S]*Fixed SSO redirect/);
+  assert.equal(fs.existsSync(path.join(cwd, 'called')), false);
+});
+
+test('when every provider fails the offline summarizer writes the report', t => {
+  const cwd = makeWorkDir(t);
+  const claude = fakeCli(cwd, 'claude', 'echo "quota exceeded" >&2; exit 3');
+  fs.writeFileSync(path.join(cwd, 'noko-report.json'), JSON.stringify({
+    ...JSON.parse(fs.readFileSync(path.join(cwd, 'noko-report.json'), 'utf8')),
+    llm: { providers: ['claude-cli'], claudeCliPath: claude, retries: 0 }
+  }));
+  const result = run(cwd, ['generate', 'weekly', ...WEEK]);
+
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stderr, /claude-cli \(attempt 1\): .*quota exceeded/);
+  assert.match(result.stderr, /All LLM providers failed, falling back to the offline summarizer/);
+  assert.match(result.stdout, /^\*\*REPORT 1: LSM Office Hour Update\*\*[\s\S]*Fixed SSO redirect/);
+});
+
+test('a misconfigured provider chain fails instead of falling back', t => {
+  const cwd = makeWorkDir(t, { llm: { providers: ['claud'] } });
+  const result = run(cwd, ['generate', 'weekly', ...WEEK]);
+
+  assert.notEqual(result.status, 0);
+  assert.match(result.stderr, /Unknown LLM provider "claud"/);
+  assert.doesNotMatch(result.stderr, /offline summarizer/);
+  assert.equal(result.stdout, '');
+});
+
+test('schedule run refuses to start when a delivering job has no delivery config', t => {
+  const cwd = makeWorkDir(t);
+  fs.writeFileSync(path.join(cwd, 'data', 'schedule.json'), JSON.stringify({
+    jobs: [{ name: 'weekly', report: 'weekly', at: '00:00', days: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], fetch: false, noLlm: true }]
+  }));
+  const result = run(cwd, ['schedule', 'run', '--once']);
+
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Scheduled jobs weekly deliver their reports, but no delivery targets are configured/);
+  assert.equal(fs.existsSync(path.join(cwd, 'data', '.schedule-log.json')), false);
+});
+
+test('a scheduled job without delivery generates once', t => {
+  const cwd = makeWorkDir(t);
+  fs.writeFileSync(path.join(cwd, 'data', 'schedule.json'), JSON.stringify({
+    jobs: [{ name: 'weekly', report: 'weekly', at: '00:00', days: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], fetch: false, noLlm: true, deliver: false }]
+  }));
+
+  const first = run(cwd, ['schedule', 'run', '--once']);
+  assert.equal(first.status, 0, first.stderr);
+  assert.match(first.stdout, /✅ weekly: ok \(generated by [a-z-]+, saved to history as/);
+  assert.match(run(cwd, ['schedule', 'run', '--once']).stdout, /Nothing due/);
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const gitActivity = require('../scripts/git-activity');
+const { createReporter, formatTime } = require('../scripts/reporter');
+
+const JANE = { id: 8372, first_name: 'Jane', last_name: 'Doe' };
+
+/**
+ * execFileSync stand-in answering `git log` with the given lines
+ */
+function fakeGit(lines, calls = []) {
+  return (command, args) => {
+    calls.push([command, ...args]);
+    return lines.map(fields => fields.join('\x1f')).join('\n') + '\n';
+  };
+}
+
+function commit(hash, date, time, subject, repo = 'dh-site') {
+  return { hash, date, time, author: 'jane@example.com', subject, repo };
+}
+
+test('commits are yours, in the window, in local time, oldest first', () => {
+  const calls = [];
+  const commits = gitActivity.readCommits('/code/dh-site', {
+    from: '2025-01-28',
+    to: '2025-01-29',
+    authors: ['Jane@Example.com'],
+    timeZone: 'America/New_York',
+    exec: fakeGit([
+      ['c3', '2025-01-29T15:00:00Z', 'jane@example.com', 'feat(sso): Fix SSO redirect'],
+      ['c2', '2025-01-29T03:30:00Z', 'jane@example.com', 'Update composer dependencies'],
+      ['c1', '2025-01-28T04:00:00Z', 'jane@example.com', 'Before the window in New York'],
+      ['c4', '2025-01-29T16:00:00Z', 'sam@example.com', 'Not mine']
+    ], calls)
+  });
+
+  assert.deepEqual(commits.map(item => [item.hash, item.date, item.time, item.repo]), [
+    ['c2', '2025-01-28', '22:30', 'dh-site'],
+    ['c3', '2025-01-29', '10:00', 'dh-site']
+  ]);
+  assert.deepEqual(calls[0].slice(0, 6), ['git', '-C', '/code/dh-site', 'log', '--all', '--no-merges']);
+  assert.ok(calls[0].includes('--since=2025-01-27T00:00:00'));
+});
+
+test('an unreadable repository names the git error', () => {
+  const exec = () => {
+    const error = new Error('Command failed');
+    error.stderr = 'fatal: not a git repository (or any of the parent directories): .git\n';
+    throw error;
+  };
+
+  assert.throws(() => gitActivity.readCommits('/tmp/nope', { from: '2025-01-28', to: '2025-01-29', authors: ['jane@example.com'], exec }),
+    /^Error: Could not read git log in \/tmp\/nope: fatal: not a git repository/);
+  assert.equal(gitActivity.getRepoAuthor('/tmp/nope', exec), null);
+});
+
+test('drafts drop conventional prefixes, merge duplicates and cap the items', () => {
+  assert.equal(gitActivity.draftDescription(['fix: SSO redirect loop', 'fix!: SSO redirect loop', 'chore(deps): Update composer']),
+    'SSO redirect loop; Update composer');
+  assert.equal(gitActivity.draftDescription(['One', 'Two', 'Three', 'Four', 'Five', 'Six']), 'One; Two; Three; Four (+2 more)');
+});
+
+test('days with commits are gaps unless time was logged to the section', () => {
+  const entries = [
+    { date: '2025-01-28', minutes: 60, project: { name: 'DH' } },
+    { date: '2025-01-29', minutes: 90, project: { name: 'MJFF' } }
+  ];
+  const gaps = gitActivity.findGaps([
+    { project: 'DH', section: 'dh', commits: [commit('a1', '2025-01-28', '10:00', 'Logged day')] },
+    { project: 'DH', section: 'dh', commits: [commit('a2', '2025-01-29', '09:00', 'fix: SSO redirect'), commit('a3', '2025-01-29', '16:45', 'Add tests')] }
+  ], entries, entry => entry.project.name);
+
+  assert.deepEqual(gaps.map(gap => [gap.date, gap.project, gap.first, gap.last, gap.draft, gap.logged]), [
+    ['2025-01-29', 'DH', '09:00', '16:45', 'SSO redirect; Add tests', [{ section: 'MJFF', minutes: 90 }]]
+  ]);
+});
+
+test('the gap report lists commits, unreadable repositories and totals', () => {
+  const report = {
+    from: '2025-01-27',
+    to: '2025-01-31',
+    scope: 'user 8372',
+    repos: [{ project: 'DH', commits: 2, error: null }, { project: 'GovHub', commits: 0, error: 'Repository not found: /code/govhub' }],
+    commitCount: 2,
+    gaps: [{
+      date: '2025-01-29',
+      project: 'DH',
+      section: 'CATIC',
+      commits: [commit('abcdef123', '2025-01-29', '09:00', 'fix: SSO redirect'), commit('bcdef1234', '2025-01-29', '16:45', 'Add tests')],
+      first: '09:00',
+      last: '16:45',
+      draft: 'SSO redirect; Add tests',
+      logged: []
+    }]
+  };
+
+  assert.equal(gitActivity.formatGaps(report, formatTime), [
+    '🕳️  Commits without logged time (2025-01-27 → 2025-01-31, user 8372):',
+    '⚠️  GovHub: Repository not found: /code/govhub',
+    '',
+    '2025-01-29  DH (CATIC): 2 commits 09:00–16:45, nothing logged',
+    '  Draft: SSO redirect; Add tests',
+    '  - abcdef1 09:00 fix: SSO redirect (dh-site)',
+    '  - bcdef12 16:45 Add tests (dh-site)',
+    '',
+    '1 day with commits but no time, from 2 commits in 1 repository'
+  ].join('\n'));
+  assert.match(gitActivity.formatGaps({ ...report, repos: [], gaps: [] }, formatTime), /No repositories configured: set projectRepos/);
+  assert.match(gitActivity.formatGaps({ ...report, repos: report.repos.slice(0, 1), gaps: [] }, formatTime), /✅ Every day with commits has time logged \(2 commits in 1 repository\)$/);
+});
+
+test('the reporter checks each configured repository against your entries', t => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noko-gaps-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const repo = path.join(dataDir, 'dh-site');
+  fs.mkdirSync(repo);
+
+  const reporter = createReporter({
+    config: {
+      dataDir,
+      noko: { userId: JANE.id },
+      timezone: 'UTC',
+      projects: { DH: 701450 },
+      projectRepos: { DH: [repo, path.join(dataDir, 'missing')] }
+    },
+    now: new Date('2025-01-31T17:00:00Z'),
+    source: [{ id: 1, date: '2025-01-28', minutes: 60, description: 'SSO', user: JANE, project: { id: 701450, name: '[LSM] Dartmouth Health Support' }, tags: [] }],
+    projects: ['DH'],
+    warn: () => {}
+  });
+  const seen = [];
+  const report = reporter.generateGapReport({ from: '2025-01-27', to: '2025-01-31' }, {
+    getRepoAuthor: () => 'jane@example.com',
+    readCommits: (repoPath, options) => {
+      seen.push([repoPath, options.authors, options.timeZone]);
+      return [commit('a1', '2025-01-28', '10:00', 'Logged day'), commit('a2', '2025-01-30', '11:00', 'Unlogged day')];
+    }
+  });
+
+  assert.deepEqual(seen, [[repo, ['jane@example.com'], 'UTC']]);
+  assert.deepEqual(report.repos.map(item => [item.commits, item.error && item.error.replace(dataDir, 'DATA')]), [[2, null], [0, 'Repository not found: DATA/missing']]);
+  assert.deepEqual(report.gaps.map(gap => [gap.date, gap.section, gap.projectId]), [['2025-01-30', 'DH', 701450]]);
+});
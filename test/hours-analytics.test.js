@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const hours = require('../scripts/hours-analytics');
+
+const JANE = { id: 8372, first_name: 'Jane', last_name: 'Doe' };
+const SAM = { id: 72862, first_name: 'Sam', last_name: 'Roe' };
+
+function entry(date, minutes, projectId, section, extra = {}) {
+  return { id: date + minutes, date, minutes, billable: true, user: JANE, project: { id: projectId, name: `Project ${projectId}` }, tags: [], section, ...extra };
+}
+
+const sectionOf = item => item.section;
+
+test('summarizeHours totals by section, project, tag, work type, user and day', () => {
+  const entries = [
+    entry('2025-01-06', 60, 1, 'DH', { tags: [{ name: 'security' }, { name: 'sso' }] }),
+    entry('2025-01-06', 30, 2, 'MJFF', { billable: false, user: SAM }),
+    entry('2025-01-07', 45, 1, 'DH')
+  ];
+  const summary = hours.summarizeHours(entries, sectionOf, item => (item.tags.length > 0 ? 'Security' : null));
+
+  assert.deepEqual(summary.total, { minutes: 135, billableMinutes: 105, unbillableMinutes: 30, entries: 3 });
+  assert.equal(summary.byCategory.DH.minutes, 105);
+  assert.equal(summary.byProject['Project 2'].unbillableMinutes, 30);
+  assert.deepEqual(Object.keys(summary.byTag), ['security', 'sso', '(untagged)']);
+  assert.equal(summary.byTag['(untagged)'].minutes, 75);
+  assert.equal(summary.byWorkType.Security.minutes, 60);
+  assert.equal(summary.byWorkType['(untyped)'].minutes, 75);
+  assert.equal(summary.byUser['Sam Roe'].minutes, 30);
+  assert.equal(summary.byDay['2025-01-06'].entries, 2);
+});
+
+test('countWorkingDays skips weekends and custom holidays', () => {
+  assert.equal(hours.countWorkingDays('2025-01-01', '2025-01-31'), 23);
+  assert.equal(hours.countWorkingDays('2025-01-01', '2025-01-31', date => date !== '2025-01-01' && hours.countWorkingDays(date, date) === 1), 22);
+  assert.deepEqual(hours.getMonthBounds('2024-02-10'), { start: '2024-02-01', end: '2024-02-29' });
+});
+
+test('retainer burn projects month-end hours from working days elapsed', () => {
+  const retainers = [
+    { name: 'MJFF', section: 'MJFF', monthlyHours: 40 },
+    { name: 'GovHub', projectId: [701450], monthlyHours: 20 },
+    { name: 'DH', section: 'DH', monthlyHours: 20 }
+  ];
+  const entries = [
+    entry('2025-01-08', 22 * 60, 2, 'MJFF'),
+    entry('2025-01-09', 120, 701450, 'GovHub'),
+    entry('2025-01-10', 9 * 60, 1, 'DH'),
+    entry('2024-12-31', 600, 1, 'DH'),
+    entry('2025-01-20', 600, 1, 'DH')
+  ];
+  // 11 of January's 23 working days have passed on the 15th
+  const burn = hours.computeRetainerBurn(entries, retainers, { today: '2025-01-15', sectionOf });
+
+  assert.deepEqual(burn.map(item => [item.name, item.status, item.usedHours]), [
+    ['MJFF', 'over', 22],
+    ['GovHub', 'under', 2],
+    ['DH', 'on-track', 9]
+  ]);
+  assert.equal(burn[0].projectedHours, 46);
+  assert.deepEqual(burn[0].workingDays, { elapsed: 11, total: 23 });
+  assert.equal(burn[0].warning, 'projected 46.0h exceeds 40h allotment');
+  assert.equal(burn[1].warning, 'projected 4.2h is below 80% of 20h allotment');
+});
+
+test('loadRetainers validates each retainer', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'noko-retainers-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'retainers.json');
+
+  assert.deepEqual(hours.loadRetainers(path.join(dir, 'missing.json')), []);
+  fs.writeFileSync(file, JSON.stringify({ retainers: [{ name: 'MJFF', section: 'MJFF', monthlyHours: 0 }] }));
+  assert.throws(() => hours.loadRetainers(file), /retainer 1 \(MJFF\): "monthlyHours" must be a positive number/);
+  fs.writeFileSync(file, JSON.stringify([{ name: 'MJFF', monthlyHours: 40 }]));
+  assert.throws(() => hours.loadRetainers(file), /needs "projectId" or "section"/);
+});
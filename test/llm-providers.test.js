@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const llmProviders = require('../scripts/llm-providers');
+
+// The anthropic provider is only available with an API key
+delete process.env.ANTHROPIC_API_KEY;
+
+const binDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noko-llm-test-'));
+test.after(() => fs.rmSync(binDir, { recursive: true, force: true }));
+
+/**
+ * Write an executable shell script standing in for an LLM CLI
+ */
+function fakeCli(name, script) {
+  const file = path.join(binDir, name);
+  fs.writeFileSync(file, `#!/bin/sh\n${script}\n`, { mode: 0o755 });
+  return file;
+}
+
+const RAW_DATA = '=== DH ===\n2h - Jane D.: Fixed SSO redirect (2025-01-30)\n';
+
+test('validateReport checks the report type structure', () => {
+  assert.equal(llmProviders.validateReport('', 'weekly'), 'empty response');
+  assert.equal(llmProviders.validateReport('**REPORT 1**\n**REPORT 2**', 'weekly'), null);
+  assert.equal(llmProviders.validateReport('**REPORT 1** only', 'weekly'), 'missing REPORT 2');
+  assert.equal(llmProviders.validateReport('Section 1\nSection 3', 'geekbot'), 'missing Geekbot section(s) 2');
+});
+
+test('template markers replace the built-in checks, and only when given', () => {
+  assert.equal(llmProviders.validateReport('## Summary', 'weekly', ['Summary']), null);
+  assert.equal(llmProviders.validateReport('## Summary', 'weekly', ['Summary', 'Next steps']), 'missing Next steps');
+  assert.equal(llmProviders.validateReport('## Summary', 'weekly', undefined), 'missing REPORT 1 and REPORT 2');
+});
+
+test('the chain skips unavailable providers and falls back after retries', async () => {
+  const attempts = [];
+  const result = await llmProviders.generateWithFallback({ system: 'Write the report', prompt: RAW_DATA, reportType: 'weekly' }, {
+    providers: ['anthropic', 'claude-cli', 'stub'],
+    providerOptions: { 'claude-cli': { command: fakeCli('claude-fails', 'echo "quota exceeded" >&2; exit 3') } },
+    timeoutMs: 5000,
+    retries: 1,
+    onAttempt: (provider, attempt, error) => attempts.push([provider, attempt, error ? error.message : null])
+  });
+
+  assert.equal(result.provider, 'stub');
+  assert.match(result.text, /REPORT 1[\s\S]*DH[\s\S]*REPORT 2/);
+  assert.deepEqual(result.failures.map(failure => failure.provider), ['anthropic', 'claude-cli', 'claude-cli']);
+  assert.match(result.failures[1].error, /exited with code 3: quota exceeded/);
+  assert.deepEqual(attempts.map(([provider, attempt]) => `${provider}#${attempt}`), ['anthropic#0', 'claude-cli#1', 'claude-cli#2', 'stub#1']);
+  assert.equal(attempts[3][2], null);
+});
+
+test('a response without the report structure counts as a failure', async () => {
+  const result = await llmProviders.generateWithFallback({ system: 'Write the report', prompt: RAW_DATA, reportType: 'geekbot' }, {
+    providers: ['claude-cli', 'stub'],
+    providerOptions: { 'claude-cli': { command: fakeCli('claude-chatty', 'echo "Sure! Here is your report."') } },
+    timeoutMs: 5000,
+    retries: 0
+  });
+
+  assert.equal(result.provider, 'stub');
+  assert.deepEqual(result.failures, [{ provider: 'claude-cli', error: 'invalid response: missing Geekbot section(s) 1, 2, 3' }]);
+});
+
+test('a provider that hangs is stopped at the timeout', async () => {
+  await assert.rejects(llmProviders.generateWithFallback({ system: 'Write the report', prompt: RAW_DATA, reportType: 'weekly' }, {
+    providers: ['claude-cli'],
+    providerOptions: { 'claude-cli': { command: fakeCli('claude-hangs', 'exec sleep 5') } },
+    timeoutMs: 200,
+    retries: 0
+  }), error => {
+    assert.match(error.message, /All LLM providers failed \(claude-cli: .* timed out after 200ms\)/);
+    assert.equal(error.failures.length, 1);
+    return true;
+  });
+});
+
+test('gemini-cli gets the instructions and the data on stdin, with no flags', async () => {
+  const gemini = llmProviders.createProvider('gemini-cli', {
+    'gemini-cli': { command: fakeCli('gemini-echo', 'echo "args: $#"; cat') }
+  });
+  const output = await gemini.generate({ system: 'Write the report', prompt: RAW_DATA, timeoutMs: 5000 });
+
+  assert.equal(output, `args: 0\nWrite the report\n\n${RAW_DATA}`);
+});
+
+test('an unknown provider name is a configuration error, not a provider failure', async () => {
+  const attempts = [];
+  await assert.rejects(llmProviders.generateWithFallback({ system: 'Write the report', prompt: RAW_DATA, reportType: 'weekly' }, {
+    providers: ['stub', 'claud'],
+    onAttempt: provider => attempts.push(provider)
+  }), error => {
+    assert.ok(!(error instanceof llmProviders.LlmProviderError));
+    assert.match(error.message, /Unknown LLM provider "claud"/);
+    return true;
+  });
+  assert.deepEqual(attempts, []);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const memoryBank = require('../scripts/memory-bank');
+
+const REPORT = [
+  '**REPORT 2: LSM Weekly Update**',
+  '## DH Project Update',
+  '**This Week:**',
+  '- Fixed SSO redirect',
+  '- Upgraded to Drupal 11',
+  '**Next Week:**',
+  '- Launch search',
+  '## MJFF Project Update',
+  '**This Week:** Updated composer dependencies',
+  '## GovHub Project Update',
+  '**This Week:** [No updates]'
+].join('\n');
+
+function makeDataDir(t) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noko-memory-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  return dataDir;
+}
+
+test('parseWeeklyAccomplishments reads the This Week part of each project update', () => {
+  assert.deepEqual(memoryBank.parseWeeklyAccomplishments(REPORT), {
+    DH: ['Fixed SSO redirect', 'Upgraded to Drupal 11'],
+    MJFF: ['Updated composer dependencies']
+  });
+});
+
+test('appendProgress replaces the block for a period it already wrote', t => {
+  const dataDir = makeDataDir(t);
+  memoryBank.appendProgress(dataDir, 'DH', '2025-01-20 → 2025-01-24', ['Planning']);
+  memoryBank.appendProgress(dataDir, 'DH', '2025-01-27 → 2025-01-31', ['First draft']);
+  const file = memoryBank.appendProgress(dataDir, 'DH', '2025-01-27 → 2025-01-31', ['Fixed SSO redirect']);
+
+  assert.equal(fs.readFileSync(file, 'utf8'), [
+    '# DH Progress',
+    '',
+    '## Week 2025-01-20 → 2025-01-24',
+    '- Planning',
+    '',
+    '## Week 2025-01-27 → 2025-01-31',
+    '- Fixed SSO redirect',
+    ''
+  ].join('\n'));
+});
+
+test('refreshActiveContext only rewrites the generated block', t => {
+  const dataDir = makeDataDir(t);
+  const file = path.join(dataDir, 'DH', 'memory-bank', 'activeContext.md');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, '# DH Active Context\n\nHand-written notes\n');
+
+  memoryBank.refreshActiveContext(dataDir, 'DH', 'week 1', ['Old item']);
+  memoryBank.refreshActiveContext(dataDir, 'DH', 'week 2', ['New item']);
+  const content = fs.readFileSync(file, 'utf8');
+
+  assert.match(content, /^# DH Active Context\n\nHand-written notes\n/);
+  assert.match(content, /## Recent Activity \(week 2\)\n- New item/);
+  assert.doesNotMatch(content, /Old item|week 1/);
+});
+
+test('the memory bank context keeps the most recent progress', t => {
+  const dataDir = makeDataDir(t);
+  assert.equal(memoryBank.formatMemoryBankContext(memoryBank.readMemoryBank(dataDir, 'DH')), '');
+
+  memoryBank.appendProgress(dataDir, 'DH', 'old', ['x'.repeat(50)]);
+  memoryBank.appendProgress(dataDir, 'DH', 'new', ['Latest work']);
+  const context = memoryBank.formatMemoryBankContext(memoryBank.readMemoryBank(dataDir, 'DH'), 30);
+
+  assert.match(context, /^--- Project memory bank/);
+  assert.match(context, /\[Recent progress\]\n….*Latest work\n--- End memory bank ---\n$/s);
+  assert.doesNotMatch(context, /## Week old/);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createNokoClient, parseNextLink, NokoApiError } = require('../scripts/noko-client');
+
+/**
+ * Local Noko API: `handle(req, res, requestNumber)` answers each request
+ */
+async function startServer(handle) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers });
+    handle(req, res, requests.length);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/v2`;
+  return { baseUrl, requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+function json(res, status, body, headers = {}) {
+  res.writeHead(status, { 'content-type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+test('parseNextLink finds the rel="next" URL', () => {
+  const header = '<https://api.nokotime.com/v2/entries?page=1>; rel="first", <https://api.nokotime.com/v2/entries?page=3>; rel="next"';
+  assert.equal(parseNextLink(header), 'https://api.nokotime.com/v2/entries?page=3');
+  assert.equal(parseNextLink('<https://api.nokotime.com/v2/entries?page=1>; rel="first"'), null);
+  assert.equal(parseNextLink(undefined), null);
+});
+
+test('getProjectEntries follows next links until the last page', async t => {
+  const server = await startServer((req, res) => {
+    const page = new URL(req.url, 'http://localhost').searchParams.get('page');
+    if (!page) {
+      json(res, 200, [{ id: 1 }, { id: 2 }], { link: `<${server.baseUrl}/projects/42/entries?page=2>; rel="next"` });
+    } else if (page === '2') {
+      json(res, 200, [{ id: 3 }], { link: '</v2/projects/42/entries?page=3>; rel="next"' });
+    } else {
+      json(res, 200, [{ id: 4 }]);
+    }
+  });
+  t.after(server.close);
+
+  const client = createNokoClient({ token: 'secret', baseUrl: server.baseUrl, retryDelayMs: 0 });
+  const entries = await client.getProjectEntries(42, { from: '2025-01-27', to: '2025-01-31' });
+
+  assert.deepEqual(entries.map(entry => entry.id), [1, 2, 3, 4]);
+  assert.equal(server.requests.length, 3);
+  const first = new URL(server.requests[0].url, 'http://localhost');
+  assert.equal(first.pathname, '/v2/projects/42/entries');
+  assert.equal(first.searchParams.get('from'), '2025-01-27');
+  assert.equal(first.searchParams.get('to'), '2025-01-31');
+  assert.equal(first.searchParams.get('per_page'), '1000');
+  assert.ok(server.requests.every(request => request.headers['x-nokotoken'] === 'secret'));
+});
+
+test('getAll refuses next links to another host without sending the token', async t => {
+  const server = await startServer((req, res) => {
+    json(res, 200, [{ id: 1 }], { link: '<https://evil.example/v2/entries?page=2>; rel="next"' });
+  });
+  t.after(server.close);
+
+  const client = createNokoClient({ token: 'secret', baseUrl: server.baseUrl, retryDelayMs: 0 });
+  await assert.rejects(client.getAll('/entries'), error => {
+    assert.ok(error instanceof NokoApiError);
+    assert.match(error.message, /Refusing to follow a next page link to https:\/\/evil\.example/);
+    return true;
+  });
+  assert.equal(server.requests.length, 1);
+});
+
+test('rate-limited and failed requests are retried', async t => {
+  const server = await startServer((req, res, count) => {
+    if (count === 1) {
+      json(res, 429, { message: 'slow down' }, { 'retry-after': '0' });
+    } else if (count === 2) {
+      json(res, 502, { message: 'bad gateway' });
+    } else {
+      json(res, 200, { id: 7, first_name: 'Jane' });
+    }
+  });
+  t.after(server.close);
+
+  const client = createNokoClient({ token: 'secret', baseUrl: server.baseUrl, retryDelayMs: 0 });
+  const user = await client.getCurrentUser();
+
+  assert.equal(user.id, 7);
+  assert.equal(server.requests.length, 3);
+});
+
+test('a request that keeps failing throws with the HTTP status', async t => {
+  const server = await startServer((req, res) => json(res, 503, { message: 'down' }));
+  t.after(server.close);
+
+  const client = createNokoClient({ token: 'secret', baseUrl: server.baseUrl, maxRetries: 2, retryDelayMs: 0 });
+  await assert.rejects(client.getCurrentUser(), error => {
+    assert.ok(error instanceof NokoApiError);
+    assert.equal(error.status, 503);
+    return true;
+  });
+  assert.equal(server.requests.length, 3);
+});
+
+test('client errors are not retried', async t => {
+  const server = await startServer((req, res) => json(res, 401, { message: 'bad token' }));
+  t.after(server.close);
+
+  const client = createNokoClient({ token: 'wrong', baseUrl: server.baseUrl, retryDelayMs: 0 });
+  await assert.rejects(client.getCurrentUser(), { name: 'NokoApiError', status: 401 });
+  assert.equal(server.requests.length, 1);
+});
+
+test('Retry-After is capped at the maximum retry delay', async t => {
+  const server = await startServer((req, res, count) => {
+    if (count === 1) {
+      json(res, 429, { message: 'slow down' }, { 'retry-after': '3600' });
+    } else {
+      json(res, 200, { id: 7 });
+    }
+  });
+  t.after(server.close);
+
+  const client = createNokoClient({ token: 'secret', baseUrl: server.baseUrl, maxRetryDelayMs: 10 });
+  const started = Date.now();
+  assert.equal((await client.getCurrentUser()).id, 7);
+  assert.ok(Date.now() - started < 5000);
+});
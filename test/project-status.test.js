@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const projectStatus = require('../scripts/project-status');
+
+function entries(...minutes) {
+  return minutes.map((value, index) => ({ id: index, date: '2025-01-30', minutes: value, description: 'Work', tags: [] }));
+}
+
+function status(category) {
+  const result = projectStatus.computeCategoryStatus({ name: 'DH', trailingMinutes: [600, 600, 600, 600], ...category });
+  return [result.status, result.reasons];
+}
+
+test('hours within the trend are green', () => {
+  assert.deepEqual(status({ entries: entries(300, 300) }), ['green', []]);
+  assert.deepEqual(status({ entries: [], trailingMinutes: [60, 0] }), ['green', []]);
+});
+
+test('no activity, drops and spikes against the trailing average are yellow', () => {
+  assert.deepEqual(status({ entries: [] }), ['yellow', ['No activity this period (trailing average 10.0h)']]);
+  assert.deepEqual(status({ entries: entries(240) }), ['yellow', ['Hours down 60% vs trailing average (4.0h vs 10.0h)']]);
+  assert.deepEqual(status({ entries: entries(1500) }), ['yellow', ['Hours up 150% vs trailing average (25.0h vs 10.0h)']]);
+  // With a lower drop ratio, 40% of the average is fine
+  const relaxed = { ...projectStatus.DEFAULT_STATUS_RULES, dropRatio: 0.3 };
+  assert.equal(projectStatus.computeCategoryStatus({ name: 'DH', entries: entries(240), trailingMinutes: [600] }, relaxed).status, 'green');
+});
+
+test('retainers near or over their limit and status tags raise the status', () => {
+  const near = { name: 'DH', status: 'on-track', usedHours: 37, monthlyHours: 40, percentUsed: 92.5 };
+  const over = { name: 'DH', status: 'over', warning: 'projected 46.0h exceeds 40h allotment' };
+
+  assert.deepEqual(status({ entries: entries(600), retainers: [near] }), ['yellow', ['Retainer DH at 93% of 40h']]);
+  assert.deepEqual(status({ entries: entries(600), retainers: [over] }), ['red', ['Retainer DH: projected 46.0h exceeds 40h allotment']]);
+
+  const tagged = [
+    { date: '2025-01-29', minutes: 300, description: 'Waiting on #blocked VPN access', tags: [] },
+    { date: '2025-01-30', minutes: 300, description: 'Launch prep', tags: [{ name: 'Risk' }] }
+  ];
+  assert.deepEqual(status({ entries: tagged }), ['red', ['#blocked: Waiting on VPN access (2025-01-29)', '#risk: Launch prep (2025-01-30)']]);
+});
+
+test('computeStatuses lists the worst first', () => {
+  const statuses = projectStatus.computeStatuses([
+    { name: 'MJFF', entries: entries(60), trailingMinutes: [] },
+    { name: 'GovHub', entries: [], trailingMinutes: [600] },
+    { name: 'DH', entries: [{ date: '2025-01-30', minutes: 60, description: '#blocked', tags: [] }] }
+  ]);
+  assert.deepEqual(statuses.map(item => `${item.name}:${item.status}`), ['DH:red', 'GovHub:yellow', 'MJFF:green']);
+});
+
+test('status rules override the defaults and tags must map to a level', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'noko-status-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'status-rules.json');
+
+  fs.writeFileSync(file, JSON.stringify({ spikeRatio: 3, tags: { hold: 'yellow' } }));
+  const rules = projectStatus.loadStatusRules(file);
+  assert.equal(rules.spikeRatio, 3);
+  assert.equal(rules.dropRatio, projectStatus.DEFAULT_STATUS_RULES.dropRatio);
+  assert.deepEqual(rules.tags, { hold: 'yellow' });
+
+  fs.writeFileSync(file, JSON.stringify({ tags: { hold: 'orange' } }));
+  assert.throws(() => projectStatus.loadStatusRules(file), /tag "hold" must map to green, yellow, red/);
+});
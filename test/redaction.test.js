@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const redaction = require('../scripts/redaction');
+
+const KNOWN = {
+  clients: ['DH', 'Dartmouth Health'],
+  people: [{ name: 'Jane D.', aliases: ['Jane Doe'] }]
+};
+
+test('without a config file, client names, people and detected values are redacted', () => {
+  const config = redaction.loadRedactionConfig(path.join(__dirname, 'missing-redaction.json'));
+  const redactor = redaction.createRedactor(config, KNOWN);
+  const prompt = '=== DH ===\n2h - Jane D.: Dartmouth Health SSO fix for ops@example.com, token=abc123secret';
+  const redacted = redactor.redact(prompt);
+
+  assert.equal(config.clients, 'auto');
+  assert.doesNotMatch(redacted, /DH|Dartmouth|Jane|example\.com|abc123secret/);
+  assert.match(redacted, /^=== \[CLIENT_\d+\] ===/);
+  assert.equal(redactor.rehydrate(redacted).replace('[redacted]', 'abc123secret'), prompt);
+});
+
+test('the same value always gets the same placeholder', () => {
+  const redactor = redaction.createRedactor(redaction.loadRedactionConfig(null), KNOWN);
+  const redacted = redactor.redact('DH call, then DH deploy with Jane Doe');
+  const placeholders = redacted.match(/\[CLIENT_\d+\]/g);
+
+  assert.equal(placeholders.length, 2);
+  assert.equal(placeholders[0], placeholders[1]);
+  assert.equal(redactor.rehydrate(redacted), 'DH call, then DH deploy with Jane D.');
+});
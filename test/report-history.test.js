@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const history = require('../scripts/report-history');
+
+const formatTime = minutes => `${minutes}m`;
+
+function weekly(date, generatedAt, categories, thisWeek) {
+  return {
+    reportType: 'weekly',
+    date,
+    generatedAt,
+    window: { from: date, to: date },
+    provider: 'stub',
+    userIds: [8372],
+    categories,
+    text: `**REPORT 1**\n**REPORT 2**\n${Object.entries(thisWeek).map(([name, items]) => `## ${name} Project Update\n**This Week:**\n${items.map(item => `- ${item}`).join('\n')}`).join('\n')}`
+  };
+}
+
+function makeHistoryDir(t) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noko-history-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  return history.getHistoryDir(dataDir);
+}
+
+test('reports are archived with unique ids and found by id, date or latest', t => {
+  const historyDir = makeHistoryDir(t);
+  const first = history.archiveReport(historyDir, weekly('2025-01-24', '2025-01-24T20:00:00.000Z', {}, {}));
+  const rerun = history.archiveReport(historyDir, weekly('2025-01-24', '2025-01-24T20:00:00.000Z', {}, {}));
+  const latest = history.archiveReport(historyDir, weekly('2025-01-31', '2025-01-31T20:00:00.000Z', {}, {}));
+  history.archiveReport(historyDir, { ...weekly('2025-02-01', '2025-02-01T09:00:00.000Z', {}, {}), reportType: 'geekbot' });
+
+  assert.deepEqual([first.id, rerun.id, latest.id], ['2025-01-24-weekly-200000', '2025-01-24-weekly-200000-2', '2025-01-31-weekly-200000']);
+  assert.equal(history.listReports(historyDir, 'weekly').length, 3);
+  assert.equal(history.findReport(historyDir, 'latest', 'weekly').id, latest.id);
+  assert.equal(history.findReport(historyDir, '2025-01-24-weekly-200000', 'weekly').id, first.id);
+  assert.equal(history.findReport(historyDir, 'latest').reportType, 'geekbot');
+  assert.equal(history.findReport(historyDir, 'nope'), null);
+  assert.equal(history.findPreviousReport(historyDir, 'weekly', '2025-01-31').date, '2025-01-24');
+  assert.equal(history.findPreviousReport(historyDir, 'weekly', '2025-01-24'), null);
+});
+
+test('diffReports compares hours and accomplishments week over week', () => {
+  const a = { id: 'a', ...weekly('2025-01-24', '2025-01-24T20:00:00.000Z', { DH: { minutes: 300 }, MJFF: { minutes: 60 } }, { DH: ['Fixed SSO redirect', 'Planned search'] }) };
+  const b = { id: 'b', ...weekly('2025-01-31', '2025-01-31T20:00:00.000Z', { DH: { minutes: 300 }, GovHub: { minutes: 120 } }, { DH: ['Fixed SSO redirect.', 'Launched search'] }) };
+  const diff = history.diffReports(a, b);
+
+  assert.deepEqual(diff.totalMinutes, { a: 360, b: 420, delta: 60 });
+  assert.deepEqual(diff.categories.map(category => [category.name, category.status, category.delta]), [
+    ['DH', 'same', 0],
+    ['GovHub', 'added', 120],
+    ['MJFF', 'removed', -60]
+  ]);
+  assert.deepEqual(diff.accomplishments, [{
+    category: 'DH',
+    added: ['Launched search'],
+    removed: ['Planned search'],
+    repeated: ['Fixed SSO redirect.']
+  }]);
+
+  const text = history.formatDiff(diff, formatTime);
+  assert.match(text, /^📊 a → b\nTotal: 360m → 420m \(\+60m\)/);
+  assert.match(text, /  MJFF +60m → - \(removed, -60m\)/);
+  assert.match(text, /    = Fixed SSO redirect\. \(repeated\)/);
+});
+
+test('geekbot accomplishments come from the Section 1 bullets', () => {
+  const record = {
+    reportType: 'geekbot',
+    text: "**Section 1 (What's new since your last update?):**\nDH:\n- Fixed SSO redirect\nInternal:\n* Team meeting\n**Section 2 (What will you do today?):**\n- Code review"
+  };
+  assert.deepEqual(history.extractAccomplishments(record), { DH: ['Fixed SSO redirect'], Internal: ['Team meeting'] });
+});
+
+test('the previous report context is truncated', () => {
+  const context = history.formatPreviousReportContext({ text: 'x'.repeat(20), window: { from: '2025-01-20', to: '2025-01-24' } }, 10);
+  assert.match(context, /^--- Previous report \(2025-01-20 → 2025-01-24, context only\) ---\nx{10}…\n/);
+});
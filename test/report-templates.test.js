@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const templates = require('../scripts/report-templates');
+
+const LAYOUT = [
+  '---',
+  'description: Team summary',
+  'reportType: weekly',
+  'markers: Summary, Next steps',
+  '---',
+  '## Summary',
+  '{{#each categories}}',
+  '{{@number}}. {{name}} ({{time}}){{#if lead}} led by {{lead.name}}{{/if}}',
+  '{{#each items}}',
+  '   - {{this}}',
+  '{{/each}}',
+  '{{else}}',
+  'No activity',
+  '{{/each}}',
+  '{{#unless blockers}}',
+  'No blockers',
+  '{{/unless}}',
+  '## Next steps'
+].join('\n');
+
+test('front matter gives the description, report type and markers', () => {
+  const { meta, body } = templates.parseTemplate(LAYOUT);
+  assert.deepEqual(meta, { description: 'Team summary', reportType: 'weekly', markers: ['Summary', 'Next steps'] });
+  assert.match(body, /^## Summary\n/);
+});
+
+test('loops, conditionals and else branches render without leftover blank lines', () => {
+  const template = { name: 'team', body: templates.parseTemplate(LAYOUT).body };
+
+  assert.equal(templates.renderTemplate(template, {
+    categories: [
+      { name: 'DH', time: '2h', lead: { name: 'Jane' }, items: ['SSO fix', 'Search'] },
+      { name: 'MJFF', time: '1h', items: [] }
+    ],
+    blockers: []
+  }), '## Summary\n1. DH (2h) led by Jane\n   - SSO fix\n   - Search\n2. MJFF (1h)\nNo blockers\n## Next steps');
+
+  assert.equal(templates.renderTemplate(template, { categories: [], blockers: ['Waiting on access'] }),
+    '## Summary\nNo activity\n## Next steps');
+});
+
+test('unbalanced and unknown blocks are errors with the line number', () => {
+  assert.throws(() => templates.compileTemplate('{{#each items}}\n{{/if}}', 'broken'), /^TemplateError: broken: unexpected \{\{\/if\}\} on line 2$/m);
+  assert.throws(() => templates.compileTemplate('{{#with user}}', 'broken'), /unknown block \{\{#with user\}\} on line 1/);
+  assert.throws(() => templates.compileTemplate('{{#if a}}', 'broken'), /unclosed \{\{#if\}\} block/);
+  assert.throws(() => templates.compileTemplate('{{else}}', 'broken'), /unexpected \{\{else\}\}/);
+});
+
+test('user templates override built-ins by name and templates.json selects per user', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'noko-templates-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'weekly.md'), LAYOUT);
+  fs.writeFileSync(path.join(dir, 'manager-weekly.md'), 'Hours: {{total}}');
+  fs.writeFileSync(path.join(dir, 'templates.json'), JSON.stringify({ weekly: 'weekly', users: { 72862: { weekly: 'manager-weekly' } } }));
+  const dirs = [dir, templates.BUILTIN_TEMPLATES_DIR];
+
+  const listed = templates.listTemplates(dirs);
+  assert.deepEqual(listed.filter(template => template.builtIn).map(template => template.name), ['client-report', 'geekbot', 'hours-summary']);
+  assert.equal(templates.loadTemplate('weekly', dirs).meta.description, 'Team summary');
+  assert.deepEqual(templates.loadTemplate('weekly', [templates.BUILTIN_TEMPLATES_DIR]).meta.markers, ['REPORT 1', 'REPORT 2']);
+  assert.throws(() => templates.loadTemplate('monthly', dirs), /Unknown template "monthly" \(available: /);
+
+  const selection = templates.loadTemplateSelection(dir);
+  assert.equal(templates.selectTemplateName('weekly', 72862, selection), 'manager-weekly');
+  assert.equal(templates.selectTemplateName('weekly', 8372, selection), 'weekly');
+  assert.equal(templates.selectTemplateName('geekbot', 8372, selection), 'geekbot');
+  assert.equal(templates.selectTemplateName('weekly', 72862, selection, 'hours-summary'), 'hours-summary');
+});
@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createReporter } = require('../scripts/reporter');
+
+const JANE = { id: 8372, first_name: 'Jane', last_name: 'Doe' };
+const SAM = { id: 72862, first_name: 'Sam', last_name: 'Roe' };
+
+let nextId = 1;
+function entry(user, date, minutes, projectName, description, extra = {}) {
+  return {
+    id: nextId++,
+    date,
+    minutes,
+    description,
+    billable: true,
+    user,
+    project: { id: 700000 + projectName.length, name: projectName },
+    tags: [],
+    ...extra
+  };
+}
+
+const ENTRIES = [
+  entry(JANE, '2025-01-27', 120, '[LSM] Dartmouth Health Support', 'Fixed SSO redirect #security'),
+  entry(JANE, '2025-01-30', 60, '[LSM] MJFF Website', 'Updated composer dependencies'),
+  entry(JANE, '2025-01-31', 30, 'Lullabot Internal', 'Team meeting #mtg', { project: { id: 17045, name: 'Lullabot Internal' } }),
+  entry(SAM, '2025-01-30', 240, '[LSM] Dartmouth Health Support', 'Migrated search index'),
+  entry(JANE, '2025-01-20', 90, '[LSM] Dartmouth Health Support', 'Before the window')
+];
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noko-reporter-test-'));
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+function makeReporter({ config, ...options } = {}) {
+  return createReporter({
+    config: { dataDir, noko: { userId: JANE.id }, timezone: 'America/New_York', ...config },
+    now: new Date('2025-01-31T17:00:00Z'),
+    source: ENTRIES,
+    projects: ['DH', 'MJFF'],
+    warn: () => {},
+    ...options
+  });
+}
+
+const WEEK = { from: '2025-01-27', to: '2025-01-31' };
+
+test('dates come from the injected clock in the configured timezone', () => {
+  // 02:30 UTC on Feb 1 is still Jan 31 in New York
+  const reporter = makeReporter({ now: new Date('2025-02-01T02:30:00Z') });
+  assert.equal(reporter.today(), '2025-01-31');
+  assert.deepEqual(reporter.resolveWindow(2), { from: '2025-01-29', to: '2025-01-31' });
+
+  const utc = makeReporter({ now: new Date('2025-02-01T02:30:00Z'), config: { timezone: 'UTC' } });
+  assert.equal(utc.today(), '2025-02-01');
+});
+
+test('the clock can be a function', () => {
+  let current = new Date('2025-01-31T17:00:00Z');
+  const reporter = makeReporter({ now: () => current });
+  assert.equal(reporter.today(), '2025-01-31');
+  current = new Date('2025-02-03T17:00:00Z');
+  assert.equal(reporter.today(), '2025-02-03');
+});
+
+test('the environment is not read', t => {
+  const saved = { ...process.env };
+  t.after(() => { process.env = saved; });
+  Object.assign(process.env, { REPORT_TIMEZONE: 'Pacific/Kiritimati', NOKO_USER_ID: String(SAM.id) });
+
+  const reporter = makeReporter({ now: new Date('2025-01-31T17:00:00Z') });
+  assert.equal(reporter.today(), '2025-01-31');
+  assert.equal(reporter.userId, JANE.id);
+});
+
+test('a user id is required', () => {
+  assert.throws(() => createReporter({ config: { dataDir }, source: [], projects: [], warn: () => {} }), /noko\.userId is required/);
+});
+
+test('weekly sections cover the configured user in the window, classified by the rules', () => {
+  const sections = makeReporter().collectReportSections(WEEK, 'weekly');
+
+  assert.deepEqual(sections.map(section => [section.name, section.category, section.key, section.entries.map(item => item.description)]), [
+    ['Dartmouth Health Support', 'client', 'DH', ['Fixed SSO redirect #security']],
+    ['MJFF Website', 'client', 'MJFF', ['Updated composer dependencies']]
+  ]);
+});
+
+test('geekbot sections group by category, with internal time optional', () => {
+  const reporter = makeReporter();
+  const window = { from: '2025-01-30', to: '2025-01-31' };
+
+  assert.deepEqual(reporter.collectReportSections(window, 'geekbot').map(section => section.name), ['MJFF', 'Internal']);
+  assert.deepEqual(reporter.collectReportSections(window, 'geekbot', true).map(section => section.name), ['MJFF']);
+  assert.deepEqual(reporter.collectReportSections(window, 'geekbot', false, [SAM.id]).map(section => section.name), ['DH']);
+});
+
+test('hours cover the whole team unless limited to the user', () => {
+  const reporter = makeReporter();
+
+  const team = reporter.generateHoursReport(WEEK);
+  assert.equal(team.scope, 'all users');
+  assert.equal(team.summary.total.minutes, 450);
+  assert.equal(team.summary.byCategory.DH.minutes, 360);
+
+  const mine = reporter.generateHoursReport(WEEK, { mine: true });
+  assert.equal(mine.scope, `user ${JANE.id}`);
+  assert.equal(mine.summary.total.minutes, 210);
+});
+
+test('entries can come from an object with getEntries()', () => {
+  let reads = 0;
+  const reporter = makeReporter({ source: { getEntries: () => { reads++; return ENTRIES.slice(0, 1); } } });
+
+  assert.equal(reporter.filterEntries(WEEK).length, 1);
+  assert.ok(reads > 0);
+});
+
+test('a read-only reporter ingests snapshots without writing the entry store', t => {
+  const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noko-reporter-test-'));
+  t.after(() => fs.rmSync(storeDir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(storeDir, 'DH', 'logs'), { recursive: true });
+  fs.writeFileSync(path.join(storeDir, 'DH', 'logs', 'noko-2025-01-31.json'), JSON.stringify(ENTRIES.slice(0, 1)));
+
+  const readOnly = makeReporter({ config: { dataDir: storeDir }, source: undefined, projects: ['DH'], readOnly: true });
+  assert.equal(readOnly.getEntries().length, 1);
+  assert.equal(fs.existsSync(path.join(storeDir, '.entry-store.json')), false);
+
+  makeReporter({ config: { dataDir: storeDir }, source: undefined, projects: ['DH'] }).getEntries();
+  assert.equal(fs.existsSync(path.join(storeDir, '.entry-store.json')), true);
+});
+
+test('the entry store is read once per reporter and picks up new snapshots', t => {
+  const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noko-reporter-test-'));
+  t.after(() => fs.rmSync(storeDir, { recursive: true, force: true }));
+  const logsDir = path.join(storeDir, 'DH', 'logs');
+  fs.mkdirSync(logsDir, { recursive: true });
+  fs.writeFileSync(path.join(logsDir, 'noko-2025-01-30.json'), JSON.stringify(ENTRIES.slice(0, 1)));
+
+  const reporter = makeReporter({ config: { dataDir: storeDir }, source: undefined, projects: ['DH'] });
+  const first = reporter.getEntries();
+  fs.writeFileSync(path.join(storeDir, '.entry-store.json'), 'not read again');
+  assert.equal(reporter.getEntries(), first);
+  reporter.generateStatusReport(WEEK);
+
+  fs.writeFileSync(path.join(logsDir, 'noko-2025-01-31.json'), JSON.stringify(ENTRIES.slice(3, 4)));
+  assert.deepEqual(reporter.getEntries().map(item => item.id), [ENTRIES[0].id, ENTRIES[3].id]);
+});
+
+test('renderReport fills the built-in weekly template from the entries', () => {
+  const text = makeReporter().renderReport('weekly', { days: WEEK });
+
+  assert.match(text, /^\*\*REPORT 1: LSM Office Hour Update\*\*\nDartmouth Health Support :large_green_circle:\n- Fixed SSO redirect\n/);
+  assert.match(text, /## MJFF Website Project Update\n\*\*This Week:\*\*\n- Updated composer dependencies/);
+  assert.match(text, /_Mostly Security update this week \(100% of the time\)_/);
+  assert.doesNotMatch(text, /Migrated search index/);
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const scheduler = require('../scripts/scheduler');
+const calendar = require('../scripts/calendar');
+
+function makeDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'noko-scheduler-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function loadSchedule(dir, document) {
+  const file = path.join(dir, 'schedule.json');
+  fs.writeFileSync(file, JSON.stringify(document));
+  return scheduler.loadSchedule(file);
+}
+
+/**
+ * Scheduler on a settable UTC clock, recording runs and progress messages
+ */
+function makeScheduler(t, document, runJob = async () => ({ detail: 'done' })) {
+  const dir = makeDir(t);
+  const clock = { now: new Date('2025-01-29T08:00:00Z') };
+  const messages = [];
+  const calls = [];
+  const instance = scheduler.createScheduler({
+    schedule: loadSchedule(dir, document),
+    logFile: scheduler.getLogPath(dir),
+    runJob: async (job, run) => {
+      calls.push(`${job.name} ${run.date} #${run.attempt}`);
+      return runJob(job, run);
+    },
+    getCalendar: () => calendar.loadCalendar(null),
+    now: () => clock.now,
+    timeZone: 'UTC',
+    report: message => messages.push(message)
+  });
+  const at = async time => {
+    clock.now = new Date(`${time}Z`);
+    return instance.tick();
+  };
+  return { dir, at, calls, messages, log: () => scheduler.loadRunLog(scheduler.getLogPath(dir)) };
+}
+
+const GEEKBOT = { jobs: [{ name: 'geekbot', report: 'geekbot', at: '09:30' }] };
+
+test('a run missed while asleep happens on wake, once', async t => {
+  const { at, calls, messages, log } = makeScheduler(t, GEEKBOT);
+
+  assert.deepEqual(await at('2025-01-29T08:00:00'), []);
+  const [run] = await at('2025-01-29T13:00:00');
+  assert.equal(run.status, 'ok');
+  assert.deepEqual(await at('2025-01-29T13:01:00'), []);
+
+  assert.deepEqual(calls, ['geekbot 2025-01-29 #1']);
+  assert.ok(messages.includes('💤 Resumed after 300m, checking for missed runs'));
+  assert.equal(log().since, '2025-01-29');
+});
+
+test('failed runs are retried retryMinutes apart, up to retries times', async t => {
+  const document = { ...GEEKBOT, retries: 1, retryMinutes: 15 };
+  const { at, calls, log } = makeScheduler(t, document, async () => { throw new Error('LLM quota exceeded'); });
+
+  assert.equal((await at('2025-01-29T09:30:00'))[0].detail, 'LLM quota exceeded');
+  assert.deepEqual(await at('2025-01-29T09:40:00'), []);
+  assert.equal((await at('2025-01-29T09:46:00'))[0].attempt, 2);
+  assert.deepEqual(await at('2025-01-29T11:00:00'), []);
+
+  assert.deepEqual(calls, ['geekbot 2025-01-29 #1', 'geekbot 2025-01-29 #2']);
+  assert.deepEqual(log().runs.map(run => run.status), ['failed', 'failed']);
+});
+
+test('a partial run is not retried', async t => {
+  const { at, calls } = makeScheduler(t, GEEKBOT, async () => ({ status: 'partial', detail: 'failed: slack' }));
+
+  await at('2025-01-29T09:30:00');
+  await at('2025-01-29T10:30:00');
+  assert.deepEqual(calls, ['geekbot 2025-01-29 #1']);
+});
+
+test('the previous scheduled day without a run is logged as missed', async t => {
+  const { dir, at, calls, messages, log } = makeScheduler(t, GEEKBOT);
+  scheduler.saveRunLog(scheduler.getLogPath(dir), { since: '2025-01-24', runs: [] });
+
+  await at('2025-01-29T08:00:00');
+  await at('2025-01-29T08:01:00');
+
+  assert.deepEqual(calls, []);
+  assert.deepEqual(messages, ['⚠️  Missed geekbot on 2025-01-28 (the scheduler was not running)']);
+  assert.deepEqual(log().runs.map(run => [run.job, run.date, run.status]), [['geekbot', '2025-01-28', 'missed']]);
+});
+
+test('days before the scheduler first ran are not missed', async t => {
+  const { at, messages } = makeScheduler(t, GEEKBOT);
+
+  await at('2025-01-29T08:00:00');
+  assert.deepEqual(messages, []);
+});
+
+test('jobs skip weekends unless days are set, and always skip holidays', t => {
+  const holidays = { ...calendar.loadCalendar(null), holidays: new Set(['2025-01-29']) };
+  const dir = makeDir(t);
+  const schedule = loadSchedule(dir, { jobs: [GEEKBOT.jobs[0], { name: 'weekly', report: 'weekly', at: '15:00', days: ['sat', 'Wednesday'] }] });
+  const [geekbot, weekly] = schedule.jobs;
+
+  assert.equal(scheduler.isScheduledOn(geekbot, '2025-01-29', calendar.loadCalendar(null)), true);
+  assert.equal(scheduler.isScheduledOn(geekbot, '2025-02-01', calendar.loadCalendar(null)), false);
+  assert.equal(scheduler.isScheduledOn(weekly, '2025-02-01', calendar.loadCalendar(null)), true);
+  assert.equal(scheduler.isScheduledOn(weekly, '2025-01-29', holidays), false);
+
+  const now = { date: '2025-01-29', time: '16:00', timestamp: Date.parse('2025-01-29T16:00:00Z'), calendar: holidays };
+  assert.equal(scheduler.nextRun(geekbot, schedule, { since: null, runs: [] }, now), '2025-01-30 09:30');
+});
+
+test('invalid schedules are rejected when loaded', t => {
+  const dir = makeDir(t);
+
+  assert.equal(scheduler.loadSchedule(path.join(dir, 'none.json')), null);
+  assert.throws(() => loadSchedule(dir, { jobs: [{ report: 'monthly', at: '09:00' }] }), /job "monthly": "report" must be one of geekbot, weekly/);
+  assert.throws(() => loadSchedule(dir, { jobs: [{ report: 'geekbot', at: '9.30' }] }), /job "geekbot": "at" must be a time like "09:30"/);
+  assert.throws(() => loadSchedule(dir, { jobs: [{ report: 'weekly', at: '15:00', days: ['fry'] }] }), /unknown day "fry"/);
+  assert.throws(() => loadSchedule(dir, { jobs: [GEEKBOT.jobs[0], GEEKBOT.jobs[0]] }), /job names must be unique/);
+  assert.throws(() => loadSchedule(dir, { ...GEEKBOT, retries: -1 }), /"retries" must be a whole number/);
+});
+
+test('the lock keeps a second scheduler out until the holder is gone', t => {
+  const lockFile = scheduler.getLockPath(makeDir(t));
+
+  scheduler.acquireLock(lockFile);
+  assert.throws(() => scheduler.acquireLock(lockFile, process.pid + 1), /The scheduler is already running \(pid \d+/);
+  scheduler.releaseLock(lockFile, process.pid + 1);
+  assert.equal(fs.existsSync(lockFile), true);
+  scheduler.releaseLock(lockFile);
+  assert.equal(fs.existsSync(lockFile), false);
+
+  // A lock left behind by a process that no longer exists is taken over
+  fs.writeFileSync(lockFile, '2147483646\n');
+  scheduler.acquireLock(lockFile);
+  assert.equal(fs.readFileSync(lockFile, 'utf8'), `${process.pid}\n`);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const team = require('../scripts/team');
+
+const JANE = { id: 8372, first_name: 'Jane', last_name: 'Doe' };
+const SAM = { id: 72862, first_name: 'Sam', last_name: 'Roe' };
+const ALEX = { id: 51234, first_name: 'Alex', last_name: 'Poe' };
+
+function entry(user, minutes, key, description, category = 'client') {
+  return { id: minutes, date: '2025-01-30', minutes, description, user, key, category };
+}
+
+const classify = item => ({ category: item.category, key: item.key });
+const formatTime = minutes => `${minutes}m`;
+
+test('resolveTeam reads --users, --group and --team', () => {
+  const env = { TEAM_USER_IDS: '8372, 72862', TEAM_GROUP_LSM_DEVS: '8372,51234' };
+
+  assert.deepEqual(team.resolveTeam({ users: '1,2' }, env), { userIds: [1, 2], label: 'users 1, 2' });
+  assert.deepEqual(team.resolveTeam({ group: 'lsm-devs' }, env), { userIds: [8372, 51234], label: 'group lsm-devs' });
+  assert.deepEqual(team.resolveTeam({ team: true }, env), { userIds: [8372, 72862], label: 'team' });
+  assert.equal(team.resolveTeam({}, env), null);
+  assert.throws(() => team.resolveTeam({ group: 'ops' }, env), /Set TEAM_GROUP_OPS=id1,id2/);
+  assert.throws(() => team.resolveTeam({ team: true }, {}), /Set TEAM_USER_IDS/);
+});
+
+test('the client rollup sums each client across people, and members without time are missing', () => {
+  const report = team.buildTeamReport([
+    entry(JANE, 60, 'DH', 'SSO fix'),
+    entry(SAM, 120, 'DH', 'Search index'),
+    entry(JANE, 30, 'DH', 'SSO fix'),
+    entry(JANE, 15, 'Internal', 'Team meeting', 'internal'),
+    entry(SAM, 45, null, 'Excluded', 'exclude'),
+    entry({ id: 1, first_name: 'Not', last_name: 'Team' }, 90, 'DH', 'Outside the team')
+  ], [JANE.id, SAM.id, ALEX.id], classify, { [ALEX.id]: 'Alex Poe' });
+
+  assert.deepEqual(report.members.map(member => [member.name, member.minutes, Object.keys(member.sections)]), [
+    ['Jane Doe', 105, ['DH', 'Internal']],
+    ['Sam Roe', 120, ['DH']]
+  ]);
+  assert.equal(report.rollup.DH.minutes, 210);
+  assert.deepEqual(report.rollup.DH.people[JANE.id], { name: 'Jane Doe', minutes: 90, descriptions: ['SSO fix'] });
+  assert.equal(report.rollup.Internal, undefined);
+  assert.deepEqual(report.missing, [{ id: ALEX.id, name: 'Alex Poe' }]);
+
+  const text = team.formatTeamReport({ ...report, from: '2025-01-27', to: '2025-01-31', label: 'team' }, formatTime);
+  assert.match(text, /=== Client Rollup ===\nDH \(210m\):\n  Sam Roe \(120m\): Search index\n  Jane Doe \(90m\): SSO fix/);
+  assert.match(text, /=== Missing Updates ===\n- Alex Poe \(51234\): no entries since 2025-01-27$/);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tickets = require('../scripts/ticket-references');
+
+const CONFIG = {
+  ...tickets.DEFAULT_TICKET_CONFIG,
+  jira: { ...tickets.DEFAULT_TICKET_CONFIG.jira, url: 'https://lsm.atlassian.net/browse/{id}' },
+  projects: {
+    DH: { repo: 'lsm/dh-site', issueUrl: 'https://github.com/lsm/dh-site/issues/{number}' },
+    MJFF: { jiraUrl: 'https://mjff.atlassian.net/browse/{id}' }
+  },
+  patterns: [{ tracker: 'redmine', pattern: '\\bRM ?(\\d+)\\b', id: 'RM-{1}', url: 'https://redmine.example.com/issues/{1}' }]
+};
+
+const JANE = { id: 8372, first_name: 'Jane', last_name: 'Doe' };
+const SAM = { id: 72862, first_name: 'Sam', last_name: 'Roe' };
+
+const ids = (text, project) => tickets.extractTicketReferences(text, project, CONFIG).map(ticket => ticket.id);
+
+test('Jira keys, GitHub and GitLab URLs and repository references are recognized', () => {
+  assert.deepEqual(ids('Reviewed https://github.com/lsm/dh-site/pull/42 for DH-7', 'DH'), ['lsm/dh-site#42', 'DH-7']);
+  assert.deepEqual(ids('See https://gitlab.com/mjff/web/-/merge_requests/7 and mjff/web#3', 'MJFF'), ['mjff/web!7', 'mjff/web#3']);
+  assert.deepEqual(ids('Fixed UTF-8 and SHA-256 handling for RM 55', 'DH'), ['RM-55']);
+
+  const [jira] = tickets.extractTicketReferences('MJFF-12 follow-up', 'MJFF', CONFIG);
+  assert.deepEqual(jira, { id: 'MJFF-12', tracker: 'jira', url: 'https://mjff.atlassian.net/browse/MJFF-12' });
+});
+
+test('#12 and PR 12 only count for projects with a repository', () => {
+  assert.deepEqual(ids('Merged PR 12 after #13', 'DH'), ['lsm/dh-site#12', 'lsm/dh-site#13']);
+  assert.deepEqual(ids('Merged PR 12 after #13', 'MJFF'), []);
+  assert.equal(tickets.extractTicketReferences('#13', 'DH', CONFIG)[0].url, 'https://github.com/lsm/dh-site/issues/13');
+});
+
+test('tickets group time across days and people, splitting entries that name several', () => {
+  const entries = [
+    { date: '2025-01-30', minutes: 60, description: 'DH-7 SSO fix', user: JANE, tags: [] },
+    { date: '2025-01-29', minutes: 90, description: 'DH-7 and DH-8 review', user: SAM, tags: [] },
+    { date: '2025-01-30', minutes: 30, description: 'Deploy', user: SAM, tags: [{ name: '#DH-8' }] },
+    { date: '2025-01-30', minutes: 15, description: 'Standup', user: SAM, tags: [] }
+  ];
+  const grouped = tickets.groupByTicket(entries, () => 'DH', CONFIG);
+
+  assert.deepEqual(grouped.tickets.map(ticket => [ticket.id, ticket.minutes, ticket.days, ticket.people]), [
+    ['DH-7', 105, ['2025-01-29', '2025-01-30'], ['Jane D.', 'Sam R.']],
+    ['DH-8', 75, ['2025-01-29', '2025-01-30'], ['Sam R.']]
+  ]);
+  assert.deepEqual(grouped.unreferenced, { entries: 1, minutes: 15 });
+
+  const text = tickets.formatTickets({ from: '2025-01-27', to: '2025-01-31', scope: 'all users', ...grouped }, minutes => `${minutes}m`);
+  assert.match(text, /^🎫 Tickets 2025-01-27 → 2025-01-31 \(all users\)\n  DH-7      105m  2 days   DH  Jane D\., Sam R\.\n +https:\/\/lsm\.atlassian\.net\/browse\/DH-7/);
+  assert.match(text, /1 entries \(15m\) reference no ticket$/);
+  assert.equal(tickets.formatTicketLink(grouped.tickets[0]), '[DH-7](https://lsm.atlassian.net/browse/DH-7)');
+});
+
+test('custom patterns are validated when the config loads', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'noko-tickets-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'tickets.json');
+
+  fs.writeFileSync(file, JSON.stringify({ jira: { url: 'https://x.test/{id}' } }));
+  assert.deepEqual(tickets.loadTicketConfig(file).jira.ignore, tickets.DEFAULT_TICKET_CONFIG.jira.ignore);
+  fs.writeFileSync(file, JSON.stringify({ patterns: [{ tracker: 'redmine', pattern: '(' }] }));
+  assert.throws(() => tickets.loadTicketConfig(file), /pattern 1 \(redmine\): Invalid regular expression/);
+  fs.writeFileSync(file, JSON.stringify({ patterns: [{ pattern: 'x' }] }));
+  assert.throws(() => tickets.loadTicketConfig(file), /pattern 1 needs "tracker" and "pattern"/);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const lint = require('../scripts/timesheet-lint');
+
+const JANE = { id: 8372, first_name: 'Jane', last_name: 'Doe' };
+
+function entry(id, date, minutes, projectName, description, extra = {}) {
+  return { id, date, minutes, description, user: JANE, project: { id, name: projectName }, tags: [{ name: 'dev' }], ...extra };
+}
+
+const CONTEXT = {
+  classify: item => (/\[LSM\]/.test(item.project.name)
+    ? { category: 'client', key: item.project.name.replace('[LSM] ', '') }
+    : { category: 'other', key: item.project.name }),
+  hasDataProject: key => key === 'DH',
+  workingDays: ['2025-01-29', '2025-01-30', '2025-01-31'],
+  today: '2025-01-31',
+  userIds: [JANE.id]
+};
+
+const problemsOf = (entries, config = lint.loadLintRules(null)) =>
+  lint.lintTimesheet(entries, config, CONTEXT).map(problem => `${problem.date} ${problem.entryId || problem.user} ${problem.rule}:${problem.level}`);
+
+test('each entry rule flags its problem', () => {
+  assert.deepEqual(problemsOf([
+    entry(1, '2025-01-29', 480, '[LSM] DH', 'Fixed SSO redirect'),
+    entry(2, '2025-01-30', 240, 'Acme Web', 'Built search'),
+    entry(3, '2025-01-30', 120, '[LSM] GovHub', 'Deploy #ops'),
+    entry(4, '2025-01-30', 60, '[LSM] DH', '#mtg', { tags: [] }),
+    entry(5, '2025-01-30', 60, '[LSM] DH', 'Code review', { tags: [] })
+  ]), [
+    '2025-01-30 2 uncategorized:error',
+    '2025-01-30 3 unmatched-lsm-project:error',
+    '2025-01-30 3 short-description:error',
+    '2025-01-30 4 short-description:error',
+    '2025-01-30 5 missing-tags:warning'
+  ]);
+});
+
+test('days below the target are flagged, except today', () => {
+  assert.deepEqual(problemsOf([
+    entry(1, '2025-01-29', 480, '[LSM] DH', 'Fixed SSO redirect'),
+    entry(2, '2025-01-30', 300, '[LSM] DH', 'Fixed SSO redirect')
+  ]), ['2025-01-30 Jane D. low-hours-day:warning']);
+
+  const withToday = { ...lint.loadLintRules(null), includeToday: true };
+  assert.deepEqual(lint.lintTimesheet([], withToday, CONTEXT).map(problem => problem.date), ['2025-01-29', '2025-01-30', '2025-01-31']);
+  assert.equal(lint.lintTimesheet([], withToday, CONTEXT)[0].message, 'User 8372 logged 0.0h of 8h');
+});
+
+test('the rules file sets levels and thresholds', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'noko-lint-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'lint-rules.json');
+
+  fs.writeFileSync(file, JSON.stringify({ rules: { 'missing-tags': 'off', 'short-description': 'warning' }, minDescriptionWords: 3, targetHoursPerDay: 4 }));
+  const config = lint.loadLintRules(file);
+  assert.equal(config.rules.uncategorized, 'error');
+  assert.deepEqual(problemsOf([
+    entry(1, '2025-01-29', 240, '[LSM] DH', 'Fixed SSO', { tags: [] }),
+    entry(2, '2025-01-30', 240, '[LSM] DH', 'Fixed SSO redirect')
+  ], config), ['2025-01-29 1 short-description:warning']);
+
+  fs.writeFileSync(file, JSON.stringify({ rules: { 'no-tags': 'error' } }));
+  assert.throws(() => lint.loadLintRules(file), /unknown rule "no-tags"/);
+  fs.writeFileSync(file, JSON.stringify({ rules: { 'missing-tags': 'fatal' } }));
+  assert.throws(() => lint.loadLintRules(file), /rule "missing-tags" must be off, warning, error/);
+});
+
+test('the lint report counts errors and warnings', () => {
+  const problems = lint.lintTimesheet([entry(2, '2025-01-30', 480, 'Acme Web', 'Built search', { tags: [] })], lint.loadLintRules(null), CONTEXT);
+  const text = lint.formatLintReport({ from: '2025-01-29', to: '2025-01-31', scope: 'user 8372', problems, errors: 1, warnings: 2 });
+
+  assert.match(text, /^🔍 Timesheet lint 2025-01-29 → 2025-01-31 \(user 8372\)\n⚠️  2025-01-29 Jane D\. \[low-hours-day\] Jane D\. logged 0\.0h of 8h\n❌ 2025-01-30 #2 \[uncategorized\]/);
+  assert.match(text, /\n\n1 error, 2 warnings$/);
+  assert.equal(lint.formatLintReport({ from: 'a', to: 'b', scope: 's', problems: [] }), '🔍 Timesheet lint a → b (s)\n✅ No problems found');
+});
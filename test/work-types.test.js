@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const workTypes = require('../scripts/work-types');
+const { formatTime } = require('../scripts/reporter');
+
+const DEFAULTS = workTypes.loadWorkTypes(null);
+
+function entry(minutes, tags, description = 'Work') {
+  return { date: '2025-01-30', minutes, description, tags: tags.map(name => ({ name })) };
+}
+
+test('tags match without "#", case, separators or a plural "s"', () => {
+  assert.equal(workTypes.normalizeTag(' #Code_Review '), 'code-review');
+  assert.equal(workTypes.tagWorkType('#Meetings', DEFAULTS), 'Meeting');
+  assert.equal(workTypes.tagWorkType('Code Review', DEFAULTS), 'Code review');
+  assert.equal(workTypes.tagWorkType('secupdates', DEFAULTS), 'Security update');
+  assert.equal(workTypes.tagWorkType('deploy', DEFAULTS), null);
+});
+
+test('an entry takes the first type in taxonomy order, from tags or hashtags', () => {
+  assert.equal(workTypes.workTypeOf(entry(60, ['mtg'], 'Patched Drupal core #security'), DEFAULTS), 'Security update');
+  assert.equal(workTypes.workTypeOf(entry(60, [], 'Sprint #planning'), DEFAULTS), 'PM');
+  assert.equal(workTypes.workTypeOf(entry(60, ['dev'], 'Built search'), DEFAULTS), null);
+  assert.equal(workTypes.workTypeOf({ minutes: 60 }, DEFAULTS), null);
+});
+
+test('time is summarized largest first with untyped time last', () => {
+  const summary = workTypes.summarizeWorkTypes([
+    entry(60, ['mtg']),
+    entry(240, ['dev']),
+    entry(120, ['security']),
+    entry(180, ['cve'])
+  ], item => workTypes.workTypeOf(item, DEFAULTS));
+
+  assert.deepEqual(summary.map(type => [type.name, type.minutes, type.entries, type.percent]), [
+    ['Security update', 300, 2, 50],
+    ['Meeting', 60, 1, 10],
+    [workTypes.UNTYPED, 240, 1, 40]
+  ]);
+  assert.equal(workTypes.formatWorkTypes(summary, formatTime), 'Security update 5h (50%), Meeting 1h (10%)');
+  assert.deepEqual(workTypes.summarizeWorkTypes([], () => null), []);
+});
+
+test('the main work type needs more than half of the time', () => {
+  const of = (...buckets) => buckets.map(([name, minutes]) => ({ name, minutes }));
+
+  assert.equal(workTypes.mainWorkType(of(['Support', 310], ['Meeting', 50], [workTypes.UNTYPED, 240])).name, 'Support');
+  assert.equal(workTypes.mainWorkType(of(['Support', 300], [workTypes.UNTYPED, 300])), null);
+  assert.equal(workTypes.mainWorkType(of([workTypes.UNTYPED, 300])), null);
+  assert.equal(workTypes.mainWorkType([]), null);
+});
+
+test('a work types file replaces the defaults and is validated', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'noko-work-types-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'work-types.json');
+
+  fs.writeFileSync(file, JSON.stringify({ types: { Migration: ['d7-migration', 'upgrade'] } }));
+  const taxonomy = workTypes.loadWorkTypes(file);
+  assert.deepEqual(taxonomy.types, ['Migration']);
+  assert.equal(workTypes.tagWorkType('#Upgrades', taxonomy), 'Migration');
+  assert.equal(workTypes.tagWorkType('mtg', taxonomy), null);
+
+  fs.writeFileSync(file, JSON.stringify({ types: { Meeting: ['call'], Support: ['Call'] } }));
+  assert.throws(() => workTypes.loadWorkTypes(file), /tag "call" is in both "Meeting" and "Support"/);
+  fs.writeFileSync(file, JSON.stringify({ types: { Meeting: 'mtg' } }));
+  assert.throws(() => workTypes.loadWorkTypes(file), /work type "Meeting" needs a list of tags/);
+  fs.writeFileSync(file, JSON.stringify({ types: ['Meeting'] }));
+  assert.throws(() => workTypes.loadWorkTypes(file), /expected "types" to map work types to tags/);
+  fs.writeFileSync(file, '{');
+  assert.throws(() => workTypes.loadWorkTypes(file), /^Error: Could not read work types /);
+
+  assert.ok(workTypes.loadWorkTypes(path.join(__dirname, '..', 'config', 'work-types.example.json')).types.includes('Migration'));
+});